@@ -0,0 +1,56 @@
+/**
+ * Model ID Check
+ *
+ * Asks the Anthropic Models API about every model in MODELS (the ones tenants
+ * can pick and the default chain falls back through), so a mistyped or
+ * retired ID shows up here instead of as failed chats.
+ *
+ * Usage: node check-models.js
+ *
+ * Environment variables:
+ *   ANTHROPIC_API_KEY - Key to query the Models API with
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import { MODELS } from './src/services/modelConfigService.js';
+
+async function checkModels() {
+  if (!process.env.ANTHROPIC_API_KEY) {
+    throw new Error('ANTHROPIC_API_KEY must be set in environment variables');
+  }
+
+  let unknown = 0;
+
+  for (const [id, entry] of Object.entries(MODELS)) {
+    const response = await fetch(`https://api.anthropic.com/v1/models/${id}`, {
+      headers: {
+        'x-api-key': process.env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01'
+      }
+    });
+
+    if (response.ok) {
+      const model = await response.json();
+      console.log(`✅ ${id} (${entry.label}) - ${model.display_name}`);
+    } else if (response.status === 404) {
+      unknown++;
+      console.log(`❌ ${id} (${entry.label}) - not a model ID the API knows`);
+    } else {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error?.message || `Models API returned HTTP ${response.status}`);
+    }
+  }
+
+  console.log(`\n${Object.keys(MODELS).length - unknown}/${Object.keys(MODELS).length} model IDs found`);
+  return unknown === 0;
+}
+
+checkModels()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error('Model check failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,63 @@
+-- Migration 007: Outbound webhook delivery log
+-- Purpose: Record every signed webhook sent to tenant endpoints, with retry state
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Webhook Deliveries Table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Tenant association
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+
+  -- Event info (event_id is shared by redeliveries of the same event)
+  event_id UUID NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  url VARCHAR(500) NOT NULL,
+
+  -- Delivery state
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+
+  -- Last response from the tenant endpoint (status only - bodies are not stored)
+  response_status INTEGER,
+  error TEXT,
+
+  -- Manual redelivery of an earlier delivery
+  redelivery_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL
+);
+
+-- =====================================================
+-- Indexes
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_tenant_created ON webhook_deliveries(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event ON webhook_deliveries(event_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_retry ON webhook_deliveries(next_attempt_at)
+  WHERE status = 'pending';
+
+-- =====================================================
+-- RLS Policy
+-- =====================================================
+
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation_webhook_deliveries ON webhook_deliveries;
+CREATE POLICY tenant_isolation_webhook_deliveries ON webhook_deliveries
+  FOR ALL
+  USING (tenant_id = current_tenant_id() OR current_tenant_id() IS NULL);
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON TABLE webhook_deliveries IS 'Outbound webhook attempts per tenant (lead.created, handoff.requested, conversation.ended, conversation.flagged)';
+COMMENT ON COLUMN webhook_deliveries.next_attempt_at IS 'When the retry worker should try again; null once succeeded or failed';
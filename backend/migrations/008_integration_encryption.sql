@@ -0,0 +1,26 @@
+-- Migration 008: Envelope encryption for tenant integration secrets
+-- Purpose: Store a per-row wrapped data key and the master key version used to wrap it
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Encryption Columns
+-- =====================================================
+
+ALTER TABLE tenant_integrations
+  ADD COLUMN IF NOT EXISTS encrypted_data_key TEXT,
+  ADD COLUMN IF NOT EXISTS key_version INTEGER;
+
+-- Ciphertext is longer than the plaintext secret
+ALTER TABLE tenant_integrations
+  ALTER COLUMN webhook_secret TYPE TEXT;
+
+-- Lets the rotation script find rows still wrapped with an old master key
+CREATE INDEX IF NOT EXISTS idx_tenant_integrations_key_version ON tenant_integrations(key_version);
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON COLUMN tenant_integrations.encrypted_data_key IS 'Per-row AES-256-GCM data key, wrapped with the master key from ENCRYPTION_MASTER_KEYS';
+COMMENT ON COLUMN tenant_integrations.key_version IS 'Version of the master key that wrapped encrypted_data_key';
+COMMENT ON COLUMN tenant_integrations.webhook_secret IS 'Webhook signing secret (encrypted with the row data key)';
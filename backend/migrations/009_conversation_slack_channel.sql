@@ -0,0 +1,20 @@
+-- Migration 009: Scope Slack handoff lookups per tenant
+-- Purpose: Record the Slack channel of each handoff thread so replies from one
+--          tenant's workspace can't be routed to another tenant's conversation
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Conversations
+-- =====================================================
+
+ALTER TABLE conversations
+  ADD COLUMN IF NOT EXISTS slack_channel_id VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_slack_thread ON conversations(slack_thread_ts)
+  WHERE slack_thread_ts IS NOT NULL;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON COLUMN conversations.slack_channel_id IS 'Slack channel the handoff thread was posted in (thread timestamps are only unique per channel)';
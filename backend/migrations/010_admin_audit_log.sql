@@ -0,0 +1,80 @@
+-- Migration 010: Admin audit log
+-- Purpose: Record which tenant user made each change through /api/admin
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Admin Audit Log Table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Tenant association
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+
+  -- Who made the change (email kept in case the user is later removed)
+  user_id UUID REFERENCES tenant_users(id) ON DELETE SET NULL,
+  user_email VARCHAR(255),
+  user_role VARCHAR(50),
+
+  -- What changed
+  action VARCHAR(100) NOT NULL, -- e.g. 'prompt.update', 'variation.promote'
+  resource_type VARCHAR(50),
+  resource_id TEXT,
+  details JSONB
+);
+
+-- =====================================================
+-- Indexes
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_tenant_created ON admin_audit_log(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_resource ON admin_audit_log(resource_type, resource_id);
+
+-- =====================================================
+-- RLS Policy
+-- =====================================================
+
+ALTER TABLE admin_audit_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation_admin_audit_log ON admin_audit_log;
+CREATE POLICY tenant_isolation_admin_audit_log ON admin_audit_log
+  FOR ALL
+  USING (tenant_id = current_tenant_id() OR current_tenant_id() IS NULL);
+
+-- =====================================================
+-- Prompt version history: keep tenant_id
+-- =====================================================
+
+-- Version rows written by the trigger had no tenant_id, so tenant-scoped
+-- history lookups missed them
+UPDATE prompt_versions v
+SET tenant_id = s.tenant_id
+FROM prompt_sections s
+WHERE v.section_id = s.id AND v.tenant_id IS NULL;
+
+CREATE OR REPLACE FUNCTION update_prompt_sections_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  NEW.version = OLD.version + 1;
+
+  -- Save version history
+  INSERT INTO prompt_versions (section_id, tenant_id, content, version, edited_by, change_notes)
+  VALUES (OLD.id, OLD.tenant_id, OLD.content, OLD.version, NEW.last_edited_by, 'Updated via admin');
+
+  RETURN NEW;
+END;
+$$;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON TABLE admin_audit_log IS 'Changes made by tenant users through the admin API (prompts, variations, conversation review)';
+COMMENT ON COLUMN admin_audit_log.details IS 'Action-specific context, e.g. the fields that were updated';
@@ -0,0 +1,132 @@
+-- Migration 011: Conversation metric events
+-- Purpose: Count A/B test outcomes once per conversation, atomically
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Conversation Metric Events Table
+-- =====================================================
+
+-- One row per (conversation, event). The unique constraint is what makes
+-- metrics idempotent: restarts, restored conversations and repeated hooks
+-- can fire the same event again without counting it twice.
+CREATE TABLE IF NOT EXISTS conversation_metric_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Tenant association
+  tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+
+  conversation_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(50) NOT NULL CHECK (event_type IN (
+    'conversation_started',
+    'lead_captured',
+    'handoff_requested',
+    'calendar_checked',
+    'abandoned'
+  )),
+
+  CONSTRAINT unique_conversation_metric_event UNIQUE (conversation_id, event_type)
+);
+
+-- =====================================================
+-- Indexes
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_conversation_metric_events_tenant ON conversation_metric_events(tenant_id, created_at DESC);
+
+-- =====================================================
+-- RLS Policy
+-- =====================================================
+
+ALTER TABLE conversation_metric_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation_conversation_metric_events ON conversation_metric_events;
+CREATE POLICY tenant_isolation_conversation_metric_events ON conversation_metric_events
+  FOR ALL
+  USING (tenant_id = current_tenant_id() OR current_tenant_id() IS NULL);
+
+-- =====================================================
+-- Record an event and update variation metrics
+-- =====================================================
+
+-- Records the event and, the first time only, increments the matching
+-- counter on every variation the conversation was assigned. Metrics are
+-- attributed to the day the conversation was assigned (not the day of the
+-- event) so a day's rates never exceed 100%.
+-- Returns true if the event was new.
+CREATE OR REPLACE FUNCTION record_conversation_metric(
+  p_conversation_id VARCHAR,
+  p_event_type VARCHAR,
+  p_tenant_id UUID
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_inserted INTEGER;
+BEGIN
+  INSERT INTO conversation_metric_events (tenant_id, conversation_id, event_type)
+  VALUES (p_tenant_id, p_conversation_id, p_event_type)
+  ON CONFLICT (conversation_id, event_type) DO NOTHING;
+
+  GET DIAGNOSTICS v_inserted = ROW_COUNT;
+  IF v_inserted = 0 THEN
+    RETURN false;
+  END IF;
+
+  INSERT INTO variation_performance_metrics AS m (
+    tenant_id, variation_id, metric_date,
+    conversations_count, leads_captured, handoffs_requested,
+    calendar_checks, abandoned_conversations
+  )
+  SELECT DISTINCT
+    a.tenant_id, a.variation_id, (a.assigned_at AT TIME ZONE 'UTC')::DATE,
+    (p_event_type = 'conversation_started')::INT,
+    (p_event_type = 'lead_captured')::INT,
+    (p_event_type = 'handoff_requested')::INT,
+    (p_event_type = 'calendar_checked')::INT,
+    (p_event_type = 'abandoned')::INT
+  FROM conversation_test_assignments a
+  WHERE a.conversation_id = p_conversation_id
+  ON CONFLICT (variation_id, metric_date) DO UPDATE SET
+    conversations_count = m.conversations_count + EXCLUDED.conversations_count,
+    leads_captured = m.leads_captured + EXCLUDED.leads_captured,
+    handoffs_requested = m.handoffs_requested + EXCLUDED.handoffs_requested,
+    calendar_checks = m.calendar_checks + EXCLUDED.calendar_checks,
+    abandoned_conversations = m.abandoned_conversations + EXCLUDED.abandoned_conversations,
+    last_updated = NOW();
+
+  -- Recalculate rates on the rows just touched
+  UPDATE variation_performance_metrics m
+  SET
+    lead_conversion_rate = CASE WHEN m.conversations_count > 0
+      THEN LEAST(ROUND(m.leads_captured * 100.0 / m.conversations_count, 2), 100) ELSE 0 END,
+    handoff_rate = CASE WHEN m.conversations_count > 0
+      THEN LEAST(ROUND(m.handoffs_requested * 100.0 / m.conversations_count, 2), 100) ELSE 0 END,
+    abandonment_rate = CASE WHEN m.conversations_count > 0
+      THEN LEAST(ROUND(m.abandoned_conversations * 100.0 / m.conversations_count, 2), 100) ELSE 0 END
+  FROM conversation_test_assignments a
+  WHERE a.conversation_id = p_conversation_id
+    AND m.variation_id = a.variation_id
+    AND m.metric_date = (a.assigned_at AT TIME ZONE 'UTC')::DATE;
+
+  IF p_event_type = 'conversation_started' THEN
+    UPDATE conversations
+    SET uses_test_variations = true
+    WHERE conversation_id = p_conversation_id
+      AND EXISTS (
+        SELECT 1 FROM conversation_test_assignments a
+        WHERE a.conversation_id = p_conversation_id
+      );
+  END IF;
+
+  RETURN true;
+END;
+$$;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON TABLE conversation_metric_events IS 'A/B test outcomes already counted for each conversation (one row per event type)';
+COMMENT ON FUNCTION record_conversation_metric IS 'Record a conversation metric event once and increment variation_performance_metrics for the conversation''s variations';
@@ -0,0 +1,139 @@
+-- Migration 012: A/B test control arm
+-- Purpose: Track conversations that got the base prompt while a test was running,
+--          and report per-arm results for significance testing
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Control assignments
+-- =====================================================
+
+-- A NULL variation_id means the conversation was assigned the control arm
+-- (base prompt) for a section that had active variations
+ALTER TABLE conversation_test_assignments
+  ALTER COLUMN variation_id DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_assignments_section_assigned
+  ON conversation_test_assignments(prompt_section_id, assigned_at);
+
+-- =====================================================
+-- record_conversation_metric: skip control assignments
+-- =====================================================
+
+-- Same as migration 011, except control assignments have no
+-- variation_performance_metrics row to update
+CREATE OR REPLACE FUNCTION record_conversation_metric(
+  p_conversation_id VARCHAR,
+  p_event_type VARCHAR,
+  p_tenant_id UUID
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_inserted INTEGER;
+BEGIN
+  INSERT INTO conversation_metric_events (tenant_id, conversation_id, event_type)
+  VALUES (p_tenant_id, p_conversation_id, p_event_type)
+  ON CONFLICT (conversation_id, event_type) DO NOTHING;
+
+  GET DIAGNOSTICS v_inserted = ROW_COUNT;
+  IF v_inserted = 0 THEN
+    RETURN false;
+  END IF;
+
+  INSERT INTO variation_performance_metrics AS m (
+    tenant_id, variation_id, metric_date,
+    conversations_count, leads_captured, handoffs_requested,
+    calendar_checks, abandoned_conversations
+  )
+  SELECT DISTINCT
+    a.tenant_id, a.variation_id, (a.assigned_at AT TIME ZONE 'UTC')::DATE,
+    (p_event_type = 'conversation_started')::INT,
+    (p_event_type = 'lead_captured')::INT,
+    (p_event_type = 'handoff_requested')::INT,
+    (p_event_type = 'calendar_checked')::INT,
+    (p_event_type = 'abandoned')::INT
+  FROM conversation_test_assignments a
+  WHERE a.conversation_id = p_conversation_id
+    AND a.variation_id IS NOT NULL
+  ON CONFLICT (variation_id, metric_date) DO UPDATE SET
+    conversations_count = m.conversations_count + EXCLUDED.conversations_count,
+    leads_captured = m.leads_captured + EXCLUDED.leads_captured,
+    handoffs_requested = m.handoffs_requested + EXCLUDED.handoffs_requested,
+    calendar_checks = m.calendar_checks + EXCLUDED.calendar_checks,
+    abandoned_conversations = m.abandoned_conversations + EXCLUDED.abandoned_conversations,
+    last_updated = NOW();
+
+  -- Recalculate rates on the rows just touched
+  UPDATE variation_performance_metrics m
+  SET
+    lead_conversion_rate = CASE WHEN m.conversations_count > 0
+      THEN LEAST(ROUND(m.leads_captured * 100.0 / m.conversations_count, 2), 100) ELSE 0 END,
+    handoff_rate = CASE WHEN m.conversations_count > 0
+      THEN LEAST(ROUND(m.handoffs_requested * 100.0 / m.conversations_count, 2), 100) ELSE 0 END,
+    abandonment_rate = CASE WHEN m.conversations_count > 0
+      THEN LEAST(ROUND(m.abandoned_conversations * 100.0 / m.conversations_count, 2), 100) ELSE 0 END
+  FROM conversation_test_assignments a
+  WHERE a.conversation_id = p_conversation_id
+    AND m.variation_id = a.variation_id
+    AND m.metric_date = (a.assigned_at AT TIME ZONE 'UTC')::DATE;
+
+  IF p_event_type = 'conversation_started' THEN
+    UPDATE conversations
+    SET uses_test_variations = true
+    WHERE conversation_id = p_conversation_id
+      AND EXISTS (
+        SELECT 1 FROM conversation_test_assignments a
+        WHERE a.conversation_id = p_conversation_id
+          AND a.variation_id IS NOT NULL
+      );
+  END IF;
+
+  RETURN true;
+END;
+$$;
+
+-- =====================================================
+-- Per-arm results for a section
+-- =====================================================
+
+-- One row per arm (variation_id NULL = control) with outcome counts for
+-- conversations assigned since p_since. Counts come from
+-- conversation_metric_events, so each conversation counts once per outcome.
+CREATE OR REPLACE FUNCTION get_section_test_results(
+  p_prompt_section_id UUID,
+  p_tenant_id UUID,
+  p_since TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (
+  variation_id UUID,
+  conversations BIGINT,
+  leads_captured BIGINT,
+  handoffs_requested BIGINT,
+  calendar_checks BIGINT,
+  abandoned_conversations BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    a.variation_id,
+    COUNT(DISTINCT a.conversation_id) FILTER (WHERE e.event_type = 'conversation_started'),
+    COUNT(DISTINCT a.conversation_id) FILTER (WHERE e.event_type = 'lead_captured'),
+    COUNT(DISTINCT a.conversation_id) FILTER (WHERE e.event_type = 'handoff_requested'),
+    COUNT(DISTINCT a.conversation_id) FILTER (WHERE e.event_type = 'calendar_checked'),
+    COUNT(DISTINCT a.conversation_id) FILTER (WHERE e.event_type = 'abandoned')
+  FROM conversation_test_assignments a
+  JOIN conversation_metric_events e ON e.conversation_id = a.conversation_id
+  WHERE a.prompt_section_id = p_prompt_section_id
+    AND (p_tenant_id IS NULL OR a.tenant_id = p_tenant_id)
+    AND a.assigned_at >= p_since
+  GROUP BY a.variation_id;
+$$;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON COLUMN conversation_test_assignments.variation_id IS 'Assigned variation, or NULL for the control arm (base prompt)';
+COMMENT ON FUNCTION get_section_test_results IS 'Per-arm conversation and outcome counts for a prompt section''s A/B test (NULL variation_id = control)';
@@ -0,0 +1,79 @@
+-- Migration 013: Auto-optimized A/B tests
+-- Purpose: Per-section Thompson-sampling mode that reallocates traffic between
+--          control and variations, with a log of every allocation change
+-- Date: 2026-10-19
+
+-- =====================================================
+-- A/B Test Settings Table
+-- =====================================================
+
+-- Kept out of prompt_sections so changing the mode doesn't create a new
+-- prompt version (the prompt_sections update trigger versions every update)
+CREATE TABLE IF NOT EXISTS ab_test_settings (
+  prompt_section_id UUID PRIMARY KEY REFERENCES prompt_sections(id) ON DELETE CASCADE,
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+
+  -- 'manual' = traffic_percentage set by hand, 'auto' = Thompson sampling
+  mode VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (mode IN ('manual', 'auto')),
+
+  -- Minimum % of traffic every arm (control included) keeps in auto mode
+  exploration_floor INTEGER NOT NULL DEFAULT 10 CHECK (exploration_floor BETWEEN 1 AND 50),
+
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_by VARCHAR(255)
+);
+
+-- =====================================================
+-- Variation Allocation Log Table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS variation_allocation_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Tenant association
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  prompt_section_id UUID NOT NULL REFERENCES prompt_sections(id) ON DELETE CASCADE,
+
+  -- 'auto_rebalance' (optimizer), 'auto_enabled', 'auto_disabled'
+  reason VARCHAR(50) NOT NULL,
+  changed_by VARCHAR(255), -- User email, NULL for the background optimizer
+
+  -- Traffic % per arm: { "control": 40, "<variation_id>": 60 }
+  previous_allocation JSONB NOT NULL,
+  new_allocation JSONB NOT NULL,
+
+  -- Data the decision was based on, per arm: conversations, leads, probability_best
+  arm_stats JSONB
+);
+
+-- =====================================================
+-- Indexes
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_ab_test_settings_mode ON ab_test_settings(mode);
+CREATE INDEX IF NOT EXISTS idx_variation_allocation_log_section ON variation_allocation_log(prompt_section_id, created_at DESC);
+
+-- =====================================================
+-- RLS Policies
+-- =====================================================
+
+ALTER TABLE ab_test_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE variation_allocation_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation_ab_test_settings ON ab_test_settings;
+CREATE POLICY tenant_isolation_ab_test_settings ON ab_test_settings
+  FOR ALL
+  USING (tenant_id = current_tenant_id() OR current_tenant_id() IS NULL);
+
+DROP POLICY IF EXISTS tenant_isolation_variation_allocation_log ON variation_allocation_log;
+CREATE POLICY tenant_isolation_variation_allocation_log ON variation_allocation_log
+  FOR ALL
+  USING (tenant_id = current_tenant_id() OR current_tenant_id() IS NULL);
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON TABLE ab_test_settings IS 'Per prompt section A/B test mode (manual traffic split or Thompson-sampling auto-optimize)';
+COMMENT ON TABLE variation_allocation_log IS 'Every traffic reallocation made by the auto-optimizer, and when auto mode was switched on or off';
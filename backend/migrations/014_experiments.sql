@@ -0,0 +1,152 @@
+-- Migration 014: Multi-section experiments
+-- Purpose: Group variations across prompt sections into named arms that are
+--          assigned to a conversation as a unit
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Experiments Table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS experiments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Tenant association
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+
+  -- draft → running ⇄ paused → completed
+  status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'running', 'paused', 'completed')),
+  started_at TIMESTAMP WITH TIME ZONE,
+  ended_at TIMESTAMP WITH TIME ZONE,
+
+  created_by VARCHAR(255)
+);
+
+-- =====================================================
+-- Experiment Arms Table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS experiment_arms (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  experiment_id UUID NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+
+  name VARCHAR(255) NOT NULL,
+  is_control BOOLEAN NOT NULL DEFAULT false, -- Control arm uses the base prompt everywhere
+  traffic_percentage INTEGER NOT NULL DEFAULT 0 CHECK (traffic_percentage BETWEEN 0 AND 100)
+);
+
+-- Which variation an arm uses for each section it changes. Sections
+-- changed by any arm of the experiment get the base content in other arms.
+CREATE TABLE IF NOT EXISTS experiment_arm_variations (
+  arm_id UUID NOT NULL REFERENCES experiment_arms(id) ON DELETE CASCADE,
+  prompt_section_id UUID NOT NULL REFERENCES prompt_sections(id) ON DELETE CASCADE,
+  variation_id UUID NOT NULL REFERENCES prompt_variations(id) ON DELETE CASCADE,
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+
+  PRIMARY KEY (arm_id, prompt_section_id)
+);
+
+-- =====================================================
+-- Conversation Assignments Table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS conversation_experiment_assignments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assigned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+
+  conversation_id VARCHAR(255) NOT NULL,
+  experiment_id UUID NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+  arm_id UUID NOT NULL REFERENCES experiment_arms(id) ON DELETE CASCADE,
+
+  CONSTRAINT unique_conversation_experiment UNIQUE (conversation_id, experiment_id)
+);
+
+-- =====================================================
+-- Indexes
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_experiments_tenant_status ON experiments(tenant_id, status);
+CREATE INDEX IF NOT EXISTS idx_experiment_arms_experiment ON experiment_arms(experiment_id);
+CREATE INDEX IF NOT EXISTS idx_experiment_assignments_experiment ON conversation_experiment_assignments(experiment_id, arm_id);
+
+-- =====================================================
+-- RLS Policies
+-- =====================================================
+
+ALTER TABLE experiments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE experiment_arms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE experiment_arm_variations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_experiment_assignments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation_experiments ON experiments;
+CREATE POLICY tenant_isolation_experiments ON experiments
+  FOR ALL
+  USING (tenant_id = current_tenant_id() OR current_tenant_id() IS NULL);
+
+DROP POLICY IF EXISTS tenant_isolation_experiment_arms ON experiment_arms;
+CREATE POLICY tenant_isolation_experiment_arms ON experiment_arms
+  FOR ALL
+  USING (tenant_id = current_tenant_id() OR current_tenant_id() IS NULL);
+
+DROP POLICY IF EXISTS tenant_isolation_experiment_arm_variations ON experiment_arm_variations;
+CREATE POLICY tenant_isolation_experiment_arm_variations ON experiment_arm_variations
+  FOR ALL
+  USING (tenant_id = current_tenant_id() OR current_tenant_id() IS NULL);
+
+DROP POLICY IF EXISTS tenant_isolation_conversation_experiment_assignments ON conversation_experiment_assignments;
+CREATE POLICY tenant_isolation_conversation_experiment_assignments ON conversation_experiment_assignments
+  FOR ALL
+  USING (tenant_id = current_tenant_id() OR current_tenant_id() IS NULL);
+
+-- =====================================================
+-- Per-arm results for an experiment
+-- =====================================================
+
+-- One row per arm with outcome counts, from conversation_metric_events
+-- (each conversation counts once per outcome)
+CREATE OR REPLACE FUNCTION get_experiment_results(
+  p_experiment_id UUID,
+  p_tenant_id UUID
+)
+RETURNS TABLE (
+  arm_id UUID,
+  conversations BIGINT,
+  leads_captured BIGINT,
+  handoffs_requested BIGINT,
+  calendar_checks BIGINT,
+  abandoned_conversations BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    a.arm_id,
+    COUNT(DISTINCT a.conversation_id) FILTER (WHERE e.event_type = 'conversation_started'),
+    COUNT(DISTINCT a.conversation_id) FILTER (WHERE e.event_type = 'lead_captured'),
+    COUNT(DISTINCT a.conversation_id) FILTER (WHERE e.event_type = 'handoff_requested'),
+    COUNT(DISTINCT a.conversation_id) FILTER (WHERE e.event_type = 'calendar_checked'),
+    COUNT(DISTINCT a.conversation_id) FILTER (WHERE e.event_type = 'abandoned')
+  FROM conversation_experiment_assignments a
+  JOIN conversation_metric_events e ON e.conversation_id = a.conversation_id
+  WHERE a.experiment_id = p_experiment_id
+    AND (p_tenant_id IS NULL OR a.tenant_id = p_tenant_id)
+  GROUP BY a.arm_id;
+$$;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON TABLE experiments IS 'A/B tests that change several prompt sections together (arms are assigned as a unit)';
+COMMENT ON TABLE experiment_arms IS 'Named arms of an experiment; traffic percentages of an experiment''s arms sum to 100';
+COMMENT ON TABLE experiment_arm_variations IS 'The variation an arm uses for each prompt section it changes';
+COMMENT ON TABLE conversation_experiment_assignments IS 'Which arm of each experiment a conversation was assigned';
+COMMENT ON FUNCTION get_experiment_results IS 'Per-arm conversation and outcome counts for an experiment';
@@ -0,0 +1,32 @@
+-- Migration 015: Sticky A/B assignment per visitor
+-- Purpose: Remember the widget's anonymous visitor ID on conversations and
+--          test assignments so a returning visitor keeps the same arm
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Visitor ID Columns
+-- =====================================================
+
+-- Random ID the widget keeps in localStorage (not tied to any personal data)
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS visitor_id VARCHAR(64);
+ALTER TABLE conversation_test_assignments ADD COLUMN IF NOT EXISTS visitor_id VARCHAR(64);
+ALTER TABLE conversation_experiment_assignments ADD COLUMN IF NOT EXISTS visitor_id VARCHAR(64);
+
+-- =====================================================
+-- Indexes
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_conversations_visitor ON conversations(tenant_id, visitor_id)
+  WHERE visitor_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_test_assignments_visitor ON conversation_test_assignments(tenant_id, visitor_id, assigned_at DESC)
+  WHERE visitor_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_experiment_assignments_visitor ON conversation_experiment_assignments(tenant_id, visitor_id, assigned_at DESC)
+  WHERE visitor_id IS NOT NULL;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON COLUMN conversations.visitor_id IS 'Anonymous visitor ID from the chat widget (stable across page loads)';
+COMMENT ON COLUMN conversation_test_assignments.visitor_id IS 'Visitor the assignment was made for; later conversations from the same visitor reuse the arm';
+COMMENT ON COLUMN conversation_experiment_assignments.visitor_id IS 'Visitor the assignment was made for; later conversations from the same visitor reuse the arm';
@@ -0,0 +1,213 @@
+-- Migration 016: Versioned variation promotion with undo
+-- Purpose: Promote a variation to the base prompt in one transaction, keep the
+--          previous content as a prompt version, archive the test's final
+--          stats, and allow the promotion to be undone
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Variation Promotions Table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS variation_promotions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  promoted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Tenant association
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  prompt_section_id UUID NOT NULL REFERENCES prompt_sections(id) ON DELETE CASCADE,
+
+  -- Kept by name too, in case the variation is deleted later
+  variation_id UUID REFERENCES prompt_variations(id) ON DELETE SET NULL,
+  variation_name VARCHAR(100) NOT NULL,
+  promoted_by VARCHAR(255),
+
+  -- Section content and version before and after
+  previous_content TEXT NOT NULL,
+  previous_version INTEGER NOT NULL,
+  new_version INTEGER NOT NULL,
+
+  -- Every variation's is_active / traffic_percentage before promotion,
+  -- restored on undo: [{ "id", "is_active", "traffic_percentage" }]
+  previous_variation_state JSONB NOT NULL DEFAULT '[]',
+
+  -- Test results (control vs variations) at the moment of promotion
+  final_stats JSONB,
+
+  undone_at TIMESTAMP WITH TIME ZONE,
+  undone_by VARCHAR(255)
+);
+
+-- =====================================================
+-- Indexes
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_variation_promotions_section ON variation_promotions(prompt_section_id, promoted_at DESC);
+
+-- =====================================================
+-- RLS Policies
+-- =====================================================
+
+ALTER TABLE variation_promotions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation_variation_promotions ON variation_promotions;
+CREATE POLICY tenant_isolation_variation_promotions ON variation_promotions
+  FOR ALL
+  USING (tenant_id = current_tenant_id() OR current_tenant_id() IS NULL);
+
+-- =====================================================
+-- Promote a variation
+-- =====================================================
+
+-- Replaces the section's content with the variation's, deactivates the
+-- section's variations and records the promotion. The prompt_sections
+-- trigger saves the previous content as a prompt_versions row; it is
+-- labelled here so the history shows why it changed.
+CREATE OR REPLACE FUNCTION promote_variation(
+  p_variation_id UUID,
+  p_tenant_id UUID,
+  p_promoted_by VARCHAR,
+  p_final_stats JSONB
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_variation prompt_variations%ROWTYPE;
+  v_section prompt_sections%ROWTYPE;
+  v_variation_state JSONB;
+  v_promotion_id UUID;
+BEGIN
+  SELECT * INTO v_variation
+  FROM prompt_variations
+  WHERE id = p_variation_id
+    AND (p_tenant_id IS NULL OR tenant_id = p_tenant_id);
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Variation not found';
+  END IF;
+
+  SELECT * INTO v_section
+  FROM prompt_sections
+  WHERE id = v_variation.prompt_section_id
+  FOR UPDATE;
+
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+    'id', id,
+    'is_active', is_active,
+    'traffic_percentage', traffic_percentage
+  )), '[]'::JSONB)
+  INTO v_variation_state
+  FROM prompt_variations
+  WHERE prompt_section_id = v_section.id;
+
+  UPDATE prompt_sections
+  SET content = v_variation.content,
+      last_edited_by = p_promoted_by
+  WHERE id = v_section.id;
+
+  UPDATE prompt_versions
+  SET change_notes = format('Before promoting variation "%s"', v_variation.variation_name)
+  WHERE id = (
+    SELECT id FROM prompt_versions
+    WHERE section_id = v_section.id AND version = v_section.version
+    ORDER BY created_at DESC
+    LIMIT 1
+  );
+
+  UPDATE prompt_variations
+  SET is_active = false, traffic_percentage = 0
+  WHERE prompt_section_id = v_section.id;
+
+  INSERT INTO variation_promotions (
+    tenant_id, prompt_section_id, variation_id, variation_name, promoted_by,
+    previous_content, previous_version, new_version,
+    previous_variation_state, final_stats
+  )
+  VALUES (
+    v_section.tenant_id, v_section.id, v_variation.id, v_variation.variation_name, p_promoted_by,
+    v_section.content, v_section.version, v_section.version + 1,
+    v_variation_state, p_final_stats
+  )
+  RETURNING id INTO v_promotion_id;
+
+  RETURN v_promotion_id;
+END;
+$$;
+
+-- =====================================================
+-- Undo a promotion
+-- =====================================================
+
+-- Restores the pre-promotion content and variation traffic. Refuses if the
+-- section was edited after the promotion, so later edits aren't lost.
+CREATE OR REPLACE FUNCTION undo_variation_promotion(
+  p_promotion_id UUID,
+  p_tenant_id UUID,
+  p_undone_by VARCHAR
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_promotion variation_promotions%ROWTYPE;
+  v_section prompt_sections%ROWTYPE;
+BEGIN
+  SELECT * INTO v_promotion
+  FROM variation_promotions
+  WHERE id = p_promotion_id
+    AND (p_tenant_id IS NULL OR tenant_id = p_tenant_id)
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Promotion not found';
+  END IF;
+
+  IF v_promotion.undone_at IS NOT NULL THEN
+    RAISE EXCEPTION 'This promotion has already been undone';
+  END IF;
+
+  SELECT * INTO v_section
+  FROM prompt_sections
+  WHERE id = v_promotion.prompt_section_id
+  FOR UPDATE;
+
+  IF v_section.version <> v_promotion.new_version THEN
+    RAISE EXCEPTION 'The section has been edited since this promotion; restore an earlier version from its history instead';
+  END IF;
+
+  UPDATE prompt_sections
+  SET content = v_promotion.previous_content,
+      last_edited_by = p_undone_by
+  WHERE id = v_section.id;
+
+  UPDATE prompt_versions
+  SET change_notes = format('Promotion of variation "%s" undone', v_promotion.variation_name)
+  WHERE id = (
+    SELECT id FROM prompt_versions
+    WHERE section_id = v_section.id AND version = v_section.version
+    ORDER BY created_at DESC
+    LIMIT 1
+  );
+
+  UPDATE prompt_variations v
+  SET is_active = (s->>'is_active')::BOOLEAN,
+      traffic_percentage = (s->>'traffic_percentage')::INTEGER
+  FROM jsonb_array_elements(v_promotion.previous_variation_state) s
+  WHERE v.id = (s->>'id')::UUID;
+
+  UPDATE variation_promotions
+  SET undone_at = NOW(),
+      undone_by = p_undone_by
+  WHERE id = v_promotion.id;
+
+  RETURN v_promotion.prompt_section_id;
+END;
+$$;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON TABLE variation_promotions IS 'Variations promoted to the base prompt, with the content they replaced and the final test results';
+COMMENT ON FUNCTION promote_variation IS 'Atomically promote a variation to its section''s base content and archive the test';
+COMMENT ON FUNCTION undo_variation_promotion IS 'Restore the content and variation traffic from before a promotion';
@@ -0,0 +1,210 @@
+-- Migration 017: Scheduled variations and guardrails
+-- Purpose: Start/end dates for variations, error and cost tracking per arm,
+--          and per-section guardrails that auto-pause a variation doing
+--          significantly worse than control
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Variation schedule and pause reason
+-- =====================================================
+
+-- An active variation only gets traffic between starts_at and ends_at
+-- (either may be NULL = no limit); the guardrail worker deactivates it
+-- once ends_at has passed
+ALTER TABLE prompt_variations ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE prompt_variations ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE;
+
+-- Set when the worker deactivates a variation (schedule ended or guardrail
+-- tripped); cleared when someone activates it again
+ALTER TABLE prompt_variations ADD COLUMN IF NOT EXISTS paused_reason TEXT;
+ALTER TABLE prompt_variations ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE prompt_variations DROP CONSTRAINT IF EXISTS prompt_variations_schedule_check;
+ALTER TABLE prompt_variations ADD CONSTRAINT prompt_variations_schedule_check
+  CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at);
+
+-- =====================================================
+-- Guardrail settings
+-- =====================================================
+
+ALTER TABLE ab_test_settings ADD COLUMN IF NOT EXISTS guardrails_enabled BOOLEAN NOT NULL DEFAULT true;
+
+-- Which guardrails apply: lead_rate, handoff_rate, error_rate, cost_per_conversation
+ALTER TABLE ab_test_settings ADD COLUMN IF NOT EXISTS guardrail_metrics TEXT[] NOT NULL
+  DEFAULT ARRAY['lead_rate', 'handoff_rate', 'error_rate', 'cost_per_conversation'];
+
+-- Cost guardrail trips when a variation costs this much more per conversation than control
+ALTER TABLE ab_test_settings ADD COLUMN IF NOT EXISTS max_cost_increase_pct INTEGER NOT NULL DEFAULT 50
+  CHECK (max_cost_increase_pct BETWEEN 1 AND 1000);
+
+-- =====================================================
+-- Error outcome
+-- =====================================================
+
+-- A conversation where the AI failed to answer at least once
+ALTER TABLE conversation_metric_events DROP CONSTRAINT IF EXISTS conversation_metric_events_event_type_check;
+ALTER TABLE conversation_metric_events ADD CONSTRAINT conversation_metric_events_event_type_check
+  CHECK (event_type IN (
+    'conversation_started',
+    'lead_captured',
+    'handoff_requested',
+    'calendar_checked',
+    'abandoned',
+    'error'
+  ));
+
+ALTER TABLE variation_performance_metrics ADD COLUMN IF NOT EXISTS errored_conversations INTEGER DEFAULT 0;
+ALTER TABLE variation_performance_metrics ADD COLUMN IF NOT EXISTS error_rate DECIMAL(5,2) DEFAULT 0;
+
+-- Same as migration 012, plus the error outcome
+CREATE OR REPLACE FUNCTION record_conversation_metric(
+  p_conversation_id VARCHAR,
+  p_event_type VARCHAR,
+  p_tenant_id UUID
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_inserted INTEGER;
+BEGIN
+  INSERT INTO conversation_metric_events (tenant_id, conversation_id, event_type)
+  VALUES (p_tenant_id, p_conversation_id, p_event_type)
+  ON CONFLICT (conversation_id, event_type) DO NOTHING;
+
+  GET DIAGNOSTICS v_inserted = ROW_COUNT;
+  IF v_inserted = 0 THEN
+    RETURN false;
+  END IF;
+
+  INSERT INTO variation_performance_metrics AS m (
+    tenant_id, variation_id, metric_date,
+    conversations_count, leads_captured, handoffs_requested,
+    calendar_checks, abandoned_conversations, errored_conversations
+  )
+  SELECT DISTINCT
+    a.tenant_id, a.variation_id, (a.assigned_at AT TIME ZONE 'UTC')::DATE,
+    (p_event_type = 'conversation_started')::INT,
+    (p_event_type = 'lead_captured')::INT,
+    (p_event_type = 'handoff_requested')::INT,
+    (p_event_type = 'calendar_checked')::INT,
+    (p_event_type = 'abandoned')::INT,
+    (p_event_type = 'error')::INT
+  FROM conversation_test_assignments a
+  WHERE a.conversation_id = p_conversation_id
+    AND a.variation_id IS NOT NULL
+  ON CONFLICT (variation_id, metric_date) DO UPDATE SET
+    conversations_count = m.conversations_count + EXCLUDED.conversations_count,
+    leads_captured = m.leads_captured + EXCLUDED.leads_captured,
+    handoffs_requested = m.handoffs_requested + EXCLUDED.handoffs_requested,
+    calendar_checks = m.calendar_checks + EXCLUDED.calendar_checks,
+    abandoned_conversations = m.abandoned_conversations + EXCLUDED.abandoned_conversations,
+    errored_conversations = m.errored_conversations + EXCLUDED.errored_conversations,
+    last_updated = NOW();
+
+  -- Recalculate rates on the rows just touched
+  UPDATE variation_performance_metrics m
+  SET
+    lead_conversion_rate = CASE WHEN m.conversations_count > 0
+      THEN LEAST(ROUND(m.leads_captured * 100.0 / m.conversations_count, 2), 100) ELSE 0 END,
+    handoff_rate = CASE WHEN m.conversations_count > 0
+      THEN LEAST(ROUND(m.handoffs_requested * 100.0 / m.conversations_count, 2), 100) ELSE 0 END,
+    abandonment_rate = CASE WHEN m.conversations_count > 0
+      THEN LEAST(ROUND(m.abandoned_conversations * 100.0 / m.conversations_count, 2), 100) ELSE 0 END,
+    error_rate = CASE WHEN m.conversations_count > 0
+      THEN LEAST(ROUND(m.errored_conversations * 100.0 / m.conversations_count, 2), 100) ELSE 0 END
+  FROM conversation_test_assignments a
+  WHERE a.conversation_id = p_conversation_id
+    AND m.variation_id = a.variation_id
+    AND m.metric_date = (a.assigned_at AT TIME ZONE 'UTC')::DATE;
+
+  IF p_event_type = 'conversation_started' THEN
+    UPDATE conversations
+    SET uses_test_variations = true
+    WHERE conversation_id = p_conversation_id
+      AND EXISTS (
+        SELECT 1 FROM conversation_test_assignments a
+        WHERE a.conversation_id = p_conversation_id
+          AND a.variation_id IS NOT NULL
+      );
+  END IF;
+
+  RETURN true;
+END;
+$$;
+
+-- =====================================================
+-- Per-arm results: add errors and API cost
+-- =====================================================
+
+-- The return type changes, so the function has to be dropped first
+DROP FUNCTION IF EXISTS get_section_test_results(UUID, UUID, TIMESTAMP WITH TIME ZONE);
+
+-- Same as migration 012, plus errored conversations and the arm's total
+-- API cost (api_usage rows of its conversations)
+CREATE OR REPLACE FUNCTION get_section_test_results(
+  p_prompt_section_id UUID,
+  p_tenant_id UUID,
+  p_since TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (
+  variation_id UUID,
+  conversations BIGINT,
+  leads_captured BIGINT,
+  handoffs_requested BIGINT,
+  calendar_checks BIGINT,
+  abandoned_conversations BIGINT,
+  errored_conversations BIGINT,
+  total_cost_usd NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH assigned AS (
+    SELECT DISTINCT a.conversation_id, a.variation_id
+    FROM conversation_test_assignments a
+    WHERE a.prompt_section_id = p_prompt_section_id
+      AND (p_tenant_id IS NULL OR a.tenant_id = p_tenant_id)
+      AND a.assigned_at >= p_since
+  ),
+  outcomes AS (
+    SELECT
+      s.variation_id,
+      COUNT(DISTINCT s.conversation_id) FILTER (WHERE e.event_type = 'conversation_started') AS conversations,
+      COUNT(DISTINCT s.conversation_id) FILTER (WHERE e.event_type = 'lead_captured') AS leads_captured,
+      COUNT(DISTINCT s.conversation_id) FILTER (WHERE e.event_type = 'handoff_requested') AS handoffs_requested,
+      COUNT(DISTINCT s.conversation_id) FILTER (WHERE e.event_type = 'calendar_checked') AS calendar_checks,
+      COUNT(DISTINCT s.conversation_id) FILTER (WHERE e.event_type = 'abandoned') AS abandoned_conversations,
+      COUNT(DISTINCT s.conversation_id) FILTER (WHERE e.event_type = 'error') AS errored_conversations
+    FROM assigned s
+    JOIN conversation_metric_events e ON e.conversation_id = s.conversation_id
+    GROUP BY s.variation_id
+  ),
+  costs AS (
+    SELECT s.variation_id, SUM(u.cost_usd) AS total_cost_usd
+    FROM assigned s
+    JOIN api_usage u ON u.conversation_id = s.conversation_id
+    GROUP BY s.variation_id
+  )
+  SELECT
+    o.variation_id,
+    o.conversations,
+    o.leads_captured,
+    o.handoffs_requested,
+    o.calendar_checks,
+    o.abandoned_conversations,
+    o.errored_conversations,
+    COALESCE(c.total_cost_usd, 0)
+  FROM outcomes o
+  LEFT JOIN costs c ON c.variation_id IS NOT DISTINCT FROM o.variation_id;
+$$;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON COLUMN prompt_variations.starts_at IS 'Variation gets no traffic before this time (NULL = immediately)';
+COMMENT ON COLUMN prompt_variations.ends_at IS 'Variation is deactivated at this time (NULL = runs until stopped)';
+COMMENT ON COLUMN prompt_variations.paused_reason IS 'Why the variation was deactivated automatically (schedule end or guardrail)';
+COMMENT ON COLUMN ab_test_settings.guardrail_metrics IS 'Guardrails checked for the section''s variations: lead_rate, handoff_rate, error_rate, cost_per_conversation';
+COMMENT ON FUNCTION get_section_test_results IS 'Per-arm conversation, outcome, error and API cost totals for a prompt section''s A/B test (NULL variation_id = control)';
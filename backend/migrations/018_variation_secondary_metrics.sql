@@ -0,0 +1,95 @@
+-- Migration 018: Secondary metrics for A/B tests
+-- Purpose: Report lead quality, turns to lead and calendar check rate per arm, so a
+--          variation that captures more (but colder) leads doesn't look better
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Indexes
+-- =====================================================
+
+-- Leads are joined to test assignments by conversation
+CREATE INDEX IF NOT EXISTS idx_leads_conversation ON leads(conversation_id);
+
+-- =====================================================
+-- Per-arm lead quality for a prompt section
+-- =====================================================
+
+-- One row per arm (NULL variation_id = control) over the conversations
+-- assigned since p_since that produced a lead. Only the first lead of a
+-- conversation counts.
+--   turns:  user messages before save_lead (tool results are stored as user
+--           messages with array content and are not counted)
+--   calendar_checked: leads that went on to check calendar availability. Not
+--           bookings - the meeting itself is booked in Calendly, which the
+--           server doesn't see
+
+-- Earlier versions of this migration named the last column booked_leads; the
+-- return type changes, so the function has to be dropped first
+DROP FUNCTION IF EXISTS get_section_lead_quality(UUID, UUID, TIMESTAMP WITH TIME ZONE);
+
+CREATE OR REPLACE FUNCTION get_section_lead_quality(
+  p_prompt_section_id UUID,
+  p_tenant_id UUID,
+  p_since TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (
+  variation_id UUID,
+  hot_leads BIGINT,
+  warm_leads BIGINT,
+  cold_leads BIGINT,
+  median_turns_to_lead NUMERIC,
+  calendar_checked_leads BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH assigned AS (
+    SELECT DISTINCT a.conversation_id, a.variation_id
+    FROM conversation_test_assignments a
+    WHERE a.prompt_section_id = p_prompt_section_id
+      AND (p_tenant_id IS NULL OR a.tenant_id = p_tenant_id)
+      AND a.assigned_at >= p_since
+  ),
+  first_leads AS (
+    SELECT DISTINCT ON (l.conversation_id)
+      l.conversation_id::TEXT AS conversation_id,
+      l.qualification_score,
+      l.conversation_history
+    FROM leads l
+    WHERE (p_tenant_id IS NULL OR l.tenant_id = p_tenant_id)
+      AND l.created_at >= p_since
+    ORDER BY l.conversation_id, l.created_at
+  ),
+  arm_leads AS (
+    SELECT
+      s.variation_id,
+      s.conversation_id,
+      fl.qualification_score,
+      (
+        SELECT COUNT(*)
+        FROM jsonb_array_elements(fl.conversation_history) m
+        WHERE m->>'role' = 'user' AND jsonb_typeof(m->'content') = 'string'
+      ) AS turns
+    FROM assigned s
+    JOIN first_leads fl ON fl.conversation_id = s.conversation_id
+  )
+  SELECT
+    al.variation_id,
+    COUNT(*) FILTER (WHERE al.qualification_score = 'hot'),
+    COUNT(*) FILTER (WHERE al.qualification_score = 'warm'),
+    COUNT(*) FILTER (WHERE al.qualification_score = 'cold'),
+    percentile_cont(0.5) WITHIN GROUP (ORDER BY al.turns)::NUMERIC,
+    COUNT(*) FILTER (WHERE EXISTS (
+      SELECT 1 FROM conversation_metric_events e
+      WHERE e.conversation_id = al.conversation_id
+        AND e.event_type = 'calendar_checked'
+    ))
+  FROM arm_leads al
+  GROUP BY al.variation_id;
+$$;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON FUNCTION get_section_lead_quality IS 'Per-arm lead qualification mix, median user turns before save_lead and leads that checked the calendar, for a prompt section''s A/B test (NULL variation_id = control)';
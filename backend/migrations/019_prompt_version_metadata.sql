@@ -0,0 +1,185 @@
+-- Migration 019: Prompt version author and change notes
+-- Purpose: Record who wrote each prompt version and why, so versions can be
+--          compared and restored from the admin dashboard
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Change notes for the current version
+-- =====================================================
+
+-- last_edited_by / change_notes describe the section's current content.
+-- When the content changes they are copied to the prompt_versions row of
+-- the version being replaced.
+ALTER TABLE prompt_sections ADD COLUMN IF NOT EXISTS change_notes TEXT;
+
+-- =====================================================
+-- Version trigger
+-- =====================================================
+
+-- Only content changes create a version (toggling a section or renaming it
+-- doesn't). Each version row keeps its own author and notes.
+--
+-- Rows written before this migration have the author and note of the edit
+-- that replaced them, not of the edit that created them.
+CREATE OR REPLACE FUNCTION update_prompt_sections_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  NEW.updated_at = NOW();
+
+  IF NEW.content IS DISTINCT FROM OLD.content THEN
+    NEW.version = OLD.version + 1;
+
+    -- Save version history
+    INSERT INTO prompt_versions (section_id, tenant_id, content, version, edited_by, change_notes)
+    VALUES (OLD.id, OLD.tenant_id, OLD.content, OLD.version, OLD.last_edited_by, OLD.change_notes);
+  ELSE
+    -- Same version: keep its author and notes
+    NEW.version = OLD.version;
+    NEW.last_edited_by = OLD.last_edited_by;
+    NEW.change_notes = OLD.change_notes;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- =====================================================
+-- Promotion RPCs: note the change on the new version
+-- =====================================================
+
+-- Same as migration 016, except the reason is recorded as the new
+-- version's change notes (instead of relabelling the replaced version) and
+-- new_version is read back, since identical content no longer bumps it
+CREATE OR REPLACE FUNCTION promote_variation(
+  p_variation_id UUID,
+  p_tenant_id UUID,
+  p_promoted_by VARCHAR,
+  p_final_stats JSONB
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_variation prompt_variations%ROWTYPE;
+  v_section prompt_sections%ROWTYPE;
+  v_variation_state JSONB;
+  v_new_version INTEGER;
+  v_promotion_id UUID;
+BEGIN
+  SELECT * INTO v_variation
+  FROM prompt_variations
+  WHERE id = p_variation_id
+    AND (p_tenant_id IS NULL OR tenant_id = p_tenant_id);
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Variation not found';
+  END IF;
+
+  SELECT * INTO v_section
+  FROM prompt_sections
+  WHERE id = v_variation.prompt_section_id
+  FOR UPDATE;
+
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+    'id', id,
+    'is_active', is_active,
+    'traffic_percentage', traffic_percentage
+  )), '[]'::JSONB)
+  INTO v_variation_state
+  FROM prompt_variations
+  WHERE prompt_section_id = v_section.id;
+
+  UPDATE prompt_sections
+  SET content = v_variation.content,
+      last_edited_by = p_promoted_by,
+      change_notes = format('Promoted variation "%s"', v_variation.variation_name)
+  WHERE id = v_section.id
+  RETURNING version INTO v_new_version;
+
+  UPDATE prompt_variations
+  SET is_active = false, traffic_percentage = 0
+  WHERE prompt_section_id = v_section.id;
+
+  INSERT INTO variation_promotions (
+    tenant_id, prompt_section_id, variation_id, variation_name, promoted_by,
+    previous_content, previous_version, new_version,
+    previous_variation_state, final_stats
+  )
+  VALUES (
+    v_section.tenant_id, v_section.id, v_variation.id, v_variation.variation_name, p_promoted_by,
+    v_section.content, v_section.version, v_new_version,
+    v_variation_state, p_final_stats
+  )
+  RETURNING id INTO v_promotion_id;
+
+  RETURN v_promotion_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION undo_variation_promotion(
+  p_promotion_id UUID,
+  p_tenant_id UUID,
+  p_undone_by VARCHAR
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_promotion variation_promotions%ROWTYPE;
+  v_section prompt_sections%ROWTYPE;
+BEGIN
+  SELECT * INTO v_promotion
+  FROM variation_promotions
+  WHERE id = p_promotion_id
+    AND (p_tenant_id IS NULL OR tenant_id = p_tenant_id)
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Promotion not found';
+  END IF;
+
+  IF v_promotion.undone_at IS NOT NULL THEN
+    RAISE EXCEPTION 'This promotion has already been undone';
+  END IF;
+
+  SELECT * INTO v_section
+  FROM prompt_sections
+  WHERE id = v_promotion.prompt_section_id
+  FOR UPDATE;
+
+  IF v_section.version <> v_promotion.new_version THEN
+    RAISE EXCEPTION 'The section has been edited since this promotion; restore an earlier version from its history instead';
+  END IF;
+
+  UPDATE prompt_sections
+  SET content = v_promotion.previous_content,
+      last_edited_by = p_undone_by,
+      change_notes = format('Undid promotion of variation "%s"', v_promotion.variation_name)
+  WHERE id = v_section.id;
+
+  UPDATE prompt_variations v
+  SET is_active = (s->>'is_active')::BOOLEAN,
+      traffic_percentage = (s->>'traffic_percentage')::INTEGER
+  FROM jsonb_array_elements(v_promotion.previous_variation_state) s
+  WHERE v.id = (s->>'id')::UUID;
+
+  UPDATE variation_promotions
+  SET undone_at = NOW(),
+      undone_by = p_undone_by
+  WHERE id = v_promotion.id;
+
+  RETURN v_promotion.prompt_section_id;
+END;
+$$;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON COLUMN prompt_sections.change_notes IS 'Why the current content was written (copied to prompt_versions when it is replaced)';
+COMMENT ON COLUMN prompt_versions.edited_by IS 'Who wrote this version''s content';
+COMMENT ON COLUMN prompt_versions.change_notes IS 'Why this version''s content was written';
@@ -0,0 +1,64 @@
+-- Migration 020: Prompt section drafts
+-- Purpose: Keep edits to a section's content as a draft until they are
+--          published, so half-finished edits never reach visitors
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Draft columns
+-- =====================================================
+
+-- content is what visitors get; draft_content is NULL when there is
+-- nothing waiting to be published
+ALTER TABLE prompt_sections ADD COLUMN IF NOT EXISTS draft_content TEXT;
+ALTER TABLE prompt_sections ADD COLUMN IF NOT EXISTS draft_change_notes TEXT;
+ALTER TABLE prompt_sections ADD COLUMN IF NOT EXISTS draft_updated_by TEXT;
+ALTER TABLE prompt_sections ADD COLUMN IF NOT EXISTS draft_updated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_prompt_sections_tenant_drafts
+  ON prompt_sections(tenant_id)
+  WHERE draft_content IS NOT NULL;
+
+-- =====================================================
+-- Publish all drafts
+-- =====================================================
+
+-- Moves every draft of the tenant into content in one transaction, so the
+-- system prompt never mixes published and unpublished edits. The version
+-- trigger (migration 019) snapshots the replaced content and bumps each
+-- section's version; the draft's author and notes become the new version's.
+-- Returns the published sections and their new versions.
+CREATE OR REPLACE FUNCTION publish_prompt_drafts(
+  p_tenant_id UUID,
+  p_published_by VARCHAR
+)
+RETURNS TABLE (
+  section_id UUID,
+  name TEXT,
+  version INTEGER
+)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  UPDATE prompt_sections s
+  SET content = s.draft_content,
+      last_edited_by = COALESCE(s.draft_updated_by, p_published_by),
+      change_notes = s.draft_change_notes,
+      draft_content = NULL,
+      draft_change_notes = NULL,
+      draft_updated_by = NULL,
+      draft_updated_at = NULL
+  WHERE s.draft_content IS NOT NULL
+    AND (p_tenant_id IS NULL OR s.tenant_id = p_tenant_id)
+  RETURNING s.id, s.name, s.version;
+END;
+$$;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON COLUMN prompt_sections.draft_content IS 'Unpublished edit of content (NULL = no draft); visitors get content until it is published';
+COMMENT ON COLUMN prompt_sections.draft_change_notes IS 'Change notes the draft is published with';
+COMMENT ON FUNCTION publish_prompt_drafts IS 'Atomically publish every draft of a tenant''s prompt sections';
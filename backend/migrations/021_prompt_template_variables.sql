@@ -0,0 +1,87 @@
+-- Migration 021: Prompt template variables
+-- Purpose: Move the default tenant's contact details out of its prompt text
+--          into tenant settings, so prompts can use {{company.phone}} etc.
+--          and each tenant's prompts show its own details
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Company details for the default tenant
+-- =====================================================
+
+-- settings.company holds the values of the {{company.*}}, {{business_hours}}
+-- and {{today}} (timezone) variables. Fields already set are kept.
+UPDATE tenants
+SET settings = jsonb_set(
+  COALESCE(settings, '{}'::JSONB),
+  '{company}',
+  jsonb_build_object(
+    'name', 'Xpio Health',
+    'phone', '(888) 974-6408',
+    'email', 'inquiry@xpiohealth.com',
+    'address', '3118 Judson Street, PO Box 498, Gig Harbor, Washington 98335 USA',
+    'website', 'https://xpiohealth.com',
+    'contact_name', 'Thad',
+    'timezone', 'America/Los_Angeles'
+  ) || COALESCE(settings->'company', '{}'::JSONB)
+)
+WHERE id = '00000000-0000-0000-0000-000000000001';
+
+-- {{integrations.calendly_url}}
+UPDATE tenant_integrations
+SET calendly_url = 'https://calendly.com/thad-xpiohealth/30min'
+WHERE tenant_id = '00000000-0000-0000-0000-000000000001'
+  AND calendly_url IS NULL;
+
+INSERT INTO tenant_integrations (tenant_id, calendly_url)
+SELECT '00000000-0000-0000-0000-000000000001', 'https://calendly.com/thad-xpiohealth/30min'
+WHERE EXISTS (SELECT 1 FROM tenants WHERE id = '00000000-0000-0000-0000-000000000001')
+  AND NOT EXISTS (
+    SELECT 1 FROM tenant_integrations
+    WHERE tenant_id = '00000000-0000-0000-0000-000000000001'
+  );
+
+-- =====================================================
+-- Replace the hardcoded details in stored prompts
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION pg_temp.templatize_contact_details(p_text TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT regexp_replace(
+    replace(replace(replace(replace(replace(
+      p_text,
+      'https://calendly.com/thad-xpiohealth/30min', '{{integrations.calendly_url}}'),
+      '(888) 974-6408', '{{company.phone}}'),
+      'inquiry@xpiohealth.com', '{{company.email}}'),
+      '3118 Judson Street, PO Box 498, Gig Harbor, Washington 98335 USA', '{{company.address}}'),
+      'https://xpiohealth.com', '{{company.website}}'),
+    '\mThad\M', '{{company.contact_name}}', 'gi'
+  );
+$$;
+
+-- Content changes go through the version trigger, so the hardcoded text
+-- stays in the section's history
+UPDATE prompt_sections
+SET content = pg_temp.templatize_contact_details(content),
+    last_edited_by = 'migration 021',
+    change_notes = 'Contact details replaced with template variables'
+WHERE tenant_id = '00000000-0000-0000-0000-000000000001'
+  AND content IS DISTINCT FROM pg_temp.templatize_contact_details(content);
+
+UPDATE prompt_sections
+SET draft_content = pg_temp.templatize_contact_details(draft_content)
+WHERE tenant_id = '00000000-0000-0000-0000-000000000001'
+  AND draft_content IS NOT NULL;
+
+UPDATE prompt_variations
+SET content = pg_temp.templatize_contact_details(content)
+WHERE tenant_id = '00000000-0000-0000-0000-000000000001'
+  AND content IS DISTINCT FROM pg_temp.templatize_contact_details(content);
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON COLUMN tenants.settings IS 'Branding, features, limits, tools and company details (settings.company fills the prompt template variables)';
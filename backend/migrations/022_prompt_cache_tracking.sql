@@ -0,0 +1,104 @@
+-- Migration 022: Prompt cache tracking
+-- Purpose: Record whether each Claude request hit the prompt cache and what
+--          caching saved, for a per-tenant savings report
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Cache columns
+-- =====================================================
+
+-- cache_hit: true = read from the cache, false = missed and wrote it,
+-- NULL = nothing was cacheable (prompt too short) or the row predates caching
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS cache_hit BOOLEAN;
+
+-- What the cached tokens would have cost at the input price, minus what the
+-- cache reads and writes cost (negative when a write was never read back)
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS cache_savings_usd DECIMAL(10, 6) DEFAULT 0;
+
+-- =====================================================
+-- Aggregation view
+-- =====================================================
+
+-- Same as migration 004, plus the cache columns (appended, as CREATE OR
+-- REPLACE VIEW requires)
+CREATE OR REPLACE VIEW tenant_usage_summary AS
+SELECT
+  tenant_id,
+  DATE_TRUNC('month', created_at) AS month,
+  COUNT(*) AS total_requests,
+  SUM(input_tokens) AS total_input_tokens,
+  SUM(output_tokens) AS total_output_tokens,
+  SUM(cache_creation_tokens) AS total_cache_creation_tokens,
+  SUM(cache_read_tokens) AS total_cache_read_tokens,
+  SUM(cost_usd) AS total_cost_usd,
+  COUNT(*) FILTER (WHERE cache_hit) AS cache_hits,
+  COUNT(*) FILTER (WHERE NOT cache_hit) AS cache_misses,
+  SUM(cache_savings_usd) AS total_cache_savings_usd
+FROM api_usage
+GROUP BY tenant_id, DATE_TRUNC('month', created_at);
+
+-- =====================================================
+-- Cache report
+-- =====================================================
+
+-- Totals for a tenant's requests since p_since, with per-day (UTC) counts in
+-- by_day. Aggregated here rather than in the API, which returns at most
+-- 1000 rows
+CREATE OR REPLACE FUNCTION get_cache_report(
+  p_tenant_id UUID,
+  p_since TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (
+  requests BIGINT,
+  cache_hits BIGINT,
+  cache_misses BIGINT,
+  cache_read_tokens BIGINT,
+  cache_write_tokens BIGINT,
+  cost_usd NUMERIC,
+  savings_usd NUMERIC,
+  by_day JSONB
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH days AS (
+    SELECT
+      (created_at AT TIME ZONE 'UTC')::DATE AS day,
+      COUNT(*) AS requests,
+      COUNT(*) FILTER (WHERE cache_hit) AS cache_hits,
+      COUNT(*) FILTER (WHERE NOT cache_hit) AS cache_misses,
+      COALESCE(SUM(cache_read_tokens), 0) AS cache_read_tokens,
+      COALESCE(SUM(cache_creation_tokens), 0) AS cache_write_tokens,
+      COALESCE(SUM(cost_usd), 0) AS cost_usd,
+      COALESCE(SUM(cache_savings_usd), 0) AS savings_usd
+    FROM api_usage
+    WHERE tenant_id = p_tenant_id
+      AND created_at >= p_since
+    GROUP BY 1
+  )
+  SELECT
+    COALESCE(SUM(requests), 0)::BIGINT,
+    COALESCE(SUM(cache_hits), 0)::BIGINT,
+    COALESCE(SUM(cache_misses), 0)::BIGINT,
+    COALESCE(SUM(cache_read_tokens), 0)::BIGINT,
+    COALESCE(SUM(cache_write_tokens), 0)::BIGINT,
+    COALESCE(SUM(cost_usd), 0),
+    COALESCE(SUM(savings_usd), 0),
+    COALESCE(
+      jsonb_object_agg(day::TEXT, jsonb_build_object(
+        'requests', requests,
+        'cacheHits', cache_hits,
+        'savingsUsd', savings_usd
+      )),
+      '{}'::JSONB
+    )
+  FROM days;
+$$;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON COLUMN api_usage.cache_hit IS 'true = prompt cache read, false = cache miss (written), NULL = nothing cacheable';
+COMMENT ON COLUMN api_usage.cache_savings_usd IS 'Cost avoided by prompt caching (input price of cached tokens minus cache read/write cost)';
+COMMENT ON FUNCTION get_cache_report IS 'Prompt cache totals and per-day counts for a tenant since a time';
@@ -0,0 +1,28 @@
+-- Migration 023: Conditional prompt sections
+-- Purpose: Let a prompt section target visitors by page, referrer, UTM
+--          source, new/returning, language and time of day, so each page
+--          gets tailored knowledge without one giant prompt
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Inclusion rules
+-- =====================================================
+
+-- NULL = always included. See sectionRulesService.js for the format, e.g.
+-- {"page_url": ["/pricing"], "visitor": "returning", "hours": {"start": "08:00", "end": "17:00"}}
+ALTER TABLE prompt_sections ADD COLUMN IF NOT EXISTS inclusion_rules JSONB;
+
+-- =====================================================
+-- Visitor context
+-- =====================================================
+
+-- What the widget sent with the first message (page_url, referrer, utm_*,
+-- language, visitor), kept so a restored conversation gets the same sections
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS visitor_context JSONB;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON COLUMN prompt_sections.inclusion_rules IS 'Visitor conditions for including the section (page_url, referrer, utm_source, visitor, language, hours); NULL = always included';
+COMMENT ON COLUMN conversations.visitor_context IS 'Visitor context from the widget''s first message, matched against sections'' inclusion_rules';
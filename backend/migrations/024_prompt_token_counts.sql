@@ -0,0 +1,194 @@
+-- Migration 024: Prompt token counts
+-- Purpose: Store each prompt section's estimated token count so the preview
+--          can check the assembled system prompt against a token budget, and
+--          keep it current when drafts are published or variations promoted
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Token count columns
+-- =====================================================
+
+-- Estimated tokens (characters / 4, rounded up), set by the app on save
+ALTER TABLE prompt_sections ADD COLUMN IF NOT EXISTS token_count INTEGER;
+ALTER TABLE prompt_sections ADD COLUMN IF NOT EXISTS draft_token_count INTEGER;
+
+-- Backfill with the same estimate the app uses (promptBudgetService.js)
+UPDATE prompt_sections
+SET token_count = CEIL(char_length(content) / 4.0)
+WHERE token_count IS NULL;
+
+UPDATE prompt_sections
+SET draft_token_count = CEIL(char_length(draft_content) / 4.0)
+WHERE draft_content IS NOT NULL
+  AND draft_token_count IS NULL;
+
+-- =====================================================
+-- Publishing drafts carries their token counts over
+-- =====================================================
+
+-- Same as migration 020, plus the token counts
+CREATE OR REPLACE FUNCTION publish_prompt_drafts(
+  p_tenant_id UUID,
+  p_published_by VARCHAR
+)
+RETURNS TABLE (
+  section_id UUID,
+  name TEXT,
+  version INTEGER
+)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  UPDATE prompt_sections s
+  SET content = s.draft_content,
+      token_count = COALESCE(s.draft_token_count, CEIL(char_length(s.draft_content) / 4.0)),
+      last_edited_by = COALESCE(s.draft_updated_by, p_published_by),
+      change_notes = s.draft_change_notes,
+      draft_content = NULL,
+      draft_token_count = NULL,
+      draft_change_notes = NULL,
+      draft_updated_by = NULL,
+      draft_updated_at = NULL
+  WHERE s.draft_content IS NOT NULL
+    AND (p_tenant_id IS NULL OR s.tenant_id = p_tenant_id)
+  RETURNING s.id, s.name, s.version;
+END;
+$$;
+
+-- =====================================================
+-- Promoting a variation (and undoing it) recounts the content
+-- =====================================================
+
+-- Same as migration 019, plus token_count
+CREATE OR REPLACE FUNCTION promote_variation(
+  p_variation_id UUID,
+  p_tenant_id UUID,
+  p_promoted_by VARCHAR,
+  p_final_stats JSONB
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_variation prompt_variations%ROWTYPE;
+  v_section prompt_sections%ROWTYPE;
+  v_variation_state JSONB;
+  v_new_version INTEGER;
+  v_promotion_id UUID;
+BEGIN
+  SELECT * INTO v_variation
+  FROM prompt_variations
+  WHERE id = p_variation_id
+    AND (p_tenant_id IS NULL OR tenant_id = p_tenant_id);
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Variation not found';
+  END IF;
+
+  SELECT * INTO v_section
+  FROM prompt_sections
+  WHERE id = v_variation.prompt_section_id
+  FOR UPDATE;
+
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+    'id', id,
+    'is_active', is_active,
+    'traffic_percentage', traffic_percentage
+  )), '[]'::JSONB)
+  INTO v_variation_state
+  FROM prompt_variations
+  WHERE prompt_section_id = v_section.id;
+
+  UPDATE prompt_sections
+  SET content = v_variation.content,
+      token_count = CEIL(char_length(v_variation.content) / 4.0),
+      last_edited_by = p_promoted_by,
+      change_notes = format('Promoted variation "%s"', v_variation.variation_name)
+  WHERE id = v_section.id
+  RETURNING version INTO v_new_version;
+
+  UPDATE prompt_variations
+  SET is_active = false, traffic_percentage = 0
+  WHERE prompt_section_id = v_section.id;
+
+  INSERT INTO variation_promotions (
+    tenant_id, prompt_section_id, variation_id, variation_name, promoted_by,
+    previous_content, previous_version, new_version,
+    previous_variation_state, final_stats
+  )
+  VALUES (
+    v_section.tenant_id, v_section.id, v_variation.id, v_variation.variation_name, p_promoted_by,
+    v_section.content, v_section.version, v_new_version,
+    v_variation_state, p_final_stats
+  )
+  RETURNING id INTO v_promotion_id;
+
+  RETURN v_promotion_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION undo_variation_promotion(
+  p_promotion_id UUID,
+  p_tenant_id UUID,
+  p_undone_by VARCHAR
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_promotion variation_promotions%ROWTYPE;
+  v_section prompt_sections%ROWTYPE;
+BEGIN
+  SELECT * INTO v_promotion
+  FROM variation_promotions
+  WHERE id = p_promotion_id
+    AND (p_tenant_id IS NULL OR tenant_id = p_tenant_id)
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Promotion not found';
+  END IF;
+
+  IF v_promotion.undone_at IS NOT NULL THEN
+    RAISE EXCEPTION 'This promotion has already been undone';
+  END IF;
+
+  SELECT * INTO v_section
+  FROM prompt_sections
+  WHERE id = v_promotion.prompt_section_id
+  FOR UPDATE;
+
+  IF v_section.version <> v_promotion.new_version THEN
+    RAISE EXCEPTION 'The section has been edited since this promotion; restore an earlier version from its history instead';
+  END IF;
+
+  UPDATE prompt_sections
+  SET content = v_promotion.previous_content,
+      token_count = CEIL(char_length(v_promotion.previous_content) / 4.0),
+      last_edited_by = p_undone_by,
+      change_notes = format('Undid promotion of variation "%s"', v_promotion.variation_name)
+  WHERE id = v_section.id;
+
+  UPDATE prompt_variations v
+  SET is_active = (s->>'is_active')::BOOLEAN,
+      traffic_percentage = (s->>'traffic_percentage')::INTEGER
+  FROM jsonb_array_elements(v_promotion.previous_variation_state) s
+  WHERE v.id = (s->>'id')::UUID;
+
+  UPDATE variation_promotions
+  SET undone_at = NOW(),
+      undone_by = p_undone_by
+  WHERE id = v_promotion.id;
+
+  RETURN v_promotion.prompt_section_id;
+END;
+$$;
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON COLUMN prompt_sections.token_count IS 'Estimated tokens in content (characters / 4), set on save';
+COMMENT ON COLUMN prompt_sections.draft_token_count IS 'Estimated tokens in draft_content (NULL = no draft)';
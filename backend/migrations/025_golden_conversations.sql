@@ -0,0 +1,81 @@
+-- Migration 025: Golden conversations
+-- Purpose: Saved visitor conversations with expected chatbot behaviour,
+--          replayed offline against a (draft) system prompt, with the
+--          pass/fail report of each run kept per prompt version
+-- Date: 2026-10-19
+
+-- =====================================================
+-- Golden Conversations Table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS golden_conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Tenant association
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+
+  -- Visitor messages, replayed in order: ["Hi", "How much is it?", ...]
+  turns JSONB NOT NULL,
+
+  -- Expected behaviours, checked against the whole replayed conversation:
+  -- [{"type": "calls_tool", "tool": "save_lead"}, {"type": "no_price_below", "value": 699}, ...]
+  expectations JSONB NOT NULL DEFAULT '[]'::JSONB,
+
+  -- Optional visitor context (page_url, referrer, language, returning) for
+  -- prompts with conditional sections
+  visitor_context JSONB,
+
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by VARCHAR(255)
+);
+
+-- =====================================================
+-- Regression Runs Table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS prompt_regression_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+
+  -- Which prompt was tested: a hash of the assembled prompt, and each
+  -- section's version (draft = its unpublished draft was used)
+  prompt_hash VARCHAR(64) NOT NULL,
+  section_versions JSONB NOT NULL, -- [{ "section_id", "slug", "version", "draft" }]
+  used_drafts BOOLEAN NOT NULL DEFAULT false,
+
+  -- Model client: 'stub' (deterministic, offline) or 'anthropic'
+  client VARCHAR(20) NOT NULL,
+  model VARCHAR(100),
+
+  total INTEGER NOT NULL DEFAULT 0,
+  passed INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  -- Per golden conversation: expectation results and the replayed transcript
+  results JSONB NOT NULL DEFAULT '[]'::JSONB,
+  duration_ms INTEGER,
+
+  run_by VARCHAR(255)
+);
+
+-- =====================================================
+-- Indexes
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_golden_conversations_tenant ON golden_conversations(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_prompt_regression_runs_prompt ON prompt_regression_runs(tenant_id, prompt_hash, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_prompt_regression_runs_created ON prompt_regression_runs(tenant_id, created_at DESC);
+
+-- =====================================================
+-- Comments
+-- =====================================================
+
+COMMENT ON TABLE golden_conversations IS 'Saved visitor conversations with expected behaviour, replayed as a prompt regression suite';
+COMMENT ON COLUMN golden_conversations.expectations IS 'Expected behaviours (calls_tool, never_calls_tool, response_contains, response_contains_any, response_not_contains, no_price_below, offers_handoff, max_response_length)';
+COMMENT ON TABLE prompt_regression_runs IS 'Pass/fail report of each golden conversation run, per prompt version (prompt_hash)';
+COMMENT ON COLUMN prompt_regression_runs.prompt_hash IS 'SHA-256 of the assembled system prompt the run replayed against';
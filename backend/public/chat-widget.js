@@ -43,6 +43,8 @@
     state: {
       isOpen: false,
       conversationId: null,
+      visitorId: null,
+      returningVisitor: false,
       messages: [],
       isLoading: false,
       currentStreamingMessage: '',
@@ -81,6 +83,48 @@
       console.log('✅ Chatbot initialized', this.config.apiKey ? `(Tenant: ${this.config.apiKey.split('_')[2]})` : '');
     },
 
+    /**
+     * Anonymous visitor ID, kept in localStorage so A/B test assignments
+     * stay the same across page loads and new conversations
+     */
+    getVisitorId() {
+      if (this.state.visitorId) return this.state.visitorId;
+
+      const generate = () => (window.crypto && crypto.randomUUID)
+        ? crypto.randomUUID()
+        : 'v-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+
+      try {
+        let visitorId = localStorage.getItem('xpio_visitor_id');
+        // An ID from an earlier page load means the visitor has been here before
+        this.state.returningVisitor = !!visitorId;
+        if (!visitorId) {
+          visitorId = generate();
+          localStorage.setItem('xpio_visitor_id', visitorId);
+        }
+        this.state.visitorId = visitorId;
+      } catch (e) {
+        // Storage blocked (private mode, cookie settings) - sticky for this page only
+        this.state.visitorId = generate();
+      }
+
+      return this.state.visitorId;
+    },
+
+    /**
+     * Where the visitor is and came from - sent with the first message so
+     * the server can include the prompt sections targeted at this page
+     */
+    getVisitorContext() {
+      this.getVisitorId();
+      return {
+        page_url: window.location.href,
+        referrer: document.referrer || null,
+        language: navigator.language || null,
+        returning: !!this.state.returningVisitor
+      };
+    },
+
     /**
      * Load tenant settings from API key
      */
@@ -534,6 +578,52 @@
           transform: translateY(-1px);
         }
 
+        .xpio-calendar-slots {
+          background: white;
+          border: 1px solid #e0e0e0;
+          border-radius: 12px;
+          padding: 12px;
+          margin: 8px 0;
+          animation: xpio-message-in 0.3s ease;
+        }
+
+        .xpio-calendar-slots h4 {
+          margin: 0 0 8px 0;
+          font-size: 13px;
+          font-weight: 600;
+          color: #333;
+        }
+
+        .xpio-calendar-day {
+          font-size: 12px;
+          font-weight: 600;
+          color: #666;
+          margin: 8px 0 4px 0;
+        }
+
+        .xpio-calendar-times {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+        }
+
+        .xpio-calendar-slot {
+          background: white;
+          color: ${this.config.primaryColor};
+          border: 1px solid ${this.config.primaryColor};
+          padding: 6px 12px;
+          border-radius: 16px;
+          cursor: pointer;
+          font-size: 12px;
+          font-weight: 600;
+          transition: all 0.2s;
+        }
+
+        .xpio-calendar-slot:hover {
+          background: ${this.config.primaryColor};
+          color: white;
+        }
+
         .xpio-privacy-footer {
           padding: 8px 16px;
           background: #f8f9fa;
@@ -938,7 +1028,9 @@
           headers,
           body: JSON.stringify({
             message,
-            conversationId: this.state.conversationId
+            conversationId: this.state.conversationId,
+            visitorId: this.getVisitorId(),
+            ...(!this.state.conversationId && { context: this.getVisitorContext() })
           }),
         });
 
@@ -973,6 +1065,9 @@
                 } else if (data.type === 'lead_captured') {
                   console.log('✅ Lead captured!', data.leadId);
                   this.showLeadCapturedBadge();
+                } else if (data.type === 'calendar_slots') {
+                  console.log('📅 Showing available times', data.slots);
+                  this.showCalendarSlots(data.slots, data.bookingLink);
                 } else if (data.type === 'show_demo') {
                   console.log('🎬 Showing demo video!', data.videoUrl);
                   this.showDemoVideo(data.videoUrl, data.title || 'Xpio Analytics Demo');
@@ -1013,6 +1108,55 @@
       messagesContainer.scrollTop = messagesContainer.scrollHeight;
     },
 
+    /**
+     * Show available meeting times as clickable slots
+     * @param {Array} slots - Slots from the calendar tool ({ dateLabel, timeLabel, schedulingUrl })
+     * @param {string} bookingLink - General booking link (fallback)
+     */
+    showCalendarSlots(slots, bookingLink) {
+      if (!slots || slots.length === 0) return;
+
+      const messagesContainer = document.getElementById('xpio-chat-messages');
+      const container = document.createElement('div');
+      container.className = 'xpio-calendar-slots';
+
+      const header = document.createElement('h4');
+      header.textContent = '📅 Pick a time that works for you';
+      container.appendChild(header);
+
+      // Group slots by day, keeping the order they arrived in
+      const slotsByDay = {};
+      slots.forEach(slot => {
+        if (!slotsByDay[slot.dateLabel]) {
+          slotsByDay[slot.dateLabel] = [];
+        }
+        slotsByDay[slot.dateLabel].push(slot);
+      });
+
+      Object.entries(slotsByDay).forEach(([dayLabel, daySlots]) => {
+        const day = document.createElement('div');
+        day.className = 'xpio-calendar-day';
+        day.textContent = dayLabel;
+        container.appendChild(day);
+
+        const times = document.createElement('div');
+        times.className = 'xpio-calendar-times';
+        daySlots.forEach(slot => {
+          const button = document.createElement('button');
+          button.className = 'xpio-calendar-slot';
+          button.textContent = slot.timeLabel;
+          button.addEventListener('click', () => {
+            window.open(slot.schedulingUrl || bookingLink, '_blank');
+          });
+          times.appendChild(button);
+        });
+        container.appendChild(times);
+      });
+
+      messagesContainer.appendChild(container);
+      messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    },
+
     /**
      * Show demo video embed
      * @param {string} videoUrl - URL of the video (Loom, YouTube, Vimeo)
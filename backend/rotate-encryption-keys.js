@@ -0,0 +1,61 @@
+/**
+ * Re-encrypt every tenant integrations row with the current master key
+ * Run with: npm run rotate-keys
+ *
+ * To rotate the master key:
+ *   1. Add the new key to ENCRYPTION_MASTER_KEYS with a higher version
+ *      (keep the old one), e.g. "2:<new key>,1:<old key>"
+ *   2. Deploy, then run this script
+ *   3. Once it reports no failures, remove the old key
+ *
+ * Also encrypts any secrets still stored in plaintext.
+ */
+
+import dotenv from 'dotenv';
+
+// Load environment variables FIRST before importing other modules
+dotenv.config();
+
+import { TenantIntegrations } from './src/models/Tenant.js';
+import { getCurrentKeyVersion } from './src/services/encryptionService.js';
+
+const BATCH_SIZE = 100;
+
+async function rotateKeys() {
+  const currentVersion = getCurrentKeyVersion();
+  console.log(`🔐 Re-encrypting tenant integration secrets with master key v${currentVersion}...\n`);
+
+  let offset = 0;
+  let rotated = 0;
+  let failed = 0;
+
+  while (true) {
+    const rows = await TenantIntegrations.listAll(BATCH_SIZE, offset);
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      try {
+        await TenantIntegrations.reencrypt(row);
+        rotated++;
+        console.log(`✅ Tenant ${row.tenant_id} (v${row.key_version ?? 'plaintext'} → v${currentVersion})`);
+      } catch (error) {
+        failed++;
+        console.error(`❌ Tenant ${row.tenant_id}: ${error.message}`);
+      }
+    }
+
+    offset += rows.length;
+  }
+
+  console.log(`\n✨ Re-encrypted ${rotated} row(s), ${failed} failure(s)`);
+
+  if (failed > 0) {
+    console.error('💡 Keep the old master keys configured and run the rotation again.\n');
+    process.exit(1);
+  }
+}
+
+rotateKeys().catch(error => {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+});
@@ -19,7 +19,12 @@ import {
   updatePrompt,
   deletePrompt,
   getPromptHistory,
+  getVersionDiff,
+  restoreVersion,
+  discardDraft,
+  publishDrafts,
   previewSystemPrompt,
+  getPromptVariables,
   importHardcodedPrompt
 } from './src/controllers/promptController.js';
 import {
@@ -28,13 +33,20 @@ import {
   updateVariation,
   deleteVariation,
   getPerformanceComparison,
+  getTestSettings,
+  updateTestSettings,
+  rebalanceTraffic,
+  getAllocationLog,
   promoteVariation,
+  getPromotions,
+  undoPromotion,
   quickRollback
 } from './src/controllers/variationController.js';
 import {
   improvePrompt,
   analyzePrompt,
-  generatePrompt
+  generatePrompt,
+  diagnoseConversations
 } from './src/controllers/aiEditorController.js';
 import {
   handleSlackEvents,
@@ -43,6 +55,7 @@ import {
 } from './src/controllers/slackController.js';
 import {
   getUsage,
+  getCacheUsage,
   getPlatformUsage,
   getAnthropicUsage
 } from './src/controllers/usageController.js';
@@ -53,6 +66,26 @@ import {
   addNotes,
   getConversationStats
 } from './src/controllers/conversationController.js';
+import { getAuditLog } from './src/controllers/auditController.js';
+import {
+  getExperiments,
+  getExperiment,
+  createExperiment,
+  updateExperiment,
+  updateExperimentStatus,
+  deleteExperiment,
+  getExperimentResults
+} from './src/controllers/experimentController.js';
+import {
+  getGoldenConversations,
+  createGoldenConversation,
+  updateGoldenConversation,
+  deleteGoldenConversation,
+  runGoldenConversations,
+  getRegressionRuns,
+  getLatestRegressionRun,
+  getRegressionRun
+} from './src/controllers/regressionController.js';
 import {
   registerTenant,
   login,
@@ -66,6 +99,14 @@ import {
   inviteTeamMember,
   getIntegrations,
   updateIntegrations,
+  testWebhook,
+  listWebhookDeliveries,
+  redeliverWebhook,
+  rotateWebhookSecret,
+  listTools,
+  updateTools,
+  getModelSettings,
+  updateModelSettings,
   listAllTenants,
   updateTenant,
   getPlans,
@@ -73,6 +114,9 @@ import {
 } from './src/controllers/tenantController.js';
 import { initializeDatabase } from './src/models/Lead.js';
 import { testEmailConfiguration } from './src/services/emailService.js';
+import { startWebhookRetryWorker } from './src/services/webhookService.js';
+import { startBanditWorker } from './src/services/banditService.js';
+import { startGuardrailWorker } from './src/services/guardrailService.js';
 import { chatRateLimiter } from './src/middleware/rateLimiter.js';
 import { tenantResolver, requireFeature, checkUsageLimits } from './src/middleware/tenantResolver.js';
 import { jwtAuth, requireRole, requirePlatformAdmin } from './src/middleware/tenantAuth.js';
@@ -212,83 +256,105 @@ app.post('/api/tenant/team/invite', jwtAuth(), requireRole('owner', 'admin'), in
 app.get('/api/tenant/integrations', jwtAuth(), getIntegrations);
 app.put('/api/tenant/integrations', jwtAuth(), requireRole('owner', 'admin'), updateIntegrations);
 
-// ==================== PLATFORM ADMIN ENDPOINTS ====================
-
-app.get('/api/platform/tenants', jwtAuth(), requirePlatformAdmin(), listAllTenants);
+// Webhooks
+app.post('/api/tenant/integrations/webhooks/test', jwtAuth(), requireRole('owner', 'admin'), testWebhook);
+app.get('/api/tenant/integrations/webhooks/deliveries', jwtAuth(), requireRole('owner', 'admin'), listWebhookDeliveries);
+app.post('/api/tenant/integrations/webhooks/deliveries/:deliveryId/redeliver', jwtAuth(), requireRole('owner', 'admin'), redeliverWebhook);
+app.post('/api/tenant/integrations/webhooks/secret', jwtAuth(), requireRole('owner', 'admin'), rotateWebhookSecret);
 
-// Admin authentication middleware
-// Supports multiple admin passwords separated by commas
-const adminAuth = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  const adminPasswordsEnv = process.env.ADMIN_PASSWORD;
-
-  // If no password is set, warn but allow (for backward compatibility during setup)
-  if (!adminPasswordsEnv) {
-    console.warn('⚠️  WARNING: ADMIN_PASSWORD not set! Admin endpoints are unprotected!');
-    return next();
-  }
-
-  // Check for Bearer token
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Admin password required. Please set Authorization header.'
-    });
-  }
+// Chat tools
+app.get('/api/tenant/tools', jwtAuth(), listTools);
+app.put('/api/tenant/tools', jwtAuth(), requireRole('owner', 'admin'), updateTools);
 
-  const providedPassword = authHeader.substring(7); // Remove 'Bearer ' prefix
+// Chat model
+app.get('/api/tenant/model', jwtAuth(), getModelSettings);
+app.put('/api/tenant/model', jwtAuth(), requireRole('owner', 'admin'), updateModelSettings);
 
-  // Support multiple passwords separated by commas
-  const validPasswords = adminPasswordsEnv.split(',').map(p => p.trim());
+// ==================== PLATFORM ADMIN ENDPOINTS ====================
 
-  if (!validPasswords.includes(providedPassword)) {
-    return res.status(403).json({
-      error: 'Forbidden',
-      message: 'Invalid admin password'
-    });
-  }
+app.get('/api/platform/tenants', jwtAuth(), requirePlatformAdmin(), listAllTenants);
 
-  next();
-};
+// Admin endpoints require a tenant user's JWT and act on that user's tenant.
+// Roles: viewer = read-only, editor = edit prompts/variations and review
+// conversations, admin (and owner) = everything including deletes and promotion
+const adminAuth = jwtAuth({ allowLegacyPassword: false });
+const canView = requireRole('admin', 'editor', 'viewer');
+const canEdit = requireRole('admin', 'editor');
+const canManage = requireRole('admin');
 
 // Admin endpoints for prompt management (protected)
-app.post('/api/admin/prompts/import', adminAuth, importHardcodedPrompt);
-app.get('/api/admin/prompts/preview', adminAuth, previewSystemPrompt);
-app.get('/api/admin/prompts/:id/history', adminAuth, getPromptHistory);
-app.get('/api/admin/prompts/:slug', adminAuth, getPromptBySlug);
-app.get('/api/admin/prompts', adminAuth, getAllPrompts);
-app.post('/api/admin/prompts', adminAuth, createPrompt);
-app.put('/api/admin/prompts/:id', adminAuth, updatePrompt);
-app.delete('/api/admin/prompts/:id', adminAuth, deletePrompt);
+app.post('/api/admin/prompts/import', adminAuth, canManage, importHardcodedPrompt);
+app.post('/api/admin/prompts/publish', adminAuth, canEdit, publishDrafts);
+app.get('/api/admin/prompts/preview', adminAuth, canView, previewSystemPrompt);
+app.get('/api/admin/prompts/variables', adminAuth, canView, getPromptVariables);
+app.get('/api/admin/prompts/:id/history', adminAuth, canView, getPromptHistory);
+app.get('/api/admin/prompts/:id/versions/:a/diff/:b', adminAuth, canView, getVersionDiff);
+app.post('/api/admin/prompts/:id/versions/restore/:version', adminAuth, canEdit, restoreVersion);
+app.delete('/api/admin/prompts/:id/draft', adminAuth, canEdit, discardDraft);
+app.get('/api/admin/prompts/:slug', adminAuth, canView, getPromptBySlug);
+app.get('/api/admin/prompts', adminAuth, canView, getAllPrompts);
+app.post('/api/admin/prompts', adminAuth, canEdit, createPrompt);
+app.put('/api/admin/prompts/:id', adminAuth, canEdit, updatePrompt);
+app.delete('/api/admin/prompts/:id', adminAuth, canManage, deletePrompt);
 
 // A/B testing and variation endpoints (protected)
-app.get('/api/admin/prompts/:promptId/variations/performance', adminAuth, getPerformanceComparison);
-app.get('/api/admin/prompts/:promptId/variations', adminAuth, getVariations);
-app.post('/api/admin/prompts/:promptId/variations', adminAuth, createVariation);
-app.post('/api/admin/prompts/:promptId/rollback', adminAuth, quickRollback);
-app.put('/api/admin/variations/:id', adminAuth, updateVariation);
-app.delete('/api/admin/variations/:id', adminAuth, deleteVariation);
-app.post('/api/admin/variations/:id/promote', adminAuth, promoteVariation);
+app.get('/api/admin/prompts/:promptId/variations/performance', adminAuth, canView, getPerformanceComparison);
+app.get('/api/admin/prompts/:promptId/variations', adminAuth, canView, getVariations);
+app.post('/api/admin/prompts/:promptId/variations', adminAuth, canEdit, createVariation);
+app.get('/api/admin/prompts/:promptId/ab-settings', adminAuth, canView, getTestSettings);
+app.put('/api/admin/prompts/:promptId/ab-settings', adminAuth, canEdit, updateTestSettings);
+app.post('/api/admin/prompts/:promptId/rebalance', adminAuth, canEdit, rebalanceTraffic);
+app.get('/api/admin/prompts/:promptId/allocation-log', adminAuth, canView, getAllocationLog);
+app.post('/api/admin/prompts/:promptId/rollback', adminAuth, canManage, quickRollback);
+app.put('/api/admin/variations/:id', adminAuth, canEdit, updateVariation);
+app.delete('/api/admin/variations/:id', adminAuth, canManage, deleteVariation);
+app.post('/api/admin/variations/:id/promote', adminAuth, canManage, promoteVariation);
+app.get('/api/admin/prompts/:promptId/promotions', adminAuth, canView, getPromotions);
+app.post('/api/admin/promotions/:id/undo', adminAuth, canManage, undoPromotion);
+
+// Multi-section experiments (protected)
+app.get('/api/admin/experiments', adminAuth, canView, getExperiments);
+app.post('/api/admin/experiments', adminAuth, canEdit, createExperiment);
+app.get('/api/admin/experiments/:id/results', adminAuth, canView, getExperimentResults);
+app.post('/api/admin/experiments/:id/status', adminAuth, canEdit, updateExperimentStatus);
+app.get('/api/admin/experiments/:id', adminAuth, canView, getExperiment);
+app.put('/api/admin/experiments/:id', adminAuth, canEdit, updateExperiment);
+app.delete('/api/admin/experiments/:id', adminAuth, canManage, deleteExperiment);
+
+// Golden conversation regression suite (protected)
+app.get('/api/admin/golden-conversations/runs/latest', adminAuth, canView, getLatestRegressionRun);
+app.get('/api/admin/golden-conversations/runs/:id', adminAuth, canView, getRegressionRun);
+app.get('/api/admin/golden-conversations/runs', adminAuth, canView, getRegressionRuns);
+app.post('/api/admin/golden-conversations/run', adminAuth, canEdit, runGoldenConversations);
+app.get('/api/admin/golden-conversations', adminAuth, canView, getGoldenConversations);
+app.post('/api/admin/golden-conversations', adminAuth, canEdit, createGoldenConversation);
+app.put('/api/admin/golden-conversations/:id', adminAuth, canEdit, updateGoldenConversation);
+app.delete('/api/admin/golden-conversations/:id', adminAuth, canManage, deleteGoldenConversation);
 
 // AI Prompt Editor endpoints (protected)
-app.post('/api/admin/ai-editor/improve', adminAuth, improvePrompt);
-app.post('/api/admin/ai-editor/analyze', adminAuth, analyzePrompt);
-app.post('/api/admin/ai-editor/generate', adminAuth, generatePrompt);
+app.post('/api/admin/ai-editor/improve', adminAuth, canEdit, improvePrompt);
+app.post('/api/admin/ai-editor/analyze', adminAuth, canEdit, analyzePrompt);
+app.post('/api/admin/ai-editor/generate', adminAuth, canEdit, generatePrompt);
+app.post('/api/admin/ai-editor/diagnose', adminAuth, canEdit, diagnoseConversations);
 
 // Usage tracking endpoints (protected)
-app.get('/api/admin/usage', adminAuth, getUsage);
-app.get('/api/admin/usage/anthropic', adminAuth, getAnthropicUsage);
-app.get('/api/platform/usage', adminAuth, getPlatformUsage);
+app.get('/api/admin/usage', adminAuth, canView, getUsage);
+app.get('/api/admin/usage/cache', adminAuth, canView, getCacheUsage);
+app.get('/api/admin/usage/anthropic', adminAuth, canManage, getAnthropicUsage);
+app.get('/api/platform/usage', jwtAuth(), requirePlatformAdmin(), getPlatformUsage);
 
 // Platform admin tenant management
-app.put('/api/platform/tenants/:id', adminAuth, updateTenant);
+app.put('/api/platform/tenants/:id', jwtAuth(), requirePlatformAdmin(), updateTenant);
 
 // Conversation review endpoints (protected)
-app.get('/api/admin/conversations/stats', adminAuth, getConversationStats);
-app.get('/api/admin/conversations/:id', adminAuth, getConversation);
-app.get('/api/admin/conversations', adminAuth, getConversations);
-app.post('/api/admin/conversations/:id/flag', adminAuth, flagConversation);
-app.post('/api/admin/conversations/:id/notes', adminAuth, addNotes);
+app.get('/api/admin/conversations/stats', adminAuth, canView, getConversationStats);
+app.get('/api/admin/conversations/:id', adminAuth, canView, getConversation);
+app.get('/api/admin/conversations', adminAuth, canView, getConversations);
+app.post('/api/admin/conversations/:id/flag', adminAuth, canEdit, flagConversation);
+app.post('/api/admin/conversations/:id/notes', adminAuth, canEdit, addNotes);
+
+// Audit log of admin changes (protected)
+app.get('/api/admin/audit-log', adminAuth, canManage, getAuditLog);
 
 // 404 handler
 app.use((req, res) => {
@@ -331,6 +397,13 @@ async function startServer() {
       console.log('⚠️  Email not configured (leads will be saved to database only)');
     }
 
+    // Retry failed webhook deliveries in the background
+    startWebhookRetryWorker();
+
+    // Rebalance auto-optimized A/B tests in the background
+    startBanditWorker();
+    startGuardrailWorker();
+
     // Start server
     const HOST = process.env.HOST || '0.0.0.0';
     app.listen(PORT, HOST, () => {
@@ -1,8 +1,27 @@
-import Anthropic from '@anthropic-ai/sdk';
+import { getAnthropicClient } from '../services/tenantCredentials.js';
+import { getModelConfig, createMessageWithFallback } from '../services/modelConfigService.js';
+import { getEditorName, auditAdminAction } from '../services/auditService.js';
+import { TEMPLATE_VARIABLES, unknownVariablesError } from '../services/promptTemplateService.js';
+import Conversation from '../models/Conversation.js';
+import Prompt from '../models/Prompt.js';
+import PromptVariation from '../models/PromptVariation.js';
+
+// Conversations sent to the model per diagnosis, and transcript length each
+const MAX_DIAGNOSIS_CONVERSATIONS = 20;
+const MAX_TRANSCRIPT_CHARS = 6000;
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY
-});
+/**
+ * Call the tenant's configured model (see modelConfigService). Each editor
+ * task keeps its own max_tokens and temperature
+ * @param {Object} req - Request (tenant and tenant ID)
+ * @param {Object} options - messages.create options (without model)
+ * @returns {Object} Message
+ */
+async function createEditorMessage(req, options) {
+  const anthropic = await getAnthropicClient(req.tenantId);
+  const { message } = await createMessageWithFallback(anthropic, options, getModelConfig(req.tenant).chain);
+  return message;
+}
 
 /**
  * AI Prompt Editor - Helps improve prompts based on feedback
@@ -56,8 +75,7 @@ CHANGES MADE:
 - Change 2 explanation
 - etc.`;
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    const response = await createEditorMessage(req, {
       max_tokens: 4000,
       temperature: 0.7,
       system: systemPrompt,
@@ -104,8 +122,7 @@ export async function analyzePrompt(req, res) {
       return res.status(400).json({ error: 'prompt is required' });
     }
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    const response = await createEditorMessage(req, {
       max_tokens: 1000,
       temperature: 0.7,
       messages: [{
@@ -159,8 +176,7 @@ Requirements:
 
 Provide only the prompt, no extra explanation.`;
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
+    const response = await createEditorMessage(req, {
       max_tokens: 2000,
       temperature: 0.8,
       system: systemPrompt,
@@ -183,8 +199,219 @@ Provide only the prompt, no extra explanation.`;
   }
 }
 
+/**
+ * Text of a stored message (plain string, or content blocks)
+ */
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+  }
+  return '';
+}
+
+/**
+ * A reviewed conversation as evidence for the model: why it was flagged,
+ * the reviewer's notes, which variations it got, and the transcript
+ */
+function formatEvidence(conversation) {
+  let transcript = (conversation.messages || [])
+    .map(message => `${message.role === 'assistant' ? 'BOT' : 'VISITOR'}: ${messageText(message.content)}`)
+    .join('\n\n');
+
+  if (transcript.length > MAX_TRANSCRIPT_CHARS) {
+    transcript = `${transcript.slice(0, MAX_TRANSCRIPT_CHARS)}\n[... transcript truncated]`;
+  }
+
+  return `<conversation id="${conversation.conversation_id}">
+Flag reason: ${conversation.flag_reason || '(none)'}
+Reviewer notes: ${conversation.review_notes || '(none)'}
+Lead captured: ${conversation.lead_captured ? 'yes' : 'no'}
+Variations shown: ${(conversation.variation_names || []).join(', ') || '(base prompt)'}
+
+${transcript}
+</conversation>`;
+}
+
+/**
+ * Parse the model's JSON diagnosis and check it can become a variation
+ * @returns {Object} { diagnosis } or { error }
+ */
+function parseDiagnosis(text, sections) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  let diagnosis;
+  try {
+    diagnosis = JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return { error: 'The model did not return a readable diagnosis' };
+  }
+
+  const section = sections.find(s => s.slug === diagnosis.target_section);
+  if (!section) {
+    return { error: `The model proposed a fix for an unknown section '${diagnosis.target_section}'` };
+  }
+  if (typeof diagnosis.content !== 'string' || !diagnosis.content.trim()) {
+    return { error: 'The model did not propose any content' };
+  }
+  if (diagnosis.content.trim() === section.content.trim()) {
+    return { error: 'The model proposed no change to the section' };
+  }
+
+  const variablesError = unknownVariablesError(diagnosis.content);
+  if (variablesError) {
+    return { error: `The proposed content uses unknown template variables: ${variablesError.unknown_variables.join(', ')}` };
+  }
+
+  return { diagnosis, section };
+}
+
+/**
+ * Diagnose flagged/reviewed conversations and draft a fix as a variation
+ * POST /api/admin/ai-editor/diagnose
+ * Body: { conversation_ids } (optional, default: the latest flagged or
+ *       annotated conversations), prompt_section_id (optional, the section
+ *       to fix), limit (optional)
+ * The model reads the conversations with their flag reasons and review notes,
+ * works out which sections caused the failures, and rewrites the section most
+ * responsible. The rewrite is saved as an inactive variation with 0% traffic,
+ * ready to be activated for an A/B test.
+ */
+export async function diagnoseConversations(req, res) {
+  try {
+    const { conversation_ids, prompt_section_id } = req.body;
+    const limit = Math.min(parseInt(req.body.limit, 10) || 10, MAX_DIAGNOSIS_CONVERSATIONS);
+
+    if (conversation_ids !== undefined && (!Array.isArray(conversation_ids) || conversation_ids.length === 0 ||
+        conversation_ids.length > MAX_DIAGNOSIS_CONVERSATIONS)) {
+      return res.status(400).json({
+        error: `conversation_ids must be a list of 1-${MAX_DIAGNOSIS_CONVERSATIONS} conversation IDs`
+      });
+    }
+
+    // Only conversations a reviewer has said something about are evidence
+    const conversations = (await Conversation.getForReview({
+      limit: conversation_ids ? conversation_ids.length : limit,
+      reviewedOnly: true,
+      conversationIds: conversation_ids || null,
+      tenantId: req.tenantId
+    })).filter(c => c.flag_reason || c.review_notes);
+
+    if (conversations.length === 0) {
+      return res.status(400).json({
+        error: 'No reviewed conversations to diagnose',
+        message: 'Flag conversations with a reason or add review notes first.'
+      });
+    }
+
+    const sections = await Prompt.getAllActive(req.tenantId);
+    if (sections.length === 0) {
+      return res.status(400).json({ error: 'There are no active prompt sections to diagnose' });
+    }
+
+    let focusSection = null;
+    if (prompt_section_id) {
+      focusSection = sections.find(s => s.id === prompt_section_id);
+      if (!focusSection) {
+        return res.status(404).json({ error: 'Prompt not found' });
+      }
+    }
+
+    const systemPrompt = `You are an expert prompt engineer reviewing a chatbot whose system prompt is made of named sections. Reviewers flagged conversations where the chatbot went wrong and wrote down why.
+
+Your job:
+1. For each conversation, work out which section caused the failure (the instruction that was wrong, missing, ambiguous or contradicted by another section)
+2. Pick the ONE section whose change would fix the most failures${focusSection ? ` (the user asked for a fix to "${focusSection.slug}")` : ''}
+3. Rewrite that section to fix them: surgical changes, keep its intent, structure and formatting
+
+Template variables like {{company.phone}} are filled in per tenant - keep them as written and don't hardcode their values. Only these exist: ${Object.keys(TEMPLATE_VARIABLES).map(name => `{{${name}}}`).join(', ')}
+
+Respond with JSON only, no other text:
+{
+  "summary": "the common failure pattern in one or two sentences",
+  "findings": [
+    { "conversation_id": "...", "section": "section slug, or null if no section is to blame", "problem": "what went wrong and why" }
+  ],
+  "target_section": "slug of the section to rewrite",
+  "variation_name": "short name for the rewrite (max 60 characters)",
+  "content": "the complete rewritten section",
+  "rationale": "what you changed and how it fixes the failures"
+}`;
+
+    const userPrompt = `PROMPT SECTIONS (in prompt order):
+
+${sections.map(s => `<section slug="${s.slug}" name="${s.name}">
+${s.content}
+</section>`).join('\n\n')}
+
+REVIEWED CONVERSATIONS:
+
+${conversations.map(formatEvidence).join('\n\n')}`;
+
+    const response = await createEditorMessage(req, {
+      max_tokens: 8000,
+      temperature: 0.3,
+      system: systemPrompt,
+      messages: [{
+        role: 'user',
+        content: focusSection
+          ? `${userPrompt}\n\nRewrite the section "${focusSection.slug}".`
+          : userPrompt
+      }]
+    });
+
+    const parsed = parseDiagnosis(response.content[0].text, focusSection ? [focusSection] : sections);
+    if (parsed.error) {
+      return res.status(502).json({ error: 'Failed to diagnose conversations', message: parsed.error });
+    }
+
+    const { diagnosis, section } = parsed;
+    const conversationIds = conversations.map(c => c.conversation_id);
+    const variationName = `AI fix: ${String(diagnosis.variation_name || 'reviewed conversations').trim()}`.slice(0, 100);
+
+    // Inactive with no traffic - a reviewer activates it to start the test
+    const variation = await PromptVariation.create({
+      prompt_section_id: section.id,
+      variation_name: variationName,
+      content: diagnosis.content,
+      is_active: false,
+      traffic_percentage: 0,
+      notes: `${diagnosis.summary || ''}\n\n${diagnosis.rationale || ''}\n\nDiagnosed from conversations: ${conversationIds.join(', ')}`.trim(),
+      created_by: getEditorName(req)
+    }, req.tenantId);
+
+    auditAdminAction(req, 'variation.create', {
+      type: 'prompt_variation',
+      id: variation.id,
+      details: {
+        prompt_section_id: section.id,
+        variation_name: variationName,
+        source: 'ai_diagnosis',
+        conversation_ids: conversationIds
+      }
+    });
+
+    res.json({
+      summary: diagnosis.summary || null,
+      findings: Array.isArray(diagnosis.findings) ? diagnosis.findings : [],
+      rationale: diagnosis.rationale || null,
+      section: { id: section.id, name: section.name, slug: section.slug },
+      variation,
+      conversationIds,
+      message: `Draft variation "${variationName}" created for ${section.name}. Activate it to start testing.`
+    });
+  } catch (error) {
+    console.error('Error diagnosing conversations:', error);
+    res.status(500).json({
+      error: 'Failed to diagnose conversations',
+      message: error.message
+    });
+  }
+}
+
 export default {
   improvePrompt,
   analyzePrompt,
-  generatePrompt
+  generatePrompt,
+  diagnoseConversations
 };
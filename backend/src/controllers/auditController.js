@@ -0,0 +1,40 @@
+import AdminAuditLog from '../models/AdminAuditLog.js';
+
+/**
+ * Get the admin audit log for the current tenant
+ * GET /api/admin/audit-log
+ */
+export async function getAuditLog(req, res) {
+  try {
+    const { limit = 50, offset = 0, resourceType, resourceId, userId } = req.query;
+
+    const entries = await AdminAuditLog.listForTenant(req.tenantId, {
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0,
+      resourceType: resourceType || null,
+      resourceId: resourceId || null,
+      userId: userId || null
+    });
+
+    res.json({
+      entries: entries.map(entry => ({
+        id: entry.id,
+        createdAt: entry.created_at,
+        userId: entry.user_id,
+        userEmail: entry.user_email,
+        userRole: entry.user_role,
+        action: entry.action,
+        resourceType: entry.resource_type,
+        resourceId: entry.resource_id,
+        details: entry.details
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+}
+
+export default {
+  getAuditLog
+};
@@ -1,76 +1,50 @@
 import { chatWithClaude, getInitialGreeting } from '../services/claudeService.js';
-import { saveLead } from '../services/leadService.js';
-import { requestHandoff } from '../services/slackService.js';
+import { getEnabledTools, executeToolCall } from '../services/toolRegistry.js';
 import { trackUsage } from '../services/usageService.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+import { getAnthropicClient } from '../services/tenantCredentials.js';
+import { getModelConfig, isOverloadedError } from '../services/modelConfigService.js';
+import { resolvePromptVariables } from '../services/promptTemplateService.js';
+import { buildVisitorContext } from '../services/sectionRulesService.js';
 import Conversation from '../models/Conversation.js';
 import Lead from '../models/Lead.js';
 import Prompt from '../models/Prompt.js';
+import MetricsService from '../services/metricsService.js';
 import { v4 as uuidv4 } from 'uuid';
-import Anthropic from '@anthropic-ai/sdk';
 import { DEFAULT_TENANT_ID } from '../models/Tenant.js';
 
-// Lazy initialize Anthropic client
-let anthropic = null;
-function getAnthropic() {
-  if (!anthropic) {
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('ANTHROPIC_API_KEY must be set in environment variables');
-    }
-    anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
-  }
-  return anthropic;
-}
-
-// Model fallback chain (Anthropic only)
-const MODEL_CHAIN = [
-  'claude-opus-4-5-20251101',    // Opus 4.5 - primary
-  'claude-sonnet-4-5-20250514',  // Sonnet 4.5 - fallback 1
-  'claude-3-5-haiku-20241022'    // Haiku 3.5 - fallback 2
-];
-
-// Demo video configuration
-// Set DEMO_VIDEO_URL in environment to enable (Loom, YouTube, or Vimeo URL)
-const DEMO_VIDEO_URL = process.env.DEMO_VIDEO_URL || null;
-const DEMO_VIDEO_TITLE = process.env.DEMO_VIDEO_TITLE || 'Xpio Analytics Platform Demo';
-
-/**
- * Check if a lead is high quality (has phone number)
- * @param {Object} leadInput - The lead data from tool input
- * @returns {boolean} True if lead is high quality
- */
-function isQualityLead(leadInput) {
-  // Quality lead = has name + email + phone
-  return !!(leadInput.name && leadInput.email && leadInput.phone);
-}
-
 /**
- * Check if error is a retryable overload error
+ * Stream a single model turn, falling back down the model chain on overload
+ * Overload errors surface while streaming, so we only fall back if no text
+ * has reached the visitor yet
+ * @param {Anthropic} anthropic - Client for the tenant's API key
+ * @param {Object} options - messages.stream options (without model)
+ * @param {string[]} modelChain - Models to try, in order
+ * @param {Function} onText - Called with each streamed text delta
+ * @returns {Object} { message, model } - Final message and the model that served it
  */
-function isOverloadedError(error) {
-  return error?.error?.type === 'overloaded_error' ||
-         error?.message?.includes('Overloaded') ||
-         error?.message?.includes('overloaded') ||
-         error?.status === 529;
-}
+async function streamTurnWithFallback(anthropic, options, modelChain, onText) {
+  for (let i = 0; i < modelChain.length; i++) {
+    const model = modelChain[i];
+    let hasStreamedText = false;
 
-/**
- * Try to create a stream with fallback models on overload
- */
-async function createStreamWithFallback(options) {
-  for (let i = 0; i < MODEL_CHAIN.length; i++) {
-    const model = MODEL_CHAIN[i];
     try {
       console.log(`🤖 Trying model: ${model}`);
-      const stream = await getAnthropic().messages.stream({
+      const stream = anthropic.messages.stream({
         ...options,
         model: model
       });
+
+      stream.on('text', (text) => {
+        hasStreamedText = true;
+        onText(text);
+      });
+
+      const message = await stream.finalMessage();
       console.log(`✅ Using model: ${model}`);
-      return { stream, model };
+      return { message, model };
     } catch (error) {
-      if (isOverloadedError(error) && i < MODEL_CHAIN.length - 1) {
+      if (isOverloadedError(error) && !hasStreamedText && i < modelChain.length - 1) {
         console.warn(`⚠️ ${model} overloaded, trying next model...`);
         continue;
       }
@@ -85,65 +59,252 @@ const conversations = new Map();
 // Conversation timeout (30 minutes)
 const CONVERSATION_TIMEOUT = 30 * 60 * 1000;
 
-// System prompt cache - short duration, can be manually cleared
-let cachedSystemPrompt = null;
-let lastPromptLoad = null;
+// Widget visitor IDs are random UUIDs; anything else is ignored
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// System prompt cache per tenant - short duration, can be manually cleared
+const systemPromptCache = new Map();
 const PROMPT_CACHE_DURATION = 30 * 1000; // 30 seconds - short for quick updates
 
 /**
  * Clear the prompt cache - call this when prompts are updated
  */
 export function clearPromptCache() {
-  cachedSystemPrompt = null;
-  lastPromptLoad = null;
+  systemPromptCache.clear();
   console.log('🗑️ Prompt cache cleared');
 }
 
+// Prompt caching: each block of the system prompt (and the tool list) ends
+// in a cache breakpoint. Anthropic caches the prefix up to a breakpoint for
+// 5 minutes, so the sections before the first tested one are shared by all of
+// a tenant's conversations and the rest by each conversation's later turns.
+const CACHE_CONTROL = { type: 'ephemeral' };
+
+/**
+ * System parameter for the Messages API, one cacheable text block per prompt block
+ * @param {string[]} promptBlocks - Prompt text, most widely shared first
+ * @returns {Array} Text blocks
+ */
+function toCachedSystem(promptBlocks) {
+  return promptBlocks.map(text => ({ type: 'text', text, cache_control: CACHE_CONTROL }));
+}
+
+/**
+ * Tool definitions with a cache breakpoint after the last one
+ * @param {Array} definitions - Tool definitions
+ * @returns {Array} Copy of the definitions
+ */
+function withCachedTools(definitions) {
+  if (definitions.length === 0) return definitions;
+  const last = definitions[definitions.length - 1];
+  return [...definitions.slice(0, -1), { ...last, cache_control: CACHE_CONTROL }];
+}
+
 /**
  * Get system prompt with A/B testing variation support
  * For new conversations - loads fresh with possible variation assignment
+ * Restored conversations pass assignNew: false so they keep their original
+ * variations (or the base prompt) instead of being re-assigned; new ones pass
+ * the widget's visitorId so a returning visitor gets the arms they had before
+ * @returns {Array} Cacheable system blocks
  */
-async function getSystemPromptWithVariations(conversationId, tenantId = null) {
+async function getSystemPromptWithVariations(conversationId, tenantId = null, options = {}) {
   try {
-    const result = await Prompt.buildSystemPromptWithVariations(conversationId, tenantId);
+    const result = await Prompt.buildSystemPromptWithVariations(conversationId, tenantId, options);
     if (result.usedVariations) {
       console.log(`🧪 A/B test active for conversation ${conversationId}`);
     }
-    return result.prompt;
+    return toCachedSystem(result.promptBlocks);
   } catch (error) {
     console.error('Failed to load prompt with variations:', error);
-    return getSystemPrompt();
+    return toCachedSystem([await getSystemPrompt(tenantId)]);
   }
 }
 
 /**
- * Get base system prompt (cached briefly for performance)
+ * Get base system prompt for a tenant (cached briefly for performance)
  * Used for follow-up messages in same conversation
  */
-async function getSystemPrompt() {
+async function getSystemPrompt(tenantId = null) {
   const now = Date.now();
+  const cacheKey = tenantId || DEFAULT_TENANT_ID;
 
   // Use cache if recent (30 seconds)
-  if (cachedSystemPrompt && lastPromptLoad && (now - lastPromptLoad < PROMPT_CACHE_DURATION)) {
-    return cachedSystemPrompt;
+  const cached = systemPromptCache.get(cacheKey);
+  if (cached && (now - cached.loadedAt < PROMPT_CACHE_DURATION)) {
+    return cached.prompt;
   }
 
   try {
     // Load from database
-    cachedSystemPrompt = await Prompt.buildSystemPrompt();
-    lastPromptLoad = now;
+    const prompt = await Prompt.buildSystemPrompt(tenantId);
+    systemPromptCache.set(cacheKey, { prompt, loadedAt: now });
     console.log('✓ Loaded system prompt from database');
-    return cachedSystemPrompt;
+    return prompt;
   } catch (error) {
     console.error('Failed to load prompt from database, using fallback:', error);
     // Fallback to hardcoded prompt if database fails
     const { SYSTEM_PROMPT } = await import('../services/claudeService.js');
-    return SYSTEM_PROMPT;
+    const { text } = await resolvePromptVariables(SYSTEM_PROMPT, tenantId);
+    return text;
   }
 }
 
-// Import fallback prompt and tool definitions
-import { LEAD_CAPTURE_TOOL, HANDOFF_TOOL } from '../services/claudeService.js';
+// Max model turns per visitor message (bounds chained tool calls)
+const MAX_AGENT_ITERATIONS = 5;
+
+// Said to the visitor if the last turn only tried to call another tool
+const TOOL_LIMIT_REPLY = 'Sorry, I wasn\'t able to finish that just now. Could you tell me a bit more about what you need?';
+
+/**
+ * Agent loop: stream a turn, run any requested tools, feed the results back
+ * and stream the next turn until Claude answers without calling a tool
+ * (e.g. save_lead → check_calendar_availability → request_human_help)
+ * @param {Object} options - { conversationId, conversationData, systemPrompt, tenant, tenantId, send }
+ */
+async function runAgentLoop({ conversationId, conversationData, systemPrompt, tenant, tenantId, send }) {
+  const context = { conversationId, conversationData, tenantId, send };
+  const anthropic = await getAnthropicClient(tenantId);
+  const enabledTools = getEnabledTools(tenant);
+  const toolDefinitions = withCachedTools(enabledTools.map(tool => tool.definition));
+  const { chain, temperature, maxTokens } = getModelConfig(tenant);
+  let modelChain = chain;
+  let hasPriorText = false;
+
+  for (let iteration = 1; iteration <= MAX_AGENT_ITERATIONS; iteration++) {
+    const isLastIteration = iteration === MAX_AGENT_ITERATIONS;
+    let turnText = '';
+
+    const { message, model } = await streamTurnWithFallback(anthropic, {
+      max_tokens: maxTokens,
+      system: systemPrompt,
+      ...(toolDefinitions.length > 0 && { tools: toolDefinitions }),
+      // Out of iterations - make Claude answer the visitor instead of calling more tools
+      ...(isLastIteration && { tool_choice: { type: 'none' } }),
+      messages: conversationData.messages,
+      temperature,
+    }, modelChain, (text) => {
+      // Separate follow-up turns from the text that came before the tool call
+      if (!turnText && hasPriorText) {
+        send({ type: 'text', content: '\n\n' });
+      }
+      turnText += text;
+      send({ type: 'text', content: text });
+    });
+
+    // Keep follow-up turns on the model that actually served this conversation
+    modelChain = modelChain.slice(modelChain.indexOf(model));
+
+    // Track API usage for every turn
+    if (message.usage) {
+      trackUsage(tenantId, conversationId, model, message.usage)
+        .catch(err => console.error('Failed to track usage:', err));
+    }
+
+    const toolUses = message.content.filter(block => block.type === 'tool_use');
+
+    // tool_choice none should prevent this - if a call still comes back, drop it so
+    // history ends on a text-only assistant turn rather than unanswered tool_results
+    if (isLastIteration && toolUses.length > 0) {
+      console.warn(`⚠️ Dropped ${toolUses.length} tool call(s) past the iteration limit in conversation ${conversationId}`);
+      if (!turnText) {
+        if (hasPriorText) send({ type: 'text', content: '\n\n' });
+        turnText = TOOL_LIMIT_REPLY;
+        send({ type: 'text', content: turnText });
+      }
+      conversationData.messages.push({ role: 'assistant', content: turnText });
+      Conversation.addMessage(conversationId, { role: 'assistant', content: turnText })
+        .catch(err => console.error('Failed to log assistant message:', err));
+      break;
+    }
+
+    // Tool calls need the full content blocks in history so tool_results can reference them
+    conversationData.messages.push({
+      role: 'assistant',
+      content: toolUses.length > 0 ? message.content : turnText
+    });
+
+    // Log assistant text to database (don't wait)
+    if (turnText) {
+      hasPriorText = true;
+      Conversation.addMessage(conversationId, { role: 'assistant', content: turnText })
+        .catch(err => console.error('Failed to log assistant message:', err));
+    }
+
+    if (toolUses.length === 0) {
+      return;
+    }
+
+    // Run tools in the order Claude requested them
+    const toolResults = [];
+    for (const toolUse of toolUses) {
+      console.log(`🎯 Tool triggered: ${toolUse.name}`);
+      toolResults.push(await executeToolCall(toolUse, context, enabledTools));
+    }
+
+    // Send tool results back to Claude
+    conversationData.messages.push({
+      role: 'user',
+      content: toolResults
+    });
+  }
+
+  console.warn(`⚠️ Agent loop hit ${MAX_AGENT_ITERATIONS} iterations in conversation ${conversationId}`);
+}
+
+/**
+ * Send the conversation.ended webhook
+ * @param {Object} conversationData - In-memory conversation state
+ * @param {string} reason - 'ended' (visitor closed the chat) or 'timeout'
+ */
+function emitConversationEnded(conversationData, reason) {
+  emitWebhookEvent(conversationData.tenantId, 'conversation.ended', {
+    conversation_id: conversationData.id,
+    reason,
+    lead_captured: conversationData.leadCaptured,
+    handoff_requested: conversationData.handoffRequested,
+    message_count: conversationData.messages.length,
+    started_at: new Date(conversationData.createdAt).toISOString(),
+    last_activity_at: new Date(conversationData.lastActivity).toISOString()
+  });
+}
+
+/**
+ * Record A/B test metrics for what has happened in the conversation so far
+ * Each event is sent once per process; the database ignores repeats (e.g.
+ * after a restart), so calling this every turn never double-counts
+ * @param {Object} conversationData - In-memory conversation state
+ */
+function recordConversationMetrics(conversationData) {
+  const { id, tenantId } = conversationData;
+  if (!conversationData.recordedMetrics) {
+    conversationData.recordedMetrics = new Set();
+  }
+
+  const record = (eventType, happened, hook) => {
+    if (!happened || conversationData.recordedMetrics.has(eventType)) return;
+    conversationData.recordedMetrics.add(eventType);
+    hook.call(MetricsService, id, tenantId);
+  };
+
+  record('conversation_started', true, MetricsService.recordConversationStart);
+  record('lead_captured', conversationData.leadCaptured, MetricsService.recordLeadCaptured);
+  record('handoff_requested', conversationData.handoffRequested, MetricsService.recordHandoff);
+  record('calendar_checked', conversationData.calendarChecked, MetricsService.recordCalendarCheck);
+}
+
+/**
+ * Record final A/B test metrics when a conversation ends
+ * A conversation that ends without a lead counts as abandoned
+ * @param {Object} conversationData - In-memory conversation state
+ */
+function recordConversationEndMetrics(conversationData) {
+  recordConversationMetrics(conversationData);
+
+  if (!conversationData.leadCaptured) {
+    MetricsService.recordAbandonment(conversationData.id, conversationData.tenantId);
+  }
+}
 
 /**
  * Clean up old conversations periodically
@@ -155,12 +316,15 @@ setInterval(() => {
       conversations.delete(id);
       console.log(`🧹 Cleaned up inactive conversation: ${id}`);
 
+      recordConversationEndMetrics(data);
+
       // Mark as abandoned in database (don't wait)
-      Conversation.getById(id).then(conv => {
+      Conversation.getById(id, data.tenantId).then(conv => {
         if (conv && conv.status === 'active') {
           Conversation.markEnded(id).catch(err =>
             console.error('Failed to mark conversation as abandoned:', err)
           );
+          emitConversationEnded(data, 'timeout');
         }
       }).catch(err => console.error('Error checking conversation:', err));
     }
@@ -170,21 +334,26 @@ setInterval(() => {
 /**
  * Restore a conversation from the database if it exists
  * This handles server restarts where in-memory state is lost
+ * (exported for test-tenant-isolation.js)
  * @param {string} conversationId - The conversation ID to restore
+ * @param {string} tenantId - Tenant serving the conversation
  * @returns {Object|null} Restored conversation data or null if not found
  */
-async function restoreConversationFromDB(conversationId) {
+export async function restoreConversationFromDB(conversationId, tenantId) {
   try {
-    const dbConversation = await Conversation.getById(conversationId);
+    // Only the tenant's own conversations can be resumed
+    const dbConversation = await Conversation.getById(conversationId, tenantId);
     if (dbConversation && dbConversation.messages && dbConversation.messages.length > 0) {
       // Restore to in-memory map
       const conversationData = {
         id: conversationId,
+        tenantId: dbConversation.tenant_id,
         messages: dbConversation.messages || [],
         leadCaptured: dbConversation.lead_id !== null,
-        handoffRequested: dbConversation.handed_off || false,
+        handoffRequested: dbConversation.is_handed_off || false,
         createdAt: new Date(dbConversation.created_at).getTime(),
         lastActivity: Date.now(),
+        visitorContext: dbConversation.visitor_context || null,
         systemPrompt: null // Will be loaded fresh
       };
       conversations.set(conversationId, conversationData);
@@ -206,6 +375,11 @@ export async function handleChatStream(req, res) {
   try {
     const { message, conversationId: clientConversationId } = req.body;
 
+    // Anonymous ID the widget keeps across page loads (ignored if malformed)
+    const visitorId = typeof req.body.visitorId === 'string' && VISITOR_ID_PATTERN.test(req.body.visitorId)
+      ? req.body.visitorId
+      : null;
+
     // Validate input
     if (!message || typeof message !== 'string' || message.trim().length === 0) {
       return res.status(400).json({
@@ -242,6 +416,7 @@ export async function handleChatStream(req, res) {
     }
 
     // Get or create conversation
+    const tenantId = req.tenantId || DEFAULT_TENANT_ID;
     let conversationId = clientConversationId;
     let conversationData;
     let isNewConversation = false;
@@ -252,11 +427,12 @@ export async function handleChatStream(req, res) {
       content: message
     };
 
-    if (!conversationId || !conversations.has(conversationId)) {
+    // A conversation ID from another tenant is treated as unknown
+    if (!conversationId || conversations.get(conversationId)?.tenantId !== tenantId) {
       // If client provided a conversationId, try to restore from database first
       // This handles server restarts where in-memory state is lost
       if (clientConversationId) {
-        conversationData = await restoreConversationFromDB(clientConversationId);
+        conversationData = await restoreConversationFromDB(clientConversationId, tenantId);
         if (conversationData) {
           conversationId = clientConversationId;
           // Log user message to database (conversation already exists)
@@ -270,9 +446,13 @@ export async function handleChatStream(req, res) {
         conversationId = uuidv4();
         conversationData = {
           id: conversationId,
+          tenantId,
           messages: [],
           leadCaptured: false,
           handoffRequested: false,
+          visitorId,
+          // Page, referrer, language etc. from the widget - decides which targeted sections apply
+          visitorContext: buildVisitorContext(req.body.context),
           createdAt: Date.now(),
           lastActivity: Date.now(),
           systemPrompt: null // Will be set with A/B variation for this conversation
@@ -286,8 +466,10 @@ export async function handleChatStream(req, res) {
         Conversation.create(conversationId, {
           user_agent: req.headers['user-agent'],
           ip_address: req.ip,
-          referrer: req.headers['referer']
-        }, userMessage).catch(err => console.error('Failed to create conversation in DB:', err));
+          referrer: req.headers['referer'],
+          visitor_id: visitorId,
+          visitor_context: conversationData.visitorContext
+        }, userMessage, tenantId).catch(err => console.error('Failed to create conversation in DB:', err));
       }
     } else {
       conversationData = conversations.get(conversationId);
@@ -309,12 +491,9 @@ export async function handleChatStream(req, res) {
     res.setHeader('Connection', 'keep-alive');
     res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
 
-    let fullResponse = '';
-    let toolUseDetected = null;
-
     try {
       // Check if conversation is handed off and if human is still active
-      const handoffState = await Conversation.getHandoffState(conversationId);
+      const handoffState = await Conversation.getHandoffState(conversationId, tenantId);
 
       if (handoffState.is_handed_off) {
         // Check when last human message was
@@ -343,272 +522,49 @@ export async function handleChatStream(req, res) {
       }
 
       // Get system prompt - use A/B variations for new conversations, cached for existing
-      const tenantId = req.tenantId || DEFAULT_TENANT_ID;
       let systemPrompt;
 
       if (isNewConversation || !conversationData.systemPrompt) {
         // New conversation: load fresh prompt with possible A/B variation
-        systemPrompt = await getSystemPromptWithVariations(conversationId, tenantId);
+        // Restored conversation: rebuild it with the variations it already had
+        systemPrompt = await getSystemPromptWithVariations(conversationId, tenantId, {
+          assignNew: isNewConversation,
+          visitorId,
+          visitorContext: conversationData.visitorContext,
+          startedAt: new Date(conversationData.createdAt)
+        });
         conversationData.systemPrompt = systemPrompt; // Cache for this conversation
       } else {
         // Existing conversation: use the same prompt for consistency
         systemPrompt = conversationData.systemPrompt;
       }
 
-      // Create streaming request with model fallback on overload
-      const { stream, model: usedModel } = await createStreamWithFallback({
-        max_tokens: 4096,
-        system: systemPrompt,
-        tools: [LEAD_CAPTURE_TOOL, HANDOFF_TOOL],
-        messages: conversationData.messages,
-        temperature: 0.7,
-      });
+      // Count the conversation as started for its variations now that they are
+      // assigned, so a first turn that errors still counts for its arm
+      recordConversationMetrics(conversationData);
 
       // Send conversation ID immediately
       res.write(`data: ${JSON.stringify({ type: 'conversation_id', conversationId })}\n\n`);
 
-      // Handle text streaming
-      stream.on('text', (text) => {
-        fullResponse += text;
-        res.write(`data: ${JSON.stringify({ type: 'text', content: text })}\n\n`);
-      });
-
-      // Handle tool use
-      stream.on('contentBlock', (block) => {
-        if (block.type === 'tool_use') {
-          toolUseDetected = block;
-          console.log(`🎯 Lead capture triggered: ${block.name}`);
-        }
+      // Stream the response, executing any tool calls until Claude is done
+      await runAgentLoop({
+        conversationId,
+        conversationData,
+        systemPrompt,
+        tenant: req.tenant,
+        tenantId,
+        send: (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`)
       });
 
-      // Handle message completion
-      stream.on('message', async (message) => {
-        // Track API usage for this request
-        const tenantId = req.tenantId || DEFAULT_TENANT_ID;
-        if (message.usage) {
-          trackUsage(tenantId, conversationId, usedModel, message.usage)
-            .catch(err => console.error('Failed to track usage:', err));
-        }
-
-        // If tool was used, process it
-        if (toolUseDetected && toolUseDetected.name === 'save_lead') {
-          console.log(`💾 Saving lead data...`);
-
-          // Add assistant's response to history
-          const assistantMessage = {
-            role: 'assistant',
-            content: message.content
-          };
-          conversationData.messages.push(assistantMessage);
-
-          // Log assistant message to database (don't wait)
-          Conversation.addMessage(conversationId, { role: 'assistant', content: fullResponse })
-            .catch(err => console.error('Failed to log assistant message:', err));
-
-          // Save the lead
-          let leadResult;
-          try {
-            leadResult = await saveLead(
-              toolUseDetected.input,
-              conversationId,
-              conversationData.messages
-            );
-            conversationData.leadCaptured = true;
-
-            // Mark lead captured in conversations table (don't wait)
-            Conversation.markLeadCaptured(conversationId, leadResult.leadId)
-              .catch(err => console.error('Failed to mark lead in conversations:', err));
-
-            res.write(`data: ${JSON.stringify({ type: 'lead_captured', leadId: leadResult.leadId })}\n\n`);
-
-            // Show demo video for quality leads (has phone number)
-            if (DEMO_VIDEO_URL && isQualityLead(toolUseDetected.input)) {
-              console.log('🎬 Quality lead detected - showing demo video');
-              res.write(`data: ${JSON.stringify({
-                type: 'show_demo',
-                videoUrl: DEMO_VIDEO_URL,
-                title: DEMO_VIDEO_TITLE
-              })}\n\n`);
-            }
-          } catch (error) {
-            console.error('Failed to save lead:', error);
-            leadResult = {
-              success: false,
-              error: 'Failed to save your information. Please try again.'
-            };
-            res.write(`data: ${JSON.stringify({ type: 'error', error: 'Failed to save lead' })}\n\n`);
-          }
-
-          // Send tool result back to Claude
-          conversationData.messages.push({
-            role: 'user',
-            content: [{
-              type: 'tool_result',
-              tool_use_id: toolUseDetected.id,
-              content: JSON.stringify(leadResult)
-            }]
-          });
-
-          // Get Claude's follow-up message
-          const followUpResponse = await getAnthropic().messages.create({
-            model: 'claude-opus-4-5-20251101',
-            max_tokens: 2048,
-            system: systemPrompt,
-            tools: [LEAD_CAPTURE_TOOL, HANDOFF_TOOL], // CRITICAL: Include tools!
-            messages: conversationData.messages,
-          });
-
-          // Track usage for follow-up call
-          if (followUpResponse.usage) {
-            trackUsage(tenantId, conversationId, 'claude-opus-4-5-20251101', followUpResponse.usage)
-              .catch(err => console.error('Failed to track follow-up usage:', err));
-          }
-
-          // Check if Claude wants to use another tool
-          let followUpToolUse = null;
-          let followUpText = '';
-          for (const block of followUpResponse.content) {
-            if (block.type === 'text') {
-              followUpText += block.text;
-            } else if (block.type === 'tool_use') {
-              followUpToolUse = block;
-            }
-          }
-
-          // If there's text, stream it
-          if (followUpText) {
-            res.write(`data: ${JSON.stringify({ type: 'text', content: '\n\n' + followUpText })}\n\n`);
-            fullResponse += '\n\n' + followUpText;
-          }
-
-          // Add assistant's response to history
-          const followUpMessage = {
-            role: 'assistant',
-            content: followUpResponse.content
-          };
-          conversationData.messages.push(followUpMessage);
-
-          // Log follow-up message to database (don't wait)
-          Conversation.addMessage(conversationId, { role: 'assistant', content: followUpText })
-            .catch(err => console.error('Failed to log follow-up message:', err));
-
-        } else if (toolUseDetected && toolUseDetected.name === 'request_human_help') {
-          console.log(`🆘 Handoff requested for conversation: ${conversationId}`);
-
-          // Track that handoff was requested (for stats, but don't block future AI responses)
-          conversationData.handoffRequested = true;
-
-          // Add assistant's response to history
-          const assistantMessage = {
-            role: 'assistant',
-            content: message.content
-          };
-          conversationData.messages.push(assistantMessage);
-
-          // Log assistant message to database (don't wait)
-          Conversation.addMessage(conversationId, { role: 'assistant', content: fullResponse })
-            .catch(err => console.error('Failed to log assistant message:', err));
-
-          // Request handoff via Slack
-          let handoffResult;
-          try {
-            handoffResult = await requestHandoff(
-              conversationId,
-              conversationData.messages,
-              {
-                name: toolUseDetected.input.visitor_name,
-                email: toolUseDetected.input.visitor_email,
-                reason: toolUseDetected.input.reason,
-                urgency: toolUseDetected.input.urgency,
-                context: toolUseDetected.input.context_summary
-              }
-            );
-
-            // Mark conversation as handed off in database
-            if (handoffResult.success && handoffResult.threadTs) {
-              Conversation.markHandedOff(conversationId, handoffResult.threadTs)
-                .catch(err => console.error('Failed to mark handoff in database:', err));
-            }
-
-            res.write(`data: ${JSON.stringify({ type: 'handed_off', threadTs: handoffResult.threadTs })}\n\n`);
-          } catch (error) {
-            console.error('Failed to request handoff:', error);
-            handoffResult = {
-              success: false,
-              error: 'Failed to connect you with a team member. Please try again.'
-            };
-            res.write(`data: ${JSON.stringify({ type: 'error', error: 'Failed to request handoff' })}\n\n`);
-          }
-
-          // Send tool result back to Claude
-          conversationData.messages.push({
-            role: 'user',
-            content: [{
-              type: 'tool_result',
-              tool_use_id: toolUseDetected.id,
-              content: JSON.stringify(handoffResult)
-            }]
-          });
-
-          // Get Claude's follow-up message
-          const followUpResponse = await getAnthropic().messages.create({
-            model: 'claude-opus-4-5-20251101', // Claude Opus 4.5
-            max_tokens: 2048,
-            system: systemPrompt,
-            messages: conversationData.messages,
-          });
-
-          // Track usage for handoff follow-up
-          if (followUpResponse.usage) {
-            trackUsage(tenantId, conversationId, 'claude-opus-4-5-20251101', followUpResponse.usage)
-              .catch(err => console.error('Failed to track handoff follow-up usage:', err));
-          }
-
-          const followUpText = followUpResponse.content
-            .filter(block => block.type === 'text')
-            .map(block => block.text)
-            .join('');
-
-          const followUpMessage = {
-            role: 'assistant',
-            content: followUpText
-          };
-          conversationData.messages.push(followUpMessage);
-
-          // Log follow-up message to database (don't wait)
-          Conversation.addMessage(conversationId, followUpMessage)
-            .catch(err => console.error('Failed to log follow-up message:', err));
-
-          // Stream the follow-up message
-          res.write(`data: ${JSON.stringify({ type: 'text', content: '\n\n' + followUpText })}\n\n`);
-          fullResponse += '\n\n' + followUpText;
-        } else {
-          // No tool use, just add to history
-          const assistantMessage = {
-            role: 'assistant',
-            content: fullResponse
-          };
-          conversationData.messages.push(assistantMessage);
-
-          // Log assistant message to database (don't wait)
-          Conversation.addMessage(conversationId, assistantMessage)
-            .catch(err => console.error('Failed to log assistant message:', err));
-        }
-
-        // Send completion event
-        res.write(`data: ${JSON.stringify({ type: 'done', conversationId, leadCaptured: conversationData.leadCaptured })}\n\n`);
-        res.end();
-      });
-
-      // Handle errors
-      stream.on('error', (error) => {
-        console.error('Stream error:', error);
-        res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-        res.end();
-      });
+      recordConversationMetrics(conversationData);
 
+      // Send completion event
+      res.write(`data: ${JSON.stringify({ type: 'done', conversationId, leadCaptured: conversationData.leadCaptured })}\n\n`);
+      res.end();
     } catch (error) {
       console.error('❌ Streaming error:', error);
+      recordConversationMetrics(conversationData);
+      MetricsService.recordError(conversationId, tenantId);
       res.write(`data: ${JSON.stringify({ type: 'error', error: 'Failed to connect to AI' })}\n\n`);
       res.end();
     }
@@ -644,14 +600,19 @@ export function handleGetGreeting(req, res) {
  */
 export function handleEndConversation(req, res) {
   const { conversationId } = req.body;
+  const conversationData = conversationId ? conversations.get(conversationId) : null;
 
-  if (conversationId && conversations.has(conversationId)) {
+  if (conversationData && conversationData.tenantId === (req.tenantId || DEFAULT_TENANT_ID)) {
     conversations.delete(conversationId);
     console.log(`🏁 Conversation ended: ${conversationId}`);
 
+    recordConversationEndMetrics(conversationData);
+
     // Mark as ended in database (don't wait)
     Conversation.markEnded(conversationId)
       .catch(err => console.error('Failed to mark conversation ended:', err));
+
+    emitConversationEnded(conversationData, 'ended');
   }
 
   res.json({ success: true });
@@ -663,24 +624,25 @@ export function handleEndConversation(req, res) {
  */
 export async function handleGetStats(req, res) {
   try {
+    const tenantId = req.tenantId || DEFAULT_TENANT_ID;
+
     // Get database stats (includes handoff count from DB)
-    const dbStats = await Conversation.getStats();
+    const dbStats = await Conversation.getStats(tenantId);
 
     // Get recent leads (last 10)
-    const recentLeads = await Lead.getAll(10, 0);
+    const recentLeads = await Lead.getAll(10, 0, tenantId);
 
-    // Count calendar checks from active in-memory conversations only
-    let calendarChecks = 0;
-    Array.from(conversations.values()).forEach(conv => {
-      if (conv.calendarChecked) calendarChecks++;
-    });
+    // Count active conversations and calendar checks from in-memory conversations only
+    const activeConversations = Array.from(conversations.values())
+      .filter(conv => conv.tenantId === tenantId);
+    const calendarChecks = activeConversations.filter(conv => conv.calendarChecked).length;
 
     // Return stats in format expected by frontend
     // Use database handoff count (persisted) instead of in-memory (volatile)
     res.json({
       totalConversations: dbStats.total || 0,
       totalLeads: dbStats.withLeads || 0,
-      activeConversations: conversations.size,
+      activeConversations: activeConversations.length,
       handoffsRequested: dbStats.handoffsRequested || 0,
       calendarChecks,
       recentLeads: recentLeads.map(lead => ({
@@ -1,4 +1,6 @@
 import Conversation from '../models/Conversation.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+import { auditAdminAction } from '../services/auditService.js';
 
 /**
  * Get conversations for review
@@ -12,7 +14,8 @@ export async function getConversations(req, res) {
       limit: parseInt(limit),
       flaggedOnly: flaggedOnly === 'true',
       hasLeadOnly: hasLeadOnly === 'true',
-      search: search || ''
+      search: search || '',
+      tenantId: req.tenantId
     });
 
     res.json({ conversations });
@@ -29,7 +32,7 @@ export async function getConversations(req, res) {
 export async function getConversation(req, res) {
   try {
     const { id } = req.params;
-    const conversation = await Conversation.getById(id);
+    const conversation = await Conversation.getById(id, req.tenantId);
 
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
@@ -51,10 +54,30 @@ export async function flagConversation(req, res) {
     const { id } = req.params;
     const { flagged, reason } = req.body;
 
-    const success = await Conversation.setFlag(id, flagged, reason);
+    const success = await Conversation.setFlag(id, flagged, reason, req.tenantId);
 
     if (!success) {
-      return res.status(500).json({ error: 'Failed to flag conversation' });
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    auditAdminAction(req, flagged ? 'conversation.flag' : 'conversation.unflag', {
+      type: 'conversation',
+      id,
+      details: flagged ? { reason: reason || null } : null
+    });
+
+    if (flagged) {
+      // Notify the tenant's webhook (don't wait for it)
+      Conversation.getById(id, req.tenantId).then(conversation => {
+        if (!conversation) return;
+        emitWebhookEvent(conversation.tenant_id, 'conversation.flagged', {
+          conversation_id: id,
+          reason: reason || null,
+          flagged_at: conversation.flagged_at,
+          lead_captured: !!conversation.lead_id,
+          message_count: conversation.messages?.length || 0
+        });
+      }).catch(err => console.error('Failed to load flagged conversation:', err));
     }
 
     res.json({
@@ -76,12 +99,14 @@ export async function addNotes(req, res) {
     const { id } = req.params;
     const { notes } = req.body;
 
-    const success = await Conversation.addReviewNotes(id, notes);
+    const success = await Conversation.addReviewNotes(id, notes, req.tenantId);
 
     if (!success) {
-      return res.status(500).json({ error: 'Failed to add notes' });
+      return res.status(404).json({ error: 'Conversation not found' });
     }
 
+    auditAdminAction(req, 'conversation.notes', { type: 'conversation', id });
+
     res.json({ message: 'Notes saved successfully' });
   } catch (error) {
     console.error('Error adding notes:', error);
@@ -95,7 +120,7 @@ export async function addNotes(req, res) {
  */
 export async function getConversationStats(req, res) {
   try {
-    const stats = await Conversation.getStats();
+    const stats = await Conversation.getStats(req.tenantId);
     res.json({ stats });
   } catch (error) {
     console.error('Error getting stats:', error);
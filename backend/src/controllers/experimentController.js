@@ -0,0 +1,306 @@
+import Experiment from '../models/Experiment.js';
+import PromptVariation from '../models/PromptVariation.js';
+import { clearPromptCache } from './chatController.js';
+import { getEditorName, auditAdminAction } from '../services/auditService.js';
+
+// Allowed status changes: draft → running ⇄ paused → completed
+const STATUS_TRANSITIONS = {
+  draft: ['running'],
+  running: ['paused', 'completed'],
+  paused: ['running', 'completed'],
+  completed: []
+};
+
+/**
+ * Validate and normalize arms from a request body
+ * Expects [{ name, is_control, traffic_percentage, variations: { sectionId: variationId } }]
+ * @returns {Object} { arms } or { error }
+ */
+async function validateArms(arms, tenantId) {
+  if (!Array.isArray(arms) || arms.length < 2) {
+    return { error: 'An experiment needs a control arm and at least one other arm' };
+  }
+
+  const normalized = arms.map(arm => ({
+    name: typeof arm.name === 'string' ? arm.name.trim() : '',
+    is_control: !!arm.is_control,
+    traffic_percentage: arm.traffic_percentage,
+    variations: arm.variations || {}
+  }));
+
+  if (normalized.some(arm => !arm.name)) {
+    return { error: 'Every arm needs a name' };
+  }
+
+  if (new Set(normalized.map(arm => arm.name)).size !== normalized.length) {
+    return { error: 'Arm names must be unique' };
+  }
+
+  if (normalized.filter(arm => arm.is_control).length !== 1) {
+    return { error: 'Exactly one arm must be the control' };
+  }
+
+  if (normalized.some(arm => !Number.isInteger(arm.traffic_percentage) || arm.traffic_percentage < 0 || arm.traffic_percentage > 100)) {
+    return { error: 'traffic_percentage must be a whole number between 0 and 100' };
+  }
+
+  const totalTraffic = normalized.reduce((sum, arm) => sum + arm.traffic_percentage, 0);
+  if (totalTraffic !== 100) {
+    return { error: `Arm traffic must add up to 100% (currently ${totalTraffic}%)` };
+  }
+
+  for (const arm of normalized) {
+    const entries = Object.entries(arm.variations);
+
+    if (arm.is_control && entries.length > 0) {
+      return { error: 'The control arm uses the base prompt and cannot have variations' };
+    }
+    if (!arm.is_control && entries.length === 0) {
+      return { error: `Arm "${arm.name}" must change at least one section` };
+    }
+
+    for (const [sectionId, variationId] of entries) {
+      const variation = await PromptVariation.getById(variationId, tenantId);
+      if (!variation || variation.prompt_section_id !== sectionId) {
+        return { error: `Arm "${arm.name}": variation ${variationId} does not belong to section ${sectionId}` };
+      }
+    }
+  }
+
+  return { arms: normalized };
+}
+
+/**
+ * List experiments
+ * GET /api/admin/experiments
+ */
+export async function getExperiments(req, res) {
+  try {
+    const experiments = await Experiment.getAll(req.tenantId);
+    res.json({ experiments });
+  } catch (error) {
+    console.error('Error getting experiments:', error);
+    res.status(500).json({ error: 'Failed to fetch experiments' });
+  }
+}
+
+/**
+ * Get an experiment with its arms
+ * GET /api/admin/experiments/:id
+ */
+export async function getExperiment(req, res) {
+  try {
+    const experiment = await Experiment.getById(req.params.id, req.tenantId);
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    res.json({ experiment });
+  } catch (error) {
+    console.error('Error getting experiment:', error);
+    res.status(500).json({ error: 'Failed to fetch experiment' });
+  }
+}
+
+/**
+ * Create a draft experiment
+ * POST /api/admin/experiments
+ * Body: { name, description, arms: [{ name, is_control, traffic_percentage, variations: { sectionId: variationId } }] }
+ */
+export async function createExperiment(req, res) {
+  try {
+    const { name, description } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Experiment name is required' });
+    }
+
+    const { arms, error } = await validateArms(req.body.arms, req.tenantId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const experiment = await Experiment.create({
+      name,
+      description,
+      arms,
+      created_by: getEditorName(req)
+    }, req.tenantId);
+
+    auditAdminAction(req, 'experiment.create', {
+      type: 'experiment',
+      id: experiment.id,
+      details: { name, arms: arms.map(arm => ({ name: arm.name, traffic_percentage: arm.traffic_percentage })) }
+    });
+
+    res.json({
+      experiment,
+      message: 'Experiment created as a draft. Start it to begin assigning conversations.'
+    });
+  } catch (error) {
+    console.error('Error creating experiment:', error);
+    res.status(500).json({ error: 'Failed to create experiment' });
+  }
+}
+
+/**
+ * Update an experiment's name, description, or (while a draft) its arms
+ * PUT /api/admin/experiments/:id
+ */
+export async function updateExperiment(req, res) {
+  try {
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    const existing = await Experiment.getById(id, req.tenantId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    let arms = null;
+    if (req.body.arms !== undefined) {
+      // Changing arms after conversations were assigned would corrupt the results
+      if (existing.status !== 'draft') {
+        return res.status(409).json({ error: 'Arms can only be changed while the experiment is a draft' });
+      }
+
+      const validation = await validateArms(req.body.arms, req.tenantId);
+      if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+      }
+      arms = validation.arms;
+    }
+
+    let experiment = await Experiment.update(id, { name, description }, req.tenantId);
+    if (arms) {
+      experiment = await Experiment.replaceArms(id, arms, req.tenantId);
+    }
+
+    auditAdminAction(req, 'experiment.update', {
+      type: 'experiment',
+      id,
+      details: { fields: Object.keys(req.body) }
+    });
+
+    res.json({
+      experiment,
+      message: 'Experiment updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating experiment:', error);
+    res.status(500).json({ error: 'Failed to update experiment' });
+  }
+}
+
+/**
+ * Start, pause, resume or complete an experiment
+ * POST /api/admin/experiments/:id/status
+ * Body: { status: 'running' | 'paused' | 'completed' }
+ */
+export async function updateExperimentStatus(req, res) {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const existing = await Experiment.getById(id, req.tenantId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    if (!(STATUS_TRANSITIONS[existing.status] || []).includes(status)) {
+      return res.status(400).json({ error: `Cannot change status from ${existing.status} to ${status}` });
+    }
+
+    // A section can only be owned by one running experiment at a time
+    if (status === 'running') {
+      const sectionIds = Experiment.getSectionIds(existing);
+      const running = await Experiment.getRunning(req.tenantId);
+      const conflict = running.find(other =>
+        other.id !== id && [...Experiment.getSectionIds(other)].some(sectionId => sectionIds.has(sectionId))
+      );
+
+      if (conflict) {
+        return res.status(409).json({
+          error: `Experiment "${conflict.name}" is already running on one of these sections`
+        });
+      }
+    }
+
+    const experiment = await Experiment.update(id, { status }, req.tenantId);
+
+    // Running experiments change which prompt new conversations get
+    clearPromptCache();
+
+    auditAdminAction(req, 'experiment.status', {
+      type: 'experiment',
+      id,
+      details: { name: existing.name, from: existing.status, to: status }
+    });
+
+    res.json({
+      experiment,
+      message: `Experiment is now ${status}`
+    });
+  } catch (error) {
+    console.error('Error updating experiment status:', error);
+    res.status(500).json({ error: 'Failed to update experiment status' });
+  }
+}
+
+/**
+ * Delete an experiment and its assignments
+ * DELETE /api/admin/experiments/:id
+ */
+export async function deleteExperiment(req, res) {
+  try {
+    const { id } = req.params;
+
+    const existing = await Experiment.getById(id, req.tenantId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    await Experiment.delete(id, req.tenantId);
+
+    clearPromptCache();
+
+    auditAdminAction(req, 'experiment.delete', {
+      type: 'experiment',
+      id,
+      details: { name: existing.name, status: existing.status }
+    });
+
+    res.json({ message: 'Experiment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting experiment:', error);
+    res.status(500).json({ error: 'Failed to delete experiment' });
+  }
+}
+
+/**
+ * Get per-arm results, compared against the control arm
+ * GET /api/admin/experiments/:id/results
+ */
+export async function getExperimentResults(req, res) {
+  try {
+    const results = await Experiment.getResults(req.params.id, req.tenantId);
+    if (!results) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    res.json(results);
+  } catch (error) {
+    console.error('Error getting experiment results:', error);
+    res.status(500).json({ error: 'Failed to fetch experiment results' });
+  }
+}
+
+export default {
+  getExperiments,
+  getExperiment,
+  createExperiment,
+  updateExperiment,
+  updateExperimentStatus,
+  deleteExperiment,
+  getExperimentResults
+};
@@ -1,5 +1,61 @@
 import Prompt from '../models/Prompt.js';
+import { PLANS } from '../models/Tenant.js';
 import { clearPromptCache } from './chatController.js';
+import { getEditorName, auditAdminAction } from '../services/auditService.js';
+import { diffLines } from '../services/diffService.js';
+import {
+  TEMPLATE_VARIABLES,
+  findVariables,
+  unknownVariablesError,
+  getTemplateValues
+} from '../services/promptTemplateService.js';
+import {
+  validateInclusionRules,
+  normalizeInclusionRules,
+  buildVisitorContext
+} from '../services/sectionRulesService.js';
+import { estimateTokens, getPromptTokenBudget, checkPromptBudget } from '../services/promptBudgetService.js';
+import { estimatePromptCost } from '../services/usageService.js';
+import { getModelConfig } from '../services/modelConfigService.js';
+
+// Columns managed by the server (tenant ownership, version trigger, drafts)
+const PROTECTED_FIELDS = [
+  'id', 'tenant_id', 'version', 'created_at', 'updated_at', 'last_edited_by', 'change_notes',
+  'draft_content', 'draft_change_notes', 'draft_updated_by', 'draft_updated_at',
+  'token_count', 'draft_token_count'
+];
+
+const NO_DRAFT = {
+  draft_content: null,
+  draft_change_notes: null,
+  draft_updated_by: null,
+  draft_updated_at: null
+};
+
+/**
+ * Change notes from a request body ("why" for the new version, optional)
+ */
+function changeNotesFrom(body) {
+  return typeof body.change_notes === 'string' && body.change_notes.trim()
+    ? body.change_notes.trim()
+    : null;
+}
+
+/**
+ * The plan's prompt section limit (-1 = unlimited)
+ */
+function promptSectionLimit(tenant) {
+  if (!tenant) return -1; // No tenant, no limits to check
+  return tenant.settings?.limits?.promptSections ??
+    (PLANS[tenant.plan_type] || PLANS.free).limits.promptSections;
+}
+
+/**
+ * Version metadata without the content
+ */
+function versionSummary({ version, edited_by, change_notes, created_at, is_current }) {
+  return { version, edited_by, change_notes, created_at, is_current };
+}
 
 /**
  * Get all prompt sections
@@ -7,7 +63,7 @@ import { clearPromptCache } from './chatController.js';
  */
 export async function getAllPrompts(req, res) {
   try {
-    const prompts = await Prompt.getAll();
+    const prompts = await Prompt.getAll(req.tenantId);
     res.json({ prompts });
   } catch (error) {
     console.error('Error getting prompts:', error);
@@ -22,7 +78,7 @@ export async function getAllPrompts(req, res) {
 export async function getPromptBySlug(req, res) {
   try {
     const { slug } = req.params;
-    const prompt = await Prompt.getBySlug(slug);
+    const prompt = await Prompt.getBySlug(slug, req.tenantId);
     res.json({ prompt });
   } catch (error) {
     console.error('Error getting prompt:', error);
@@ -36,12 +92,37 @@ export async function getPromptBySlug(req, res) {
  */
 export async function createPrompt(req, res) {
   try {
-    const { name, slug, description, content, is_active, display_order } = req.body;
+    const { name, slug, description, content, is_active, display_order, inclusion_rules } = req.body;
 
     if (!name || !slug || !content) {
       return res.status(400).json({ error: 'Name, slug, and content are required' });
     }
 
+    const variablesError = unknownVariablesError(content);
+    if (variablesError) {
+      return res.status(400).json(variablesError);
+    }
+
+    const rulesError = validateInclusionRules(inclusion_rules);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+
+    // Check prompt section limit
+    const maxSections = promptSectionLimit(req.tenant);
+    if (maxSections !== -1) {
+      const currentSections = await Prompt.count(req.tenantId);
+      if (currentSections >= maxSections) {
+        return res.status(403).json({
+          error: 'Prompt section limit reached',
+          message: `Your plan allows ${maxSections} prompt section(s). Please upgrade to add more.`,
+          current: currentSections,
+          max: maxSections,
+          currentPlan: req.tenant?.plan_type
+        });
+      }
+    }
+
     const prompt = await Prompt.create({
       name,
       slug,
@@ -49,12 +130,16 @@ export async function createPrompt(req, res) {
       content,
       is_active: is_active !== undefined ? is_active : true,
       display_order: display_order || 0,
-      last_edited_by: 'admin'
-    });
+      inclusion_rules: normalizeInclusionRules(inclusion_rules),
+      last_edited_by: getEditorName(req),
+      change_notes: changeNotesFrom(req.body)
+    }, req.tenantId);
 
     // Clear cache so new prompt takes effect immediately
     clearPromptCache();
 
+    auditAdminAction(req, 'prompt.create', { type: 'prompt_section', id: prompt.id, details: { name, slug } });
+
     res.json({ prompt, message: 'Prompt section created successfully' });
   } catch (error) {
     console.error('Error creating prompt:', error);
@@ -65,18 +150,75 @@ export async function createPrompt(req, res) {
 /**
  * Update prompt section
  * PUT /api/admin/prompts/:id
+ * Content (and change_notes) are saved as a draft - visitors keep getting
+ * the published content until drafts are published. Other fields apply now.
  */
 export async function updatePrompt(req, res) {
   try {
     const { id } = req.params;
-    const updates = { ...req.body, last_edited_by: 'admin' };
 
-    const prompt = await Prompt.update(id, updates);
+    const { content, ...fields } = Object.fromEntries(
+      Object.entries(req.body).filter(([key]) => !PROTECTED_FIELDS.includes(key))
+    );
+    const editor = getEditorName(req);
+    const updates = { ...fields, last_edited_by: editor };
+
+    // Targeting applies immediately, like the other non-content fields
+    if ('inclusion_rules' in updates) {
+      const rulesError = validateInclusionRules(updates.inclusion_rules);
+      if (rulesError) {
+        return res.status(400).json({ error: rulesError });
+      }
+      updates.inclusion_rules = normalizeInclusionRules(updates.inclusion_rules);
+    }
+
+    const existing = await Prompt.getById(id, req.tenantId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    let savedDraft = false;
+    if (content !== undefined) {
+      if (typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({ error: 'Content cannot be empty' });
+      }
+
+      const variablesError = unknownVariablesError(content);
+      if (variablesError) {
+        return res.status(400).json(variablesError);
+      }
+
+      if (content === existing.content) {
+        // Edited back to what's published - nothing left to publish
+        Object.assign(updates, NO_DRAFT);
+      } else {
+        Object.assign(updates, {
+          draft_content: content,
+          draft_change_notes: changeNotesFrom(req.body),
+          draft_updated_by: editor,
+          draft_updated_at: new Date().toISOString()
+        });
+        savedDraft = true;
+      }
+    }
+
+    const prompt = await Prompt.update(id, updates, req.tenantId);
 
     // Clear cache so updated prompt takes effect immediately
     clearPromptCache();
 
-    res.json({ prompt, message: 'Prompt updated successfully' });
+    auditAdminAction(req, 'prompt.update', {
+      type: 'prompt_section',
+      id,
+      details: { fields: Object.keys(req.body).filter(key => !PROTECTED_FIELDS.includes(key)), draft: savedDraft }
+    });
+
+    res.json({
+      prompt,
+      message: savedDraft
+        ? 'Draft saved. Publish drafts to make it live.'
+        : 'Prompt updated successfully'
+    });
   } catch (error) {
     console.error('Error updating prompt:', error);
     res.status(500).json({ error: 'Failed to update prompt' });
@@ -90,11 +232,23 @@ export async function updatePrompt(req, res) {
 export async function deletePrompt(req, res) {
   try {
     const { id } = req.params;
-    await Prompt.delete(id);
+
+    const existing = await Prompt.getById(id, req.tenantId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    await Prompt.delete(id, req.tenantId);
 
     // Clear cache so deletion takes effect immediately
     clearPromptCache();
 
+    auditAdminAction(req, 'prompt.delete', {
+      type: 'prompt_section',
+      id,
+      details: { name: existing.name, slug: existing.slug }
+    });
+
     res.json({ message: 'Prompt deleted successfully' });
   } catch (error) {
     console.error('Error deleting prompt:', error);
@@ -109,7 +263,7 @@ export async function deletePrompt(req, res) {
 export async function getPromptHistory(req, res) {
   try {
     const { id } = req.params;
-    const history = await Prompt.getVersionHistory(id);
+    const history = await Prompt.getVersionHistory(id, req.tenantId);
     res.json({ history });
   } catch (error) {
     console.error('Error getting prompt history:', error);
@@ -117,25 +271,229 @@ export async function getPromptHistory(req, res) {
   }
 }
 
+/**
+ * Line diff between two versions of a section (the current version included)
+ * GET /api/admin/prompts/:id/versions/:a/diff/:b
+ */
+export async function getVersionDiff(req, res) {
+  try {
+    const { id } = req.params;
+    const from = parseInt(req.params.a, 10);
+    const to = parseInt(req.params.b, 10);
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+      return res.status(400).json({ error: 'Versions must be positive whole numbers' });
+    }
+
+    const section = await Prompt.getById(id, req.tenantId);
+    if (!section) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      Prompt.getVersion(section, from, req.tenantId),
+      Prompt.getVersion(section, to, req.tenantId)
+    ]);
+
+    const missing = !fromVersion ? from : !toVersion ? to : null;
+    if (missing) {
+      return res.status(404).json({ error: `Version ${missing} not found` });
+    }
+
+    res.json({
+      section_id: id,
+      from: versionSummary(fromVersion),
+      to: versionSummary(toVersion),
+      diff: diffLines(fromVersion.content, toVersion.content)
+    });
+  } catch (error) {
+    console.error('Error diffing prompt versions:', error);
+    res.status(500).json({ error: 'Failed to diff versions' });
+  }
+}
+
+/**
+ * Restore an earlier version's content as the section's draft
+ * Like any other edit it goes live when drafts are published; a pending
+ * draft is replaced
+ * POST /api/admin/prompts/:id/versions/restore/:version
+ * Body: { change_notes } (optional)
+ */
+export async function restoreVersion(req, res) {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version, 10);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'Version must be a positive whole number' });
+    }
+
+    const section = await Prompt.getById(id, req.tenantId);
+    if (!section) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const restored = await Prompt.getVersion(section, version, req.tenantId);
+    if (!restored) {
+      return res.status(404).json({ error: `Version ${version} not found` });
+    }
+
+    const replacedDraft = section.draft_content !== null && section.draft_content !== undefined;
+
+    if (restored.content === section.content && !replacedDraft) {
+      return res.status(400).json({ error: `Version ${version} has the same content as the current version` });
+    }
+
+    // Restoring the published content just drops the pending draft
+    const prompt = await Prompt.update(id, restored.content === section.content ? NO_DRAFT : {
+      draft_content: restored.content,
+      draft_change_notes: changeNotesFrom(req.body) || `Restored version ${version}`,
+      draft_updated_by: getEditorName(req),
+      draft_updated_at: new Date().toISOString()
+    }, req.tenantId);
+
+    auditAdminAction(req, 'prompt.restore', {
+      type: 'prompt_section',
+      id,
+      details: { restored_version: version, current_version: section.version, replaced_draft: replacedDraft, draft: true }
+    });
+
+    res.json({
+      prompt,
+      replacedDraft,
+      message: restored.content === section.content
+        ? `Version ${version} is the published content - the draft was discarded`
+        : `Version ${version} saved as a draft${replacedDraft ? ' (replacing the previous draft)' : ''}. Publish drafts to make it live.`
+    });
+  } catch (error) {
+    console.error('Error restoring prompt version:', error);
+    res.status(500).json({ error: 'Failed to restore version' });
+  }
+}
+
+/**
+ * Discard a section's unpublished draft
+ * DELETE /api/admin/prompts/:id/draft
+ */
+export async function discardDraft(req, res) {
+  try {
+    const { id } = req.params;
+
+    const existing = await Prompt.getById(id, req.tenantId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    if (existing.draft_content === null || existing.draft_content === undefined) {
+      return res.status(400).json({ error: 'This section has no draft' });
+    }
+
+    const prompt = await Prompt.update(id, NO_DRAFT, req.tenantId);
+
+    auditAdminAction(req, 'prompt.draft_discard', { type: 'prompt_section', id, details: { name: existing.name } });
+
+    res.json({ prompt, message: 'Draft discarded' });
+  } catch (error) {
+    console.error('Error discarding prompt draft:', error);
+    res.status(500).json({ error: 'Failed to discard draft' });
+  }
+}
+
+/**
+ * Publish every section's draft at once
+ * POST /api/admin/prompts/publish
+ */
+export async function publishDrafts(req, res) {
+  try {
+    const published = await Prompt.publishDrafts(req.tenantId, getEditorName(req));
+
+    if (published.length === 0) {
+      return res.status(400).json({ error: 'There are no drafts to publish' });
+    }
+
+    // Published content takes effect for the next message
+    clearPromptCache();
+
+    auditAdminAction(req, 'prompt.publish', {
+      type: 'prompt_section',
+      details: { sections: published.map(p => ({ id: p.section_id, name: p.name, version: p.version })) }
+    });
+
+    res.json({
+      published,
+      message: `Published ${published.length} section${published.length !== 1 ? 's' : ''}`
+    });
+  } catch (error) {
+    console.error('Error publishing prompt drafts:', error);
+    res.status(500).json({ error: 'Failed to publish drafts' });
+  }
+}
+
 /**
  * Preview compiled system prompt
- * GET /api/admin/prompts/preview
+ * GET /api/admin/prompts/preview?drafts=true
+ * With drafts=true, sections with an unpublished draft use it.
+ * Simulate a visitor with page_url, referrer, language, visitor=new|returning
+ * and at (ISO time) - without any of them every active section is included.
+ * Reports token counts against the tenant's budget and what the prompt costs
+ * per conversation.
  */
 export async function previewSystemPrompt(req, res) {
   try {
-    const systemPrompt = await Prompt.buildSystemPrompt();
-    const sections = await Prompt.getAllActive();
+    const useDrafts = req.query.drafts === 'true';
+    const simulated = ['page_url', 'referrer', 'language', 'visitor', 'at'].some(key => req.query[key]);
+    const visitorContext = simulated
+      ? buildVisitorContext({ ...req.query, returning: req.query.visitor === 'returning' })
+      : null;
+    const startedAt = req.query.at && !isNaN(Date.parse(req.query.at)) ? new Date(req.query.at) : new Date();
 
-    res.json({
-      systemPrompt,
-      sections: sections.map(s => ({
+    const systemPrompt = await Prompt.buildSystemPrompt(req.tenantId, { useDrafts, visitorContext, startedAt });
+    const sections = await Prompt.getAllActive(req.tenantId);
+    const included = new Set(
+      (await Prompt.getActiveForVisitor(req.tenantId, visitorContext, startedAt)).map(s => s.id)
+    );
+    const values = await getTemplateValues(req.tenantId);
+    const used = new Set();
+
+    const sectionSummaries = sections.map(s => {
+      const showDraft = useDrafts && s.draft_content !== null && s.draft_content !== undefined;
+      const content = showDraft ? s.draft_content : s.content;
+      const variables = findVariables(content);
+      if (included.has(s.id)) variables.forEach(name => used.add(name));
+      return {
         name: s.name,
         slug: s.slug,
-        length: s.content.length,
-        order: s.display_order
-      })),
+        length: content.length,
+        tokens: (showDraft ? s.draft_token_count : s.token_count) ?? estimateTokens(content),
+        order: s.display_order,
+        has_draft: s.draft_content !== null && s.draft_content !== undefined,
+        variables,
+        inclusion_rules: s.inclusion_rules || null,
+        included: included.has(s.id)
+      };
+    });
+
+    // Budget the prompt as sent (variables filled in, separators included)
+    const totalTokens = estimateTokens(systemPrompt);
+    const budget = checkPromptBudget(
+      totalTokens,
+      getPromptTokenBudget(req.tenant),
+      sectionSummaries.filter(s => s.included)
+    );
+    const costEstimate = await estimatePromptCost(req.tenantId, totalTokens, getModelConfig(req.tenant).chain[0]);
+
+    res.json({
+      systemPrompt,
+      sections: sectionSummaries,
+      // Variables the sections use that the tenant hasn't filled in (they render empty)
+      missingVariables: [...used].filter(name => name in TEMPLATE_VARIABLES && !values[name]),
       totalLength: systemPrompt.length,
-      sectionCount: sections.length
+      totalTokens,
+      budget,
+      costEstimate,
+      sectionCount: included.size,
+      drafts: useDrafts,
+      visitorContext
     });
   } catch (error) {
     console.error('Error previewing prompt:', error);
@@ -143,6 +501,28 @@ export async function previewSystemPrompt(req, res) {
   }
 }
 
+/**
+ * List the template variables prompts can use, with this tenant's values
+ * GET /api/admin/prompts/variables
+ */
+export async function getPromptVariables(req, res) {
+  try {
+    const values = await getTemplateValues(req.tenantId);
+
+    res.json({
+      variables: Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => ({
+        name,
+        placeholder: `{{${name}}}`,
+        description,
+        value: values[name] || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting prompt variables:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt variables' });
+  }
+}
+
 /**
  * Import hardcoded prompt as initial database entry
  * POST /api/admin/prompts/import
@@ -150,7 +530,7 @@ export async function previewSystemPrompt(req, res) {
 export async function importHardcodedPrompt(req, res) {
   try {
     // Check if we already have prompts
-    const existing = await Prompt.getAll();
+    const existing = await Prompt.getAll(req.tenantId);
     if (existing.length > 0) {
       return res.status(400).json({
         error: 'Prompts already exist in database. Delete them first if you want to re-import.'
@@ -167,8 +547,10 @@ export async function importHardcodedPrompt(req, res) {
       content: SYSTEM_PROMPT,
       is_active: true,
       display_order: 1,
-      last_edited_by: 'import-script'
-    });
+      last_edited_by: getEditorName(req)
+    }, req.tenantId);
+
+    auditAdminAction(req, 'prompt.import', { type: 'prompt_section', id: prompt.id });
 
     res.json({
       message: 'Hardcoded prompt imported successfully!',
@@ -188,6 +570,11 @@ export default {
   updatePrompt,
   deletePrompt,
   getPromptHistory,
+  getVersionDiff,
+  restoreVersion,
+  discardDraft,
+  publishDrafts,
   previewSystemPrompt,
+  getPromptVariables,
   importHardcodedPrompt
 };
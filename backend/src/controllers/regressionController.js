@@ -0,0 +1,227 @@
+import GoldenConversation from '../models/GoldenConversation.js';
+import PromptRegressionRun from '../models/PromptRegressionRun.js';
+import { getEditorName, auditAdminAction } from '../services/auditService.js';
+import {
+  EXPECTATION_TYPES,
+  validateGoldenConversation,
+  getPromptVersion,
+  runRegressionSuite
+} from '../services/promptRegressionService.js';
+import { MODEL_CLIENTS } from '../services/regressionModelClients.js';
+
+/**
+ * Golden conversation fields from a request body
+ */
+function goldenFields(body) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = body.name.trim();
+  if (body.description !== undefined) fields.description = body.description || null;
+  if (body.turns !== undefined) fields.turns = body.turns.map(turn => turn.trim());
+  if (body.expectations !== undefined) fields.expectations = body.expectations;
+  if (body.visitor_context !== undefined) fields.visitor_context = body.visitor_context || null;
+  if (body.is_active !== undefined) fields.is_active = !!body.is_active;
+  return fields;
+}
+
+/**
+ * List golden conversations
+ * GET /api/admin/golden-conversations
+ */
+export async function getGoldenConversations(req, res) {
+  try {
+    const goldenConversations = await GoldenConversation.getAll(req.tenantId);
+    res.json({ goldenConversations, expectationTypes: EXPECTATION_TYPES, clients: MODEL_CLIENTS });
+  } catch (error) {
+    console.error('Error getting golden conversations:', error);
+    res.status(500).json({ error: 'Failed to fetch golden conversations' });
+  }
+}
+
+/**
+ * Save a golden conversation
+ * POST /api/admin/golden-conversations
+ * Body: { name, description, turns: ["visitor message", ...], expectations: [{ type, ... }], visitor_context, is_active }
+ */
+export async function createGoldenConversation(req, res) {
+  try {
+    const validationError = validateGoldenConversation(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const golden = await GoldenConversation.create({
+      ...goldenFields(req.body),
+      created_by: getEditorName(req)
+    }, req.tenantId);
+
+    auditAdminAction(req, 'golden_conversation.create', {
+      type: 'golden_conversation',
+      id: golden.id,
+      details: { name: golden.name, turns: golden.turns.length, expectations: golden.expectations.length }
+    });
+
+    res.json({ goldenConversation: golden, message: 'Golden conversation saved' });
+  } catch (error) {
+    console.error('Error creating golden conversation:', error);
+    res.status(500).json({ error: 'Failed to create golden conversation' });
+  }
+}
+
+/**
+ * Update a golden conversation
+ * PUT /api/admin/golden-conversations/:id
+ */
+export async function updateGoldenConversation(req, res) {
+  try {
+    const validationError = validateGoldenConversation(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const golden = await GoldenConversation.update(req.params.id, goldenFields(req.body), req.tenantId);
+    if (!golden) {
+      return res.status(404).json({ error: 'Golden conversation not found' });
+    }
+
+    auditAdminAction(req, 'golden_conversation.update', {
+      type: 'golden_conversation',
+      id: golden.id,
+      details: { fields: Object.keys(goldenFields(req.body)) }
+    });
+
+    res.json({ goldenConversation: golden, message: 'Golden conversation updated' });
+  } catch (error) {
+    console.error('Error updating golden conversation:', error);
+    res.status(500).json({ error: 'Failed to update golden conversation' });
+  }
+}
+
+/**
+ * Delete a golden conversation
+ * DELETE /api/admin/golden-conversations/:id
+ */
+export async function deleteGoldenConversation(req, res) {
+  try {
+    const golden = await GoldenConversation.getById(req.params.id, req.tenantId);
+    if (!golden) {
+      return res.status(404).json({ error: 'Golden conversation not found' });
+    }
+
+    await GoldenConversation.delete(req.params.id, req.tenantId);
+
+    auditAdminAction(req, 'golden_conversation.delete', {
+      type: 'golden_conversation',
+      id: golden.id,
+      details: { name: golden.name }
+    });
+
+    res.json({ message: 'Golden conversation deleted' });
+  } catch (error) {
+    console.error('Error deleting golden conversation:', error);
+    res.status(500).json({ error: 'Failed to delete golden conversation' });
+  }
+}
+
+/**
+ * Replay the active golden conversations against the prompt
+ * POST /api/admin/golden-conversations/run
+ * Body: { drafts (default true), client: 'stub' (default, offline) | 'anthropic' }
+ */
+export async function runGoldenConversations(req, res) {
+  try {
+    const useDrafts = req.body.drafts !== false;
+    const client = req.body.client || 'stub';
+
+    if (!MODEL_CLIENTS.includes(client)) {
+      return res.status(400).json({ error: `client must be one of: ${MODEL_CLIENTS.join(', ')}` });
+    }
+
+    const goldens = await GoldenConversation.getAll(req.tenantId, { activeOnly: true });
+    if (goldens.length === 0) {
+      return res.status(400).json({ error: 'There are no active golden conversations to run' });
+    }
+
+    const run = await runRegressionSuite(req.tenantId, goldens, {
+      tenant: req.tenant,
+      useDrafts,
+      client,
+      runBy: getEditorName(req)
+    });
+
+    auditAdminAction(req, 'prompt.regression_run', {
+      type: 'prompt_regression_run',
+      id: run.id,
+      details: { client, drafts: useDrafts, passed: run.passed, failed: run.failed }
+    });
+
+    res.json({
+      run,
+      message: `${run.passed}/${run.total} golden conversations passed`
+    });
+  } catch (error) {
+    console.error('Error running golden conversations:', error);
+    res.status(500).json({ error: 'Failed to run golden conversations', message: error.message });
+  }
+}
+
+/**
+ * List regression runs (without transcripts)
+ * GET /api/admin/golden-conversations/runs?limit=20
+ */
+export async function getRegressionRuns(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const runs = await PromptRegressionRun.list(req.tenantId, { limit });
+    res.json({ runs });
+  } catch (error) {
+    console.error('Error getting regression runs:', error);
+    res.status(500).json({ error: 'Failed to fetch regression runs' });
+  }
+}
+
+/**
+ * Latest run against the current prompt - shown before publishing drafts
+ * GET /api/admin/golden-conversations/runs/latest?drafts=true
+ * run is null when the prompt (with drafts, by default) hasn't been run yet
+ */
+export async function getLatestRegressionRun(req, res) {
+  try {
+    const useDrafts = req.query.drafts !== 'false';
+    const { promptHash, sectionVersions } = await getPromptVersion(req.tenantId, { useDrafts });
+    const run = await PromptRegressionRun.getLatestForPrompt(promptHash, req.tenantId);
+
+    res.json({ run, promptHash, sectionVersions });
+  } catch (error) {
+    console.error('Error getting latest regression run:', error);
+    res.status(500).json({ error: 'Failed to fetch regression run' });
+  }
+}
+
+/**
+ * Get a regression run with its results and transcripts
+ * GET /api/admin/golden-conversations/runs/:id
+ */
+export async function getRegressionRun(req, res) {
+  try {
+    const run = await PromptRegressionRun.getById(req.params.id, req.tenantId);
+    if (!run) {
+      return res.status(404).json({ error: 'Regression run not found' });
+    }
+
+    res.json({ run });
+  } catch (error) {
+    console.error('Error getting regression run:', error);
+    res.status(500).json({ error: 'Failed to fetch regression run' });
+  }
+}
+
+export default {
+  getGoldenConversations,
+  createGoldenConversation,
+  updateGoldenConversation,
+  deleteGoldenConversation,
+  runGoldenConversations,
+  getRegressionRuns,
+  getLatestRegressionRun,
+  getRegressionRun
+};
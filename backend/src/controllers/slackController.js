@@ -1,4 +1,5 @@
 import Conversation from '../models/Conversation.js';
+import { sendMessageToThread, postToThread } from '../services/slackService.js';
 
 // In-memory storage for pending messages to visitors
 // In production, use Redis or similar
@@ -33,9 +34,9 @@ export async function handleSlackEvents(req, res) {
       if (event.thread_ts) {
         console.log(`💬 Slack reply received in thread: ${event.thread_ts}`);
 
-        // Find the conversation with this thread_ts
-        // We need to query the database to find which conversation this thread belongs to
-        const conversationId = await findConversationByThreadTs(event.thread_ts);
+        // Find the conversation this thread belongs to
+        const conversation = await Conversation.getBySlackThread(event.thread_ts, event.channel);
+        const conversationId = conversation?.conversation_id;
 
         if (conversationId) {
           // Check for /handback command
@@ -45,16 +46,12 @@ export async function handleSlackEvents(req, res) {
             // Clear handoff state - let AI resume
             await Conversation.clearHandoff(conversationId);
 
-            // Send confirmation to Slack thread using Slack client directly
-            const { WebClient } = await import('@slack/web-api');
-            const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
-
-            await slackClient.chat.postMessage({
-              channel: process.env.SLACK_CHANNEL_ID,
-              thread_ts: event.thread_ts,
-              text: '✅ AI has resumed the conversation. The chatbot will handle the next visitor message.',
-              mrkdwn: true
-            });
+            // Send confirmation to the tenant's Slack thread
+            await postToThread(
+              event.thread_ts,
+              '✅ AI has resumed the conversation. The chatbot will handle the next visitor message.',
+              conversation.tenant_id
+            );
 
             console.log(`✓ AI resumed for conversation: ${conversationId}`);
             return res.json({ ok: true });
@@ -103,8 +100,8 @@ export async function pollSlackMessages(req, res) {
   try {
     const { conversationId } = req.params;
 
-    // Check if conversation is handed off
-    const handoffState = await Conversation.getHandoffState(conversationId);
+    // Check if conversation is handed off (only the tenant's own conversations)
+    const handoffState = await Conversation.getHandoffState(conversationId, req.tenantId);
 
     if (!handoffState.is_handed_off) {
       return res.json({ messages: [], isHandedOff: false });
@@ -138,21 +135,19 @@ export async function sendToSlackThread(req, res) {
   try {
     const { conversationId, message } = req.body;
 
-    // Get handoff state to find the thread
-    const handoffState = await Conversation.getHandoffState(conversationId);
+    // Get handoff state to find the thread (only the tenant's own conversations)
+    const handoffState = await Conversation.getHandoffState(conversationId, req.tenantId);
 
     if (!handoffState.is_handed_off || !handoffState.slack_thread_ts) {
       return res.status(400).json({ error: 'Conversation not handed off' });
     }
 
-    // Import Slack client dynamically to avoid circular dependencies
-    const { sendMessageToThread } = await import('../services/slackService.js');
-
-    // Send message to Slack thread
+    // Send message to the tenant's Slack thread
     const result = await sendMessageToThread(
       handoffState.slack_thread_ts,
       message,
-      conversationId
+      conversationId,
+      handoffState.tenant_id
     );
 
     if (result.success) {
@@ -173,32 +168,6 @@ export async function sendToSlackThread(req, res) {
   }
 }
 
-/**
- * Helper function to find conversation by Slack thread timestamp
- */
-async function findConversationByThreadTs(threadTs) {
-  try {
-    // Query Supabase to find conversation with this thread_ts
-    const { createClient } = await import('@supabase/supabase-js');
-    const supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_KEY
-    );
-
-    const { data, error } = await supabase
-      .from('conversations')
-      .select('conversation_id')
-      .eq('slack_thread_ts', threadTs)
-      .single();
-
-    if (error) throw error;
-    return data?.conversation_id || null;
-  } catch (error) {
-    console.error('Error finding conversation by thread_ts:', error);
-    return null;
-  }
-}
-
 export default {
   handleSlackEvents,
   pollSlackMessages,
@@ -1,10 +1,21 @@
 import Tenant, { TenantApiKey, TenantUser, TenantIntegrations, PLANS } from '../models/Tenant.js';
 import { hashPassword, generateTokens, loginUser, refreshTokens } from '../middleware/tenantAuth.js';
+import { clearTenantCache } from '../middleware/tenantResolver.js';
+import { clearCredentialsCache } from '../services/tenantCredentials.js';
+import { getTool, isToolAvailable, listToolsForTenant } from '../services/toolRegistry.js';
+import { DEFAULT_MODEL_SETTINGS, getModelConfig, validateModelSettings, listModelsForTenant } from '../services/modelConfigService.js';
+import { WEBHOOK_EVENTS, generateWebhookSecret, checkWebhookUrl, sendTestEvent, redeliver } from '../services/webhookService.js';
+import { clearTemplateCache } from '../services/promptTemplateService.js';
+import { clearPromptCache } from './chatController.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
 
 /**
  * Tenant Controller - Handles tenant management API endpoints
  */
 
+// settings.company fields (filled into prompts as {{company.*}}, {{business_hours}}, {{today}})
+const COMPANY_FIELDS = ['name', 'phone', 'email', 'address', 'website', 'contact_name', 'business_hours', 'timezone'];
+
 // ==================== Authentication ====================
 
 /**
@@ -205,9 +216,40 @@ export async function getCurrentTenant(req, res) {
   }
 }
 
+/**
+ * Validate company details (the values of prompt template variables)
+ * @param {Object} company - { name, phone, email, ..., timezone }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCompanySettings(company) {
+  if (!company || typeof company !== 'object' || Array.isArray(company)) {
+    return 'company must be an object';
+  }
+
+  for (const [key, value] of Object.entries(company)) {
+    if (!COMPANY_FIELDS.includes(key)) {
+      return `Unknown field '${key}'. Allowed: ${COMPANY_FIELDS.join(', ')}`;
+    }
+    if (value !== null && typeof value !== 'string') {
+      return `'${key}' must be a string`;
+    }
+  }
+
+  if (company.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: company.timezone });
+    } catch {
+      return `Unknown timezone '${company.timezone}'`;
+    }
+  }
+  return null;
+}
+
 /**
  * Update tenant settings
  * PUT /api/tenant/settings
+ * Body: { name, branding, company: { name, phone, email, address, website,
+ *   contact_name, business_hours, timezone } }
  */
 export async function updateTenantSettings(req, res) {
   try {
@@ -215,20 +257,35 @@ export async function updateTenantSettings(req, res) {
       return res.status(404).json({ error: 'No tenant context' });
     }
 
-    const { branding, name } = req.body;
+    const { branding, company, name } = req.body;
 
     const updates = {};
     if (name) updates.name = name;
 
-    // Update settings if branding provided
-    if (branding) {
-      await Tenant.updateSettings(req.tenantId, { branding });
+    if (company !== undefined) {
+      const companyError = validateCompanySettings(company);
+      if (companyError) {
+        return res.status(400).json({ error: 'Invalid company settings', message: companyError });
+      }
+    }
+
+    // Update settings if branding or company details provided
+    if (branding || company) {
+      await Tenant.updateSettings(req.tenantId, {
+        ...(branding && { branding }),
+        ...(company && { company })
+      });
     }
 
     if (Object.keys(updates).length > 0) {
       await Tenant.update(req.tenantId, updates);
     }
 
+    // Prompts use the company details and name as template variables
+    clearTenantCache(req.tenantId);
+    clearTemplateCache(req.tenantId);
+    clearPromptCache();
+
     // Fetch updated tenant
     const tenant = await Tenant.getById(req.tenantId);
 
@@ -349,6 +406,9 @@ export async function revokeApiKey(req, res) {
 
 // ==================== Team Management ====================
 
+// Roles that can be given to invited team members
+const INVITABLE_ROLES = ['admin', 'editor', 'viewer'];
+
 /**
  * List team members
  * GET /api/tenant/team
@@ -397,6 +457,11 @@ export async function inviteTeamMember(req, res) {
       return res.status(400).json({ error: 'Email required' });
     }
 
+    // Roles gate the admin API - an invite can't create another owner
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${INVITABLE_ROLES.join(', ')}` });
+    }
+
     // Check team member limit
     const currentMembers = await TenantUser.listForTenant(req.tenantId);
     const maxMembers = req.tenant?.settings?.limits?.teamMembers || 1;
@@ -475,8 +540,10 @@ export async function getIntegrations(req, res) {
         slackWorkspaceName: integrations.slack_workspace_name,
         calendlyUrl: integrations.calendly_url,
         webhookUrl: integrations.webhook_url,
-        webhookEvents: integrations.webhook_events
-      } : null
+        webhookEvents: integrations.webhook_events,
+        hasWebhookSecret: !!integrations.webhook_secret
+      } : null,
+      availableWebhookEvents: WEBHOOK_EVENTS
     });
   } catch (error) {
     console.error('Get integrations error:', error);
@@ -512,11 +579,8 @@ export async function updateIntegrations(req, res) {
 
     const updates = {};
 
-    // Only update provided fields
-    if (anthropicApiKey !== undefined) {
-      // TODO: Encrypt before storing
-      updates.anthropic_api_key_encrypted = anthropicApiKey;
-    }
+    // Only update provided fields (TenantIntegrations.upsert encrypts the *_encrypted secrets)
+    if (anthropicApiKey !== undefined) updates.anthropic_api_key_encrypted = anthropicApiKey;
     if (usePlatformAiKey !== undefined) updates.use_platform_ai_key = usePlatformAiKey;
     if (sendgridApiKey !== undefined) updates.sendgrid_api_key_encrypted = sendgridApiKey;
     if (sendgridFromEmail !== undefined) updates.sendgrid_from_email = sendgridFromEmail;
@@ -524,12 +588,61 @@ export async function updateIntegrations(req, res) {
     if (slackToken !== undefined) updates.slack_token_encrypted = slackToken;
     if (slackChannelId !== undefined) updates.slack_channel_id = slackChannelId;
     if (calendlyUrl !== undefined) updates.calendly_url = calendlyUrl;
-    if (webhookUrl !== undefined) updates.webhook_url = webhookUrl;
-    if (webhookEvents !== undefined) updates.webhook_events = webhookEvents;
+    if (webhookUrl !== undefined) {
+      const urlError = webhookUrl ? await checkWebhookUrl(webhookUrl) : null;
+      if (urlError) {
+        return res.status(400).json({
+          error: 'Invalid webhook URL',
+          message: urlError
+        });
+      }
+      updates.webhook_url = webhookUrl || null;
+    }
+    if (webhookEvents !== undefined) {
+      const unknownEvents = (webhookEvents || []).filter(e => !WEBHOOK_EVENTS.includes(e));
+      if (unknownEvents.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid webhook events',
+          message: `Unknown events: ${unknownEvents.join(', ')}`,
+          availableEvents: WEBHOOK_EVENTS
+        });
+      }
+      updates.webhook_events = webhookEvents;
+    }
+
+    const existing = await TenantIntegrations.getForTenant(req.tenantId);
+
+    // Turning off the platform AI key requires the tenant's own key
+    if (updates.use_platform_ai_key === false &&
+        !(updates.anthropic_api_key_encrypted ?? existing?.anthropic_api_key_encrypted)) {
+      return res.status(400).json({
+        error: 'Anthropic API key required',
+        message: 'Add your own Anthropic API key before turning off the platform AI key.'
+      });
+    }
+
+    // Generate a signing secret the first time a webhook URL is set
+    let webhookSecret;
+    if (updates.webhook_url && !existing?.webhook_secret) {
+      webhookSecret = generateWebhookSecret();
+      updates.webhook_secret = webhookSecret;
+    }
 
     await TenantIntegrations.upsert(req.tenantId, updates);
+    clearCredentialsCache(req.tenantId);
+    if ('calendly_url' in updates) {
+      // {{integrations.calendly_url}} in prompts
+      clearTemplateCache(req.tenantId);
+      clearPromptCache();
+    }
 
-    res.json({ success: true });
+    res.json({
+      success: true,
+      ...(webhookSecret && {
+        webhookSecret, // Only shown once!
+        warning: 'Save this webhook signing secret now. It will not be shown again.'
+      })
+    });
   } catch (error) {
     console.error('Update integrations error:', error);
     res.status(500).json({
@@ -539,6 +652,294 @@ export async function updateIntegrations(req, res) {
   }
 }
 
+/**
+ * Format a webhook delivery for API responses
+ */
+function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    eventId: delivery.event_id,
+    eventType: delivery.event_type,
+    url: delivery.url,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.next_attempt_at,
+    lastAttemptAt: delivery.last_attempt_at,
+    deliveredAt: delivery.delivered_at,
+    responseStatus: delivery.response_status,
+    error: delivery.error,
+    redeliveryOf: delivery.redelivery_of,
+    payload: delivery.payload,
+    createdAt: delivery.created_at
+  };
+}
+
+/**
+ * Send a test event to the configured webhook URL
+ * POST /api/tenant/integrations/webhooks/test
+ */
+export async function testWebhook(req, res) {
+  try {
+    if (!req.tenantId) {
+      return res.status(404).json({ error: 'No tenant context' });
+    }
+
+    const delivery = await sendTestEvent(req.tenantId);
+    if (!delivery) {
+      return res.status(400).json({
+        error: 'No webhook URL configured',
+        message: 'Set a webhook URL in your integrations before sending a test event.'
+      });
+    }
+
+    res.json({
+      success: delivery.status === 'succeeded',
+      delivery: formatDelivery(delivery)
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to send test event',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * List webhook deliveries
+ * GET /api/tenant/integrations/webhooks/deliveries?status=failed&eventType=lead.created
+ */
+export async function listWebhookDeliveries(req, res) {
+  try {
+    if (!req.tenantId) {
+      return res.status(404).json({ error: 'No tenant context' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const deliveries = await WebhookDelivery.listForTenant(req.tenantId, {
+      limit,
+      offset,
+      status: req.query.status || null,
+      eventType: req.query.eventType || null
+    });
+
+    res.json({
+      deliveries: deliveries.map(formatDelivery),
+      pagination: {
+        limit,
+        offset,
+        hasMore: deliveries.length === limit
+      }
+    });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({
+      error: 'Failed to list webhook deliveries',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Resend an earlier delivery with the same event ID and payload
+ * POST /api/tenant/integrations/webhooks/deliveries/:deliveryId/redeliver
+ */
+export async function redeliverWebhook(req, res) {
+  try {
+    if (!req.tenantId) {
+      return res.status(404).json({ error: 'No tenant context' });
+    }
+
+    const delivery = await redeliver(req.tenantId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json({
+      success: delivery.status === 'succeeded',
+      delivery: formatDelivery(delivery)
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to redeliver webhook',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Replace the webhook signing secret
+ * POST /api/tenant/integrations/webhooks/secret
+ */
+export async function rotateWebhookSecret(req, res) {
+  try {
+    if (!req.tenantId) {
+      return res.status(404).json({ error: 'No tenant context' });
+    }
+
+    const webhookSecret = generateWebhookSecret();
+    await TenantIntegrations.upsert(req.tenantId, { webhook_secret: webhookSecret });
+
+    res.json({
+      success: true,
+      webhookSecret, // Only shown once!
+      warning: 'Save this webhook signing secret now. It will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      error: 'Failed to rotate webhook secret',
+      message: error.message
+    });
+  }
+}
+
+// ==================== Chat Tools ====================
+
+/**
+ * List chat tools and whether each is available/enabled for the tenant
+ * GET /api/tenant/tools
+ */
+export async function listTools(req, res) {
+  try {
+    if (!req.tenant) {
+      return res.status(404).json({ error: 'No tenant context' });
+    }
+
+    res.json({ tools: listToolsForTenant(req.tenant) });
+  } catch (error) {
+    console.error('List tools error:', error);
+    res.status(500).json({
+      error: 'Failed to list tools',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Enable or disable chat tools
+ * PUT /api/tenant/tools
+ * Body: { tools: { save_lead: true, request_human_help: false } }
+ */
+export async function updateTools(req, res) {
+  try {
+    if (!req.tenant) {
+      return res.status(404).json({ error: 'No tenant context' });
+    }
+
+    const { tools } = req.body;
+
+    if (!tools || typeof tools !== 'object' || Array.isArray(tools)) {
+      return res.status(400).json({
+        error: 'Invalid tools',
+        message: 'tools must be an object of { toolName: boolean }'
+      });
+    }
+
+    for (const [name, enabled] of Object.entries(tools)) {
+      const tool = getTool(name);
+      if (!tool) {
+        return res.status(400).json({ error: 'Unknown tool', tool: name });
+      }
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({
+          error: 'Invalid tools',
+          message: `Value for '${name}' must be true or false`
+        });
+      }
+      if (enabled && !isToolAvailable(tool, req.tenant)) {
+        return res.status(403).json({
+          error: 'Feature not available',
+          message: `The '${name}' tool requires the '${tool.requiredFeature}' feature, which is not available on your current plan.`,
+          feature: tool.requiredFeature,
+          currentPlan: req.tenant.plan_type
+        });
+      }
+    }
+
+    const tenant = await Tenant.updateSettings(req.tenantId, { tools });
+    clearTenantCache(req.tenantId);
+
+    res.json({ success: true, tools: listToolsForTenant(tenant) });
+  } catch (error) {
+    console.error('Update tools error:', error);
+    res.status(500).json({
+      error: 'Failed to update tools',
+      message: error.message
+    });
+  }
+}
+
+// ==================== Chat Model ====================
+
+/**
+ * Model settings with what they resolve to on the tenant's plan
+ */
+function modelSettingsResponse(tenant) {
+  return {
+    settings: tenant.settings?.model || {},
+    defaults: DEFAULT_MODEL_SETTINGS,
+    effective: getModelConfig(tenant),
+    models: listModelsForTenant(tenant)
+  };
+}
+
+/**
+ * Get the chat model settings and the models on the tenant's plan
+ * GET /api/tenant/model
+ */
+export async function getModelSettings(req, res) {
+  try {
+    if (!req.tenant) {
+      return res.status(404).json({ error: 'No tenant context' });
+    }
+
+    res.json(modelSettingsResponse(req.tenant));
+  } catch (error) {
+    console.error('Get model settings error:', error);
+    res.status(500).json({
+      error: 'Failed to get model settings',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Update the chat model settings
+ * PUT /api/tenant/model
+ * Body: { model: { primary, fallbacks: [...], temperature, maxTokens } }
+ * A field set to null goes back to the default
+ */
+export async function updateModelSettings(req, res) {
+  try {
+    if (!req.tenant) {
+      return res.status(404).json({ error: 'No tenant context' });
+    }
+
+    const { model } = req.body;
+
+    const invalid = validateModelSettings(model, req.tenant);
+    if (invalid) {
+      const { status, ...body } = invalid;
+      return res.status(status).json(body);
+    }
+
+    const tenant = await Tenant.updateSettings(req.tenantId, { model });
+    clearTenantCache(req.tenantId);
+
+    res.json({ success: true, ...modelSettingsResponse(tenant) });
+  } catch (error) {
+    console.error('Update model settings error:', error);
+    res.status(500).json({
+      error: 'Failed to update model settings',
+      message: error.message
+    });
+  }
+}
+
 // ==================== Platform Admin (Super Admin) ====================
 
 /**
@@ -575,7 +976,20 @@ export async function listAllTenants(req, res) {
 export async function updateTenant(req, res) {
   try {
     const { id } = req.params;
-    const { name, slug, plan_type, status, custom_domain, manual_api_cost } = req.body;
+    const { name, slug, plan_type, status, custom_domain, manual_api_cost, feature_grants } = req.body;
+
+    // Features granted to this tenant on top of its plan ({ [feature]: true })
+    if (feature_grants !== undefined) {
+      const knownFeatures = Object.keys(PLANS.free.features);
+      const invalid = feature_grants === null || typeof feature_grants !== 'object' || Array.isArray(feature_grants) ||
+        Object.entries(feature_grants).some(([feature, granted]) => !knownFeatures.includes(feature) || typeof granted !== 'boolean');
+      if (invalid) {
+        return res.status(400).json({
+          error: 'Invalid feature_grants',
+          message: `feature_grants must map features (${knownFeatures.join(', ')}) to true or false`
+        });
+      }
+    }
 
     const updates = {};
     if (name !== undefined) updates.name = name;
@@ -585,7 +999,16 @@ export async function updateTenant(req, res) {
     if (custom_domain !== undefined) updates.custom_domain = custom_domain;
     if (manual_api_cost !== undefined) updates.manual_api_cost = manual_api_cost;
 
-    const tenant = await Tenant.update(id, updates);
+    if (feature_grants !== undefined) {
+      if (!(await Tenant.getById(id))) {
+        return res.status(404).json({
+          error: 'Tenant not found'
+        });
+      }
+      await Tenant.updateSettings(id, { featureGrants: feature_grants });
+    }
+
+    const tenant = Object.keys(updates).length > 0 ? await Tenant.update(id, updates) : await Tenant.getById(id);
 
     if (!tenant) {
       return res.status(404).json({
@@ -665,6 +1088,14 @@ export default {
   inviteTeamMember,
   getIntegrations,
   updateIntegrations,
+  testWebhook,
+  listWebhookDeliveries,
+  redeliverWebhook,
+  rotateWebhookSecret,
+  listTools,
+  updateTools,
+  getModelSettings,
+  updateModelSettings,
   listAllTenants,
   updateTenant,
   getPlans,
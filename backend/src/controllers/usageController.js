@@ -1,5 +1,6 @@
-import { getTenantUsage, getAllTenantsUsage, fetchAnthropicUsage, fetchAnthropicCost } from '../services/usageService.js';
+import { getTenantUsage, getCacheReport, getAllTenantsUsage, fetchAnthropicUsage, fetchAnthropicCost } from '../services/usageService.js';
 import { DEFAULT_TENANT_ID } from '../models/Tenant.js';
+import { getAnthropicCredentials } from '../services/tenantCredentials.js';
 
 /**
  * Get usage for the current tenant
@@ -23,6 +24,28 @@ export async function getUsage(req, res) {
   }
 }
 
+/**
+ * Get the prompt cache report for the current tenant
+ * GET /api/admin/usage/cache
+ */
+export async function getCacheUsage(req, res) {
+  try {
+    const tenantId = req.tenantId || DEFAULT_TENANT_ID;
+    const period = req.query.period || 'month';
+
+    const report = await getCacheReport(tenantId, period);
+
+    if (!report) {
+      return res.status(500).json({ error: 'Failed to fetch cache report' });
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error getting cache report:', error);
+    res.status(500).json({ error: 'Failed to fetch cache report' });
+  }
+}
+
 /**
  * Get usage for all tenants (platform admin)
  * GET /api/platform/usage
@@ -50,7 +73,20 @@ export async function getPlatformUsage(req, res) {
  */
 export async function getAnthropicUsage(req, res) {
   try {
-    const apiKey = req.query.apiKey || process.env.ANTHROPIC_API_KEY;
+    let apiKey = req.query.apiKey;
+
+    // Without an explicit admin key, only a tenant's own key may be used -
+    // the platform key would report every tenant's usage
+    if (!apiKey) {
+      const credentials = await getAnthropicCredentials(req.tenantId);
+      if (credentials.source === 'platform' && req.tenantId !== DEFAULT_TENANT_ID) {
+        return res.status(403).json({
+          error: 'Anthropic usage is only available for tenants using their own API key'
+        });
+      }
+      apiKey = credentials.apiKey;
+    }
+
     const startDate = req.query.startDate;
     const endDate = req.query.endDate || new Date().toISOString().split('T')[0];
 
@@ -80,6 +116,7 @@ export async function getAnthropicUsage(req, res) {
 
 export default {
   getUsage,
+  getCacheUsage,
   getPlatformUsage,
   getAnthropicUsage
 };
@@ -1,5 +1,51 @@
-import PromptVariation from '../models/PromptVariation.js';
+import PromptVariation, { GUARDRAIL_METRICS } from '../models/PromptVariation.js';
+import Prompt from '../models/Prompt.js';
+import VariationAllocationLog from '../models/VariationAllocationLog.js';
+import VariationPromotion from '../models/VariationPromotion.js';
+import Experiment from '../models/Experiment.js';
 import { clearPromptCache } from './chatController.js';
+import { getEditorName, auditAdminAction } from '../services/auditService.js';
+import { rebalanceSection, currentAllocation } from '../services/banditService.js';
+import { unknownVariablesError } from '../services/promptTemplateService.js';
+
+// Columns managed by the server (tenant ownership, parent section, guardrail pauses)
+const PROTECTED_FIELDS = ['id', 'tenant_id', 'prompt_section_id', 'created_at', 'created_by', 'paused_reason', 'paused_at'];
+
+const AB_MODES = ['manual', 'auto'];
+
+// SQLSTATE of RAISE EXCEPTION in the promotion RPCs - a refused change, not a server fault
+const RPC_REFUSED = 'P0001';
+
+/**
+ * Validate a variation's schedule (either end may be open)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSchedule(startsAt, endsAt) {
+  for (const [field, value] of [['starts_at', startsAt], ['ends_at', endsAt]]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return `${field} must be a valid date`;
+    }
+  }
+
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    return 'ends_at must be after starts_at';
+  }
+
+  return null;
+}
+
+/**
+ * Re-run the optimizer after variations change in an auto-optimized section
+ * (don't wait - the admin response doesn't depend on it)
+ */
+function rebalanceIfAuto(req, promptSectionId) {
+  PromptVariation.getTestSettings(promptSectionId, req.tenantId)
+    .then(settings => {
+      if (settings.mode !== 'auto') return null;
+      return rebalanceSection(settings, { changedBy: getEditorName(req) });
+    })
+    .catch(err => console.error('Failed to rebalance A/B traffic:', err));
+}
 
 /**
  * Get all variations for a prompt section
@@ -8,7 +54,7 @@ import { clearPromptCache } from './chatController.js';
 export async function getVariations(req, res) {
   try {
     const { promptId } = req.params;
-    const variations = await PromptVariation.getByPromptSection(promptId);
+    const variations = await PromptVariation.getByPromptSection(promptId, req.tenantId);
     res.json({ variations });
   } catch (error) {
     console.error('Error getting variations:', error);
@@ -23,7 +69,7 @@ export async function getVariations(req, res) {
 export async function createVariation(req, res) {
   try {
     const { promptId } = req.params;
-    const { variation_name, content, traffic_percentage, notes, is_active } = req.body;
+    const { variation_name, content, traffic_percentage, notes, is_active, starts_at, ends_at } = req.body;
 
     if (!variation_name || !content) {
       return res.status(400).json({
@@ -31,19 +77,53 @@ export async function createVariation(req, res) {
       });
     }
 
+    const variablesError = unknownVariablesError(content);
+    if (variablesError) {
+      return res.status(400).json(variablesError);
+    }
+
+    const scheduleError = validateSchedule(starts_at, ends_at);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    const section = await Prompt.getById(promptId, req.tenantId);
+    if (!section) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const settings = await PromptVariation.getTestSettings(promptId, req.tenantId);
+    if (settings.mode === 'auto' && traffic_percentage) {
+      return res.status(409).json({
+        error: 'Traffic for this section is managed by auto-optimize. Switch it to manual to set traffic by hand.'
+      });
+    }
+
     const variation = await PromptVariation.create({
       prompt_section_id: promptId,
       variation_name,
       content,
       traffic_percentage: traffic_percentage || 0,
       is_active: is_active || false, // Use value from request, default to false
+      starts_at: starts_at || null,
+      ends_at: ends_at || null,
       notes,
-      created_by: 'admin'
-    });
+      created_by: getEditorName(req)
+    }, req.tenantId);
 
     // Clear cache so variation is available immediately
     clearPromptCache();
 
+    if (variation.is_active) {
+      rebalanceIfAuto(req, promptId);
+    }
+
+    auditAdminAction(req, 'variation.create', {
+      type: 'prompt_variation',
+      id: variation.id,
+      details: { prompt_section_id: promptId, variation_name, is_active: variation.is_active, traffic_percentage: variation.traffic_percentage }
+    });
+
     res.json({
       variation,
       message: 'Variation created successfully. Activate it to start testing.'
@@ -61,13 +141,67 @@ export async function createVariation(req, res) {
 export async function updateVariation(req, res) {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = Object.fromEntries(
+      Object.entries(req.body).filter(([key]) => !PROTECTED_FIELDS.includes(key))
+    );
 
-    const variation = await PromptVariation.update(id, updates);
+    const existing = await PromptVariation.getById(id, req.tenantId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Variation not found' });
+    }
+
+    const settings = await PromptVariation.getTestSettings(existing.prompt_section_id, req.tenantId);
+    if (settings.mode === 'auto' && 'traffic_percentage' in updates &&
+        updates.traffic_percentage !== existing.traffic_percentage) {
+      return res.status(409).json({
+        error: 'Traffic for this section is managed by auto-optimize. Switch it to manual to set traffic by hand.'
+      });
+    }
+
+    if ('content' in updates) {
+      const variablesError = unknownVariablesError(updates.content);
+      if (variablesError) {
+        return res.status(400).json(variablesError);
+      }
+    }
+
+    for (const field of ['starts_at', 'ends_at']) {
+      if (field in updates && !updates[field]) updates[field] = null;
+    }
+
+    const scheduleError = validateSchedule(
+      'starts_at' in updates ? updates.starts_at : existing.starts_at,
+      'ends_at' in updates ? updates.ends_at : existing.ends_at
+    );
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    // Re-activating a paused variation clears why it was paused
+    if (updates.is_active === true && !existing.is_active) {
+      updates.paused_reason = null;
+      updates.paused_at = null;
+    }
+
+    const variation = await PromptVariation.update(id, updates, req.tenantId);
 
     // Clear cache so updated variation takes effect immediately
     clearPromptCache();
 
+    if (variation.is_active !== existing.is_active) {
+      rebalanceIfAuto(req, existing.prompt_section_id);
+    }
+
+    auditAdminAction(req, 'variation.update', {
+      type: 'prompt_variation',
+      id,
+      details: {
+        fields: Object.keys(updates),
+        is_active: variation.is_active,
+        traffic_percentage: variation.traffic_percentage
+      }
+    });
+
     res.json({
       variation,
       message: 'Variation updated successfully'
@@ -85,11 +219,27 @@ export async function updateVariation(req, res) {
 export async function deleteVariation(req, res) {
   try {
     const { id } = req.params;
-    await PromptVariation.delete(id);
+
+    const existing = await PromptVariation.getById(id, req.tenantId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Variation not found' });
+    }
+
+    await PromptVariation.delete(id, req.tenantId);
 
     // Clear cache so deletion takes effect immediately
     clearPromptCache();
 
+    if (existing.is_active) {
+      rebalanceIfAuto(req, existing.prompt_section_id);
+    }
+
+    auditAdminAction(req, 'variation.delete', {
+      type: 'prompt_variation',
+      id,
+      details: { prompt_section_id: existing.prompt_section_id, variation_name: existing.variation_name }
+    });
+
     res.json({ message: 'Variation deleted successfully' });
   } catch (error) {
     console.error('Error deleting variation:', error);
@@ -108,7 +258,8 @@ export async function getPerformanceComparison(req, res) {
 
     const comparison = await PromptVariation.getPerformanceComparison(
       promptId,
-      parseInt(days)
+      parseInt(days),
+      req.tenantId
     );
 
     res.json(comparison);
@@ -118,6 +269,178 @@ export async function getPerformanceComparison(req, res) {
   }
 }
 
+/**
+ * Get a section's A/B test settings
+ * GET /api/admin/prompts/:promptId/ab-settings
+ */
+export async function getTestSettings(req, res) {
+  try {
+    const { promptId } = req.params;
+
+    const section = await Prompt.getById(promptId, req.tenantId);
+    if (!section) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const settings = await PromptVariation.getTestSettings(promptId, req.tenantId);
+    res.json({ settings });
+  } catch (error) {
+    console.error('Error getting A/B test settings:', error);
+    res.status(500).json({ error: 'Failed to fetch A/B test settings' });
+  }
+}
+
+/**
+ * Switch a section between manual traffic and auto-optimize (Thompson sampling)
+ * PUT /api/admin/prompts/:promptId/ab-settings
+ * Body: { mode: 'manual' | 'auto', exploration_floor: 1-50, guardrails_enabled, guardrail_metrics, max_cost_increase_pct: 1-1000 }
+ */
+export async function updateTestSettings(req, res) {
+  try {
+    const { promptId } = req.params;
+    const { mode, exploration_floor, guardrails_enabled, guardrail_metrics, max_cost_increase_pct } = req.body;
+
+    const section = await Prompt.getById(promptId, req.tenantId);
+    if (!section) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const existing = await PromptVariation.getTestSettings(promptId, req.tenantId);
+    const next = {
+      mode: mode ?? existing.mode,
+      exploration_floor: exploration_floor ?? existing.exploration_floor,
+      guardrails_enabled: guardrails_enabled ?? existing.guardrails_enabled,
+      guardrail_metrics: guardrail_metrics ?? existing.guardrail_metrics,
+      max_cost_increase_pct: max_cost_increase_pct ?? existing.max_cost_increase_pct
+    };
+
+    if (!AB_MODES.includes(next.mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${AB_MODES.join(', ')}` });
+    }
+
+    if (!Number.isInteger(next.exploration_floor) || next.exploration_floor < 1 || next.exploration_floor > 50) {
+      return res.status(400).json({ error: 'exploration_floor must be a whole number between 1 and 50' });
+    }
+
+    if (typeof next.guardrails_enabled !== 'boolean') {
+      return res.status(400).json({ error: 'guardrails_enabled must be true or false' });
+    }
+
+    if (!Array.isArray(next.guardrail_metrics) || next.guardrail_metrics.some(m => !GUARDRAIL_METRICS.includes(m))) {
+      return res.status(400).json({ error: `guardrail_metrics must be a list of: ${GUARDRAIL_METRICS.join(', ')}` });
+    }
+
+    if (!Number.isInteger(next.max_cost_increase_pct) || next.max_cost_increase_pct < 1 || next.max_cost_increase_pct > 1000) {
+      return res.status(400).json({ error: 'max_cost_increase_pct must be a whole number between 1 and 1000' });
+    }
+
+    const editor = getEditorName(req);
+    const settings = await PromptVariation.saveTestSettings(promptId, next, req.tenantId, editor);
+
+    let rebalance = null;
+    if (settings.mode === 'auto') {
+      rebalance = await rebalanceSection(settings, {
+        reason: existing.mode === 'auto' ? 'auto_rebalance' : 'auto_enabled',
+        changedBy: editor
+      });
+    } else if (existing.mode === 'auto') {
+      // Traffic stays where the optimizer left it - log the hand-over
+      const variations = await PromptVariation.getByPromptSection(promptId, req.tenantId);
+      const allocation = currentAllocation(variations.filter(v => v.is_active));
+      await VariationAllocationLog.create({
+        tenantId: req.tenantId,
+        promptSectionId: promptId,
+        reason: 'auto_disabled',
+        changedBy: editor,
+        previousAllocation: allocation,
+        newAllocation: allocation
+      });
+    }
+
+    clearPromptCache();
+
+    auditAdminAction(req, 'variation.ab_settings', {
+      type: 'prompt_section',
+      id: promptId,
+      details: {
+        mode: settings.mode,
+        exploration_floor: settings.exploration_floor,
+        previous_mode: existing.mode,
+        guardrails_enabled: settings.guardrails_enabled,
+        guardrail_metrics: settings.guardrail_metrics,
+        max_cost_increase_pct: settings.max_cost_increase_pct
+      }
+    });
+
+    res.json({
+      settings,
+      allocation: rebalance?.allocation || null,
+      message: settings.mode === 'auto'
+        ? 'Auto-optimize is on. Traffic will be rebalanced every hour.'
+        : 'Auto-optimize is off. Traffic percentages are now set by hand.'
+    });
+  } catch (error) {
+    console.error('Error updating A/B test settings:', error);
+    res.status(500).json({ error: 'Failed to update A/B test settings' });
+  }
+}
+
+/**
+ * Rebalance an auto-optimized section now instead of waiting for the next run
+ * POST /api/admin/prompts/:promptId/rebalance
+ */
+export async function rebalanceTraffic(req, res) {
+  try {
+    const { promptId } = req.params;
+
+    const settings = await PromptVariation.getTestSettings(promptId, req.tenantId);
+    if (settings.mode !== 'auto') {
+      return res.status(400).json({ error: 'Auto-optimize is not enabled for this section' });
+    }
+
+    const result = await rebalanceSection(settings, { changedBy: getEditorName(req) });
+
+    res.json({
+      changed: !!result,
+      allocation: result?.allocation || null
+    });
+  } catch (error) {
+    console.error('Error rebalancing traffic:', error);
+    res.status(500).json({ error: 'Failed to rebalance traffic' });
+  }
+}
+
+/**
+ * Get the traffic allocation history for a section
+ * GET /api/admin/prompts/:promptId/allocation-log
+ */
+export async function getAllocationLog(req, res) {
+  try {
+    const { promptId } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    const entries = await VariationAllocationLog.listForSection(promptId, req.tenantId, {
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      entries: entries.map(entry => ({
+        id: entry.id,
+        createdAt: entry.created_at,
+        reason: entry.reason,
+        changedBy: entry.changed_by,
+        previousAllocation: entry.previous_allocation,
+        newAllocation: entry.new_allocation,
+        armStats: entry.arm_stats
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting allocation log:', error);
+    res.status(500).json({ error: 'Failed to fetch allocation log' });
+  }
+}
+
 /**
  * Promote a variation to become the base prompt
  * POST /api/admin/variations/:id/promote
@@ -133,20 +456,114 @@ export async function promoteVariation(req, res) {
       });
     }
 
-    await PromptVariation.promoteToBase(id, prompt_section_id);
+    const variation = await PromptVariation.getById(id, req.tenantId);
+    if (!variation || variation.prompt_section_id !== prompt_section_id) {
+      return res.status(404).json({ error: 'Variation not found' });
+    }
+
+    // Changing the base content mid-experiment would change its control arm
+    const running = await Experiment.getRunning(req.tenantId);
+    const experiment = running.find(e => Experiment.getSectionIds(e).has(prompt_section_id));
+    if (experiment) {
+      return res.status(409).json({
+        error: `Experiment "${experiment.name}" is running on this section. Complete it before promoting.`
+      });
+    }
+
+    // Archive the test's results as they stand (daily breakdown not needed)
+    const comparison = await PromptVariation.getPerformanceComparison(prompt_section_id, 30, req.tenantId);
+    const finalStats = {
+      ...comparison,
+      variations: comparison.variations.map(({ metrics_by_date, ...v }) => v)
+    };
+
+    const promotion = await PromptVariation.promoteToBase(id, req.tenantId, {
+      promotedBy: getEditorName(req),
+      finalStats
+    });
 
     // Clear cache so promoted content takes effect immediately
     clearPromptCache();
 
+    auditAdminAction(req, 'variation.promote', {
+      type: 'prompt_variation',
+      id,
+      details: {
+        prompt_section_id,
+        variation_name: variation.variation_name,
+        promotion_id: promotion.id,
+        previous_version: promotion.previous_version
+      }
+    });
+
     res.json({
+      promotion,
       message: 'Variation promoted to base prompt successfully! All tests have been deactivated.'
     });
   } catch (error) {
+    if (error.code === RPC_REFUSED) {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('Error promoting variation:', error);
     res.status(500).json({ error: 'Failed to promote variation' });
   }
 }
 
+/**
+ * List a section's promotions, newest first
+ * GET /api/admin/prompts/:promptId/promotions
+ */
+export async function getPromotions(req, res) {
+  try {
+    const { promptId } = req.params;
+    const promotions = await VariationPromotion.listForSection(promptId, req.tenantId);
+    res.json({ promotions });
+  } catch (error) {
+    console.error('Error getting promotions:', error);
+    res.status(500).json({ error: 'Failed to fetch promotions' });
+  }
+}
+
+/**
+ * Undo a promotion - restore the content and variation traffic from before it
+ * POST /api/admin/promotions/:id/undo
+ */
+export async function undoPromotion(req, res) {
+  try {
+    const { id } = req.params;
+
+    const promotion = await VariationPromotion.getById(id, req.tenantId);
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    if (promotion.undone_at) {
+      return res.status(409).json({ error: 'This promotion has already been undone' });
+    }
+
+    await VariationPromotion.undo(id, req.tenantId, getEditorName(req));
+
+    clearPromptCache();
+
+    auditAdminAction(req, 'variation.promote_undo', {
+      type: 'prompt_section',
+      id: promotion.prompt_section_id,
+      details: { promotion_id: id, variation_name: promotion.variation_name }
+    });
+
+    res.json({
+      promotion: await VariationPromotion.getById(id, req.tenantId),
+      message: `Promotion of "${promotion.variation_name}" undone. The previous content and test traffic are restored.`
+    });
+  } catch (error) {
+    if (error.code === RPC_REFUSED) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error undoing promotion:', error);
+    res.status(500).json({ error: 'Failed to undo promotion' });
+  }
+}
+
 /**
  * Quick rollback: Create variation from current, restore from history
  * POST /api/admin/prompts/:promptId/rollback
@@ -177,6 +594,12 @@ export default {
   updateVariation,
   deleteVariation,
   getPerformanceComparison,
+  getTestSettings,
+  updateTestSettings,
+  rebalanceTraffic,
+  getAllocationLog,
   promoteVariation,
+  getPromotions,
+  undoPromotion,
   quickRollback
 };
@@ -98,14 +98,33 @@ export function jwtAuth(options = {}) {
         // Valid JWT - fetch full user data
         const user = await TenantUser.getById(decoded.userId);
         if (user && user.status === 'active') {
+          // A user can only act within their own tenant. The resolver falls
+          // back to the default tenant for plain requests, so that is replaced
+          // with the user's tenant; an explicit (subdomain / API key) tenant
+          // that doesn't match is rejected
+          const explicitTenant = req.tenantResolvedVia && !req.tenantResolvedVia.startsWith('default');
+          if (explicitTenant && req.tenantId !== user.tenant_id) {
+            return res.status(403).json({
+              error: 'Access denied',
+              message: 'You do not have access to this tenant'
+            });
+          }
+
+          if (user.tenant && user.tenant.status !== 'active' && user.tenant.status !== 'trial') {
+            return res.status(403).json({
+              error: 'Tenant suspended',
+              message: 'This account has been suspended. Please contact support.'
+            });
+          }
+
           req.user = user;
           req.userId = user.id;
           req.userRole = user.role;
 
-          // Override tenant from JWT if not already set
-          if (!req.tenant && user.tenant) {
+          if (user.tenant) {
             req.tenant = user.tenant;
             req.tenantId = user.tenant_id;
+            req.tenantResolvedVia = explicitTenant ? req.tenantResolvedVia : 'jwt';
           }
 
           return next();
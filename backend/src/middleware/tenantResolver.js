@@ -46,6 +46,18 @@ async function getCachedTenant(cacheKey, fetchFn) {
   return tenant;
 }
 
+/**
+ * Drop cached lookups for a tenant so settings changes apply immediately
+ * @param {string} tenantId - Tenant ID
+ */
+export function clearTenantCache(tenantId) {
+  for (const [key, value] of tenantCache.entries()) {
+    if (value.tenant?.id === tenantId) {
+      tenantCache.delete(key);
+    }
+  }
+}
+
 /**
  * Extract API key from request
  */
@@ -0,0 +1,92 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Lazy initialize Supabase client
+let supabase = null;
+function getSupabase() {
+  if (!supabase) {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+      throw new Error('SUPABASE_URL and SUPABASE_KEY must be set in environment variables');
+    }
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_KEY
+    );
+  }
+  return supabase;
+}
+
+/**
+ * AdminAuditLog Model - Who changed what through the admin API
+ */
+class AdminAuditLog {
+  /**
+   * Record an admin action
+   * @param {Object} entry - { tenantId, userId, userEmail, userRole, action, resourceType, resourceId, details }
+   * @returns {Object} Created entry
+   */
+  static async create(entry) {
+    try {
+      const { data, error } = await getSupabase()
+        .from('admin_audit_log')
+        .insert([{
+          tenant_id: entry.tenantId,
+          user_id: entry.userId || null,
+          user_email: entry.userEmail || null,
+          user_role: entry.userRole || null,
+          action: entry.action,
+          resource_type: entry.resourceType || null,
+          resource_id: entry.resourceId ? String(entry.resourceId) : null,
+          details: entry.details || null
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Database error creating audit log entry:', error);
+      throw new Error(`Failed to record admin action: ${error.message}`);
+    }
+  }
+
+  /**
+   * List audit entries for a tenant, newest first
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - { limit, offset, resourceType, resourceId, userId }
+   * @returns {Array} Entries
+   */
+  static async listForTenant(tenantId, options = {}) {
+    const { limit = 50, offset = 0, resourceType = null, resourceId = null, userId = null } = options;
+
+    try {
+      let query = getSupabase()
+        .from('admin_audit_log')
+        .select('*')
+        .eq('tenant_id', tenantId);
+
+      if (resourceType) {
+        query = query.eq('resource_type', resourceType);
+      }
+
+      if (resourceId) {
+        query = query.eq('resource_id', resourceId);
+      }
+
+      if (userId) {
+        query = query.eq('user_id', userId);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Database error listing audit log:', error);
+      throw new Error('Failed to fetch audit log');
+    }
+  }
+}
+
+export default AdminAuditLog;
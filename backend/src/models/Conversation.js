@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { DEFAULT_TENANT_ID } from './Tenant.js';
 
 // Lazy initialize Supabase client
 let supabase = null;
@@ -22,11 +23,12 @@ class Conversation {
   /**
    * Create a new conversation in the database
    * @param {string} conversationId - Unique conversation identifier
-   * @param {Object} metadata - Optional metadata (user_agent, ip_address, referrer)
+   * @param {Object} metadata - Optional metadata (user_agent, ip_address, referrer, visitor_id, visitor_context)
    * @param {Object} firstMessage - Optional first message to include (prevents race condition)
+   * @param {string} tenantId - Tenant ID (optional, defaults to DEFAULT_TENANT_ID)
    * @returns {Object} Created conversation
    */
-  static async create(conversationId, metadata = {}, firstMessage = null) {
+  static async create(conversationId, metadata = {}, firstMessage = null, tenantId = null) {
     try {
       // If first message provided, include it in the initial messages array
       const initialMessages = firstMessage ? [{
@@ -38,10 +40,13 @@ class Conversation {
         .from('conversations')
         .insert([
           {
+            tenant_id: tenantId || DEFAULT_TENANT_ID,
             conversation_id: conversationId,
             user_agent: metadata.user_agent || null,
             ip_address: metadata.ip_address || null,
             referrer: metadata.referrer || null,
+            visitor_id: metadata.visitor_id || null,
+            visitor_context: metadata.visitor_context || null,
             messages: initialMessages,
             message_count: initialMessages.length,
             status: 'active'
@@ -160,15 +165,21 @@ class Conversation {
   /**
    * Get conversation by ID
    * @param {string} conversationId - Unique conversation identifier
+   * @param {string} tenantId - Tenant ID (optional, scopes the lookup to the tenant)
    * @returns {Object} Conversation data
    */
-  static async getById(conversationId) {
+  static async getById(conversationId, tenantId = null) {
     try {
-      const { data, error } = await getSupabase()
+      let query = getSupabase()
         .from('conversations')
         .select('*')
-        .eq('conversation_id', conversationId)
-        .single();
+        .eq('conversation_id', conversationId);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.single();
 
       if (error) throw error;
       return data;
@@ -181,13 +192,20 @@ class Conversation {
   /**
    * Get recent conversations with stats
    * @param {number} limit - Number of conversations to return
+   * @param {string} tenantId - Tenant ID (optional, if null returns all)
    * @returns {Array} Array of conversations
    */
-  static async getRecent(limit = 50) {
+  static async getRecent(limit = 50, tenantId = null) {
     try {
-      const { data, error } = await getSupabase()
+      let query = getSupabase()
         .from('conversations')
-        .select('*')
+        .select('*');
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query
         .order('created_at', { ascending: false })
         .limit(limit);
 
@@ -203,16 +221,18 @@ class Conversation {
    * Mark conversation as handed off to human
    * @param {string} conversationId - Unique conversation identifier
    * @param {string} slackThreadTs - Slack thread timestamp for replies
+   * @param {string} slackChannelId - Slack channel the thread was posted in
    * @param {string} handedOffTo - Name of person handling it
    * @returns {boolean} Success status
    */
-  static async markHandedOff(conversationId, slackThreadTs, handedOffTo = 'Xpio Team') {
+  static async markHandedOff(conversationId, slackThreadTs, slackChannelId = null, handedOffTo = 'Xpio Team') {
     try {
       const { error } = await getSupabase()
         .from('conversations')
         .update({
           is_handed_off: true,
           slack_thread_ts: slackThreadTs,
+          slack_channel_id: slackChannelId,
           handed_off_at: new Date().toISOString(),
           handed_off_to: handedOffTo
         })
@@ -230,15 +250,21 @@ class Conversation {
   /**
    * Get handoff state for a conversation
    * @param {string} conversationId - Unique conversation identifier
+   * @param {string} tenantId - Tenant ID (optional, scopes the lookup to the tenant)
    * @returns {Object} Handoff state
    */
-  static async getHandoffState(conversationId) {
+  static async getHandoffState(conversationId, tenantId = null) {
     try {
-      const { data, error } = await getSupabase()
+      let query = getSupabase()
         .from('conversations')
-        .select('is_handed_off, slack_thread_ts, handed_off_to')
-        .eq('conversation_id', conversationId)
-        .single();
+        .select('is_handed_off, slack_thread_ts, handed_off_to, tenant_id')
+        .eq('conversation_id', conversationId);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.single();
 
       if (error) throw error;
       return data || { is_handed_off: false, slack_thread_ts: null, handed_off_to: null };
@@ -248,6 +274,43 @@ class Conversation {
     }
   }
 
+  /**
+   * Find the conversation a Slack thread belongs to
+   * Thread timestamps are only unique within a channel, so the channel is
+   * matched too (conversations handed off before it was recorded have none)
+   * @param {string} slackThreadTs - Slack thread timestamp
+   * @param {string} slackChannelId - Slack channel of the thread
+   * @returns {Object|null} { conversation_id, tenant_id }
+   */
+  static async getBySlackThread(slackThreadTs, slackChannelId = null) {
+    try {
+      const { data, error } = await getSupabase()
+        .from('conversations')
+        .select('conversation_id, tenant_id, slack_channel_id')
+        .eq('slack_thread_ts', slackThreadTs)
+        .limit(10);
+
+      if (error) throw error;
+
+      const matches = (data || []).filter(c =>
+        !slackChannelId || !c.slack_channel_id || c.slack_channel_id === slackChannelId
+      );
+      if (matches.length === 0) return null;
+
+      // Never guess between tenants
+      if (matches.length > 1) {
+        console.warn(`⚠️ Slack thread ${slackThreadTs} matches more than one conversation - ignoring`);
+        return null;
+      }
+
+      const { conversation_id, tenant_id } = matches[0];
+      return { conversation_id, tenant_id };
+    } catch (error) {
+      console.error('Database error finding conversation by Slack thread:', error);
+      return null;
+    }
+  }
+
   /**
    * Clear handoff state - allow AI to resume conversation
    * @param {string} conversationId - Unique conversation identifier
@@ -275,11 +338,20 @@ class Conversation {
 
   /**
    * Get recent conversations for review with filtering
-   * @param {Object} options - Filter options
+   * @param {Object} options - Filter options (tenantId scopes to one tenant;
+   *   reviewedOnly = flagged or with review notes; conversationIds = only these)
    * @returns {Array} Array of conversations
    */
   static async getForReview(options = {}) {
-    const { limit = 50, flaggedOnly = false, hasLeadOnly = false, search = '' } = options;
+    const {
+      limit = 50,
+      flaggedOnly = false,
+      reviewedOnly = false,
+      hasLeadOnly = false,
+      search = '',
+      conversationIds = null,
+      tenantId = null
+    } = options;
 
     try {
       let query = getSupabase()
@@ -287,10 +359,22 @@ class Conversation {
         .select('*')
         .order('created_at', { ascending: false });
 
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
       if (flaggedOnly) {
         query = query.eq('flagged', true);
       }
 
+      if (reviewedOnly) {
+        query = query.or('flagged.eq.true,review_notes.not.is.null');
+      }
+
+      if (conversationIds) {
+        query = query.in('conversation_id', conversationIds);
+      }
+
       if (hasLeadOnly) {
         query = query.eq('lead_captured', true);
       }
@@ -360,11 +444,12 @@ class Conversation {
    * @param {string} conversationId - Unique conversation identifier
    * @param {boolean} flagged - Flag status
    * @param {string} flagReason - Reason for flagging
-   * @returns {boolean} Success status
+   * @param {string} tenantId - Tenant ID (optional, scopes the update to the tenant)
+   * @returns {boolean} True if a conversation was updated
    */
-  static async setFlag(conversationId, flagged, flagReason = '') {
+  static async setFlag(conversationId, flagged, flagReason = '', tenantId = null) {
     try {
-      const { error } = await getSupabase()
+      let query = getSupabase()
         .from('conversations')
         .update({
           flagged: flagged,
@@ -373,8 +458,14 @@ class Conversation {
         })
         .eq('conversation_id', conversationId);
 
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.select('conversation_id');
+
       if (error) throw error;
-      return true;
+      return data.length > 0;
     } catch (error) {
       console.error('Database error flagging conversation:', error);
       return false;
@@ -385,11 +476,12 @@ class Conversation {
    * Add review notes to a conversation
    * @param {string} conversationId - Unique conversation identifier
    * @param {string} notes - Review notes
-   * @returns {boolean} Success status
+   * @param {string} tenantId - Tenant ID (optional, scopes the update to the tenant)
+   * @returns {boolean} True if a conversation was updated
    */
-  static async addReviewNotes(conversationId, notes) {
+  static async addReviewNotes(conversationId, notes, tenantId = null) {
     try {
-      const { error } = await getSupabase()
+      let query = getSupabase()
         .from('conversations')
         .update({
           review_notes: notes,
@@ -397,8 +489,14 @@ class Conversation {
         })
         .eq('conversation_id', conversationId);
 
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.select('conversation_id');
+
       if (error) throw error;
-      return true;
+      return data.length > 0;
     } catch (error) {
       console.error('Database error adding review notes:', error);
       return false;
@@ -407,14 +505,21 @@ class Conversation {
 
   /**
    * Get conversation statistics
+   * @param {string} tenantId - Tenant ID (optional, if null counts all tenants)
    * @returns {Object} Stats about conversations
    */
-  static async getStats() {
+  static async getStats(tenantId = null) {
     try {
-      const { data, error } = await getSupabase()
+      let query = getSupabase()
         .from('conversations')
         .select('status, lead_captured, message_count, is_handed_off');
 
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query;
+
       if (error) throw error;
 
       const stats = {
@@ -0,0 +1,557 @@
+import { createClient } from '@supabase/supabase-js';
+import { DEFAULT_TENANT_ID } from './Tenant.js';
+import { analyzeTest } from '../services/abTestStatsService.js';
+
+// Lazy initialize Supabase client
+let supabase = null;
+function getSupabase() {
+  if (!supabase) {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+      throw new Error('SUPABASE_URL and SUPABASE_KEY must be set in environment variables');
+    }
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_KEY
+    );
+  }
+  return supabase;
+}
+
+// Arms with the variation they use for each section they change
+const EXPERIMENT_SELECT = `
+  *,
+  experiment_arms (
+    *,
+    experiment_arm_variations (
+      prompt_section_id,
+      variation_id,
+      prompt_variations ( id, variation_name, content )
+    )
+  )
+`;
+
+/**
+ * Experiment Model - A/B tests spanning several prompt sections
+ *
+ * An experiment has named arms (one of them the control, which keeps the
+ * base prompt). Each arm picks a variation for some sections; a conversation
+ * is assigned one arm per running experiment and gets all of that arm's
+ * variations together, so sections never mix across arms.
+ */
+class Experiment {
+  /**
+   * Get all experiments for a tenant, newest first
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Array} Experiments with arms
+   */
+  static async getAll(tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('experiments')
+        .select(EXPERIMENT_SELECT);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching experiments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an experiment by ID
+   * @param {string} id - Experiment ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object|null} Experiment with arms, or null if not found
+   */
+  static async getById(id, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('experiments')
+        .select(EXPERIMENT_SELECT)
+        .eq('id', id);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.single();
+
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = not found
+      return data;
+    } catch (error) {
+      console.error('Error fetching experiment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get running experiments for a tenant
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Array} Experiments with arms, oldest first
+   */
+  static async getRunning(tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('experiments')
+        .select(EXPERIMENT_SELECT)
+        .eq('status', 'running');
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.order('started_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching running experiments:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Create a draft experiment with its arms
+   * @param {Object} data - { name, description, created_by, arms: [{ name, is_control, traffic_percentage, variations: { sectionId: variationId } }] }
+   * @param {string} tenantId - Tenant ID (optional, defaults to DEFAULT_TENANT_ID)
+   * @returns {Object} Created experiment with arms
+   */
+  static async create(data, tenantId = null) {
+    tenantId = tenantId || DEFAULT_TENANT_ID;
+
+    try {
+      const { data: experiment, error } = await getSupabase()
+        .from('experiments')
+        .insert([{
+          tenant_id: tenantId,
+          name: data.name,
+          description: data.description || null,
+          created_by: data.created_by || 'admin'
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      try {
+        await this.insertArms(experiment.id, data.arms, tenantId);
+      } catch (armsError) {
+        // Don't leave an experiment without arms behind
+        await getSupabase().from('experiments').delete().eq('id', experiment.id);
+        throw armsError;
+      }
+
+      console.log(`✅ Created experiment: ${data.name}`);
+      return await this.getById(experiment.id, tenantId);
+    } catch (error) {
+      console.error('Error creating experiment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert arms and their section variations for an experiment
+   */
+  static async insertArms(experimentId, arms, tenantId) {
+    for (const arm of arms) {
+      const { data: armRow, error } = await getSupabase()
+        .from('experiment_arms')
+        .insert([{
+          tenant_id: tenantId,
+          experiment_id: experimentId,
+          name: arm.name,
+          is_control: !!arm.is_control,
+          traffic_percentage: arm.traffic_percentage
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const variationRows = Object.entries(arm.variations || {}).map(([sectionId, variationId]) => ({
+        arm_id: armRow.id,
+        prompt_section_id: sectionId,
+        variation_id: variationId,
+        tenant_id: tenantId
+      }));
+
+      if (variationRows.length > 0) {
+        const { error: variationsError } = await getSupabase()
+          .from('experiment_arm_variations')
+          .insert(variationRows);
+
+        if (variationsError) throw variationsError;
+      }
+    }
+  }
+
+  /**
+   * Replace an experiment's arms (drafts only - running arms have assignments)
+   * @param {string} id - Experiment ID
+   * @param {Array} arms - Same shape as create()
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Experiment with the new arms
+   */
+  static async replaceArms(id, arms, tenantId) {
+    try {
+      const { error } = await getSupabase()
+        .from('experiment_arms')
+        .delete()
+        .eq('experiment_id', id)
+        .eq('tenant_id', tenantId);
+
+      if (error) throw error;
+
+      await this.insertArms(id, arms, tenantId);
+      return await this.getById(id, tenantId);
+    } catch (error) {
+      console.error('Error replacing experiment arms:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an experiment's name, description or status
+   * Starting sets started_at, completing sets ended_at
+   * @param {string} id - Experiment ID
+   * @param {Object} updates - { name, description, status }
+   * @param {string} tenantId - Tenant ID (optional, for authorization)
+   * @returns {Object|null} Updated experiment, or null if not found
+   */
+  static async update(id, updates, tenantId = null) {
+    try {
+      const fields = { updated_at: new Date().toISOString() };
+      for (const key of ['name', 'description', 'status']) {
+        if (updates[key] !== undefined) fields[key] = updates[key];
+      }
+
+      if (updates.status === 'running') {
+        fields.ended_at = null;
+      }
+      if (updates.status === 'completed') {
+        fields.ended_at = new Date().toISOString();
+      }
+
+      let query = getSupabase()
+        .from('experiments')
+        .update(fields)
+        .eq('id', id);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.select().single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!data) return null;
+
+      // First start keeps its original start time when resuming from pause
+      if (updates.status === 'running' && !data.started_at) {
+        await getSupabase()
+          .from('experiments')
+          .update({ started_at: new Date().toISOString() })
+          .eq('id', id);
+      }
+
+      return await this.getById(id, tenantId);
+    } catch (error) {
+      console.error('Error updating experiment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an experiment (cascades to arms and assignments)
+   * @param {string} id - Experiment ID
+   * @param {string} tenantId - Tenant ID (optional, for authorization)
+   * @returns {boolean} Success
+   */
+  static async delete(id, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('experiments')
+        .delete()
+        .eq('id', id);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { error } = await query;
+
+      if (error) throw error;
+      console.log(`✅ Deleted experiment: ${id}`);
+      return true;
+    } catch (error) {
+      console.error('Error deleting experiment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Prompt sections changed by any arm of an experiment
+   * @param {Object} experiment - Experiment with arms
+   * @returns {Set<string>} Section IDs
+   */
+  static getSectionIds(experiment) {
+    const sectionIds = new Set();
+    for (const arm of experiment.experiment_arms || []) {
+      for (const armVariation of arm.experiment_arm_variations || []) {
+        sectionIds.add(armVariation.prompt_section_id);
+      }
+    }
+    return sectionIds;
+  }
+
+  /**
+   * Pick an arm by traffic percentage (weighted random)
+   * @param {Object} experiment - Experiment with arms
+   * @returns {Object|null} Arm
+   */
+  static selectArm(experiment) {
+    const arms = (experiment.experiment_arms || []).filter(arm => arm.traffic_percentage > 0);
+    if (arms.length === 0) return null;
+
+    const totalTraffic = arms.reduce((sum, arm) => sum + arm.traffic_percentage, 0);
+    const random = Math.random() * totalTraffic;
+
+    let cumulativeWeight = 0;
+    for (const arm of arms) {
+      cumulativeWeight += arm.traffic_percentage;
+      if (random < cumulativeWeight) {
+        return arm;
+      }
+    }
+
+    return arms[arms.length - 1];
+  }
+
+  /**
+   * Record which arm a conversation was assigned (first assignment wins)
+   * @param {string} conversationId - Conversation ID
+   * @param {string} experimentId - Experiment ID
+   * @param {string} armId - Arm ID
+   * @param {string} tenantId - Tenant ID (optional, defaults to DEFAULT_TENANT_ID)
+   * @param {string} visitorId - Widget visitor ID (optional)
+   * @returns {boolean} Success
+   */
+  static async recordAssignment(conversationId, experimentId, armId, tenantId = null, visitorId = null) {
+    try {
+      const { error } = await getSupabase()
+        .from('conversation_experiment_assignments')
+        .upsert({
+          tenant_id: tenantId || DEFAULT_TENANT_ID,
+          conversation_id: conversationId,
+          experiment_id: experimentId,
+          arm_id: armId,
+          visitor_id: visitorId
+        }, { onConflict: 'conversation_id,experiment_id', ignoreDuplicates: true });
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error recording experiment assignment:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the arms a conversation was already assigned
+   * @param {string} conversationId - Conversation ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object} Map of experiment ID to arm ID
+   */
+  static async getAssignments(conversationId, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('conversation_experiment_assignments')
+        .select('experiment_id, arm_id')
+        .eq('conversation_id', conversationId);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return Object.fromEntries((data || []).map(row => [row.experiment_id, row.arm_id]));
+    } catch (error) {
+      console.error('Error fetching experiment assignments:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get the arms a visitor was assigned in earlier conversations
+   * @param {string} visitorId - Widget visitor ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object} Map of experiment ID to arm ID
+   */
+  static async getVisitorAssignments(visitorId, tenantId = null) {
+    if (!visitorId) return {};
+
+    try {
+      let query = getSupabase()
+        .from('conversation_experiment_assignments')
+        .select('experiment_id, arm_id')
+        .eq('visitor_id', visitorId)
+        .order('assigned_at', { ascending: true });
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      // The visitor's first arm in each experiment is the one they keep
+      const assignments = {};
+      for (const row of data || []) {
+        if (!(row.experiment_id in assignments)) {
+          assignments[row.experiment_id] = row.arm_id;
+        }
+      }
+      return assignments;
+    } catch (error) {
+      console.error('Error fetching visitor experiment assignments:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Assign a conversation to an arm of every running experiment and work out
+   * which sections the experiments control
+   * @param {string} conversationId - Conversation ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @param {Object} options - { assignNew: assign experiments the conversation isn't in yet (default true),
+   *   visitorId: reuse the arm this visitor had in earlier conversations }
+   * @returns {Object} { assignments: { experimentId: armId }, sections: { sectionId: variation | null } }
+   *   A section listed in `sections` is owned by an experiment: use the variation's
+   *   content, or the base content when null, and skip per-section variations.
+   */
+  static async resolveForConversation(conversationId, tenantId = null, { assignNew = true, visitorId = null } = {}) {
+    const experiments = await this.getRunning(tenantId);
+    if (experiments.length === 0) {
+      return { assignments: {}, sections: {} };
+    }
+
+    const existingAssignments = await this.getAssignments(conversationId, tenantId);
+    const visitorAssignments = assignNew ? await this.getVisitorAssignments(visitorId, tenantId) : {};
+    const assignments = {};
+    const sections = {};
+
+    for (const experiment of experiments) {
+      let arm = null;
+
+      if (experiment.id in existingAssignments) {
+        arm = experiment.experiment_arms.find(a => a.id === existingAssignments[experiment.id]) || null;
+      } else if (assignNew) {
+        // A returning visitor stays in their arm for the life of the experiment
+        arm = experiment.experiment_arms.find(a => a.id === visitorAssignments[experiment.id])
+          || this.selectArm(experiment);
+        if (arm) {
+          await this.recordAssignment(conversationId, experiment.id, arm.id, tenantId, visitorId);
+        }
+      }
+
+      if (!arm) continue;
+      assignments[experiment.id] = arm.id;
+
+      // Every section the experiment touches is decided by the arm
+      for (const sectionId of this.getSectionIds(experiment)) {
+        if (!(sectionId in sections)) {
+          sections[sectionId] = null;
+        }
+      }
+      for (const armVariation of arm.experiment_arm_variations || []) {
+        sections[armVariation.prompt_section_id] = armVariation.prompt_variations;
+      }
+
+      console.log(`🧪 Experiment "${experiment.name}": arm "${arm.name}"`);
+    }
+
+    return { assignments, sections };
+  }
+
+  /**
+   * Get per-arm results for an experiment, compared against its control arm
+   * @param {string} id - Experiment ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object|null} { experiment_id, status, control, arms, recommendation, ... } or null if not found
+   */
+  static async getResults(id, tenantId = null) {
+    try {
+      const experiment = await this.getById(id, tenantId);
+      if (!experiment) return null;
+
+      const { data, error } = await getSupabase().rpc('get_experiment_results', {
+        p_experiment_id: id,
+        p_tenant_id: tenantId
+      });
+
+      if (error) throw error;
+
+      const totalsFor = (armId) => {
+        const row = (data || []).find(r => r.arm_id === armId);
+        return {
+          total_conversations: Number(row?.conversations || 0),
+          total_leads: Number(row?.leads_captured || 0),
+          total_handoffs: Number(row?.handoffs_requested || 0),
+          total_calendar_checks: Number(row?.calendar_checks || 0),
+          total_abandoned: Number(row?.abandoned_conversations || 0)
+        };
+      };
+
+      const arms = experiment.experiment_arms || [];
+      const control = arms.find(arm => arm.is_control);
+
+      const analysis = analyzeTest(
+        control ? { arm_id: control.id, arm_name: control.name, ...totalsFor(control.id) } : totalsFor(null),
+        arms.filter(arm => !arm.is_control).map(arm => ({
+          // analyzeTest compares "variations" against control - here each arm is one
+          variation_id: arm.id,
+          variation_name: arm.name,
+          is_active: experiment.status === 'running',
+          traffic_percentage: arm.traffic_percentage,
+          ...totalsFor(arm.id)
+        }))
+      );
+
+      return {
+        experiment_id: experiment.id,
+        name: experiment.name,
+        status: experiment.status,
+        started_at: experiment.started_at,
+        ended_at: experiment.ended_at,
+        control: analysis.control,
+        arms: analysis.variations.map(({ variation_id, variation_name, ...arm }) => ({
+          arm_id: variation_id,
+          arm_name: variation_name,
+          ...arm
+        })),
+        recommendation: {
+          ...analysis.recommendation,
+          arm_id: analysis.recommendation.variation_id
+        },
+        min_sample_size: analysis.min_sample_size,
+        significance_level: analysis.significance_level,
+        generated_at: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error getting experiment results:', error);
+      throw error;
+    }
+  }
+}
+
+export default Experiment;
@@ -0,0 +1,180 @@
+import { createClient } from '@supabase/supabase-js';
+import { DEFAULT_TENANT_ID } from './Tenant.js';
+
+// Lazy initialize Supabase client
+let supabase = null;
+function getSupabase() {
+  if (!supabase) {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+      throw new Error('SUPABASE_URL and SUPABASE_KEY must be set in environment variables');
+    }
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_KEY
+    );
+  }
+  return supabase;
+}
+
+const EDITABLE_FIELDS = ['name', 'description', 'turns', 'expectations', 'visitor_context', 'is_active'];
+
+/**
+ * GoldenConversation Model - Saved conversations the prompt must keep handling
+ *
+ * Each one is a list of visitor turns plus the behaviour expected from the
+ * chatbot (see promptRegressionService.js). The active ones form the
+ * regression suite that runs before drafts are published.
+ */
+class GoldenConversation {
+  /**
+   * Get a tenant's golden conversations, oldest first
+   * @param {string} tenantId - Tenant ID (optional)
+   * @param {Object} options - { activeOnly }
+   * @returns {Array} Golden conversations
+   */
+  static async getAll(tenantId = null, { activeOnly = false } = {}) {
+    try {
+      let query = getSupabase()
+        .from('golden_conversations')
+        .select('*');
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      if (activeOnly) {
+        query = query.eq('is_active', true);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching golden conversations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a golden conversation by ID
+   * @param {string} id - Golden conversation ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object|null} Golden conversation, or null if not found
+   */
+  static async getById(id, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('golden_conversations')
+        .select('*')
+        .eq('id', id);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.single();
+
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = not found
+      return data;
+    } catch (error) {
+      console.error('Error fetching golden conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a golden conversation
+   * @param {Object} data - { name, description, turns, expectations, visitor_context, is_active, created_by }
+   * @param {string} tenantId - Tenant ID (optional, defaults to DEFAULT_TENANT_ID)
+   * @returns {Object} Created golden conversation
+   */
+  static async create(data, tenantId = null) {
+    try {
+      const { data: golden, error } = await getSupabase()
+        .from('golden_conversations')
+        .insert([{
+          tenant_id: tenantId || DEFAULT_TENANT_ID,
+          name: data.name,
+          description: data.description || null,
+          turns: data.turns,
+          expectations: data.expectations || [],
+          visitor_context: data.visitor_context || null,
+          is_active: data.is_active !== undefined ? data.is_active : true,
+          created_by: data.created_by || 'admin'
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      console.log(`✅ Created golden conversation: ${data.name}`);
+      return golden;
+    } catch (error) {
+      console.error('Error creating golden conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a golden conversation
+   * @param {string} id - Golden conversation ID
+   * @param {Object} updates - Fields to update
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object|null} Updated golden conversation, or null if not found
+   */
+  static async update(id, updates, tenantId = null) {
+    try {
+      const fields = { updated_at: new Date().toISOString() };
+      for (const key of EDITABLE_FIELDS) {
+        if (updates[key] !== undefined) fields[key] = updates[key];
+      }
+
+      let query = getSupabase()
+        .from('golden_conversations')
+        .update(fields)
+        .eq('id', id);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.select().single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      console.error('Error updating golden conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a golden conversation
+   * @param {string} id - Golden conversation ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {boolean} Success status
+   */
+  static async delete(id, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('golden_conversations')
+        .delete()
+        .eq('id', id);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { error } = await query;
+
+      if (error) throw error;
+      console.log(`✅ Deleted golden conversation: ${id}`);
+      return true;
+    } catch (error) {
+      console.error('Error deleting golden conversation:', error);
+      throw error;
+    }
+  }
+}
+
+export default GoldenConversation;
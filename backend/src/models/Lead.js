@@ -86,15 +86,21 @@ class Lead {
   /**
    * Get lead by ID
    * @param {string} id - Lead ID
+   * @param {string} tenantId - Tenant ID (optional, scopes the lookup to the tenant)
    * @returns {Object} Lead data
    */
-  static async getById(id) {
+  static async getById(id, tenantId = null) {
     try {
-      const { data, error } = await getSupabase()
+      let query = getSupabase()
         .from('leads')
         .select('*')
-        .eq('id', id)
-        .single();
+        .eq('id', id);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.single();
 
       if (error) throw error;
       return data;
@@ -188,15 +194,21 @@ class Lead {
   /**
    * Get leads by qualification score
    * @param {string} score - 'hot', 'warm', or 'cold'
+   * @param {string} tenantId - Tenant ID (optional, if null returns all)
    * @returns {Array} Array of leads
    */
-  static async getByQualificationScore(score) {
+  static async getByQualificationScore(score, tenantId = null) {
     try {
-      const { data, error } = await getSupabase()
+      let query = getSupabase()
         .from('leads')
         .select('*')
-        .eq('qualification_score', score)
-        .order('created_at', { ascending: false });
+        .eq('qualification_score', score);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
 
       if (error) throw error;
       return data || [];
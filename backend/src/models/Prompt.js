@@ -1,5 +1,8 @@
 import { createClient } from '@supabase/supabase-js';
 import { DEFAULT_TENANT_ID } from './Tenant.js';
+import { resolvePromptVariables, getTenantTimezone } from '../services/promptTemplateService.js';
+import { matchesInclusionRules } from '../services/sectionRulesService.js';
+import { estimateTokens } from '../services/promptBudgetService.js';
 
 // Lazy initialize Supabase client
 let supabase = null;
@@ -16,6 +19,19 @@ function getSupabase() {
   return supabase;
 }
 
+// Sections are joined with a horizontal rule
+const SECTION_SEPARATOR = '\n\n---\n\n';
+
+/**
+ * Token counts for the content being saved (stored next to the content)
+ */
+function withTokenCounts(fields) {
+  const counts = {};
+  if ('content' in fields) counts.token_count = estimateTokens(fields.content);
+  if ('draft_content' in fields) counts.draft_token_count = estimateTokens(fields.draft_content);
+  return { ...fields, ...counts };
+}
+
 /**
  * Prompt Model - Manages chatbot knowledge base sections
  * All methods now support multi-tenancy with optional tenantId parameter
@@ -48,6 +64,25 @@ class Prompt {
     }
   }
 
+  /**
+   * Get the active sections whose inclusion rules match a visitor
+   * @param {string} tenantId - Tenant ID (optional)
+   * @param {Object|null} visitorContext - Visitor context (null = every active section)
+   * @param {Date} startedAt - Conversation start (for hours rules)
+   * @returns {Array} Sections ordered by display_order
+   */
+  static async getActiveForVisitor(tenantId = null, visitorContext = null, startedAt = new Date()) {
+    const sections = await this.getAllActive(tenantId);
+    if (!visitorContext || !sections.some(section => section.inclusion_rules)) {
+      return sections;
+    }
+
+    const timezone = await getTenantTimezone(tenantId);
+    return sections.filter(section =>
+      matchesInclusionRules(section.inclusion_rules, visitorContext, { now: startedAt, timezone })
+    );
+  }
+
   /**
    * Get all prompt sections (including inactive) for a tenant
    * @param {string} tenantId - Tenant ID (optional)
@@ -74,6 +109,34 @@ class Prompt {
     }
   }
 
+  /**
+   * Get a single prompt section by ID for a tenant
+   * @param {string} id - Section ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object|null} Prompt section or null if not found
+   */
+  static async getById(id, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('prompt_sections')
+        .select('*')
+        .eq('id', id);
+
+      // Scope to tenant
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.single();
+
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = not found
+      return data;
+    } catch (error) {
+      console.error('Database error fetching prompt by ID:', error);
+      throw new Error('Failed to fetch prompt');
+    }
+  }
+
   /**
    * Get a single prompt section by slug for a tenant
    * @param {string} slug - Section slug
@@ -113,7 +176,7 @@ class Prompt {
       const { data, error } = await getSupabase()
         .from('prompt_sections')
         .insert([{
-          ...sectionData,
+          ...withTokenCounts(sectionData),
           tenant_id: tenantId || DEFAULT_TENANT_ID
         }])
         .select()
@@ -139,7 +202,7 @@ class Prompt {
     try {
       let query = getSupabase()
         .from('prompt_sections')
-        .update(updates)
+        .update(withTokenCounts(updates))
         .eq('id', id);
 
       // Scope to tenant for authorization
@@ -158,6 +221,31 @@ class Prompt {
     }
   }
 
+  /**
+   * Count a tenant's prompt sections (including inactive ones)
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {number} Number of sections
+   */
+  static async count(tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('prompt_sections')
+        .select('id', { count: 'exact', head: true });
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { count, error } = await query;
+
+      if (error) throw error;
+      return count || 0;
+    } catch (error) {
+      console.error('Database error counting prompts:', error);
+      throw new Error('Failed to count prompts');
+    }
+  }
+
   /**
    * Delete a prompt section
    * @param {string} id - Section ID
@@ -190,15 +278,22 @@ class Prompt {
   /**
    * Get version history for a section
    * @param {string} sectionId - Section ID
+   * @param {string} tenantId - Tenant ID (optional)
    * @returns {Array} Version history
    */
-  static async getVersionHistory(sectionId) {
+  static async getVersionHistory(sectionId, tenantId = null) {
     try {
-      const { data, error } = await getSupabase()
+      let query = getSupabase()
         .from('prompt_versions')
         .select('*')
-        .eq('section_id', sectionId)
-        .order('version', { ascending: false });
+        .eq('section_id', sectionId);
+
+      // Scope to tenant
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.order('version', { ascending: false });
 
       if (error) throw error;
       return data || [];
@@ -208,14 +303,84 @@ class Prompt {
     }
   }
 
+  /**
+   * Get one version of a section: the current content, or a snapshot from
+   * prompt_versions
+   * @param {Object} section - Prompt section row
+   * @param {number} version - Version number
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object|null} { version, content, edited_by, change_notes, created_at, is_current }, or null if not found
+   */
+  static async getVersion(section, version, tenantId = null) {
+    if (version === section.version) {
+      return {
+        version,
+        content: section.content,
+        edited_by: section.last_edited_by,
+        change_notes: section.change_notes || null,
+        created_at: section.updated_at,
+        is_current: true
+      };
+    }
+
+    try {
+      let query = getSupabase()
+        .from('prompt_versions')
+        .select('version, content, edited_by, change_notes, created_at')
+        .eq('section_id', section.id)
+        .eq('version', version);
+
+      // Scope to tenant
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      // Older history may repeat a version number - the latest snapshot wins
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data?.[0] ? { ...data[0], is_current: false } : null;
+    } catch (error) {
+      console.error('Database error fetching prompt version:', error);
+      throw new Error('Failed to fetch prompt version');
+    }
+  }
+
+  /**
+   * Publish every draft of a tenant's sections in one transaction
+   * (publish_prompt_drafts RPC). Each published section gets a new version.
+   * @param {string} tenantId - Tenant ID (optional)
+   * @param {string} publishedBy - Editor name (used when a draft has no author)
+   * @returns {Array} [{ section_id, name, version }]
+   */
+  static async publishDrafts(tenantId, publishedBy) {
+    const { data, error } = await getSupabase().rpc('publish_prompt_drafts', {
+      p_tenant_id: tenantId,
+      p_published_by: publishedBy
+    });
+
+    if (error) {
+      console.error('Database error publishing prompt drafts:', error);
+      throw new Error('Failed to publish drafts');
+    }
+
+    console.log(`✓ Published ${(data || []).length} prompt draft(s)`);
+    return data || [];
+  }
+
   /**
    * Build complete system prompt from active sections for a tenant
+   * Template variables ({{company.name}} etc.) are filled in from the tenant's settings
    * @param {string} tenantId - Tenant ID (optional)
+   * @param {Object} options - { useDrafts: use each section's unpublished draft where it has one,
+   *   visitorContext: only include sections whose inclusion rules match (null = all), startedAt }
    * @returns {string} Complete system prompt
    */
-  static async buildSystemPrompt(tenantId = null) {
+  static async buildSystemPrompt(tenantId = null, { useDrafts = false, visitorContext = null, startedAt = new Date() } = {}) {
     try {
-      const sections = await this.getAllActive(tenantId);
+      const sections = await this.getActiveForVisitor(tenantId, visitorContext, startedAt);
 
       if (sections.length === 0) {
         console.warn('⚠️  No active prompt sections found, using fallback');
@@ -223,9 +388,10 @@ class Prompt {
       }
 
       // Combine all active sections in order
-      const prompt = sections
-        .map(section => section.content)
-        .join('\n\n---\n\n');
+      const template = sections
+        .map(section => (useDrafts ? section.draft_content ?? section.content : section.content))
+        .join(SECTION_SEPARATOR);
+      const { text: prompt } = await resolvePromptVariables(template, tenantId);
 
       console.log(`✓ Built system prompt from ${sections.length} sections`);
       return prompt;
@@ -239,58 +405,117 @@ class Prompt {
    * Build system prompt with A/B test variations for a tenant
    * @param {string} conversationId - Conversation ID for tracking
    * @param {string} tenantId - Tenant ID (optional)
-   * @returns {Object} { prompt: string, variationAssignments: Object }
+   * @param {Object} options - { assignNew: assign variations to sections that have none yet (default true),
+   *   visitorId: widget visitor ID, so a returning visitor keeps their earlier arms,
+   *   visitorContext / startedAt: visitor context and conversation start for sections' inclusion rules }
+   * @returns {Object} { prompt: string, promptBlocks: string[], variationAssignments: Object, experimentAssignments: Object }
+   *   promptBlocks splits the prompt (in display_order) for prompt caching: the sections before the
+   *   first section under test (the same for every conversation of the tenant), then the rest from
+   *   that section on (which differs by arm). prompt is the blocks joined.
    */
-  static async buildSystemPromptWithVariations(conversationId, tenantId = null) {
+  static async buildSystemPromptWithVariations(conversationId, tenantId = null, {
+    assignNew = true,
+    visitorId = null,
+    visitorContext = null,
+    startedAt = new Date()
+  } = {}) {
     try {
-      const sections = await this.getAllActive(tenantId);
+      // Sections the visitor doesn't qualify for are left out (and not A/B assigned)
+      const sections = await this.getActiveForVisitor(tenantId, visitorContext, startedAt);
 
       if (sections.length === 0) {
         console.warn('⚠️  No active prompt sections found, using fallback');
         return {
           prompt: 'You are a helpful assistant.',
-          variationAssignments: {}
+          promptBlocks: ['You are a helpful assistant.'],
+          variationAssignments: {},
+          experimentAssignments: {}
         };
       }
 
-      // Import PromptVariation model
+      // Import PromptVariation and Experiment models
       const PromptVariation = (await import('./PromptVariation.js')).default;
+      const Experiment = (await import('./Experiment.js')).default;
 
       const variationAssignments = {};
-      const promptParts = [];
+      const parts = [];
+      let firstTestedPart = -1;
+
+      // Running experiments decide the sections they change as a unit
+      const { assignments: experimentAssignments, sections: experimentSections } =
+        await Experiment.resolveForConversation(conversationId, tenantId, { assignNew, visitorId });
+
+      // A restored conversation keeps the variations it was first assigned
+      const existingAssignments = await PromptVariation.getAssignments(conversationId, tenantId);
+      const visitorAssignments = assignNew ? await PromptVariation.getVisitorAssignments(visitorId, tenantId) : {};
 
       // For each section, check if there are active variations
       for (const section of sections) {
-        const selectedVariation = await PromptVariation.selectVariationForConversation(section.id, tenantId);
+        let selectedVariation = null;
+        let tested = false;
+
+        if (section.id in experimentSections) {
+          // Owned by an experiment arm (null = base content); per-section tests don't apply
+          selectedVariation = experimentSections[section.id];
+          tested = true;
+        } else if (section.id in existingAssignments) {
+          // Already assigned (a null variation means the control arm)
+          const assignedVariationId = existingAssignments[section.id];
+          selectedVariation = assignedVariationId
+            ? await PromptVariation.getById(assignedVariationId, tenantId)
+            : null;
+          tested = true;
+        } else if (assignNew) {
+          const { variation, inTest } = await PromptVariation.selectVariationForConversation(section.id, tenantId, {
+            previousVariationId: visitorAssignments[section.id]
+          });
+          selectedVariation = variation;
+          tested = inTest;
+
+          // Record the assignment - control conversations too, so the base prompt can be compared
+          if (inTest) {
+            await PromptVariation.recordAssignment(conversationId, section.id, variation?.id || null, tenantId, visitorId);
+          }
+        }
 
+        if (tested && firstTestedPart === -1) firstTestedPart = parts.length;
         if (selectedVariation) {
           // Use variation content
-          promptParts.push(selectedVariation.content);
+          parts.push(selectedVariation.content);
           variationAssignments[section.id] = selectedVariation.id;
 
-          // Record the assignment
-          await PromptVariation.recordAssignment(conversationId, section.id, selectedVariation.id, tenantId);
-
           console.log(`🧪 Using variation "${selectedVariation.variation_name}" for section "${section.name}"`);
         } else {
           // Use base prompt content (control group)
-          promptParts.push(section.content);
+          parts.push(section.content);
         }
       }
 
-      const prompt = promptParts.join('\n\n---\n\n');
+      // Cache breakpoint just before the first tested section, so the shared prefix stays cacheable
+      const splitAt = firstTestedPart === -1 ? parts.length : firstTestedPart;
+      const promptBlocks = [];
+      for (const blockParts of [parts.slice(0, splitAt), parts.slice(splitAt)]) {
+        if (blockParts.length === 0) continue;
+        const { text } = await resolvePromptVariables(blockParts.join(SECTION_SEPARATOR), tenantId);
+        promptBlocks.push(text);
+      }
 
       return {
-        prompt,
+        prompt: promptBlocks.join(SECTION_SEPARATOR),
+        promptBlocks,
         variationAssignments,
+        experimentAssignments,
         usedVariations: Object.keys(variationAssignments).length > 0
       };
     } catch (error) {
       console.error('Error building system prompt with variations:', error);
       // Fallback to regular prompt on error
+      const prompt = await this.buildSystemPrompt(tenantId, { visitorContext, startedAt });
       return {
-        prompt: await this.buildSystemPrompt(tenantId),
+        prompt,
+        promptBlocks: [prompt],
         variationAssignments: {},
+        experimentAssignments: {},
         usedVariations: false
       };
     }
@@ -0,0 +1,136 @@
+import { createClient } from '@supabase/supabase-js';
+import { DEFAULT_TENANT_ID } from './Tenant.js';
+
+// Lazy initialize Supabase client
+let supabase = null;
+function getSupabase() {
+  if (!supabase) {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+      throw new Error('SUPABASE_URL and SUPABASE_KEY must be set in environment variables');
+    }
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_KEY
+    );
+  }
+  return supabase;
+}
+
+// Listing runs leaves out the transcripts
+const SUMMARY_COLUMNS = 'id, created_at, prompt_hash, section_versions, used_drafts, client, model, total, passed, failed, duration_ms, run_by';
+
+/**
+ * PromptRegressionRun Model - Reports of golden conversation runs
+ *
+ * Runs are keyed by the hash of the prompt they replayed against, so the
+ * report for a set of drafts is still found after they are published.
+ */
+class PromptRegressionRun {
+  /**
+   * Store a run
+   * @param {Object} run - { prompt_hash, section_versions, used_drafts, client, model, total, passed, failed, results, duration_ms, run_by }
+   * @param {string} tenantId - Tenant ID (optional, defaults to DEFAULT_TENANT_ID)
+   * @returns {Object} Stored run
+   */
+  static async create(run, tenantId = null) {
+    try {
+      const { data, error } = await getSupabase()
+        .from('prompt_regression_runs')
+        .insert([{ ...run, tenant_id: tenantId || DEFAULT_TENANT_ID }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error storing regression run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a run with its results
+   * @param {string} id - Run ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object|null} Run, or null if not found
+   */
+  static async getById(id, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('prompt_regression_runs')
+        .select('*')
+        .eq('id', id);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.single();
+
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = not found
+      return data;
+    } catch (error) {
+      console.error('Error fetching regression run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Latest run against a prompt, with its results
+   * @param {string} promptHash - Hash of the assembled prompt
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object|null} Run, or null if that prompt was never run
+   */
+  static async getLatestForPrompt(promptHash, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('prompt_regression_runs')
+        .select('*')
+        .eq('prompt_hash', promptHash);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data?.[0] || null;
+    } catch (error) {
+      console.error('Error fetching latest regression run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a tenant's runs, newest first (without results)
+   * @param {string} tenantId - Tenant ID (optional)
+   * @param {Object} options - { limit }
+   * @returns {Array} Runs
+   */
+  static async list(tenantId = null, { limit = 20 } = {}) {
+    try {
+      let query = getSupabase()
+        .from('prompt_regression_runs')
+        .select(SUMMARY_COLUMNS);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error listing regression runs:', error);
+      throw error;
+    }
+  }
+}
+
+export default PromptRegressionRun;
@@ -1,4 +1,7 @@
 import { createClient } from '@supabase/supabase-js';
+import { DEFAULT_TENANT_ID } from './Tenant.js';
+import VariationPromotion from './VariationPromotion.js';
+import { analyzeTest, secondaryMetrics } from '../services/abTestStatsService.js';
 
 // Lazy initialize Supabase client
 let supabase = null;
@@ -15,6 +18,30 @@ function getSupabase() {
   return supabase;
 }
 
+// Key used for the control arm (base prompt) in per-arm maps
+export const CONTROL_ARM = 'control';
+
+const EMPTY_ARM_TOTALS = {
+  total_conversations: 0,
+  total_leads: 0,
+  total_handoffs: 0,
+  total_calendar_checks: 0,
+  total_abandoned: 0,
+  total_errors: 0,
+  total_cost_usd: 0
+};
+
+export const GUARDRAIL_METRICS = ['lead_rate', 'handoff_rate', 'error_rate', 'cost_per_conversation'];
+
+// Used until a section's A/B test settings are saved
+const DEFAULT_TEST_SETTINGS = {
+  mode: 'manual',
+  exploration_floor: 10,
+  guardrails_enabled: true,
+  guardrail_metrics: GUARDRAIL_METRICS,
+  max_cost_increase_pct: 50
+};
+
 /**
  * PromptVariation Model - Handles A/B testing of prompt variations
  */
@@ -22,18 +49,22 @@ class PromptVariation {
   /**
    * Create a new variation for a prompt section
    * @param {Object} data - Variation data
+   * @param {string} tenantId - Tenant ID (optional, defaults to DEFAULT_TENANT_ID)
    * @returns {Object} Created variation
    */
-  static async create(data) {
+  static async create(data, tenantId = null) {
     try {
       const { data: variation, error } = await getSupabase()
         .from('prompt_variations')
         .insert([{
+          tenant_id: tenantId || DEFAULT_TENANT_ID,
           prompt_section_id: data.prompt_section_id,
           variation_name: data.variation_name,
           content: data.content,
           is_active: data.is_active || false,
           traffic_percentage: data.traffic_percentage || 0,
+          starts_at: data.starts_at || null,
+          ends_at: data.ends_at || null,
           created_by: data.created_by || 'admin',
           notes: data.notes || null
         }])
@@ -52,11 +83,12 @@ class PromptVariation {
   /**
    * Get all variations for a prompt section
    * @param {string} promptSectionId - UUID of the prompt section
+   * @param {string} tenantId - Tenant ID (optional)
    * @returns {Array} Array of variations
    */
-  static async getByPromptSection(promptSectionId) {
+  static async getByPromptSection(promptSectionId, tenantId = null) {
     try {
-      const { data, error } = await getSupabase()
+      let query = getSupabase()
         .from('prompt_variations')
         .select(`
           *,
@@ -68,8 +100,14 @@ class PromptVariation {
             calendar_booking_rate
           )
         `)
-        .eq('prompt_section_id', promptSectionId)
-        .order('created_at', { ascending: false });
+        .eq('prompt_section_id', promptSectionId);
+
+      // Scope to tenant
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
 
       if (error) throw error;
       return data || [];
@@ -79,6 +117,34 @@ class PromptVariation {
     }
   }
 
+  /**
+   * Get a variation by ID
+   * @param {string} id - Variation ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object|null} Variation or null if not found
+   */
+  static async getById(id, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('prompt_variations')
+        .select('*')
+        .eq('id', id);
+
+      // Scope to tenant
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.single();
+
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = not found
+      return data;
+    } catch (error) {
+      console.error('Error fetching variation:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get active variations for A/B testing
    * @returns {Array} Array of active variations
@@ -103,15 +169,26 @@ class PromptVariation {
    * Select a variation for a conversation based on traffic percentage
    * Uses weighted random selection
    * @param {string} promptSectionId - UUID of the prompt section
-   * @returns {Object|null} Selected variation or null if using base prompt
+   * @param {string} tenantId - Tenant ID (optional)
+   * @param {Object} options - { previousVariationId: the visitor's earlier arm for this section (null = control, undefined = none) }
+   * @returns {Object} { variation: selected variation or null for the base prompt, inTest: whether the section has a running test }
    */
-  static async selectVariationForConversation(promptSectionId) {
+  static async selectVariationForConversation(promptSectionId, tenantId = null, { previousVariationId } = {}) {
     try {
-      const variations = await this.getByPromptSection(promptSectionId);
-      const activeVariations = variations.filter(v => v.is_active && v.traffic_percentage > 0);
+      const variations = await this.getByPromptSection(promptSectionId, tenantId);
+      const activeVariations = variations.filter(v => v.is_active && v.traffic_percentage > 0 && this.isScheduledNow(v));
 
       if (activeVariations.length === 0) {
-        return null; // Use base prompt
+        return { variation: null, inTest: false }; // No test running - use base prompt
+      }
+
+      // A returning visitor keeps their arm while it is still part of the test
+      if (previousVariationId === null) {
+        return { variation: null, inTest: true };
+      }
+      const previousVariation = activeVariations.find(v => v.id === previousVariationId);
+      if (previousVariation) {
+        return { variation: previousVariation, inTest: true };
       }
 
       // Calculate total traffic allocated to variations
@@ -121,7 +198,7 @@ class PromptVariation {
       const random = Math.random() * 100;
 
       if (random > totalTraffic) {
-        return null; // Use base prompt (control group)
+        return { variation: null, inTest: true }; // Use base prompt (control group)
       }
 
       // Weighted random selection among active variations
@@ -129,32 +206,48 @@ class PromptVariation {
       for (const variation of activeVariations) {
         cumulativeWeight += variation.traffic_percentage;
         if (random <= cumulativeWeight) {
-          return variation;
+          return { variation, inTest: true };
         }
       }
 
-      return activeVariations[0]; // Fallback to first variation
+      return { variation: activeVariations[0], inTest: true }; // Fallback to first variation
     } catch (error) {
       console.error('Error selecting variation:', error);
-      return null; // Fall back to base prompt on error
+      return { variation: null, inTest: false }; // Fall back to base prompt on error
     }
   }
 
+  /**
+   * Whether a variation's start/end dates allow it to get traffic now
+   * @param {Object} variation - Variation with starts_at / ends_at
+   * @param {Date} now - Time to check (default now)
+   * @returns {boolean}
+   */
+  static isScheduledNow(variation, now = new Date()) {
+    if (variation.starts_at && new Date(variation.starts_at) > now) return false;
+    if (variation.ends_at && new Date(variation.ends_at) <= now) return false;
+    return true;
+  }
+
   /**
    * Record which variation was used for a conversation
    * @param {string} conversationId - Conversation ID
    * @param {string} promptSectionId - Prompt section ID
-   * @param {string} variationId - Variation ID
+   * @param {string} variationId - Variation ID, or null for the control arm (base prompt)
+   * @param {string} tenantId - Tenant ID (optional, defaults to DEFAULT_TENANT_ID)
+   * @param {string} visitorId - Widget visitor ID (optional)
    * @returns {boolean} Success
    */
-  static async recordAssignment(conversationId, promptSectionId, variationId) {
+  static async recordAssignment(conversationId, promptSectionId, variationId, tenantId = null, visitorId = null) {
     try {
       const { error } = await getSupabase()
         .from('conversation_test_assignments')
         .insert([{
+          tenant_id: tenantId || DEFAULT_TENANT_ID,
           conversation_id: conversationId,
           prompt_section_id: promptSectionId,
-          variation_id: variationId
+          variation_id: variationId,
+          visitor_id: visitorId
         }]);
 
       if (error) throw error;
@@ -165,20 +258,99 @@ class PromptVariation {
     }
   }
 
+  /**
+   * Get the variations already assigned to a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object} Map of prompt section ID to variation ID (null = control arm)
+   */
+  static async getAssignments(conversationId, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('conversation_test_assignments')
+        .select('prompt_section_id, variation_id')
+        .eq('conversation_id', conversationId)
+        .order('assigned_at', { ascending: true });
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      // Keep the first assignment per section
+      const assignments = {};
+      for (const row of data || []) {
+        if (!(row.prompt_section_id in assignments)) {
+          assignments[row.prompt_section_id] = row.variation_id;
+        }
+      }
+      return assignments;
+    } catch (error) {
+      console.error('Error fetching variation assignments:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get the variations a visitor was assigned in earlier conversations
+   * @param {string} visitorId - Widget visitor ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object} Map of prompt section ID to the most recent variation ID (null = control arm)
+   */
+  static async getVisitorAssignments(visitorId, tenantId = null) {
+    if (!visitorId) return {};
+
+    try {
+      let query = getSupabase()
+        .from('conversation_test_assignments')
+        .select('prompt_section_id, variation_id')
+        .eq('visitor_id', visitorId)
+        .order('assigned_at', { ascending: false });
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      const assignments = {};
+      for (const row of data || []) {
+        if (!(row.prompt_section_id in assignments)) {
+          assignments[row.prompt_section_id] = row.variation_id;
+        }
+      }
+      return assignments;
+    } catch (error) {
+      console.error('Error fetching visitor assignments:', error);
+      return {};
+    }
+  }
+
   /**
    * Update a variation
    * @param {string} id - Variation ID
    * @param {Object} updates - Fields to update
+   * @param {string} tenantId - Tenant ID (optional, for authorization)
    * @returns {Object} Updated variation
    */
-  static async update(id, updates) {
+  static async update(id, updates, tenantId = null) {
     try {
-      const { data, error } = await getSupabase()
+      let query = getSupabase()
         .from('prompt_variations')
         .update(updates)
-        .eq('id', id)
-        .select()
-        .single();
+        .eq('id', id);
+
+      // Scope to tenant for authorization
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.select().single();
 
       if (error) throw error;
       console.log(`✅ Updated variation: ${id}`);
@@ -192,15 +364,23 @@ class PromptVariation {
   /**
    * Delete a variation
    * @param {string} id - Variation ID
+   * @param {string} tenantId - Tenant ID (optional, for authorization)
    * @returns {boolean} Success
    */
-  static async delete(id) {
+  static async delete(id, tenantId = null) {
     try {
-      const { error } = await getSupabase()
+      let query = getSupabase()
         .from('prompt_variations')
         .delete()
         .eq('id', id);
 
+      // Scope to tenant for authorization
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { error } = await query;
+
       if (error) throw error;
       console.log(`✅ Deleted variation: ${id}`);
       return true;
@@ -211,19 +391,209 @@ class PromptVariation {
   }
 
   /**
-   * Get performance comparison across all variations of a prompt section
+   * Get outcome totals per arm for a prompt section
+   * Each conversation counts once per outcome (see conversation_metric_events)
+   * @param {string} promptSectionId - Prompt section ID
+   * @param {number} days - Only conversations assigned in the last N days
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object} Map of variation ID (or CONTROL_ARM) to
+   *   { total_conversations, total_leads, total_handoffs, total_calendar_checks, total_abandoned,
+   *     total_errors, total_cost_usd }
+   */
+  static async getArmResults(promptSectionId, days = 30, tenantId = null) {
+    try {
+      const since = await this.getResultsSince(promptSectionId, days, tenantId);
+
+      const { data, error } = await getSupabase().rpc('get_section_test_results', {
+        p_prompt_section_id: promptSectionId,
+        p_tenant_id: tenantId,
+        p_since: since
+      });
+
+      if (error) throw error;
+
+      const results = {};
+      for (const row of data || []) {
+        results[row.variation_id || CONTROL_ARM] = {
+          total_conversations: Number(row.conversations),
+          total_leads: Number(row.leads_captured),
+          total_handoffs: Number(row.handoffs_requested),
+          total_calendar_checks: Number(row.calendar_checks),
+          total_abandoned: Number(row.abandoned_conversations),
+          total_errors: Number(row.errored_conversations),
+          total_cost_usd: Number(row.total_cost_usd)
+        };
+      }
+      return results;
+    } catch (error) {
+      console.error('Error fetching arm results:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get lead quality per arm of a section's A/B test: qualification mix,
+   * median user turns before the lead was saved, and leads that went on to
+   * check the calendar
+   * @param {string} promptSectionId - Prompt section ID
+   * @param {string} since - Only conversations assigned from this time (ISO)
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object} Map of variation ID (or CONTROL_ARM) to
+   *   { total_hot_leads, total_warm_leads, total_cold_leads, total_calendar_checked_leads, median_turns_to_lead }
+   */
+  static async getLeadQuality(promptSectionId, since, tenantId = null) {
+    try {
+      const { data, error } = await getSupabase().rpc('get_section_lead_quality', {
+        p_prompt_section_id: promptSectionId,
+        p_tenant_id: tenantId,
+        p_since: since
+      });
+
+      if (error) throw error;
+
+      const results = {};
+      for (const row of data || []) {
+        results[row.variation_id || CONTROL_ARM] = {
+          total_hot_leads: Number(row.hot_leads),
+          total_warm_leads: Number(row.warm_leads),
+          total_cold_leads: Number(row.cold_leads),
+          total_calendar_checked_leads: Number(row.calendar_checked_leads),
+          median_turns_to_lead: row.median_turns_to_lead === null ? null : Number(row.median_turns_to_lead)
+        };
+      }
+      return results;
+    } catch (error) {
+      console.error('Error fetching lead quality:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start of the results window: N days ago, or the last promotion if later
+   * (the control arm had different content before it)
+   * @returns {string} ISO timestamp
+   */
+  static async getResultsSince(promptSectionId, days, tenantId = null) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+
+    const promotedAt = await VariationPromotion.getCurrentTestStart(promptSectionId, tenantId);
+    if (promotedAt && new Date(promotedAt) > cutoffDate) {
+      return new Date(promotedAt).toISOString();
+    }
+    return cutoffDate.toISOString();
+  }
+
+  /**
+   * Get a section's A/B test settings (defaults if never saved)
+   * @param {string} promptSectionId - Prompt section ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object} { mode: 'manual' | 'auto', exploration_floor, guardrails_enabled, guardrail_metrics, max_cost_increase_pct }
+   */
+  static async getTestSettings(promptSectionId, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('ab_test_settings')
+        .select('*')
+        .eq('prompt_section_id', promptSectionId);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.single();
+
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = not found
+      return { prompt_section_id: promptSectionId, ...DEFAULT_TEST_SETTINGS, ...data };
+    } catch (error) {
+      console.error('Error fetching A/B test settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a section's A/B test settings
+   * @param {string} promptSectionId - Prompt section ID
+   * @param {Object} settings - { mode, exploration_floor, guardrails_enabled, guardrail_metrics, max_cost_increase_pct }
+   * @param {string} tenantId - Tenant ID (optional, defaults to DEFAULT_TENANT_ID)
+   * @param {string} updatedBy - Editor email
+   * @returns {Object} Saved settings
+   */
+  static async saveTestSettings(promptSectionId, settings, tenantId = null, updatedBy = null) {
+    try {
+      const { data, error } = await getSupabase()
+        .from('ab_test_settings')
+        .upsert({
+          prompt_section_id: promptSectionId,
+          tenant_id: tenantId || DEFAULT_TENANT_ID,
+          mode: settings.mode,
+          exploration_floor: settings.exploration_floor,
+          guardrails_enabled: settings.guardrails_enabled,
+          guardrail_metrics: settings.guardrail_metrics,
+          max_cost_increase_pct: settings.max_cost_increase_pct,
+          updated_at: new Date().toISOString(),
+          updated_by: updatedBy
+        }, { onConflict: 'prompt_section_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving A/B test settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every section in auto-optimize mode (all tenants - for the background optimizer)
+   * @returns {Array} ab_test_settings rows
+   */
+  static async getAutoOptimizedSections() {
+    try {
+      const { data, error } = await getSupabase()
+        .from('ab_test_settings')
+        .select('*')
+        .eq('mode', 'auto');
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching auto-optimized sections:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get performance comparison across all variations of a prompt section,
+   * including the control arm (base prompt), with significance stats and
+   * each arm's secondary metrics (abTestStatsService.secondaryMetrics)
    * @param {string} promptSectionId - Prompt section ID
    * @param {number} days - Number of days to look back
-   * @returns {Object} Performance comparison data
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object} Performance comparison data (see abTestStatsService.analyzeTest)
    */
-  static async getPerformanceComparison(promptSectionId, days = 30) {
+  static async getPerformanceComparison(promptSectionId, days = 30, tenantId = null) {
     try {
-      const variations = await this.getByPromptSection(promptSectionId);
+      const variations = await this.getByPromptSection(promptSectionId, tenantId);
 
       // Get metrics for each variation from the last N days
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - days);
 
+      const since = await this.getResultsSince(promptSectionId, days, tenantId);
+      const [armResults, leadQuality] = await Promise.all([
+        this.getArmResults(promptSectionId, days, tenantId),
+        this.getLeadQuality(promptSectionId, since, tenantId)
+      ]);
+      const totalsFor = (armId) => {
+        const totals = armResults[armId] || EMPTY_ARM_TOTALS;
+        return {
+          ...totals,
+          secondary_metrics: secondaryMetrics({ ...totals, ...leadQuality[armId] })
+        };
+      };
+
       const performanceData = await Promise.all(
         variations.map(async (variation) => {
           const { data: metrics, error } = await getSupabase()
@@ -235,34 +605,25 @@ class PromptVariation {
 
           if (error) throw error;
 
-          // Calculate aggregates
-          const totalConversations = metrics.reduce((sum, m) => sum + m.conversations_count, 0);
-          const totalLeads = metrics.reduce((sum, m) => sum + m.leads_captured, 0);
-          const avgConversionRate = totalConversations > 0
-            ? (totalLeads / totalConversations * 100).toFixed(2)
-            : 0;
-
           return {
             variation_id: variation.id,
             variation_name: variation.variation_name,
             is_active: variation.is_active,
             traffic_percentage: variation.traffic_percentage,
-            total_conversations: totalConversations,
-            total_leads: totalLeads,
-            conversion_rate: parseFloat(avgConversionRate),
+            ...totalsFor(variation.id),
             metrics_by_date: metrics,
             created_at: variation.created_at
           };
         })
       );
 
-      // Also get base prompt (control) performance
-      // This would be conversations that didn't use any variation
+      const analysis = analyzeTest(totalsFor(CONTROL_ARM), performanceData);
 
       return {
         prompt_section_id: promptSectionId,
         date_range_days: days,
-        variations: performanceData,
+        since,
+        ...analysis,
         generated_at: new Date().toISOString()
       };
     } catch (error) {
@@ -273,44 +634,28 @@ class PromptVariation {
 
   /**
    * Promote a variation to be the new base prompt
-   * This "graduates" a winning variation
+   * This "graduates" a winning variation. Runs in one transaction
+   * (promote_variation RPC): the old content is kept as a prompt version,
+   * the section's variations are deactivated and the test's final stats are
+   * archived with the promotion so it can be reviewed or undone later.
    * @param {string} variationId - Variation ID to promote
-   * @param {string} promptSectionId - Prompt section ID
-   * @returns {boolean} Success
+   * @param {string} tenantId - Tenant ID (optional)
+   * @param {Object} options - { promotedBy, finalStats }
+   * @returns {Object} Promotion record
    */
-  static async promoteToBase(variationId, promptSectionId) {
+  static async promoteToBase(variationId, tenantId = null, { promotedBy = null, finalStats = null } = {}) {
     try {
-      // Get the variation content
-      const { data: variation, error: varError } = await getSupabase()
-        .from('prompt_variations')
-        .select('content, variation_name')
-        .eq('id', variationId)
-        .single();
-
-      if (varError) throw varError;
-
-      // Update the base prompt section with this content
-      const { error: updateError } = await getSupabase()
-        .from('prompts')
-        .update({
-          content: variation.content,
-          description: `Promoted from variation: ${variation.variation_name}`,
-          version: getSupabase().raw('version + 1')
-        })
-        .eq('id', promptSectionId);
-
-      if (updateError) throw updateError;
+      const { data: promotionId, error } = await getSupabase().rpc('promote_variation', {
+        p_variation_id: variationId,
+        p_tenant_id: tenantId,
+        p_promoted_by: promotedBy,
+        p_final_stats: finalStats
+      });
 
-      // Deactivate all variations for this section
-      const { error: deactivateError } = await getSupabase()
-        .from('prompt_variations')
-        .update({ is_active: false, traffic_percentage: 0 })
-        .eq('prompt_section_id', promptSectionId);
-
-      if (deactivateError) throw deactivateError;
+      if (error) throw error;
 
       console.log(`✅ Promoted variation ${variationId} to base prompt`);
-      return true;
+      return await VariationPromotion.getById(promotionId, tenantId);
     } catch (error) {
       console.error('Error promoting variation:', error);
       throw error;
@@ -1,5 +1,13 @@
 import { createClient } from '@supabase/supabase-js';
 import crypto from 'crypto';
+import {
+  ENCRYPTED_FIELDS,
+  generateDataKey,
+  unwrapDataKey,
+  encryptValue,
+  decryptValue,
+  decryptIntegrationSecrets
+} from '../services/encryptionService.js';
 
 // Lazy initialize Supabase client
 let supabase = null;
@@ -32,7 +40,9 @@ export const PLANS = {
       slackIntegration: false,
       customDomain: false,
       removeWatermark: false,
-      apiAccess: false
+      apiAccess: false,
+      calendarIntegration: false,
+      premiumModels: false
     },
     limits: {
       monthlyConversations: 100,
@@ -48,7 +58,9 @@ export const PLANS = {
       slackIntegration: true,
       customDomain: false,
       removeWatermark: false,
-      apiAccess: false
+      apiAccess: false,
+      calendarIntegration: true,
+      premiumModels: false
     },
     limits: {
       monthlyConversations: 1000,
@@ -64,7 +76,9 @@ export const PLANS = {
       slackIntegration: true,
       customDomain: true,
       removeWatermark: true,
-      apiAccess: true
+      apiAccess: true,
+      calendarIntegration: true,
+      premiumModels: true
     },
     limits: {
       monthlyConversations: 10000,
@@ -80,7 +94,9 @@ export const PLANS = {
       slackIntegration: true,
       customDomain: true,
       removeWatermark: true,
-      apiAccess: true
+      apiAccess: true,
+      calendarIntegration: true,
+      premiumModels: true
     },
     limits: {
       monthlyConversations: -1, // unlimited
@@ -255,7 +271,10 @@ class Tenant {
         ...settingsUpdate,
         branding: { ...currentSettings.branding, ...settingsUpdate.branding },
         features: { ...currentSettings.features, ...settingsUpdate.features },
-        limits: { ...currentSettings.limits, ...settingsUpdate.limits }
+        limits: { ...currentSettings.limits, ...settingsUpdate.limits },
+        tools: { ...currentSettings.tools, ...settingsUpdate.tools },
+        company: { ...currentSettings.company, ...settingsUpdate.company },
+        model: { ...currentSettings.model, ...settingsUpdate.model }
       };
 
       return await this.update(id, { settings: mergedSettings });
@@ -691,6 +710,8 @@ export class TenantUser {
 export class TenantIntegrations {
   /**
    * Get integrations for a tenant
+   * Secret fields are returned as stored (encrypted) - use getDecryptedForTenant
+   * when the secrets themselves are needed
    * @param {string} tenantId - Tenant ID
    * @returns {Object} Integration settings
    */
@@ -710,20 +731,72 @@ export class TenantIntegrations {
     }
   }
 
+  /**
+   * Get integrations for a tenant with secrets decrypted
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Integration settings with plaintext secrets
+   */
+  static async getDecryptedForTenant(tenantId) {
+    const integrations = await this.getForTenant(tenantId);
+    return decryptIntegrationSecrets(integrations);
+  }
+
+  /**
+   * Encrypt secret fields for a write, reusing the row's data key
+   * Legacy rows without a data key get one, and any plaintext secrets
+   * already on the row are encrypted along with the update
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} integrations - Fields being written
+   * @returns {Object} Encrypted secret fields (plus data key columns if new)
+   */
+  static async encryptSecrets(tenantId, integrations) {
+    const existing = await this.getForTenant(tenantId);
+    const encrypted = {};
+    let dataKey;
+
+    if (existing?.encrypted_data_key) {
+      dataKey = unwrapDataKey(existing.encrypted_data_key, existing.key_version);
+    } else {
+      const generated = generateDataKey();
+      dataKey = generated.dataKey;
+      encrypted.encrypted_data_key = generated.encryptedDataKey;
+      encrypted.key_version = generated.keyVersion;
+
+      for (const field of ENCRYPTED_FIELDS) {
+        if (existing?.[field] && !(field in integrations)) {
+          encrypted[field] = encryptValue(dataKey, existing[field]);
+        }
+      }
+    }
+
+    for (const field of ENCRYPTED_FIELDS) {
+      if (field in integrations) {
+        encrypted[field] = encryptValue(dataKey, integrations[field]);
+      }
+    }
+
+    return encrypted;
+  }
+
   /**
    * Create or update integrations for a tenant
+   * Secret fields (ENCRYPTED_FIELDS) are passed in plaintext and encrypted here
    * @param {string} tenantId - Tenant ID
    * @param {Object} integrations - Integration settings
    * @returns {Object} Updated integrations
    */
   static async upsert(tenantId, integrations) {
     try {
+      const hasSecrets = ENCRYPTED_FIELDS.some(field => field in integrations);
+      const encrypted = hasSecrets ? await this.encryptSecrets(tenantId, integrations) : {};
+
       const { data, error } = await getSupabase()
         .from('tenant_integrations')
         .upsert(
           {
             tenant_id: tenantId,
-            ...integrations
+            ...integrations,
+            ...encrypted
           },
           {
             onConflict: 'tenant_id'
@@ -739,6 +812,75 @@ export class TenantIntegrations {
       throw new Error(`Failed to update integrations: ${error.message}`);
     }
   }
+
+  /**
+   * List raw integrations rows (for key rotation)
+   * @param {number} limit - Number of rows
+   * @param {number} offset - Offset for pagination
+   * @returns {Array} Rows, secrets as stored
+   */
+  static async listAll(limit = 100, offset = 0) {
+    try {
+      const { data, error } = await getSupabase()
+        .from('tenant_integrations')
+        .select('*')
+        .order('created_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Database error listing integrations:', error);
+      throw new Error(`Failed to list integrations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-encrypt a row with a fresh data key wrapped by the current master key
+   * Also encrypts legacy plaintext secrets
+   * @param {Object} row - Raw tenant_integrations row
+   * @returns {Object} Updated row
+   */
+  static async reencrypt(row) {
+    try {
+      const oldDataKey = row.encrypted_data_key
+        ? unwrapDataKey(row.encrypted_data_key, row.key_version)
+        : null;
+
+      const { dataKey, encryptedDataKey, keyVersion } = generateDataKey();
+      const updates = {
+        encrypted_data_key: encryptedDataKey,
+        key_version: keyVersion,
+        updated_at: new Date().toISOString()
+      };
+
+      for (const field of ENCRYPTED_FIELDS) {
+        const plaintext = oldDataKey ? decryptValue(oldDataKey, row[field]) : row[field];
+        updates[field] = encryptValue(dataKey, plaintext);
+      }
+
+      // Only write if the row hasn't changed since it was read
+      let query = getSupabase()
+        .from('tenant_integrations')
+        .update(updates)
+        .eq('id', row.id);
+
+      query = row.encrypted_data_key
+        ? query.eq('encrypted_data_key', row.encrypted_data_key)
+        : query.is('encrypted_data_key', null);
+
+      const { data, error } = await query.select();
+
+      if (error) throw error;
+      if (!data || data.length === 0) {
+        throw new Error('Row was modified during rotation - run the rotation again');
+      }
+      return data[0];
+    } catch (error) {
+      console.error('Database error re-encrypting integrations:', error);
+      throw new Error(`Failed to re-encrypt integrations: ${error.message}`);
+    }
+  }
 }
 
 export default Tenant;
@@ -0,0 +1,77 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Lazy initialize Supabase client
+let supabase = null;
+function getSupabase() {
+  if (!supabase) {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+      throw new Error('SUPABASE_URL and SUPABASE_KEY must be set in environment variables');
+    }
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_KEY
+    );
+  }
+  return supabase;
+}
+
+/**
+ * VariationAllocationLog Model - Traffic allocation changes made in auto-optimize mode
+ */
+class VariationAllocationLog {
+  /**
+   * Record an allocation change
+   * @param {Object} entry - { tenantId, promptSectionId, reason, changedBy, previousAllocation, newAllocation, armStats }
+   * @returns {Object} Created entry
+   */
+  static async create(entry) {
+    try {
+      const { data, error } = await getSupabase()
+        .from('variation_allocation_log')
+        .insert([{
+          tenant_id: entry.tenantId,
+          prompt_section_id: entry.promptSectionId,
+          reason: entry.reason,
+          changed_by: entry.changedBy || null,
+          previous_allocation: entry.previousAllocation,
+          new_allocation: entry.newAllocation,
+          arm_stats: entry.armStats || null
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Database error creating allocation log entry:', error);
+      throw new Error(`Failed to record allocation change: ${error.message}`);
+    }
+  }
+
+  /**
+   * List allocation changes for a prompt section, newest first
+   * @param {string} promptSectionId - Prompt section ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Array} Entries
+   */
+  static async listForSection(promptSectionId, tenantId, { limit = 50, offset = 0 } = {}) {
+    try {
+      const { data, error } = await getSupabase()
+        .from('variation_allocation_log')
+        .select('*')
+        .eq('prompt_section_id', promptSectionId)
+        .eq('tenant_id', tenantId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Database error listing allocation log:', error);
+      throw new Error('Failed to fetch allocation log');
+    }
+  }
+}
+
+export default VariationAllocationLog;
@@ -0,0 +1,139 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Lazy initialize Supabase client
+let supabase = null;
+function getSupabase() {
+  if (!supabase) {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+      throw new Error('SUPABASE_URL and SUPABASE_KEY must be set in environment variables');
+    }
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_KEY
+    );
+  }
+  return supabase;
+}
+
+/**
+ * VariationPromotion Model - Variations promoted to the base prompt
+ *
+ * Each promotion keeps the content it replaced and the test's final results,
+ * so it can be undone and the finished test can still be reviewed.
+ */
+class VariationPromotion {
+  /**
+   * Get a promotion by ID
+   * @param {string} id - Promotion ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {Object|null} Promotion, or null if not found
+   */
+  static async getById(id, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('variation_promotions')
+        .select('*')
+        .eq('id', id);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query.single();
+
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = not found
+      return data;
+    } catch (error) {
+      console.error('Error fetching promotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List promotions for a prompt section, newest first
+   * @param {string} promptSectionId - Prompt section ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @param {Object} options - { limit }
+   * @returns {Array} Promotions
+   */
+  static async listForSection(promptSectionId, tenantId = null, { limit = 20 } = {}) {
+    try {
+      let query = getSupabase()
+        .from('variation_promotions')
+        .select('*')
+        .eq('prompt_section_id', promptSectionId);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query
+        .order('promoted_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Error listing promotions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * When the section's current test started: its latest promotion that
+   * wasn't undone (results from before it belong to the archived test)
+   * @param {string} promptSectionId - Prompt section ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @returns {string|null} ISO timestamp, or null if never promoted
+   */
+  static async getCurrentTestStart(promptSectionId, tenantId = null) {
+    try {
+      let query = getSupabase()
+        .from('variation_promotions')
+        .select('promoted_at')
+        .eq('prompt_section_id', promptSectionId)
+        .is('undone_at', null);
+
+      if (tenantId) {
+        query = query.eq('tenant_id', tenantId);
+      }
+
+      const { data, error } = await query
+        .order('promoted_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data?.[0]?.promoted_at || null;
+    } catch (error) {
+      console.error('Error fetching latest promotion:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Undo a promotion: restore the previous content and variation traffic
+   * Runs in one transaction (undo_variation_promotion RPC); fails if the
+   * section was edited after the promotion
+   * @param {string} id - Promotion ID
+   * @param {string} tenantId - Tenant ID (optional)
+   * @param {string} undoneBy - Editor name
+   * @returns {string} Prompt section ID
+   */
+  static async undo(id, tenantId, undoneBy) {
+    const { data, error } = await getSupabase().rpc('undo_variation_promotion', {
+      p_promotion_id: id,
+      p_tenant_id: tenantId,
+      p_undone_by: undoneBy
+    });
+
+    if (error) {
+      console.error('Error undoing promotion:', error);
+      throw error;
+    }
+
+    console.log(`↩️ Undid promotion ${id}`);
+    return data;
+  }
+}
+
+export default VariationPromotion;
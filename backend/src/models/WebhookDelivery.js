@@ -0,0 +1,187 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Lazy initialize Supabase client
+let supabase = null;
+function getSupabase() {
+  if (!supabase) {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+      throw new Error('SUPABASE_URL and SUPABASE_KEY must be set in environment variables');
+    }
+    supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_KEY
+    );
+  }
+  return supabase;
+}
+
+/**
+ * WebhookDelivery Model - Log of outbound webhook attempts
+ */
+class WebhookDelivery {
+  /**
+   * Create a pending delivery
+   * @param {Object} data - { tenantId, eventId, eventType, payload, url, redeliveryOf }
+   * @returns {Object} Created delivery
+   */
+  static async create(data) {
+    try {
+      const { data: delivery, error } = await getSupabase()
+        .from('webhook_deliveries')
+        .insert([{
+          tenant_id: data.tenantId,
+          event_id: data.eventId,
+          event_type: data.eventType,
+          payload: data.payload,
+          url: data.url,
+          status: 'pending',
+          next_attempt_at: new Date().toISOString(),
+          redelivery_of: data.redeliveryOf || null
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return delivery;
+    } catch (error) {
+      console.error('Database error creating webhook delivery:', error);
+      throw new Error(`Failed to create webhook delivery: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a delivery by ID, scoped to a tenant
+   * @param {string} id - Delivery ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object|null} Delivery
+   */
+  static async getById(id, tenantId) {
+    try {
+      const { data, error } = await getSupabase()
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('id', id)
+        .eq('tenant_id', tenantId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data;
+    } catch (error) {
+      console.error('Database error fetching webhook delivery:', error);
+      return null;
+    }
+  }
+
+  /**
+   * List deliveries for a tenant, newest first
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - { limit, offset, status, eventType }
+   * @returns {Array} Deliveries
+   */
+  static async listForTenant(tenantId, options = {}) {
+    const { limit = 50, offset = 0, status = null, eventType = null } = options;
+
+    try {
+      let query = getSupabase()
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (status) query = query.eq('status', status);
+      if (eventType) query = query.eq('event_type', eventType);
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Database error listing webhook deliveries:', error);
+      throw new Error(`Failed to list webhook deliveries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get pending deliveries whose next attempt is due
+   * @param {number} limit - Max deliveries to return
+   * @returns {Array} Deliveries
+   */
+  static async getDue(limit = 20) {
+    try {
+      const { data, error } = await getSupabase()
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('Database error fetching due webhook deliveries:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Claim a delivery for an attempt
+   * Only succeeds if attempts hasn't changed since it was read, so two
+   * workers can't send the same attempt twice
+   * @param {Object} delivery - Delivery as read from the database
+   * @returns {Object|null} Claimed delivery, or null if someone else got it
+   */
+  static async claimAttempt(delivery) {
+    try {
+      const { data, error } = await getSupabase()
+        .from('webhook_deliveries')
+        .update({
+          attempts: delivery.attempts + 1,
+          last_attempt_at: new Date().toISOString(),
+          next_attempt_at: null
+        })
+        .eq('id', delivery.id)
+        .eq('status', 'pending')
+        .eq('attempts', delivery.attempts)
+        .select();
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Database error claiming webhook delivery:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record the outcome of an attempt
+   * @param {string} id - Delivery ID
+   * @param {Object} result - { status, nextAttemptAt, responseStatus, error }
+   * @returns {Object} Updated delivery
+   */
+  static async recordAttempt(id, result) {
+    try {
+      const { data, error } = await getSupabase()
+        .from('webhook_deliveries')
+        .update({
+          status: result.status,
+          next_attempt_at: result.nextAttemptAt || null,
+          delivered_at: result.status === 'succeeded' ? new Date().toISOString() : null,
+          response_status: result.responseStatus ?? null,
+          error: result.error ?? null
+        })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Database error recording webhook attempt:', error);
+      throw new Error(`Failed to record webhook attempt: ${error.message}`);
+    }
+  }
+}
+
+export default WebhookDelivery;
@@ -0,0 +1,298 @@
+/**
+ * A/B Test Statistics - compares each variation's lead conversion rate
+ * against the control arm (base prompt)
+ *
+ * - 95% Wilson score interval for every arm's conversion rate
+ * - Two-proportion z-test (pooled) for each variation vs control
+ * - Bonferroni correction when a section tests several variations at once
+ * - No recommendation until every compared arm has MIN_SAMPLE_SIZE conversations
+ *
+ * Secondary metrics (lead quality, turns to lead, calendar check rate, cost) are
+ * reported alongside but don't affect the recommendation.
+ */
+
+export const MIN_SAMPLE_SIZE = 100;
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+const Z_95 = 1.959964;
+
+/**
+ * Standard normal cumulative distribution function
+ * (Abramowitz & Stegun 7.1.26, accurate to ~1e-7)
+ * @param {number} x
+ * @returns {number} P(Z <= x)
+ */
+export function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * 95% Wilson score interval for a proportion
+ * @param {number} successes
+ * @param {number} total
+ * @returns {Object} { lower, upper } as percentages (0-100)
+ */
+export function wilsonInterval(successes, total) {
+  if (total === 0) return { lower: 0, upper: 0 };
+
+  const p = successes / total;
+  const z2 = Z_95 * Z_95;
+  const denominator = 1 + z2 / total;
+  const center = (p + z2 / (2 * total)) / denominator;
+  const halfWidth = (Z_95 * Math.sqrt(p * (1 - p) / total + z2 / (4 * total * total))) / denominator;
+
+  return {
+    lower: round(Math.max(0, center - halfWidth) * 100),
+    upper: round(Math.min(1, center + halfWidth) * 100)
+  };
+}
+
+/**
+ * Two-sided, pooled two-proportion z-test (variation vs control)
+ * @returns {Object} { z, pValue }
+ */
+export function twoProportionZTest(controlSuccesses, controlTotal, variantSuccesses, variantTotal) {
+  if (controlTotal === 0 || variantTotal === 0) return { z: 0, pValue: 1 };
+
+  const pooled = (controlSuccesses + variantSuccesses) / (controlTotal + variantTotal);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / controlTotal + 1 / variantTotal));
+  if (standardError === 0) return { z: 0, pValue: 1 };
+
+  const z = (variantSuccesses / variantTotal - controlSuccesses / controlTotal) / standardError;
+  return { z: round(z, 3), pValue: round(2 * (1 - normalCdf(Math.abs(z))), 4) };
+}
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function rate(successes, total) {
+  return total > 0 ? round(successes / total * 100) : 0;
+}
+
+/**
+ * Add conversion stats to the control arm and each variation, and pick a winner
+ * @param {Object} control - { total_conversations, total_leads }
+ * @param {Array} variations - [{ variation_id, variation_name, is_active, total_conversations, total_leads, ... }]
+ * @param {Object} options - { minSampleSize, significanceLevel }
+ * @returns {Object} { control, variations, recommendation, min_sample_size, significance_level }
+ */
+export function analyzeTest(control, variations, {
+  minSampleSize = MIN_SAMPLE_SIZE,
+  significanceLevel = SIGNIFICANCE_LEVEL
+} = {}) {
+  // Paused variations that never ran don't count towards the correction
+  const isCompared = v => v.is_active || v.total_conversations > 0;
+  const adjustedAlpha = significanceLevel / Math.max(variations.filter(isCompared).length, 1);
+
+  const controlStats = {
+    ...control,
+    conversion_rate: rate(control.total_leads, control.total_conversations),
+    confidence_interval: wilsonInterval(control.total_leads, control.total_conversations),
+    has_min_sample: control.total_conversations >= minSampleSize
+  };
+
+  const variationStats = variations.map(variation => {
+    const conversionRate = rate(variation.total_leads, variation.total_conversations);
+    const { z, pValue } = twoProportionZTest(
+      control.total_leads, control.total_conversations,
+      variation.total_leads, variation.total_conversations
+    );
+    const hasMinSample = variation.total_conversations >= minSampleSize;
+
+    return {
+      ...variation,
+      conversion_rate: conversionRate,
+      confidence_interval: wilsonInterval(variation.total_leads, variation.total_conversations),
+      // Relative change vs control, in percent
+      lift: controlStats.conversion_rate > 0
+        ? round((conversionRate - controlStats.conversion_rate) / controlStats.conversion_rate * 100, 1)
+        : null,
+      z_score: z,
+      p_value: pValue,
+      has_min_sample: hasMinSample,
+      significant: hasMinSample && controlStats.has_min_sample && pValue < adjustedAlpha
+    };
+  });
+
+  return {
+    control: controlStats,
+    variations: variationStats,
+    recommendation: recommend(controlStats, variationStats.filter(isCompared), minSampleSize),
+    min_sample_size: minSampleSize,
+    significance_level: round(adjustedAlpha, 4)
+  };
+}
+
+/**
+ * Decide what to do with a test
+ * @returns {Object} { status: 'no_test' | 'insufficient_data' | 'winner' | 'keep_control' | 'no_clear_winner', variation_id, message }
+ */
+function recommend(control, variations, minSampleSize) {
+  if (variations.length === 0) {
+    return { status: 'no_test', variation_id: null, message: 'No variations are being tested.' };
+  }
+
+  const short = [control, ...variations].filter(arm => !arm.has_min_sample);
+  if (short.length > 0) {
+    const smallest = Math.min(...short.map(arm => arm.total_conversations));
+    return {
+      status: 'insufficient_data',
+      variation_id: null,
+      message: `Keep the test running: every arm needs at least ${minSampleSize} conversations (smallest has ${smallest}).`
+    };
+  }
+
+  const winners = variations
+    .filter(v => v.significant && v.conversion_rate > control.conversion_rate)
+    .sort((a, b) => b.conversion_rate - a.conversion_rate);
+
+  if (winners.length > 0) {
+    const winner = winners[0];
+    return {
+      status: 'winner',
+      variation_id: winner.variation_id,
+      message: `"${winner.variation_name}" converts better than the base prompt (${winner.conversion_rate}% vs ${control.conversion_rate}%, p=${winner.p_value}). Consider promoting it.`
+    };
+  }
+
+  if (variations.every(v => v.significant && v.conversion_rate < control.conversion_rate)) {
+    return {
+      status: 'keep_control',
+      variation_id: null,
+      message: `The base prompt converts better than every variation (${control.conversion_rate}%). Consider ending the test.`
+    };
+  }
+
+  return {
+    status: 'no_clear_winner',
+    variation_id: null,
+    message: 'No variation is significantly different from the base prompt yet.'
+  };
+}
+
+/**
+ * Guardrails - is a variation significantly worse than control?
+ *
+ * Checked repeatedly while a test runs, so a stricter level than the
+ * winner test is used to keep false alarms down.
+ */
+export const GUARDRAIL_SIGNIFICANCE_LEVEL = 0.01;
+
+// Proportion guardrails: which outcome they count and which direction is worse
+const RATE_GUARDRAILS = {
+  lead_rate: { successes: 'total_leads', label: 'Lead rate', worseWhen: 'lower' },
+  handoff_rate: { successes: 'total_handoffs', label: 'Handoff rate', worseWhen: 'higher' },
+  error_rate: { successes: 'total_errors', label: 'Error rate', worseWhen: 'higher' }
+};
+
+/**
+ * Check a variation's guardrail metrics against control
+ * @param {Object} control - Arm totals (total_conversations, total_leads, total_handoffs, total_errors, total_cost_usd)
+ * @param {Object} variation - Arm totals for the variation
+ * @param {Object} options - { metrics, maxCostIncreasePct, minSampleSize, significanceLevel }
+ * @returns {Array} Tripped guardrails: [{ metric, label, control_value, variation_value, p_value, message }]
+ */
+export function evaluateGuardrails(control, variation, {
+  metrics = [...Object.keys(RATE_GUARDRAILS), 'cost_per_conversation'],
+  maxCostIncreasePct = 50,
+  minSampleSize = MIN_SAMPLE_SIZE,
+  significanceLevel = GUARDRAIL_SIGNIFICANCE_LEVEL
+} = {}) {
+  if (control.total_conversations < minSampleSize || variation.total_conversations < minSampleSize) {
+    return [];
+  }
+
+  const violations = [];
+
+  for (const metric of metrics) {
+    const guardrail = RATE_GUARDRAILS[metric];
+    if (!guardrail) continue;
+
+    const controlRate = rate(control[guardrail.successes], control.total_conversations);
+    const variationRate = rate(variation[guardrail.successes], variation.total_conversations);
+    const { pValue } = twoProportionZTest(
+      control[guardrail.successes], control.total_conversations,
+      variation[guardrail.successes], variation.total_conversations
+    );
+    const worse = guardrail.worseWhen === 'lower' ? variationRate < controlRate : variationRate > controlRate;
+
+    if (worse && pValue < significanceLevel) {
+      violations.push({
+        metric,
+        label: guardrail.label,
+        control_value: controlRate,
+        variation_value: variationRate,
+        p_value: pValue,
+        message: `${guardrail.label} ${variationRate}% vs ${controlRate}% for control (${pValue < 0.001 ? 'p<0.001' : `p=${pValue}`})`
+      });
+    }
+  }
+
+  // Cost has no natural test here - compare the averages against a set tolerance
+  if (metrics.includes('cost_per_conversation')) {
+    const controlCost = control.total_cost_usd / control.total_conversations;
+    const variationCost = variation.total_cost_usd / variation.total_conversations;
+
+    if (controlCost > 0 && variationCost > controlCost * (1 + maxCostIncreasePct / 100)) {
+      violations.push({
+        metric: 'cost_per_conversation',
+        label: 'Cost per conversation',
+        control_value: round(controlCost, 4),
+        variation_value: round(variationCost, 4),
+        p_value: null,
+        message: `Cost per conversation $${round(variationCost, 4)} vs $${round(controlCost, 4)} for control (more than ${maxCostIncreasePct}% higher)`
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Secondary metrics for one arm - what kind of leads it captures and what they cost
+ * @param {Object} arm - Arm totals (total_conversations, total_leads, total_cost_usd,
+ *   total_hot_leads, total_warm_leads, total_cold_leads, total_calendar_checked_leads, median_turns_to_lead)
+ * @returns {Object} { lead_quality: { hot, warm, cold, hot_pct, warm_pct, cold_pct },
+ *   median_turns_to_lead, calendar_check_rate, cost_per_conversation, cost_per_lead }
+ */
+export function secondaryMetrics(arm) {
+  const hot = arm.total_hot_leads || 0;
+  const warm = arm.total_warm_leads || 0;
+  const cold = arm.total_cold_leads || 0;
+  // Leads with a saved lead record - the denominator for quality and calendar checks
+  const scored = hot + warm + cold;
+  const cost = arm.total_cost_usd || 0;
+
+  return {
+    lead_quality: {
+      hot,
+      warm,
+      cold,
+      hot_pct: rate(hot, scored),
+      warm_pct: rate(warm, scored),
+      cold_pct: rate(cold, scored)
+    },
+    median_turns_to_lead: arm.median_turns_to_lead ?? null,
+    // Leads that checked meeting times - not bookings, which happen in Calendly
+    calendar_check_rate: rate(arm.total_calendar_checked_leads || 0, scored),
+    cost_per_conversation: arm.total_conversations > 0 ? round(cost / arm.total_conversations, 4) : null,
+    cost_per_lead: arm.total_leads > 0 ? round(cost / arm.total_leads, 4) : null
+  };
+}
+
+export default {
+  MIN_SAMPLE_SIZE,
+  SIGNIFICANCE_LEVEL,
+  GUARDRAIL_SIGNIFICANCE_LEVEL,
+  normalCdf,
+  wilsonInterval,
+  twoProportionZTest,
+  analyzeTest,
+  evaluateGuardrails,
+  secondaryMetrics
+};
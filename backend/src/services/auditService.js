@@ -0,0 +1,32 @@
+import AdminAuditLog from '../models/AdminAuditLog.js';
+
+/**
+ * Get the name to store in last_edited_by / created_by columns
+ * @param {Object} req - Express request (after jwtAuth)
+ * @returns {string} User email
+ */
+export function getEditorName(req) {
+  return req.user?.email || 'admin';
+}
+
+/**
+ * Record an admin change made by the authenticated user
+ * Never throws - a failed audit write must not fail the change itself
+ * @param {Object} req - Express request (after jwtAuth)
+ * @param {string} action - e.g. 'prompt.update'
+ * @param {Object} resource - { type, id, details }
+ */
+export function auditAdminAction(req, action, { type = null, id = null, details = null } = {}) {
+  AdminAuditLog.create({
+    tenantId: req.tenantId,
+    userId: req.userId,
+    userEmail: req.user?.email,
+    userRole: req.userRole,
+    action,
+    resourceType: type,
+    resourceId: id,
+    details
+  }).catch(err => console.error(`Failed to audit ${action}:`, err));
+}
+
+export default { getEditorName, auditAdminAction };
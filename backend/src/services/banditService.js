@@ -0,0 +1,222 @@
+import PromptVariation, { CONTROL_ARM } from '../models/PromptVariation.js';
+import VariationAllocationLog from '../models/VariationAllocationLog.js';
+
+/**
+ * Auto-optimize mode for A/B tests (Thompson sampling)
+ *
+ * Each arm (control + every active variation) gets a Beta(leads + 1,
+ * conversations - leads + 1) posterior on its lead conversion rate. Traffic
+ * is split in proportion to each arm's probability of being the best
+ * (estimated by sampling the posteriors), after reserving the section's
+ * exploration floor for every arm so a slow starter is never starved.
+ *
+ * The split is written to the variations' traffic_percentage (control gets
+ * the remainder), so conversation assignment itself is unchanged. Sections
+ * are rebalanced by a background worker and whenever auto mode is switched
+ * on; every change is logged in variation_allocation_log.
+ */
+
+const POSTERIOR_DRAWS = 10000;
+const LOOKBACK_DAYS = 30;
+const REBALANCE_INTERVAL = 60 * 60 * 1000; // Rebalance every hour
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function sampleNormal() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Gamma(shape, 1) sample (Marsaglia-Tsang, shape >= 1)
+ */
+function sampleGamma(shape) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  while (true) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal();
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = Math.random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+      return d * v;
+    }
+  }
+}
+
+/**
+ * Beta(alpha, beta) sample (alpha, beta >= 1)
+ */
+function sampleBeta(alpha, beta) {
+  const x = sampleGamma(alpha);
+  const y = sampleGamma(beta);
+  return x / (x + y);
+}
+
+/**
+ * Estimate each arm's probability of having the highest conversion rate
+ * @param {Array} arms - [{ conversations, leads }]
+ * @param {number} draws - Posterior samples
+ * @returns {number[]} Probabilities (sum to 1)
+ */
+export function probabilityBest(arms, draws = POSTERIOR_DRAWS) {
+  const wins = new Array(arms.length).fill(0);
+
+  for (let i = 0; i < draws; i++) {
+    let best = 0;
+    let bestSample = -1;
+    arms.forEach((arm, index) => {
+      const sample = sampleBeta(arm.leads + 1, Math.max(arm.conversations - arm.leads, 0) + 1);
+      if (sample > bestSample) {
+        best = index;
+        bestSample = sample;
+      }
+    });
+    wins[best]++;
+  }
+
+  return wins.map(count => count / draws);
+}
+
+/**
+ * Turn probabilities into whole-number traffic percentages that sum to 100,
+ * giving every arm at least the exploration floor
+ * @param {number[]} probabilities - Probability each arm is best
+ * @param {number} explorationFloor - Minimum % per arm
+ * @returns {number[]} Percentages
+ */
+export function allocateTraffic(probabilities, explorationFloor) {
+  const floor = Math.min(explorationFloor, Math.floor(100 / probabilities.length));
+  const remaining = 100 - floor * probabilities.length;
+  const exact = probabilities.map(p => floor + remaining * p);
+
+  // Largest remainder rounding so the total is exactly 100
+  const allocation = exact.map(Math.floor);
+  let leftover = 100 - allocation.reduce((sum, pct) => sum + pct, 0);
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder);
+
+  for (const { index } of byRemainder) {
+    if (leftover <= 0) break;
+    allocation[index]++;
+    leftover--;
+  }
+
+  return allocation;
+}
+
+/**
+ * Current traffic split for a section
+ * @param {Array} activeVariations - The section's active variations
+ * @returns {Object} { control: %, <variation_id>: % }
+ */
+export function currentAllocation(activeVariations) {
+  const allocation = {};
+  let variationTraffic = 0;
+  for (const variation of activeVariations) {
+    allocation[variation.id] = variation.traffic_percentage;
+    variationTraffic += variation.traffic_percentage;
+  }
+  return { [CONTROL_ARM]: Math.max(100 - variationTraffic, 0), ...allocation };
+}
+
+/**
+ * Recompute a section's traffic split with Thompson sampling and apply it
+ * @param {Object} settings - ab_test_settings row (prompt_section_id, tenant_id, exploration_floor)
+ * @param {Object} options - { reason, changedBy }
+ * @returns {Object|null} { previous, allocation } or null if nothing changed
+ */
+export async function rebalanceSection(settings, { reason = 'auto_rebalance', changedBy = null } = {}) {
+  const { prompt_section_id: sectionId, tenant_id: tenantId } = settings;
+
+  const variations = await PromptVariation.getByPromptSection(sectionId, tenantId);
+  // Variations outside their start/end dates get no traffic anyway
+  const activeVariations = variations.filter(v => v.is_active && PromptVariation.isScheduledNow(v));
+  if (activeVariations.length === 0) return null;
+
+  const results = await PromptVariation.getArmResults(sectionId, LOOKBACK_DAYS, tenantId);
+  const armIds = [CONTROL_ARM, ...activeVariations.map(v => v.id)];
+  const arms = armIds.map(id => ({
+    conversations: results[id]?.total_conversations || 0,
+    leads: results[id]?.total_leads || 0
+  }));
+
+  const probabilities = probabilityBest(arms);
+  const percentages = allocateTraffic(probabilities, settings.exploration_floor);
+
+  const previous = currentAllocation(activeVariations);
+  const allocation = Object.fromEntries(armIds.map((id, index) => [id, percentages[index]]));
+
+  if (armIds.every(id => previous[id] === allocation[id])) {
+    return null;
+  }
+
+  for (const variation of activeVariations) {
+    if (variation.traffic_percentage !== allocation[variation.id]) {
+      await PromptVariation.update(variation.id, { traffic_percentage: allocation[variation.id] }, tenantId);
+    }
+  }
+
+  await VariationAllocationLog.create({
+    tenantId,
+    promptSectionId: sectionId,
+    reason,
+    changedBy,
+    previousAllocation: previous,
+    newAllocation: allocation,
+    armStats: Object.fromEntries(armIds.map((id, index) => [id, {
+      ...arms[index],
+      probability_best: Math.round(probabilities[index] * 1000) / 1000
+    }]))
+  });
+
+  console.log(`🎰 Rebalanced A/B traffic for section ${sectionId}: ${JSON.stringify(allocation)}`);
+  return { previous, allocation };
+}
+
+/**
+ * Rebalance every section in auto mode
+ */
+export async function rebalanceAutoSections() {
+  const sections = await PromptVariation.getAutoOptimizedSections();
+  for (const settings of sections) {
+    try {
+      await rebalanceSection(settings);
+    } catch (error) {
+      console.error(`Failed to rebalance section ${settings.prompt_section_id}:`, error);
+    }
+  }
+}
+
+let rebalanceTimer = null;
+
+/**
+ * Start the background optimizer (call once at server startup)
+ */
+export function startBanditWorker() {
+  if (rebalanceTimer) return;
+
+  rebalanceTimer = setInterval(() => {
+    rebalanceAutoSections().catch(err => console.error('A/B optimizer error:', err));
+  }, REBALANCE_INTERVAL);
+
+  console.log('🎰 A/B test optimizer started');
+}
+
+export default {
+  probabilityBest,
+  allocateTraffic,
+  currentAllocation,
+  rebalanceSection,
+  rebalanceAutoSections,
+  startBanditWorker
+};
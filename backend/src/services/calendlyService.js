@@ -68,7 +68,8 @@ async function getEventTypeUuid() {
 
 /**
  * Get available time slots for booking
- * Returns next 5 available times in a conversational format
+ * Returns the next available times in a conversational format, plus
+ * structured slots (with per-slot booking URLs) for the chat widget
  */
 export async function getAvailableTimes() {
   try {
@@ -110,6 +111,7 @@ export async function getAvailableTimes() {
 
     // Group times by date for cleaner display (take first 8 slots)
     const slotsByDate = {};
+    const slots = [];
     data.collection.slice(0, 8).forEach(slot => {
       const date = new Date(slot.start_time);
       const dateKey = date.toLocaleDateString('en-US', {
@@ -127,6 +129,13 @@ export async function getAvailableTimes() {
         slotsByDate[dateKey] = [];
       }
       slotsByDate[dateKey].push(timeStr);
+
+      slots.push({
+        startTime: slot.start_time,
+        dateLabel: dateKey,
+        timeLabel: timeStr,
+        schedulingUrl: slot.scheduling_url || process.env.CALENDLY_EVENT_LINK
+      });
     });
 
     // Format as clean text for Claude to display
@@ -143,6 +152,7 @@ export async function getAvailableTimes() {
     return {
       available: true,
       formattedSchedule: formattedSchedule,
+      slots,
       bookingLink: process.env.CALENDLY_EVENT_LINK
     };
 
@@ -1,4 +1,9 @@
 import Anthropic from '@anthropic-ai/sdk';
+import { LEAD_CAPTURE_TOOL } from '../tools/saveLead.js';
+import { HANDOFF_TOOL } from '../tools/requestHumanHelp.js';
+import { CALENDLY_TOOL } from '../tools/checkCalendarAvailability.js';
+import { resolvePromptVariables } from './promptTemplateService.js';
+import { DEFAULT_MODEL_SETTINGS } from './modelConfigService.js';
 
 // Lazy initialize Anthropic client
 let anthropic = null;
@@ -15,6 +20,8 @@ function getAnthropic() {
 }
 
 // Customize this system prompt with Xpio Health's specific information
+// Contact details are {{variables}} filled in from the tenant's settings
+// (see promptTemplateService.js) - resolve it before sending it to Claude
 export const SYSTEM_PROMPT = `You are an intelligent sales assistant for Xpio Health, a national healthcare technology and consulting firm.
 
 ## 🚨 MEETING SCHEDULING - READ THIS FIRST 🚨
@@ -22,11 +29,12 @@ export const SYSTEM_PROMPT = `You are an intelligent sales assistant for Xpio He
 When someone wants to schedule/book a meeting:
 1. Get their name, email, and phone
 2. Use save_lead tool to capture their info
-3. Direct them to click the "📅 Schedule a Meeting" button in the chat widget to book directly with Thad
+3. Direct them to click the "📅 Schedule a Meeting" button in the chat widget to book directly with {{company.contact_name}}
 
-The scheduling link is: https://calendly.com/thad-xpiohealth/30min
+The scheduling link is: {{integrations.calendly_url}}
+Today is {{today}} - use it when visitors mention days like "next Tuesday".
 
-IMPORTANT: Tell users to use the "Schedule a Meeting" button right there in the chat - it will open Thad's calendar where they can pick any available time that works for them.
+IMPORTANT: Tell users to use the "Schedule a Meeting" button right there in the chat - it will open {{company.contact_name}}'s calendar where they can pick any available time that works for them.
 
 ## About Xpio Health - The Company
 Xpio Health is a **national technology and healthcare consulting firm** with a presence across **12 states** and customers throughout the United States.
@@ -43,11 +51,11 @@ We deliver transformational consulting and information technology services speci
 - Specialized focus on behavioral health and integrated care
 - We partner with organizations doing some of the most important work in healthcare
 
-**Contact Xpio Health:**
-- Phone: (888) 974-6408
-- Email: inquiry@xpiohealth.com
-- Address: 3118 Judson Street, PO Box 498, Gig Harbor, Washington 98335 USA
-- Website: https://xpiohealth.com
+**Contact {{company.name}}:**
+- Phone: {{company.phone}}
+- Email: {{company.email}}
+- Address: {{company.address}}
+- Website: {{company.website}}
 
 You are an intelligent sales assistant for Xpio Health, a healthcare technology company specializing in behavioral health solutions.
 
@@ -466,13 +474,13 @@ Xpio Health provides end-to-end EHR consulting services focused on understanding
 
 ## Meeting Booking Rules
 
-After saving lead with save_lead tool → direct them to click the "📅 Schedule a Meeting" button in the chat to book with Thad.
-The button links to: https://calendly.com/thad-xpiohealth/30min
+After saving lead with save_lead tool → direct them to click the "📅 Schedule a Meeting" button in the chat to book with {{company.contact_name}}.
+The button links to: {{integrations.calendly_url}}
 
 ## CRITICAL: When to Connect Visitors to a Human Team Member
 
 **USE THE HANDOFF TOOL IMMEDIATELY when:**
-- Visitor explicitly asks to "talk to someone", "speak with a person", "connect me to Thad", "talk to a real person", etc.
+- Visitor explicitly asks to "talk to someone", "speak with a person", "connect me to {{company.contact_name}}", "talk to a real person", etc.
 - Visitor requests pricing, demos, or detailed proposals beyond general information
 - Visitor has complex technical questions you cannot fully answer
 - Visitor expresses urgency or frustration
@@ -559,12 +567,12 @@ User: "what do you have to offer"
 Good AI: "We specialize in three main areas: EHR consulting, analytics platforms, and cybersecurity for behavioral health. What's your biggest challenge right now?"
 
 ❌ WRONG - Didn't prioritize booking:
-User: "can you book me a meeting with thad"
+User: "can you book me a meeting with {{company.contact_name}}"
 Bad AI: "I can definitely help! First let me tell you about our services. We offer analytics, EHR consulting, and cybersecurity. Would you like to schedule time?"
 
 ✅ CORRECT - Immediate booking link:
-User: "can you book me a meeting with thad"
-Good AI: "Absolutely! Just click the 📅 Schedule a Meeting button right here in the chat to pick a time with Thad!"
+User: "can you book me a meeting with {{company.contact_name}}"
+Good AI: "Absolutely! Just click the 📅 Schedule a Meeting button right here in the chat to pick a time with {{company.contact_name}}!"
 
 ❌ WRONG - Long explanation:
 User: "tell me about analytics"
@@ -580,128 +588,8 @@ Good AI: "We turn scattered EHR data into clear dashboards - billing, clinical o
 - They'll ask for more if interested
 - NEVER give long explanations upfront`;
 
-// Tool definition for lead capture
-export const LEAD_CAPTURE_TOOL = {
-  name: 'save_lead',
-  description: 'Save qualified lead information to the database and trigger immediate sales team notification. Only use this when you have gathered sufficient information and the lead has shown genuine interest in Xpio Health\'s solutions.',
-  input_schema: {
-    type: 'object',
-    properties: {
-      name: {
-        type: 'string',
-        description: 'Full name of the lead'
-      },
-      email: {
-        type: 'string',
-        description: 'Email address - must be valid format'
-      },
-      phone: {
-        type: 'string',
-        description: 'Phone number with country/area code'
-      },
-      organization: {
-        type: 'string',
-        description: 'Organization or practice name'
-      },
-      role: {
-        type: 'string',
-        description: 'Job title or role in the organization'
-      },
-      organization_size: {
-        type: 'string',
-        description: 'Size of organization (e.g., "5-10 providers", "50+ providers", "small practice")'
-      },
-      primary_interest: {
-        type: 'string',
-        description: 'Primary product/service they\'re interested in or main need/challenge they want to solve'
-      },
-      current_systems: {
-        type: 'string',
-        description: 'Current EHR, PM systems, or technology they\'re using'
-      },
-      timeline: {
-        type: 'string',
-        description: 'When they want to implement or make a purchase decision (e.g., "ASAP", "3-6 months", "this quarter")'
-      },
-      budget_range: {
-        type: 'string',
-        description: 'Budget range if mentioned (e.g., "under $50k", "$100-200k", "flexible")'
-      },
-      pain_points: {
-        type: 'string',
-        description: 'Key challenges or pain points they mentioned'
-      },
-      conversation_summary: {
-        type: 'string',
-        description: 'Comprehensive summary of the entire conversation including all key points discussed, questions asked, concerns raised, and solutions mentioned. This helps the sales team have context for follow-up.'
-      },
-      qualification_score: {
-        type: 'string',
-        enum: ['hot', 'warm', 'cold'],
-        description: 'Your assessment of lead quality based on: readiness to buy, budget authority, timeline, and fit. HOT = ready to buy soon with clear need and authority. WARM = interested and qualified but longer timeline. COLD = early research, unclear need, or lacks authority.'
-      },
-      next_steps: {
-        type: 'string',
-        description: 'What the lead expects to happen next (e.g., "Schedule demo", "Receive pricing", "Technical consultation")'
-      }
-    },
-    required: ['name', 'email', 'primary_interest', 'conversation_summary', 'qualification_score']
-  }
-};
-
-// Tool definition for handoff to human
-export const HANDOFF_TOOL = {
-  name: 'request_human_help',
-  description: 'Request immediate handoff to a human team member when the visitor explicitly asks to speak with someone, needs complex technical assistance you cannot provide, or when they express urgency that requires real-time human interaction. Use this when AI assistance is insufficient.',
-  input_schema: {
-    type: 'object',
-    properties: {
-      reason: {
-        type: 'string',
-        description: 'Brief explanation of why human assistance is needed (e.g., "Visitor requested to speak with sales", "Complex technical question about EHR integration", "Pricing negotiation needed")'
-      },
-      visitor_name: {
-        type: 'string',
-        description: 'Visitor\'s name if collected'
-      },
-      visitor_email: {
-        type: 'string',
-        description: 'Visitor\'s email if collected'
-      },
-      urgency: {
-        type: 'string',
-        enum: ['low', 'medium', 'high'],
-        description: 'Urgency level - HIGH if they need immediate help, MEDIUM if important but can wait a few minutes, LOW if general inquiry'
-      },
-      context_summary: {
-        type: 'string',
-        description: 'Brief summary of what was discussed so the human team member can pick up the conversation smoothly'
-      }
-    },
-    required: ['reason', 'urgency', 'context_summary']
-  }
-};
-
-// Tool definition for checking Calendly availability
-export const CALENDLY_TOOL = {
-  name: 'check_calendar_availability',
-  description: `MANDATORY: Use this IMMEDIATELY after save_lead succeeds OR when user asks about meeting times/availability. This returns Thad's actual available calendar slots from Calendly.
-
-IMPORTANT: The tool returns a 'formattedSchedule' field - display this EXACTLY as provided. Do NOT add individual booking URLs - just show the clean formatted times and tell them to click the Schedule a Meeting button.
-
-Required flow: save_lead → check_calendar_availability → display formattedSchedule.
-NEVER say "I don't have calendar access" - you have this tool!`,
-  input_schema: {
-    type: 'object',
-    properties: {
-      reason: {
-        type: 'string',
-        description: 'Brief reason for the meeting (e.g., "product demo", "consultation"). Can be empty string if not specified.'
-      }
-    },
-    required: []
-  }
-};
+// Tool definitions live with their handlers in src/tools (see toolRegistry.js)
+export { LEAD_CAPTURE_TOOL, HANDOFF_TOOL, CALENDLY_TOOL };
 
 /**
  * Send a message to Claude and get a response
@@ -712,12 +600,12 @@ NEVER say "I don't have calendar access" - you have this tool!`,
 export async function chatWithClaude(messages, conversationId) {
   try {
     const response = await getAnthropic().messages.create({
-      model: 'claude-opus-4-5-20251101', // Claude Opus 4.5 - latest and most capable
-      max_tokens: 4096,
-      system: SYSTEM_PROMPT,
+      model: DEFAULT_MODEL_SETTINGS.primary,
+      max_tokens: DEFAULT_MODEL_SETTINGS.maxTokens,
+      system: (await resolvePromptVariables(SYSTEM_PROMPT)).text,
       tools: [LEAD_CAPTURE_TOOL, HANDOFF_TOOL],
       messages: messages,
-      temperature: 0.7, // Balanced creativity and consistency
+      temperature: DEFAULT_MODEL_SETTINGS.temperature,
     });
 
     return response;
@@ -0,0 +1,73 @@
+/**
+ * Line diff for prompt versions
+ *
+ * Longest common subsequence over lines, after trimming the common prefix
+ * and suffix (most edits touch a few lines of a long prompt). Prompts are at
+ * most a few thousand lines, so the O(n·m) table is fine.
+ */
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Earlier content
+ * @param {string} newText - Later content
+ * @returns {Object} { lines: [{ type: 'equal' | 'removed' | 'added', text, old_line, new_line }], added, removed }
+ *   old_line / new_line are 1-based line numbers (null on the side a line doesn't exist)
+ */
+export function diffLines(oldText, newText) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  // lcs[i][j] = LCS length of a[start + i..endA) and b[start + j..endB)
+  const rows = endA - start;
+  const cols = endB - start;
+  const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = a[start + i] === b[start + j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  const equal = (i, j) => lines.push({ type: 'equal', text: a[i], old_line: i + 1, new_line: j + 1 });
+
+  for (let k = 0; k < start; k++) equal(k, k);
+
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && a[start + i] === b[start + j]) {
+      equal(start + i, start + j);
+      i++;
+      j++;
+    } else if (i < rows && (j === cols || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      // Removals first, so a changed line reads as removed then added
+      lines.push({ type: 'removed', text: a[start + i], old_line: start + i + 1, new_line: null });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: b[start + j], old_line: null, new_line: start + j + 1 });
+      j++;
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) equal(endA + k, endB + k);
+
+  return {
+    lines,
+    added: lines.filter(line => line.type === 'added').length,
+    removed: lines.filter(line => line.type === 'removed').length
+  };
+}
+
+export default { diffLines };
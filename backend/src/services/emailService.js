@@ -1,21 +1,30 @@
 import sgMail from '@sendgrid/mail';
+import { getEmailConfig } from './tenantCredentials.js';
+import { DEFAULT_TENANT_ID } from '../models/Tenant.js';
 
-// Lazy initialize SendGrid
-let sendgridInitialized = false;
+// One SendGrid client per API key (tenants can bring their own)
+const mailClients = new Map();
 
-function initSendGrid() {
-  if (!sendgridInitialized) {
-    // Check if SendGrid is configured
-    if (!process.env.SENDGRID_API_KEY) {
-      console.warn('⚠️  SendGrid not configured. Set SENDGRID_API_KEY in .env');
-      return false;
-    }
+/**
+ * Get the SendGrid client and sender settings for a tenant
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object|null} { client, fromEmail, notificationEmails, source } or null if not configured
+ */
+async function getMailer(tenantId) {
+  const config = await getEmailConfig(tenantId);
+  if (!config) {
+    console.warn('⚠️  SendGrid not configured for this tenant');
+    return null;
+  }
 
-    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-    sendgridInitialized = true;
-    console.log('✉️  SendGrid email service initialized');
+  if (!mailClients.has(config.apiKey)) {
+    const client = new sgMail.MailService();
+    client.setApiKey(config.apiKey);
+    mailClients.set(config.apiKey, client);
+    console.log(`✉️  SendGrid email service initialized (${config.source} key)`);
   }
-  return true;
+
+  return { client: mailClients.get(config.apiKey), ...config };
 }
 
 /**
@@ -23,8 +32,9 @@ function initSendGrid() {
  * @param {Object} lead - Lead data from database
  */
 export async function sendLeadNotification(lead) {
-  // Initialize SendGrid
-  if (!initSendGrid()) {
+  // Resolve the lead's tenant SendGrid account and recipients
+  const mailer = await getMailer(lead.tenant_id);
+  if (!mailer) {
     console.log('ℹ️  Email notification skipped (SendGrid not configured)');
     return {
       success: false,
@@ -33,6 +43,15 @@ export async function sendLeadNotification(lead) {
     };
   }
 
+  if (mailer.notificationEmails.length === 0) {
+    console.log('ℹ️  Email notification skipped (no notification emails configured)');
+    return {
+      success: false,
+      skipped: true,
+      reason: 'No notification emails configured'
+    };
+  }
+
   try {
     // Format the lead quality badge
     const qualityBadge = {
@@ -138,20 +157,20 @@ export async function sendLeadNotification(lead) {
     `;
 
     const msg = {
-      to: process.env.NOTIFICATION_EMAIL,
+      to: mailer.notificationEmails,
       from: {
-        email: process.env.EMAIL_FROM || 'thad@xpiohealth.com',
+        email: mailer.fromEmail || 'thad@xpiohealth.com',
         name: process.env.EMAIL_FROM_NAME || 'Xpio Health Delphi AI'
       },
       replyTo: {
-        email: process.env.NOTIFICATION_EMAIL || 'thad@xpiohealth.com',
+        email: mailer.notificationEmails[0],
         name: 'Xpio Health Team'
       },
       subject: `${qualityBadge} Lead: ${lead.name} - ${lead.organization || 'Individual'}`,
       html: emailBody,
     };
 
-    const result = await sgMail.send(msg);
+    const result = await mailer.client.send(msg);
     console.log(`✅ Lead notification email sent for: ${lead.email}`);
     return { success: true, messageId: result[0].headers['x-message-id'] };
   } catch (error) {
@@ -214,8 +233,19 @@ function escapeHtml(text) {
  * @param {string} calendlyLink - Optional calendly link if they requested scheduling
  */
 export async function sendVisitorConfirmation(lead, calendlyLink = null) {
-  // Initialize SendGrid
-  if (!initSendGrid()) {
+  // The confirmation copy below is written for Xpio Health, so only the
+  // platform tenant's visitors receive it
+  if (lead.tenant_id && lead.tenant_id !== DEFAULT_TENANT_ID) {
+    console.log('ℹ️  Visitor confirmation skipped (not available for this tenant)');
+    return {
+      success: false,
+      skipped: true,
+      reason: 'Visitor confirmation is not available for this tenant'
+    };
+  }
+
+  const mailer = await getMailer(lead.tenant_id);
+  if (!mailer) {
     console.log('ℹ️  Visitor confirmation skipped (SendGrid not configured)');
     return {
       success: false,
@@ -312,18 +342,18 @@ export async function sendVisitorConfirmation(lead, calendlyLink = null) {
     const msg = {
       to: lead.email,
       from: {
-        email: process.env.EMAIL_FROM || 'thad@xpiohealth.com',
+        email: mailer.fromEmail || 'thad@xpiohealth.com',
         name: process.env.EMAIL_FROM_NAME || 'Xpio Health'
       },
       replyTo: {
-        email: process.env.NOTIFICATION_EMAIL || 'inquiry@xpiohealth.com',
+        email: mailer.notificationEmails[0] || 'inquiry@xpiohealth.com',
         name: 'Xpio Health Team'
       },
       subject: `Thanks for Connecting with Xpio Health, ${firstName}!`,
       html: emailBody,
     };
 
-    const result = await sgMail.send(msg);
+    const result = await mailer.client.send(msg);
     console.log(`✅ Visitor confirmation email sent to: ${lead.email}`);
     return { success: true, messageId: result[0].headers['x-message-id'] };
   } catch (error) {
@@ -334,11 +364,11 @@ export async function sendVisitorConfirmation(lead, calendlyLink = null) {
 
 /**
  * Test email configuration
+ * @param {string} tenantId - Tenant to test (defaults to the platform tenant)
  * @returns {boolean} True if email is configured correctly
  */
-export async function testEmailConfiguration() {
-  if (!initSendGrid()) {
-    console.warn('⚠️  SendGrid not configured');
+export async function testEmailConfiguration(tenantId = null) {
+  if (!await getMailer(tenantId)) {
     return false;
   }
 
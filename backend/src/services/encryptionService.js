@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+
+/**
+ * Envelope encryption for tenant integration secrets
+ *
+ * Each tenant_integrations row has its own random data key. Secret fields
+ * are encrypted with that data key (AES-256-GCM), and the data key itself is
+ * stored wrapped (encrypted) with a master key from the environment:
+ *
+ *   ENCRYPTION_MASTER_KEYS="2:<base64 32 bytes>,1:<base64 32 bytes>"
+ *   ENCRYPTION_MASTER_KEY_VERSION=2   (optional, defaults to the highest version)
+ *
+ * key_version records which master key wrapped the row's data key, so old
+ * master keys only need to stay in the list until `npm run rotate-keys` has
+ * re-encrypted every row with the current one.
+ *
+ * Generate a master key with:
+ *   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+const CIPHERTEXT_PREFIX = 'enc:v1:';
+
+// Columns on tenant_integrations that hold secrets
+export const ENCRYPTED_FIELDS = [
+  'anthropic_api_key_encrypted',
+  'sendgrid_api_key_encrypted',
+  'slack_token_encrypted',
+  'webhook_secret'
+];
+
+let masterKeys = null;
+
+/**
+ * Parse master keys from the environment (once)
+ * @returns {Object} { keys: Map<version, Buffer>, currentVersion }
+ */
+function getMasterKeys() {
+  if (masterKeys) return masterKeys;
+
+  if (!process.env.ENCRYPTION_MASTER_KEYS) {
+    throw new Error('ENCRYPTION_MASTER_KEYS must be set in environment variables to store integration secrets');
+  }
+
+  const keys = new Map();
+  for (const entry of process.env.ENCRYPTION_MASTER_KEYS.split(',')) {
+    const [version, encodedKey] = entry.trim().split(':');
+    const key = Buffer.from(encodedKey || '', 'base64');
+
+    if (!/^\d+$/.test(version) || key.length !== KEY_LENGTH) {
+      throw new Error('ENCRYPTION_MASTER_KEYS entries must look like "<version>:<base64 32-byte key>"');
+    }
+    keys.set(parseInt(version), key);
+  }
+
+  const currentVersion = process.env.ENCRYPTION_MASTER_KEY_VERSION
+    ? parseInt(process.env.ENCRYPTION_MASTER_KEY_VERSION)
+    : Math.max(...keys.keys());
+
+  if (!keys.has(currentVersion)) {
+    throw new Error(`ENCRYPTION_MASTER_KEY_VERSION ${currentVersion} not found in ENCRYPTION_MASTER_KEYS`);
+  }
+
+  masterKeys = { keys, currentVersion };
+  return masterKeys;
+}
+
+/**
+ * Get the master key version used for new writes
+ * @returns {number} Version
+ */
+export function getCurrentKeyVersion() {
+  return getMasterKeys().currentVersion;
+}
+
+/**
+ * AES-256-GCM encrypt, returning iv:tag:ciphertext (base64)
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Reverse of seal() - throws if the data was tampered with or the key is wrong
+ */
+function open(key, sealed) {
+  const [iv, tag, ciphertext] = sealed.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Create a new data key for a row
+ * @returns {Object} { dataKey, encryptedDataKey, keyVersion }
+ */
+export function generateDataKey() {
+  const { keys, currentVersion } = getMasterKeys();
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+
+  return {
+    dataKey,
+    encryptedDataKey: seal(keys.get(currentVersion), dataKey),
+    keyVersion: currentVersion
+  };
+}
+
+/**
+ * Unwrap a row's data key with the master key that wrapped it
+ * @param {string} encryptedDataKey - Wrapped data key
+ * @param {number} keyVersion - Master key version
+ * @returns {Buffer} Data key
+ */
+export function unwrapDataKey(encryptedDataKey, keyVersion) {
+  const masterKey = getMasterKeys().keys.get(keyVersion);
+  if (!masterKey) {
+    throw new Error(`Master key version ${keyVersion} is not configured in ENCRYPTION_MASTER_KEYS`);
+  }
+  return open(masterKey, encryptedDataKey);
+}
+
+/**
+ * Check if a stored value is ciphertext (vs legacy plaintext)
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+export function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(CIPHERTEXT_PREFIX);
+}
+
+/**
+ * Encrypt a secret with a data key
+ * @param {Buffer} dataKey - Row data key
+ * @param {string|null} value - Plaintext secret
+ * @returns {string|null} Ciphertext (null/empty stays null)
+ */
+export function encryptValue(dataKey, value) {
+  if (value === null || value === undefined || value === '') return null;
+  return CIPHERTEXT_PREFIX + seal(dataKey, Buffer.from(String(value), 'utf8'));
+}
+
+/**
+ * Decrypt a secret with a data key
+ * @param {Buffer} dataKey - Row data key
+ * @param {string|null} value - Stored value
+ * @returns {string|null} Plaintext
+ */
+export function decryptValue(dataKey, value) {
+  if (!isEncryptedValue(value)) return value ?? null;
+  return open(dataKey, value.slice(CIPHERTEXT_PREFIX.length)).toString('utf8');
+}
+
+/**
+ * Decrypt-on-read: return a copy of a tenant_integrations row with every
+ * secret field in plaintext. Rows written before encryption was enabled
+ * (no encrypted_data_key) are returned as-is.
+ * @param {Object|null} row - tenant_integrations row
+ * @returns {Object|null} Row with plaintext secrets
+ */
+export function decryptIntegrationSecrets(row) {
+  if (!row) return row;
+
+  const hasCiphertext = ENCRYPTED_FIELDS.some(field => isEncryptedValue(row[field]));
+  if (!hasCiphertext) return row;
+
+  if (!row.encrypted_data_key) {
+    throw new Error(`Integration secrets for tenant ${row.tenant_id} are encrypted but the row has no data key`);
+  }
+
+  const dataKey = unwrapDataKey(row.encrypted_data_key, row.key_version);
+  const decrypted = { ...row };
+  for (const field of ENCRYPTED_FIELDS) {
+    decrypted[field] = decryptValue(dataKey, row[field]);
+  }
+  return decrypted;
+}
+
+export default {
+  ENCRYPTED_FIELDS,
+  getCurrentKeyVersion,
+  generateDataKey,
+  unwrapDataKey,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  decryptIntegrationSecrets
+};
@@ -0,0 +1,163 @@
+import PromptVariation, { CONTROL_ARM } from '../models/PromptVariation.js';
+import Prompt from '../models/Prompt.js';
+import VariationAllocationLog from '../models/VariationAllocationLog.js';
+import { evaluateGuardrails } from './abTestStatsService.js';
+import { rebalanceSection, currentAllocation } from './banditService.js';
+import { sendVariationPausedAlert } from './slackService.js';
+
+/**
+ * A/B test guardrails and schedules
+ *
+ * A background job goes over every active variation and deactivates it when
+ * - its end date has passed, or
+ * - a guardrail metric (lead rate, handoff rate, error rate, cost per
+ *   conversation) is significantly worse than the control arm's
+ *
+ * Each pause is recorded on the variation (paused_reason) and in
+ * variation_allocation_log, and the team is told in Slack.
+ */
+
+const LOOKBACK_DAYS = 30;
+const CHECK_INTERVAL = 15 * 60 * 1000; // Check every 15 minutes
+
+/**
+ * Deactivate a variation and tell the team
+ * @param {Object} variation - Variation row
+ * @param {Object} section - { id, name }
+ * @param {Array} sectionVariations - Every active variation in the section (for the allocation log)
+ * @param {Object} pause - { reason: 'guardrail' | 'schedule_ended', message, violations, armStats }
+ */
+async function pauseVariation(variation, section, sectionVariations, { reason, message, violations = [], armStats = null }) {
+  const tenantId = variation.tenant_id;
+
+  await PromptVariation.update(variation.id, {
+    is_active: false,
+    paused_reason: message,
+    paused_at: new Date().toISOString()
+  }, tenantId);
+
+  const previous = currentAllocation(sectionVariations);
+  const allocation = currentAllocation(sectionVariations.filter(v => v.id !== variation.id));
+
+  await VariationAllocationLog.create({
+    tenantId,
+    promptSectionId: section.id,
+    reason: reason === 'guardrail' ? 'guardrail_paused' : 'schedule_ended',
+    changedBy: null,
+    previousAllocation: previous,
+    newAllocation: allocation,
+    armStats
+  });
+
+  console.log(`🛑 Paused variation "${variation.variation_name}" in section "${section.name}": ${message}`);
+
+  await sendVariationPausedAlert({
+    tenantId,
+    sectionName: section.name,
+    variationName: variation.variation_name,
+    reason,
+    violations
+  });
+}
+
+/**
+ * Apply end dates and guardrails to one section's active variations
+ * @param {string} sectionId - Prompt section ID
+ * @param {string} tenantId - Tenant ID
+ * @param {Array} activeVariations - The section's active variations
+ * @param {Date} now - Current time
+ * @returns {number} Variations paused
+ */
+export async function checkSection(sectionId, tenantId, activeVariations, now = new Date()) {
+  const section = await Prompt.getById(sectionId, tenantId) || { id: sectionId, name: sectionId };
+  const settings = await PromptVariation.getTestSettings(sectionId, tenantId);
+  let remaining = [...activeVariations];
+  let paused = 0;
+
+  for (const variation of activeVariations) {
+    if (variation.ends_at && new Date(variation.ends_at) <= now) {
+      await pauseVariation(variation, section, remaining, {
+        reason: 'schedule_ended',
+        message: `Schedule ended ${new Date(variation.ends_at).toISOString()}`
+      });
+      remaining = remaining.filter(v => v.id !== variation.id);
+      paused++;
+    }
+  }
+
+  if (settings.guardrails_enabled && remaining.length > 0) {
+    const results = await PromptVariation.getArmResults(sectionId, LOOKBACK_DAYS, tenantId);
+    const control = results[CONTROL_ARM];
+
+    for (const variation of [...remaining]) {
+      const arm = results[variation.id];
+      if (!control || !arm) continue;
+
+      const violations = evaluateGuardrails(control, arm, {
+        metrics: settings.guardrail_metrics,
+        maxCostIncreasePct: settings.max_cost_increase_pct
+      });
+      if (violations.length === 0) continue;
+
+      await pauseVariation(variation, section, remaining, {
+        reason: 'guardrail',
+        message: `Guardrail: ${violations.map(v => v.message).join('; ')}`,
+        violations,
+        armStats: { [CONTROL_ARM]: control, [variation.id]: arm, violations }
+      });
+      remaining = remaining.filter(v => v.id !== variation.id);
+      paused++;
+    }
+  }
+
+  // Hand the paused variation's traffic to the remaining arms
+  if (paused > 0 && settings.mode === 'auto') {
+    await rebalanceSection(settings);
+  }
+
+  return paused;
+}
+
+/**
+ * Check every section with active variations (all tenants)
+ */
+export async function runGuardrailChecks() {
+  const now = new Date();
+  const variations = await PromptVariation.getActive();
+
+  const bySection = new Map();
+  for (const variation of variations) {
+    const key = variation.prompt_section_id;
+    if (!bySection.has(key)) bySection.set(key, []);
+    bySection.get(key).push(variation);
+  }
+
+  for (const [sectionId, sectionVariations] of bySection) {
+    try {
+      await checkSection(sectionId, sectionVariations[0].tenant_id, sectionVariations, now);
+    } catch (error) {
+      console.error(`Failed to check guardrails for section ${sectionId}:`, error);
+    }
+  }
+}
+
+let checkTimer = null;
+
+/**
+ * Start the background guardrail checks (call once at server startup)
+ */
+export function startGuardrailWorker() {
+  if (checkTimer) return;
+
+  checkTimer = setInterval(() => {
+    runGuardrailChecks().catch(err => console.error('A/B guardrail check error:', err));
+  }, CHECK_INTERVAL);
+
+  console.log('🛡️ A/B test guardrails started');
+}
+
+export default {
+  checkSection,
+  runGuardrailChecks,
+  startGuardrailWorker
+};
@@ -1,20 +1,22 @@
 import Lead from '../models/Lead.js';
 import { sendLeadNotification, sendVisitorConfirmation } from './emailService.js';
 import { sendLeadToSlack } from './slackService.js';
+import { emitWebhookEvent } from './webhookService.js';
 
 /**
  * Save a new lead and send notifications
  * @param {Object} leadData - Lead information from Claude
  * @param {string} conversationId - Unique conversation ID
  * @param {Array} conversationHistory - Full conversation messages
+ * @param {string} tenantId - Tenant that owns the conversation
  * @returns {Object} Result with success status and lead ID
  */
-export async function saveLead(leadData, conversationId, conversationHistory) {
+export async function saveLead(leadData, conversationId, conversationHistory, tenantId = null) {
   try {
     console.log(`📝 Saving new lead: ${leadData.name} (${leadData.email})`);
 
     // Check if email already exists (optional - remove if you want to allow duplicates)
-    const emailExists = await Lead.emailExists(leadData.email);
+    const emailExists = await Lead.emailExists(leadData.email, tenantId);
     if (emailExists) {
       console.log(`⚠️  Email ${leadData.email} already exists in database`);
       // Still allow saving but log it - you might want different behavior
@@ -31,7 +33,7 @@ export async function saveLead(leadData, conversationId, conversationHistory) {
       conversationId,
       conversationHistory,
       source: 'website_chatbot'
-    });
+    }, tenantId);
 
     console.log(`✓ Lead saved with ID: ${lead.id}`);
 
@@ -51,6 +53,29 @@ export async function saveLead(leadData, conversationId, conversationHistory) {
       console.error('Failed to send visitor confirmation email:', err);
     });
 
+    // Notify the tenant's webhook (don't wait for it)
+    emitWebhookEvent(tenantId, 'lead.created', {
+      conversation_id: conversationId,
+      lead: {
+        id: lead.id,
+        name: lead.name,
+        email: lead.email,
+        phone: lead.phone,
+        organization: lead.organization,
+        role: lead.role,
+        organization_size: lead.organization_size,
+        primary_interest: lead.primary_interest,
+        current_systems: lead.current_systems,
+        timeline: lead.timeline,
+        budget_range: lead.budget_range,
+        pain_points: lead.pain_points,
+        conversation_summary: lead.conversation_summary,
+        qualification_score: lead.qualification_score,
+        next_steps: lead.next_steps,
+        created_at: lead.created_at
+      }
+    });
+
     // Optional: Send to CRM (implement if needed)
     // await sendToCRM(lead);
 
@@ -68,14 +93,15 @@ export async function saveLead(leadData, conversationId, conversationHistory) {
 
 /**
  * Get lead statistics
+ * @param {string} tenantId - Tenant ID
  * @returns {Object} Lead statistics
  */
-export async function getLeadStats() {
+export async function getLeadStats(tenantId) {
   try {
     const [hotLeads, warmLeads, coldLeads] = await Promise.all([
-      Lead.getByQualificationScore('hot'),
-      Lead.getByQualificationScore('warm'),
-      Lead.getByQualificationScore('cold')
+      Lead.getByQualificationScore('hot', tenantId),
+      Lead.getByQualificationScore('warm', tenantId),
+      Lead.getByQualificationScore('cold', tenantId)
     ]);
 
     return {
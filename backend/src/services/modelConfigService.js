@@ -0,0 +1,186 @@
+import { tenantHasFeature } from './toolRegistry.js';
+import { PRICING } from './usageService.js';
+
+/**
+ * Model Configuration - which Claude model answers a tenant's visitors
+ *
+ * Tenants set settings.model = { primary, fallbacks, temperature, maxTokens }
+ * (any field left out or null uses the default below). Every call made for
+ * a tenant goes through getModelConfig(), so the chat stream, its tool
+ * follow-ups, the AI editor and regression runs agree on the model.
+ *
+ * Models marked with requiredFeature are only available on plans with that
+ * feature. A chain naming a model the plan no longer includes (e.g. after a
+ * downgrade) skips it rather than failing the chat.
+ *
+ * MODELS keys are sent to the API as-is: each must be a dated model ID with
+ * a PRICING entry (checked below when the module loads). Run
+ * check-models.js to confirm them against the Anthropic Models API.
+ */
+
+export const MODELS = {
+  'claude-opus-4-5-20251101': { label: 'Claude Opus 4.5', requiredFeature: 'premiumModels' },
+  'claude-sonnet-4-5-20250929': { label: 'Claude Sonnet 4.5', requiredFeature: null },
+  'claude-sonnet-4-20250514': { label: 'Claude Sonnet 4', requiredFeature: null },
+  'claude-3-5-haiku-20241022': { label: 'Claude Haiku 3.5', requiredFeature: null }
+};
+
+export const DEFAULT_MODEL_SETTINGS = {
+  primary: 'claude-opus-4-5-20251101',
+  fallbacks: ['claude-sonnet-4-5-20250929', 'claude-3-5-haiku-20241022'],
+  temperature: 0.7,
+  maxTokens: 4096
+};
+
+// Used when none of the configured models are on the tenant's plan
+const BASELINE_MODEL = 'claude-sonnet-4-5-20250929';
+
+// A wrong ID would fail every chat that reaches it, so refuse to start instead
+const MODEL_ID_PATTERN = /^claude-[a-z0-9-]+-20\d{6}$/;
+for (const model of Object.keys(MODELS)) {
+  if (!MODEL_ID_PATTERN.test(model) || !PRICING[model]) {
+    throw new Error(`MODELS entry '${model}' is not a dated model ID with a PRICING entry in usageService.js`);
+  }
+}
+
+const MAX_FALLBACKS = 3;
+const MAX_OUTPUT_TOKENS = 8192;
+
+/**
+ * Check if a model is included in the tenant's plan
+ * @param {string} model - Model ID
+ * @param {Object|null} tenant - Tenant record (null = single-tenant mode, no restrictions)
+ * @returns {boolean}
+ */
+export function isModelAvailable(model, tenant) {
+  const entry = MODELS[model];
+  if (!entry) return false;
+  if (!entry.requiredFeature || !tenant) return true;
+  return tenantHasFeature(tenant, entry.requiredFeature);
+}
+
+/**
+ * Resolve the model settings for a tenant
+ * @param {Object|null} tenant - Tenant record
+ * @returns {Object} { chain: [primary, ...fallbacks], temperature, maxTokens }
+ */
+export function getModelConfig(tenant) {
+  const settings = tenant?.settings?.model || {};
+  const primary = settings.primary || DEFAULT_MODEL_SETTINGS.primary;
+  const fallbacks = settings.fallbacks || DEFAULT_MODEL_SETTINGS.fallbacks;
+
+  const chain = [...new Set([primary, ...fallbacks])].filter(model => isModelAvailable(model, tenant));
+
+  return {
+    chain: chain.length > 0 ? chain : [BASELINE_MODEL],
+    temperature: settings.temperature ?? DEFAULT_MODEL_SETTINGS.temperature,
+    maxTokens: settings.maxTokens ?? DEFAULT_MODEL_SETTINGS.maxTokens
+  };
+}
+
+/**
+ * Validate a settings.model update
+ * @param {Object} model - { primary, fallbacks, temperature, maxTokens } (null = default)
+ * @param {Object|null} tenant - Tenant record
+ * @returns {Object|null} { status, error, message, ... } or null if valid
+ */
+export function validateModelSettings(model, tenant) {
+  const invalid = message => ({ status: 400, error: 'Invalid model settings', message });
+
+  if (!model || typeof model !== 'object' || Array.isArray(model)) {
+    return invalid('model must be an object of { primary, fallbacks, temperature, maxTokens }');
+  }
+
+  const unknownField = Object.keys(model).find(key => !(key in DEFAULT_MODEL_SETTINGS));
+  if (unknownField) {
+    return invalid(`Unknown field '${unknownField}'. Allowed: ${Object.keys(DEFAULT_MODEL_SETTINGS).join(', ')}`);
+  }
+
+  const { primary, fallbacks, temperature, maxTokens } = model;
+
+  if (fallbacks != null && (!Array.isArray(fallbacks) || fallbacks.length > MAX_FALLBACKS)) {
+    return invalid(`fallbacks must be a list of up to ${MAX_FALLBACKS} models`);
+  }
+
+  for (const name of [primary, ...(fallbacks || [])].filter(name => name != null)) {
+    if (!MODELS[name]) {
+      return invalid(`Unknown model '${name}'. Available: ${Object.keys(MODELS).join(', ')}`);
+    }
+    if (!isModelAvailable(name, tenant)) {
+      return {
+        status: 403,
+        error: 'Feature not available',
+        message: `${MODELS[name].label} requires the '${MODELS[name].requiredFeature}' feature, which is not available on your current plan.`,
+        feature: MODELS[name].requiredFeature,
+        currentPlan: tenant?.plan_type
+      };
+    }
+  }
+
+  if (temperature != null && (typeof temperature !== 'number' || temperature < 0 || temperature > 1)) {
+    return invalid('temperature must be a number from 0 to 1');
+  }
+
+  if (maxTokens != null && (!Number.isInteger(maxTokens) || maxTokens < 256 || maxTokens > MAX_OUTPUT_TOKENS)) {
+    return invalid(`maxTokens must be a whole number from 256 to ${MAX_OUTPUT_TOKENS}`);
+  }
+
+  return null;
+}
+
+/**
+ * List the models with their availability for a tenant (for the dashboard)
+ * @param {Object|null} tenant - Tenant record
+ * @returns {Array} [{ id, label, requiredFeature, available }]
+ */
+export function listModelsForTenant(tenant) {
+  return Object.entries(MODELS).map(([id, entry]) => ({
+    id,
+    label: entry.label,
+    requiredFeature: entry.requiredFeature,
+    available: isModelAvailable(id, tenant)
+  }));
+}
+
+/**
+ * Check if error is a retryable overload error
+ */
+export function isOverloadedError(error) {
+  return error?.error?.type === 'overloaded_error' ||
+         error?.message?.includes('Overloaded') ||
+         error?.message?.includes('overloaded') ||
+         error?.status === 529;
+}
+
+/**
+ * Create a (non-streaming) message, falling back down the model chain on overload
+ * @param {Anthropic} anthropic - Client for the tenant's API key
+ * @param {Object} options - messages.create options (without model)
+ * @param {string[]} modelChain - Models to try, in order
+ * @returns {Object} { message, model } - Message and the model that served it
+ */
+export async function createMessageWithFallback(anthropic, options, modelChain) {
+  for (let i = 0; i < modelChain.length; i++) {
+    try {
+      const message = await anthropic.messages.create({ ...options, model: modelChain[i] });
+      return { message, model: modelChain[i] };
+    } catch (error) {
+      if (isOverloadedError(error) && i < modelChain.length - 1) {
+        console.warn(`⚠️ ${modelChain[i]} overloaded, trying next model...`);
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+export default {
+  MODELS,
+  DEFAULT_MODEL_SETTINGS,
+  isModelAvailable,
+  getModelConfig,
+  validateModelSettings,
+  listModelsForTenant,
+  isOverloadedError,
+  createMessageWithFallback
+};
@@ -0,0 +1,85 @@
+/**
+ * System Prompt Token Budget
+ *
+ * The system prompt is sent with every request of every conversation, so
+ * its size drives cost more than anything an editor sees. Each section's
+ * token count is stored when it is saved, and the preview checks the
+ * assembled prompt against the tenant's budget.
+ *
+ * Counts are estimates (about 4 characters per token for English text) -
+ * close enough to spot a section that doubles the prompt, without an API
+ * call on every save. Migration 024 backfills with the same formula.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+// Default budget for the assembled prompt (settings.limits.promptTokens overrides)
+export const DEFAULT_PROMPT_TOKEN_BUDGET = 10000;
+
+// Warn once the prompt uses this share of the budget
+const NEAR_BUDGET_RATIO = 0.8;
+
+// Warn about a single section taking this share of the budget
+const LARGE_SECTION_RATIO = 0.4;
+
+/**
+ * Estimate the tokens in a text
+ * @param {string|null} text - Prompt content
+ * @returns {number|null} Estimated tokens (null for no text)
+ */
+export function estimateTokens(text) {
+  if (text === null || text === undefined) return null;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * A tenant's token budget for the assembled system prompt
+ * @param {Object} tenant - Tenant row
+ * @returns {number} Budget in tokens (-1 = unlimited)
+ */
+export function getPromptTokenBudget(tenant) {
+  const budget = tenant?.settings?.limits?.promptTokens;
+  return Number.isInteger(budget) && (budget > 0 || budget === -1)
+    ? budget
+    : DEFAULT_PROMPT_TOKEN_BUDGET;
+}
+
+/**
+ * Check a prompt against its budget
+ * @param {number} totalTokens - Tokens in the assembled prompt
+ * @param {number} budget - Budget in tokens (-1 = unlimited)
+ * @param {Array} sections - [{ name, tokens }] of the included sections
+ * @returns {Object} { budget, totalTokens, usedPct, status: 'ok' | 'near' | 'over', warnings }
+ */
+export function checkPromptBudget(totalTokens, budget, sections = []) {
+  if (budget === -1) {
+    return { budget, totalTokens, usedPct: null, status: 'ok', warnings: [] };
+  }
+
+  const usedPct = Math.round(totalTokens / budget * 1000) / 10;
+  const warnings = [];
+  let status = 'ok';
+
+  if (totalTokens > budget) {
+    status = 'over';
+    warnings.push(`System prompt is about ${totalTokens.toLocaleString()} tokens, over the ${budget.toLocaleString()} token budget (${usedPct}%)`);
+  } else if (totalTokens >= budget * NEAR_BUDGET_RATIO) {
+    status = 'near';
+    warnings.push(`System prompt is about ${totalTokens.toLocaleString()} tokens, ${usedPct}% of the ${budget.toLocaleString()} token budget`);
+  }
+
+  sections
+    .filter(section => section.tokens >= budget * LARGE_SECTION_RATIO)
+    .forEach(section => {
+      warnings.push(`Section "${section.name}" alone is about ${section.tokens.toLocaleString()} tokens (${Math.round(section.tokens / budget * 100)}% of the budget)`);
+    });
+
+  return { budget, totalTokens, usedPct, status, warnings };
+}
+
+export default {
+  DEFAULT_PROMPT_TOKEN_BUDGET,
+  estimateTokens,
+  getPromptTokenBudget,
+  checkPromptBudget
+};
@@ -0,0 +1,377 @@
+import crypto from 'crypto';
+import Prompt from '../models/Prompt.js';
+import PromptRegressionRun from '../models/PromptRegressionRun.js';
+import { getEnabledTools, getTool } from './toolRegistry.js';
+import { buildVisitorContext } from './sectionRulesService.js';
+import { getModelClient } from './regressionModelClients.js';
+
+/**
+ * Prompt Regression Suite
+ *
+ * Golden conversations are replayed turn by turn against the system prompt
+ * (drafts included, so edits can be checked before they are published) and
+ * each expected behaviour is checked against the replayed conversation.
+ * Tools are offered to the model as in live chat, but never run - every
+ * call gets a canned success result, so a run has no side effects (no
+ * leads, Slack messages or calendar lookups).
+ *
+ * Runs are stored with a hash of the section contents they used, so the
+ * report for a set of drafts is found again when they are published.
+ */
+
+// Expected behaviours a golden conversation can check, with their parameters
+export const EXPECTATION_TYPES = {
+  calls_tool: 'The bot calls a tool (tool)',
+  never_calls_tool: 'The bot never calls a tool (tool)',
+  response_contains: 'A bot reply contains some text (value, case-insensitive)',
+  response_contains_any: 'A bot reply contains one of several texts (values)',
+  response_not_contains: 'No bot reply contains some text (value)',
+  no_price_below: 'No dollar amount the bot quotes is below a minimum (value)',
+  offers_handoff: 'The bot offers to connect the visitor with a person',
+  max_response_length: 'No bot reply is longer than some number of characters (value)'
+};
+
+const MAX_TURNS = 20;
+const MAX_EXPECTATIONS = 30;
+
+// Same cap on model calls per visitor message as the live agent loop
+const MAX_TOOL_ROUNDS = 5;
+
+const TOOL_NOT_RUN = JSON.stringify({ success: true, note: 'Regression run - the tool was not executed' });
+
+const PRICE_PATTERN = /\$\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.\d{1,2})?/g;
+const HANDOFF_OFFER_PATTERN = /\b(connect you|someone (from|on) (our|the) team|our team will|a team member|reach out to you|real person|human)\b/i;
+
+/**
+ * Validate an expectation
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateExpectation(expectation, index) {
+  const label = `expectations[${index}]`;
+
+  if (!expectation || typeof expectation !== 'object' || !(expectation.type in EXPECTATION_TYPES)) {
+    return `${label}: type must be one of ${Object.keys(EXPECTATION_TYPES).join(', ')}`;
+  }
+
+  const { type, tool, value, values, message } = expectation;
+
+  if (message !== undefined && typeof message !== 'string') {
+    return `${label}: message must be text`;
+  }
+
+  switch (type) {
+    case 'calls_tool':
+    case 'never_calls_tool':
+      if (typeof tool !== 'string' || !getTool(tool)) {
+        return `${label}: tool must be the name of a chatbot tool`;
+      }
+      break;
+    case 'response_contains':
+    case 'response_not_contains':
+      if (typeof value !== 'string' || !value.trim()) {
+        return `${label}: value must be non-empty text`;
+      }
+      break;
+    case 'response_contains_any':
+      if (!Array.isArray(values) || values.length === 0 || values.some(v => typeof v !== 'string' || !v.trim())) {
+        return `${label}: values must be a list of non-empty texts`;
+      }
+      break;
+    case 'no_price_below':
+    case 'max_response_length':
+      if (typeof value !== 'number' || !(value > 0)) {
+        return `${label}: value must be a positive number`;
+      }
+      break;
+    default:
+      break;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a golden conversation from a request body
+ * @param {Object} data - { name, turns, expectations, visitor_context }
+ * @param {Object} options - { partial: only check the fields given (updates) }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateGoldenConversation(data, { partial = false } = {}) {
+  const given = field => !partial || data[field] !== undefined;
+
+  if (given('name') && (typeof data.name !== 'string' || !data.name.trim())) {
+    return 'name is required';
+  }
+
+  if (given('turns') && (!Array.isArray(data.turns) || data.turns.length === 0 || data.turns.length > MAX_TURNS ||
+      data.turns.some(turn => typeof turn !== 'string' || !turn.trim()))) {
+    return `turns must be a list of 1-${MAX_TURNS} visitor messages`;
+  }
+
+  if (given('expectations')) {
+    if (!Array.isArray(data.expectations) || data.expectations.length === 0 || data.expectations.length > MAX_EXPECTATIONS) {
+      return `expectations must be a list of 1-${MAX_EXPECTATIONS} expected behaviours`;
+    }
+    for (const [index, expectation] of data.expectations.entries()) {
+      const error = validateExpectation(expectation, index);
+      if (error) return error;
+    }
+  }
+
+  if (data.visitor_context !== undefined && data.visitor_context !== null &&
+      (typeof data.visitor_context !== 'object' || Array.isArray(data.visitor_context))) {
+    return 'visitor_context must be an object (page_url, referrer, language, returning)';
+  }
+
+  return null;
+}
+
+/**
+ * Readable description of an expectation (used when it has no message)
+ */
+export function describeExpectation({ type, tool, value, values, message }) {
+  if (message) return message;
+
+  switch (type) {
+    case 'calls_tool': return `Calls ${tool}`;
+    case 'never_calls_tool': return `Never calls ${tool}`;
+    case 'response_contains': return `Says "${value}"`;
+    case 'response_contains_any': return `Says one of: ${values.map(v => `"${v}"`).join(', ')}`;
+    case 'response_not_contains': return `Never says "${value}"`;
+    case 'no_price_below': return `Never quotes a price below $${value}`;
+    case 'offers_handoff': return 'Offers a handoff to a person';
+    case 'max_response_length': return `Replies stay under ${value} characters`;
+    default: return type;
+  }
+}
+
+/**
+ * Text of a model message's content blocks
+ */
+function messageText(message) {
+  return message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('')
+    .trim();
+}
+
+/**
+ * Replay a golden conversation's visitor turns against a prompt
+ * @param {Object} golden - Golden conversation
+ * @param {Object} options - { system, tools: tool definitions, client: model client }
+ * @returns {Array} Transcript: [{ role: 'visitor' | 'bot', text } | { role: 'tool', tool, input }]
+ */
+export async function replayConversation(golden, { system, tools, client }) {
+  const messages = [];
+  const transcript = [];
+
+  for (const turn of golden.turns) {
+    messages.push({ role: 'user', content: turn });
+    transcript.push({ role: 'visitor', text: turn });
+
+    for (let round = 1; round <= MAX_TOOL_ROUNDS; round++) {
+      const isLastRound = round === MAX_TOOL_ROUNDS;
+      const message = await client.createMessage({
+        system,
+        messages,
+        tools,
+        // Out of rounds - make the model answer instead of calling more tools
+        ...(isLastRound && { tool_choice: { type: 'none' } })
+      });
+
+      const text = messageText(message);
+      // A call past the last round is dropped, as in live chat, so the next visitor turn follows an assistant reply
+      const toolUses = isLastRound ? [] : message.content.filter(block => block.type === 'tool_use');
+
+      messages.push({ role: 'assistant', content: toolUses.length > 0 ? message.content : text || '...' });
+      if (text) transcript.push({ role: 'bot', text });
+      toolUses.forEach(toolUse => transcript.push({ role: 'tool', tool: toolUse.name, input: toolUse.input }));
+
+      if (toolUses.length === 0) break;
+
+      messages.push({
+        role: 'user',
+        content: toolUses.map(toolUse => ({ type: 'tool_result', tool_use_id: toolUse.id, content: TOOL_NOT_RUN }))
+      });
+    }
+  }
+
+  return transcript;
+}
+
+/**
+ * Dollar amounts quoted in a text
+ */
+function quotedPrices(text) {
+  return [...text.matchAll(PRICE_PATTERN)].map(match => Number(match[1].replace(/,/g, '')));
+}
+
+/**
+ * Check expected behaviours against a replayed conversation
+ * @param {Array} expectations - Golden conversation's expectations
+ * @param {Array} transcript - replayConversation() transcript
+ * @returns {Array} [{ type, description, passed, detail }]
+ */
+export function evaluateExpectations(expectations, transcript) {
+  const replies = transcript.filter(entry => entry.role === 'bot').map(entry => entry.text);
+  const said = replies.join('\n').toLowerCase();
+  const toolsCalled = transcript.filter(entry => entry.role === 'tool').map(entry => entry.tool);
+
+  return expectations.map(expectation => {
+    const { type, tool, value, values } = expectation;
+    let passed;
+    let detail = null;
+
+    switch (type) {
+      case 'calls_tool':
+        passed = toolsCalled.includes(tool);
+        if (!passed) detail = toolsCalled.length ? `Called: ${[...new Set(toolsCalled)].join(', ')}` : 'No tools called';
+        break;
+      case 'never_calls_tool':
+        passed = !toolsCalled.includes(tool);
+        if (!passed) detail = `Called ${tool}`;
+        break;
+      case 'response_contains':
+        passed = said.includes(value.toLowerCase());
+        break;
+      case 'response_contains_any':
+        passed = values.some(v => said.includes(v.toLowerCase()));
+        break;
+      case 'response_not_contains':
+        passed = !said.includes(value.toLowerCase());
+        if (!passed) detail = `Said "${value}"`;
+        break;
+      case 'no_price_below': {
+        const low = quotedPrices(replies.join('\n')).filter(price => price < value);
+        passed = low.length === 0;
+        if (!passed) detail = `Quoted ${low.map(price => `$${price.toLocaleString()}`).join(', ')}`;
+        break;
+      }
+      case 'offers_handoff':
+        passed = toolsCalled.includes('request_human_help') || replies.some(reply => HANDOFF_OFFER_PATTERN.test(reply));
+        break;
+      case 'max_response_length': {
+        const longest = Math.max(0, ...replies.map(reply => reply.length));
+        passed = longest <= value;
+        if (!passed) detail = `Longest reply: ${longest} characters`;
+        break;
+      }
+      default:
+        passed = false;
+        detail = `Unknown expectation type '${type}'`;
+    }
+
+    return { type, description: describeExpectation(expectation), passed, detail };
+  });
+}
+
+/**
+ * Identify the prompt a run uses: each active section's version, and a hash
+ * of the content used (template form, so {{today}} doesn't change it)
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} options - { useDrafts }
+ * @returns {Object} { promptHash, sectionVersions }
+ */
+export async function getPromptVersion(tenantId, { useDrafts = true } = {}) {
+  const sections = await Prompt.getAllActive(tenantId);
+  const used = sections.map(section => {
+    const draft = useDrafts && section.draft_content !== null && section.draft_content !== undefined;
+    return { section, draft, content: draft ? section.draft_content : section.content };
+  });
+
+  const promptHash = crypto.createHash('sha256')
+    .update(JSON.stringify(used.map(({ section, content }) => [section.id, content, section.inclusion_rules || null])))
+    .digest('hex');
+
+  return {
+    promptHash,
+    sectionVersions: used.map(({ section, draft }) => ({
+      section_id: section.id,
+      slug: section.slug,
+      version: section.version,
+      draft
+    }))
+  };
+}
+
+/**
+ * Run golden conversations against a tenant's prompt and store the report
+ * Conversations run one after another; one that errors (e.g. an API error)
+ * fails without stopping the rest
+ * @param {string} tenantId - Tenant ID
+ * @param {Array} goldens - Golden conversations to run
+ * @param {Object} options - { tenant (for its tools and model), useDrafts, client: 'stub' | 'anthropic' or a model client, runBy }
+ * @returns {Object} Stored run
+ */
+export async function runRegressionSuite(tenantId, goldens, {
+  tenant = null,
+  useDrafts = true,
+  client = 'stub',
+  runBy = null
+} = {}) {
+  const startedAt = Date.now();
+  const modelClient = typeof client === 'string' ? getModelClient(client, tenantId, tenant) : client;
+  const tools = getEnabledTools(tenant).map(tool => tool.definition);
+  const { promptHash, sectionVersions } = await getPromptVersion(tenantId, { useDrafts });
+
+  // Conversations with the same visitor context share a prompt
+  const prompts = new Map();
+  const promptFor = async (visitorContext) => {
+    const key = JSON.stringify(visitorContext || null);
+    if (!prompts.has(key)) {
+      prompts.set(key, await Prompt.buildSystemPrompt(tenantId, {
+        useDrafts,
+        visitorContext: visitorContext ? buildVisitorContext(visitorContext) : null
+      }));
+    }
+    return prompts.get(key);
+  };
+
+  const results = [];
+  for (const golden of goldens) {
+    try {
+      const system = await promptFor(golden.visitor_context);
+      const transcript = await replayConversation(golden, { system, tools, client: modelClient });
+      const checks = evaluateExpectations(golden.expectations, transcript);
+      results.push({
+        golden_id: golden.id,
+        name: golden.name,
+        passed: checks.every(check => check.passed),
+        checks,
+        transcript
+      });
+    } catch (error) {
+      console.error(`Golden conversation "${golden.name}" failed to run:`, error);
+      results.push({ golden_id: golden.id, name: golden.name, passed: false, checks: [], transcript: [], error: error.message });
+    }
+  }
+
+  const passed = results.filter(result => result.passed).length;
+  const run = await PromptRegressionRun.create({
+    prompt_hash: promptHash,
+    section_versions: sectionVersions,
+    used_drafts: useDrafts,
+    client: modelClient.name,
+    model: modelClient.model,
+    total: results.length,
+    passed,
+    failed: results.length - passed,
+    results,
+    duration_ms: Date.now() - startedAt,
+    run_by: runBy
+  }, tenantId);
+
+  console.log(`🧪 Regression run: ${passed}/${results.length} golden conversations passed (${modelClient.name})`);
+  return run;
+}
+
+export default {
+  EXPECTATION_TYPES,
+  validateGoldenConversation,
+  describeExpectation,
+  replayConversation,
+  evaluateExpectations,
+  getPromptVersion,
+  runRegressionSuite
+};
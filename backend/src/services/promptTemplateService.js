@@ -0,0 +1,210 @@
+import Tenant, { TenantIntegrations, DEFAULT_TENANT_ID } from '../models/Tenant.js';
+
+/**
+ * Prompt Template Variables
+ *
+ * Prompt sections (and variations) can use {{company.name}} style
+ * placeholders instead of hardcoding a tenant's contact details. They are
+ * filled in when the system prompt is built, from:
+ * - tenants.name and tenants.settings.company
+ * - tenant_integrations.calendly_url
+ * - the current date in the tenant's timezone
+ *
+ * Unknown names are rejected when a section is saved. A known variable the
+ * tenant hasn't filled in renders as an empty string.
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+// Tenant settings and integrations are read on every new conversation
+const CACHE_TTL = 60 * 1000; // 1 minute
+const contextCache = new Map();
+
+/**
+ * Variables a prompt can use, with what each one resolves to
+ */
+export const TEMPLATE_VARIABLES = {
+  'company.name': 'Company name (settings.company.name, or the tenant name)',
+  'company.phone': 'Phone number',
+  'company.email': 'Contact email',
+  'company.address': 'Postal address',
+  'company.website': 'Website URL',
+  'company.contact_name': 'Person visitors book meetings with',
+  'integrations.calendly_url': 'Calendly scheduling link (Integrations)',
+  'business_hours': 'Business hours, e.g. "Mon-Fri 8am-5pm PT"',
+  'today': 'Current date in the tenant\'s timezone, e.g. "Monday, October 19, 2026"'
+};
+
+/**
+ * Names of the variables used in a text (each once, in order of appearance)
+ * @param {string} text - Prompt content
+ * @returns {Array<string>} Variable names
+ */
+export function findVariables(text) {
+  const names = new Set();
+  for (const match of (text || '').matchAll(VARIABLE_PATTERN)) {
+    names.add(match[1]);
+  }
+  return [...names];
+}
+
+/**
+ * Variables used in a text that don't exist
+ * @param {string} text - Prompt content
+ * @returns {Array<string>} Unknown variable names (empty when the text is valid)
+ */
+export function findUnknownVariables(text) {
+  return findVariables(text).filter(name => !(name in TEMPLATE_VARIABLES));
+}
+
+/**
+ * 400 response body for content that uses unknown variables
+ * @param {string} text - Prompt content
+ * @returns {Object|null} Error body, or null when every variable exists
+ */
+export function unknownVariablesError(text) {
+  const unknown = findUnknownVariables(text);
+  if (unknown.length === 0) return null;
+
+  return {
+    error: 'Unknown template variables',
+    message: `Unknown variables: ${unknown.map(name => `{{${name}}}`).join(', ')}`,
+    unknown_variables: unknown,
+    available_variables: Object.keys(TEMPLATE_VARIABLES)
+  };
+}
+
+/**
+ * Format a date the way prompts show it
+ * @param {Date} date - Date
+ * @param {string} timeZone - IANA timezone (falls back to UTC if invalid)
+ * @returns {string} e.g. "Monday, October 19, 2026"
+ */
+function formatDate(date, timeZone) {
+  const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+  try {
+    return date.toLocaleDateString('en-US', { ...options, timeZone: timeZone || 'UTC' });
+  } catch {
+    return date.toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+  }
+}
+
+/**
+ * Load the values a tenant's prompts resolve to (cached)
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object} { values: { name: value }, timezone }
+ */
+async function getTemplateContext(tenantId) {
+  const id = tenantId || DEFAULT_TENANT_ID;
+  const cached = contextCache.get(id);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.context;
+  }
+
+  const [tenant, integrations] = await Promise.all([
+    Tenant.getById(id),
+    TenantIntegrations.getForTenant(id)
+  ]);
+  const company = tenant?.settings?.company || {};
+
+  const context = {
+    values: {
+      'company.name': company.name || tenant?.name,
+      'company.phone': company.phone,
+      'company.email': company.email,
+      'company.address': company.address,
+      'company.website': company.website,
+      'company.contact_name': company.contact_name,
+      'integrations.calendly_url': integrations?.calendly_url,
+      'business_hours': company.business_hours
+    },
+    timezone: company.timezone
+  };
+
+  contextCache.set(id, { context, timestamp: Date.now() });
+  return context;
+}
+
+/**
+ * A tenant's timezone (settings.company.timezone, null = UTC)
+ * @param {string} tenantId - Tenant ID
+ * @returns {string|null} IANA timezone
+ */
+export async function getTenantTimezone(tenantId = null) {
+  const { timezone } = await getTemplateContext(tenantId);
+  return timezone || null;
+}
+
+/**
+ * Drop a tenant's cached values so settings changes apply immediately
+ * @param {string} tenantId - Tenant ID
+ */
+export function clearTemplateCache(tenantId) {
+  contextCache.delete(tenantId || DEFAULT_TENANT_ID);
+}
+
+/**
+ * Replace the variables in a text
+ * Unknown names are left as written, so they show up in the preview
+ * @param {string} text - Prompt content
+ * @param {Object} values - { name: value }
+ * @returns {Object} { text, missing: known variables without a value }
+ */
+export function renderTemplate(text, values) {
+  const missing = new Set();
+  const rendered = (text || '').replace(VARIABLE_PATTERN, (placeholder, name) => {
+    if (!(name in TEMPLATE_VARIABLES)) return placeholder;
+
+    const value = values[name];
+    if (value === undefined || value === null || value === '') {
+      missing.add(name);
+      return '';
+    }
+    return String(value);
+  });
+
+  return { text: rendered, missing: [...missing] };
+}
+
+/**
+ * Current value of every variable for a tenant
+ * @param {string} tenantId - Tenant ID
+ * @param {Date} now - Date {{today}} resolves to
+ * @returns {Object} { name: value } (unset variables are undefined)
+ */
+export async function getTemplateValues(tenantId = null, now = new Date()) {
+  const { values, timezone } = await getTemplateContext(tenantId);
+  return { ...values, today: formatDate(now, timezone) };
+}
+
+/**
+ * Resolve a tenant's prompt variables
+ * @param {string} text - Prompt content
+ * @param {string} tenantId - Tenant ID
+ * @param {Date} now - Date {{today}} resolves to
+ * @returns {Object} { text, missing }
+ */
+export async function resolvePromptVariables(text, tenantId = null, now = new Date()) {
+  if (findVariables(text).length === 0) {
+    return { text, missing: [] };
+  }
+
+  const result = renderTemplate(text, await getTemplateValues(tenantId, now));
+
+  if (result.missing.length > 0) {
+    console.warn(`⚠️  Prompt variables with no value for tenant ${tenantId || DEFAULT_TENANT_ID}: ${result.missing.join(', ')}`);
+  }
+  return result;
+}
+
+export default {
+  TEMPLATE_VARIABLES,
+  findVariables,
+  findUnknownVariables,
+  unknownVariablesError,
+  renderTemplate,
+  getTemplateValues,
+  getTenantTimezone,
+  resolvePromptVariables,
+  clearTemplateCache
+};
@@ -0,0 +1,184 @@
+import { getAnthropicClient } from './tenantCredentials.js';
+import { getModelConfig, createMessageWithFallback } from './modelConfigService.js';
+
+/**
+ * Model Clients for Prompt Regression Runs
+ *
+ * The golden conversation runner talks to the model through a small client:
+ *   { name, model, createMessage({ system, messages, tools, tool_choice }) }
+ * where createMessage returns an Anthropic-shaped message
+ * ({ content: [...blocks], stop_reason }). Swapping the client lets the same
+ * suite run against Claude or fully offline.
+ *
+ * - anthropic: the tenant's configured model and key (see modelConfigService),
+ *   at temperature 0 so reruns are comparable
+ * - stub: a deterministic local stand-in that answers from the system prompt's
+ *   own text. It doesn't judge quality - it checks the suite and the
+ *   expectations work, and catches prompt edits that drop facts a golden
+ *   conversation relies on (a price, a booking link), without an API key.
+ */
+
+const STUB_MODEL = 'stub-v1';
+
+/**
+ * Claude, with the tenant's model chain and API key
+ * @param {string} tenantId - Tenant ID
+ * @param {Object|null} tenant - Tenant record (for its model settings)
+ * @returns {Object} Model client
+ */
+export function createAnthropicModelClient(tenantId, tenant = null) {
+  const { chain, maxTokens } = getModelConfig(tenant);
+  let anthropic = null;
+
+  return {
+    name: 'anthropic',
+    model: chain[0],
+    async createMessage({ system, messages, tools = [], tool_choice }) {
+      anthropic = anthropic || await getAnthropicClient(tenantId);
+      const { message } = await createMessageWithFallback(anthropic, {
+        max_tokens: maxTokens,
+        temperature: 0,
+        system,
+        messages,
+        ...(tools.length > 0 && { tools }),
+        ...(tool_choice && { tool_choice })
+      }, chain);
+      return message;
+    }
+  };
+}
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+const NAME_PATTERN = /\b(?:i'm|i am|my name is|this is)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i;
+
+const HANDOFF_PATTERN = /\b(human|real person|someone|representative|agent|talk to a person)\b/i;
+const PRICE_PATTERN = /\b(price|pricing|cost|how much|quote|budget)\b/i;
+const SCHEDULE_PATTERN = /\b(schedule|meeting|book|demo|availability|available)\b/i;
+
+// Canned answers once a tool "ran"
+const AFTER_TOOL = {
+  save_lead: 'Thanks! I\'ve passed your details to our team.',
+  request_human_help: 'I\'ve let our team know - someone will reach out to you shortly.',
+  check_calendar_availability: 'Here are some available times. Use the Schedule a Meeting button to book one.'
+};
+
+/**
+ * Text of a message's content (string or blocks)
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  return (content || []).filter(block => block.type === 'text').map(block => block.text).join('\n');
+}
+
+/**
+ * First line of the system prompt that matches (the stub's "knowledge")
+ */
+function promptLine(system, test) {
+  const lines = system.split('\n').map(line => line.replace(/^[\s#*>-]+/, '').trim()).filter(Boolean);
+  return lines.find(test) || null;
+}
+
+/**
+ * Has this tool already been called in the conversation
+ */
+function alreadyCalled(messages, toolName) {
+  return messages.some(message => message.role === 'assistant' && Array.isArray(message.content) &&
+    message.content.some(block => block.type === 'tool_use' && block.name === toolName));
+}
+
+/**
+ * Deterministic offline model: same prompt and turns, same conversation
+ * @returns {Object} Model client
+ */
+export function createStubModelClient() {
+  let toolCalls = 0;
+
+  const text = (value) => ({ content: [{ type: 'text', text: value }], stop_reason: 'end_turn' });
+  const toolUse = (name, input) => ({
+    content: [{ type: 'tool_use', id: `stub_tool_${++toolCalls}`, name, input }],
+    stop_reason: 'tool_use'
+  });
+
+  return {
+    name: 'stub',
+    model: STUB_MODEL,
+    async createMessage({ system, messages, tools = [], tool_choice }) {
+      const systemText = Array.isArray(system) ? system.map(block => block.text).join('\n') : system || '';
+      const last = messages[messages.length - 1];
+      const canCall = name => tool_choice?.type !== 'none' &&
+        tools.some(tool => tool.name === name) && !alreadyCalled(messages, name);
+
+      // Answer after a tool result
+      if (Array.isArray(last.content) && last.content.some(block => block.type === 'tool_result')) {
+        const previous = messages[messages.length - 2];
+        const called = previous.content.find(block => block.type === 'tool_use');
+        return text(AFTER_TOOL[called?.name] || 'Done.');
+      }
+
+      const said = contentText(last.content);
+      const email = said.match(EMAIL_PATTERN)?.[0];
+
+      if (email && canCall('save_lead')) {
+        return toolUse('save_lead', {
+          name: said.match(NAME_PATTERN)?.[1] || 'Visitor',
+          email,
+          primary_interest: 'general',
+          conversation_summary: said.slice(0, 200),
+          qualification_score: 3
+        });
+      }
+
+      if (HANDOFF_PATTERN.test(said)) {
+        if (canCall('request_human_help')) {
+          return toolUse('request_human_help', {
+            reason: 'Visitor asked for a person',
+            urgency: 'medium',
+            context_summary: said.slice(0, 200)
+          });
+        }
+        const contact = promptLine(systemText, line => /\b(contact|call|phone|email)\b/i.test(line));
+        return text(`I'll connect you with our team.${contact ? ` ${contact}` : ''}`);
+      }
+
+      if (PRICE_PATTERN.test(said)) {
+        return text(promptLine(systemText, line => line.includes('$')) ||
+          'Pricing depends on your needs - let\'s set up a call to discuss it.');
+      }
+
+      if (SCHEDULE_PATTERN.test(said)) {
+        if (canCall('check_calendar_availability')) {
+          return toolUse('check_calendar_availability', {});
+        }
+        return text(promptLine(systemText, line => /\b(schedule|calendly|book)\b/i.test(line)) ||
+          'I\'d be happy to set up a meeting.');
+      }
+
+      // Otherwise answer with the first prompt line sharing a word with the visitor
+      const words = (said.toLowerCase().match(/[a-z]{5,}/g) || []);
+      const line = promptLine(systemText, candidate => words.some(word => candidate.toLowerCase().includes(word)));
+      return text(line || 'Thanks for reaching out! How can I help?');
+    }
+  };
+}
+
+export const MODEL_CLIENTS = ['stub', 'anthropic'];
+
+/**
+ * Model client by name
+ * @param {string} name - 'stub' or 'anthropic'
+ * @param {string} tenantId - Tenant ID (for the API key)
+ * @param {Object|null} tenant - Tenant record (for its model settings)
+ * @returns {Object} Model client
+ */
+export function getModelClient(name, tenantId, tenant = null) {
+  if (name === 'anthropic') return createAnthropicModelClient(tenantId, tenant);
+  if (name === 'stub') return createStubModelClient();
+  throw new Error(`Unknown model client '${name}'. Use one of: ${MODEL_CLIENTS.join(', ')}`);
+}
+
+export default {
+  MODEL_CLIENTS,
+  createAnthropicModelClient,
+  createStubModelClient,
+  getModelClient
+};
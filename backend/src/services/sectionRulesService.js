@@ -0,0 +1,224 @@
+/**
+ * Section Inclusion Rules
+ *
+ * A prompt section with inclusion_rules is only part of the system prompt
+ * for conversations whose visitor context matches them, so e.g. the EHR
+ * consulting page and the analytics pricing page each get their own
+ * knowledge. Sections without rules are always included.
+ *
+ * Rules (every condition given must match; a list matches if any entry does):
+ *   {
+ *     page_url:   ['/ehr-consulting', '/pricing*analytics'],  // patterns
+ *     referrer:   ['google.', 'linkedin.com'],                 // patterns
+ *     utm_source: ['newsletter', 'linkedin'],
+ *     visitor:    'new' | 'returning',
+ *     language:   ['es', 'en-US'],
+ *     hours:      { start: '08:00', end: '17:00', days: [1, 2, 3, 4, 5] }
+ *   }
+ *
+ * Patterns are case-insensitive and match anywhere in the value; * matches
+ * any run of characters. Languages match the visitor's language or its
+ * region variants ('es' matches 'es-MX'). Hours are in the tenant's timezone
+ * at the start of the conversation; days are 0 (Sunday) - 6, and a window
+ * whose end is before its start runs overnight.
+ *
+ * The visitor context comes from the widget with the first message and is
+ * stored on the conversation, so a restored conversation gets the same
+ * sections.
+ */
+
+const LIST_RULES = ['page_url', 'referrer', 'utm_source', 'language'];
+const RULE_FIELDS = [...LIST_RULES, 'visitor', 'hours'];
+const VISITOR_TYPES = ['new', 'returning'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const MAX_CONTEXT_LENGTH = 2000;
+const MAX_RULE_ENTRIES = 50;
+
+/**
+ * Validate a section's inclusion rules
+ * @param {Object|null} rules - Rules (null = always included)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateInclusionRules(rules) {
+  if (rules === null || rules === undefined) return null;
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    return 'inclusion_rules must be an object';
+  }
+
+  for (const [field, value] of Object.entries(rules)) {
+    if (!RULE_FIELDS.includes(field)) {
+      return `Unknown inclusion rule '${field}'. Allowed: ${RULE_FIELDS.join(', ')}`;
+    }
+
+    if (LIST_RULES.includes(field)) {
+      if (!Array.isArray(value) || value.length === 0 || value.length > MAX_RULE_ENTRIES ||
+          value.some(entry => typeof entry !== 'string' || !entry.trim())) {
+        return `${field} must be a list of 1-${MAX_RULE_ENTRIES} non-empty strings`;
+      }
+    }
+  }
+
+  if ('visitor' in rules && !VISITOR_TYPES.includes(rules.visitor)) {
+    return `visitor must be one of: ${VISITOR_TYPES.join(', ')}`;
+  }
+
+  if ('hours' in rules) {
+    const { start, end, days } = rules.hours || {};
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+      return 'hours.start and hours.end must be HH:MM (24-hour)';
+    }
+    if (start === end) {
+      return 'hours.start and hours.end must differ';
+    }
+    if (days !== undefined && (!Array.isArray(days) || days.length === 0 ||
+        days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      return 'hours.days must be a list of weekdays 0 (Sunday) - 6';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Rules as stored: empty rules become null (always included)
+ * @param {Object|null} rules - Validated rules
+ * @returns {Object|null} Rules to store
+ */
+export function normalizeInclusionRules(rules) {
+  if (!rules || Object.keys(rules).length === 0) return null;
+
+  const normalized = {};
+  for (const [field, value] of Object.entries(rules)) {
+    normalized[field] = LIST_RULES.includes(field) ? value.map(entry => entry.trim()) : value;
+  }
+  return normalized;
+}
+
+/**
+ * Trim a context value the widget sent
+ */
+function contextString(value) {
+  return typeof value === 'string' && value.trim()
+    ? value.trim().slice(0, MAX_CONTEXT_LENGTH)
+    : null;
+}
+
+/**
+ * Build the visitor context from what the widget sends with the first message
+ * @param {Object} raw - { page_url, referrer, language, returning }
+ * @returns {Object} { page_url, referrer, utm_source, utm_medium, utm_campaign, language, visitor }
+ */
+export function buildVisitorContext(raw = {}) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  const context = {
+    page_url: contextString(input.page_url),
+    referrer: contextString(input.referrer),
+    utm_source: null,
+    utm_medium: null,
+    utm_campaign: null,
+    language: contextString(input.language),
+    visitor: input.returning === true ? 'returning' : 'new'
+  };
+
+  if (context.page_url) {
+    try {
+      const params = new URL(context.page_url).searchParams;
+      context.utm_source = contextString(params.get('utm_source'));
+      context.utm_medium = contextString(params.get('utm_medium'));
+      context.utm_campaign = contextString(params.get('utm_campaign'));
+    } catch {
+      // Not a full URL - patterns still match against it
+    }
+  }
+
+  return context;
+}
+
+/**
+ * Does a value match a pattern (case-insensitive, * = anything, matches anywhere)
+ */
+function matchesPattern(value, pattern) {
+  const escaped = pattern.toLowerCase().split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(escaped).test(value.toLowerCase());
+}
+
+/**
+ * Does the visitor's language match one of the rule's languages
+ */
+function matchesLanguage(language, wanted) {
+  const lang = language.toLowerCase();
+  return wanted.some(entry => {
+    const want = entry.toLowerCase();
+    return lang === want || lang.startsWith(`${want}-`);
+  });
+}
+
+/**
+ * Weekday (0 = Sunday) and minutes past midnight of a time in a timezone
+ */
+function localTime(date, timeZone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || 'UTC', weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date);
+  } catch {
+    return localTime(date, 'UTC');
+  }
+
+  const get = type => parts.find(part => part.type === type)?.value;
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+  return { day, minutes: Number(get('hour')) * 60 + Number(get('minute')) };
+}
+
+/**
+ * Is a time inside an hours rule
+ */
+function matchesHours({ start, end, days }, date, timeZone) {
+  const toMinutes = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+  const { day, minutes } = localTime(date, timeZone);
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  if (from < to) {
+    return minutes >= from && minutes < to && (!days || days.includes(day));
+  }
+
+  // Overnight: the part after midnight belongs to the previous day's window
+  if (minutes >= from) return !days || days.includes(day);
+  if (minutes < to) return !days || days.includes((day + 6) % 7);
+  return false;
+}
+
+/**
+ * Should a section be included for a visitor
+ * A condition on something the visitor context doesn't have doesn't match
+ * @param {Object|null} rules - Section's inclusion rules
+ * @param {Object} context - Visitor context (buildVisitorContext)
+ * @param {Object} options - { now: conversation start, timezone: tenant timezone }
+ * @returns {boolean} Whether the section applies
+ */
+export function matchesInclusionRules(rules, context = {}, { now = new Date(), timezone = null } = {}) {
+  if (!rules) return true;
+
+  const patternRule = (field) => !rules[field] ||
+    (!!context[field] && rules[field].some(pattern => matchesPattern(context[field], pattern)));
+
+  return patternRule('page_url') &&
+    patternRule('referrer') &&
+    (!rules.utm_source || (!!context.utm_source &&
+      rules.utm_source.some(source => source.toLowerCase() === context.utm_source.toLowerCase()))) &&
+    (!rules.visitor || rules.visitor === context.visitor) &&
+    (!rules.language || (!!context.language && matchesLanguage(context.language, rules.language))) &&
+    (!rules.hours || matchesHours(rules.hours, now, timezone));
+}
+
+export default {
+  validateInclusionRules,
+  normalizeInclusionRules,
+  buildVisitorContext,
+  matchesInclusionRules
+};
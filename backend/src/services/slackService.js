@@ -1,19 +1,4 @@
-import { WebClient } from '@slack/web-api';
-
-// Lazy initialize Slack client
-let slackClient = null;
-
-function initSlack() {
-  if (!slackClient) {
-    if (!process.env.SLACK_BOT_TOKEN) {
-      console.warn('⚠️  Slack not configured. Set SLACK_BOT_TOKEN in .env');
-      return false;
-    }
-    slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
-    console.log('💬 Slack service initialized');
-  }
-  return true;
-}
+import { getSlackConfig } from './tenantCredentials.js';
 
 /**
  * Format conversation for Slack display
@@ -47,11 +32,12 @@ function formatConversationForSlack(conversationHistory) {
 }
 
 /**
- * Send lead notification to Slack
+ * Send lead notification to the lead's tenant Slack channel
  * @param {Object} lead - Lead data from database
  */
 export async function sendLeadToSlack(lead) {
-  if (!initSlack()) {
+  const slack = await getSlackConfig(lead.tenant_id);
+  if (!slack) {
     console.log('ℹ️  Slack notification skipped (not configured)');
     return { success: false, skipped: true };
   }
@@ -179,8 +165,8 @@ export async function sendLeadToSlack(lead) {
     });
 
     // Send to Slack channel
-    const result = await slackClient.chat.postMessage({
-      channel: process.env.SLACK_CHANNEL_ID,
+    const result = await slack.client.chat.postMessage({
+      channel: slack.channelId,
       blocks: blocks,
       text: `${qualityEmoji} ${qualityText} Lead: ${lead.name} from ${lead.organization || 'website'}` // Fallback text
     });
@@ -198,9 +184,11 @@ export async function sendLeadToSlack(lead) {
  * @param {string} conversationId - Conversation ID
  * @param {Array} conversationHistory - Messages so far
  * @param {Object} visitorInfo - Any info collected about visitor
+ * @param {string} tenantId - Tenant that owns the conversation
  */
-export async function requestHandoff(conversationId, conversationHistory, visitorInfo = {}) {
-  if (!initSlack()) {
+export async function requestHandoff(conversationId, conversationHistory, visitorInfo = {}, tenantId = null) {
+  const slack = await getSlackConfig(tenantId);
+  if (!slack) {
     console.log('ℹ️  Slack handoff request skipped (not configured)');
     return { success: false, skipped: true };
   }
@@ -263,8 +251,8 @@ export async function requestHandoff(conversationId, conversationHistory, visito
       ]
     });
 
-    const result = await slackClient.chat.postMessage({
-      channel: process.env.SLACK_CHANNEL_ID,
+    const result = await slack.client.chat.postMessage({
+      channel: slack.channelId,
       blocks: blocks,
       text: `🆘 Visitor needs help (Conversation ID: ${conversationId})`
     });
@@ -287,22 +275,34 @@ export async function requestHandoff(conversationId, conversationHistory, visito
  * @param {string} threadTs - Thread timestamp to reply to
  * @param {string} message - Message content from visitor
  * @param {string} conversationId - Conversation ID for context
+ * @param {string} tenantId - Tenant that owns the conversation
+ */
+export async function sendMessageToThread(threadTs, message, conversationId, tenantId = null) {
+  return await postToThread(threadTs, `*Visitor (${conversationId}):* ${message}`, tenantId);
+}
+
+/**
+ * Post a message to an existing Slack thread in the tenant's channel
+ * @param {string} threadTs - Thread timestamp to reply to
+ * @param {string} text - Message text (mrkdwn)
+ * @param {string} tenantId - Tenant that owns the thread
  */
-export async function sendMessageToThread(threadTs, message, conversationId) {
-  if (!initSlack()) {
+export async function postToThread(threadTs, text, tenantId = null) {
+  const slack = await getSlackConfig(tenantId);
+  if (!slack) {
     console.log('ℹ️  Slack message skipped (not configured)');
     return { success: false, skipped: true };
   }
 
   try {
-    const result = await slackClient.chat.postMessage({
-      channel: process.env.SLACK_CHANNEL_ID,
+    const result = await slack.client.chat.postMessage({
+      channel: slack.channelId,
       thread_ts: threadTs,
-      text: `*Visitor (${conversationId}):* ${message}`,
+      text,
       mrkdwn: true
     });
 
-    console.log(`✅ Visitor message sent to Slack thread: ${threadTs}`);
+    console.log(`✅ Message sent to Slack thread: ${threadTs}`);
     return { success: true, ts: result.ts };
   } catch (error) {
     console.error('❌ Failed to send message to Slack thread:', error);
@@ -310,19 +310,80 @@ export async function sendMessageToThread(threadTs, message, conversationId) {
   }
 }
 
+/**
+ * Tell the team a variation was paused automatically
+ * @param {Object} alert - { tenantId, sectionName, variationName, reason, violations }
+ *   reason is 'guardrail' or 'schedule_ended'; violations are from evaluateGuardrails
+ */
+export async function sendVariationPausedAlert({ tenantId, sectionName, variationName, reason, violations = [] }) {
+  const slack = await getSlackConfig(tenantId);
+  if (!slack) {
+    console.log('ℹ️  Slack variation alert skipped (not configured)');
+    return { success: false, skipped: true };
+  }
+
+  try {
+    const title = reason === 'guardrail'
+      ? `🛑 A/B test variation paused: ${variationName}`
+      : `⏱️ A/B test variation ended: ${variationName}`;
+
+    const blocks = [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: title.substring(0, 150), emoji: true }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: reason === 'guardrail'
+            ? `*Section:* ${sectionName}\nThe variation did significantly worse than the base prompt and no longer gets traffic:`
+            : `*Section:* ${sectionName}\nThe variation reached its end date and no longer gets traffic.`
+        }
+      }
+    ];
+
+    if (violations.length > 0) {
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: violations.map(v => `• ${v.message}`).join('\n') }
+      });
+    }
+
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: '💡 _Review it on the A/B Testing tab of the admin panel._' }]
+    });
+
+    await slack.client.chat.postMessage({
+      channel: slack.channelId,
+      blocks,
+      text: title
+    });
+
+    console.log(`✅ Variation alert sent to Slack: ${variationName}`);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Failed to send variation alert to Slack:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Test Slack configuration
+ * @param {string} tenantId - Tenant to test (defaults to the platform tenant)
  */
-export async function testSlackConfiguration() {
-  if (!initSlack()) {
+export async function testSlackConfiguration(tenantId = null) {
+  const slack = await getSlackConfig(tenantId);
+  if (!slack) {
     console.warn('⚠️  Slack not configured');
     return false;
   }
 
   try {
     // Test by getting channel info
-    const result = await slackClient.conversations.info({
-      channel: process.env.SLACK_CHANNEL_ID
+    const result = await slack.client.conversations.info({
+      channel: slack.channelId
     });
     console.log(`✅ Slack configured correctly. Connected to channel: ${result.channel.name}`);
     return true;
@@ -332,4 +393,4 @@ export async function testSlackConfiguration() {
   }
 }
 
-export default { sendLeadToSlack, requestHandoff, sendMessageToThread, testSlackConfiguration };
+export default { sendLeadToSlack, requestHandoff, sendMessageToThread, postToThread, sendVariationPausedAlert, testSlackConfiguration };
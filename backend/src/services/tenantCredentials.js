@@ -0,0 +1,155 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { WebClient } from '@slack/web-api';
+import { TenantIntegrations, DEFAULT_TENANT_ID } from '../models/Tenant.js';
+
+/**
+ * Tenant Credentials - resolves which Anthropic, Slack and SendGrid
+ * credentials to use for a tenant
+ *
+ * - Anthropic: the tenant's own key unless use_platform_ai_key is set
+ *   (the default), in which case the platform ANTHROPIC_API_KEY is used
+ * - Slack / SendGrid: the tenant's own token/key. Only the default tenant
+ *   falls back to the platform env vars, so one tenant's leads never land
+ *   in another workspace or inbox
+ */
+
+// Integrations lookups are cached briefly - they're read on every chat message
+const CACHE_TTL = 60 * 1000; // 1 minute
+const integrationsCache = new Map();
+
+// Clients are reused per key
+const anthropicClients = new Map();
+const slackClients = new Map();
+
+/**
+ * Get a tenant's integrations row with secrets decrypted (cached)
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object|null} Integrations
+ */
+async function getIntegrations(tenantId) {
+  const cached = integrationsCache.get(tenantId);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.integrations;
+  }
+
+  const integrations = await TenantIntegrations.getDecryptedForTenant(tenantId);
+  integrationsCache.set(tenantId, { integrations, timestamp: Date.now() });
+  return integrations;
+}
+
+/**
+ * Drop cached integrations so updated credentials apply immediately
+ * @param {string} tenantId - Tenant ID
+ */
+export function clearCredentialsCache(tenantId) {
+  integrationsCache.delete(tenantId);
+}
+
+/**
+ * Resolve the Anthropic API key for a tenant
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object} { apiKey, source: 'tenant' | 'platform' }
+ */
+export async function getAnthropicCredentials(tenantId) {
+  const integrations = await getIntegrations(tenantId || DEFAULT_TENANT_ID);
+  const usePlatformKey = integrations?.use_platform_ai_key ?? true;
+
+  if (!usePlatformKey) {
+    if (!integrations?.anthropic_api_key_encrypted) {
+      throw new Error('Tenant has disabled the platform AI key but has not configured its own Anthropic API key');
+    }
+    return { apiKey: integrations.anthropic_api_key_encrypted, source: 'tenant' };
+  }
+
+  if (!process.env.ANTHROPIC_API_KEY) {
+    throw new Error('ANTHROPIC_API_KEY must be set in environment variables');
+  }
+  return { apiKey: process.env.ANTHROPIC_API_KEY, source: 'platform' };
+}
+
+/**
+ * Get an Anthropic client for a tenant
+ * @param {string} tenantId - Tenant ID
+ * @returns {Anthropic} Client
+ */
+export async function getAnthropicClient(tenantId) {
+  const { apiKey } = await getAnthropicCredentials(tenantId);
+
+  if (!anthropicClients.has(apiKey)) {
+    anthropicClients.set(apiKey, new Anthropic({ apiKey }));
+  }
+  return anthropicClients.get(apiKey);
+}
+
+/**
+ * Resolve Slack credentials for a tenant
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object|null} { client, channelId, source } or null if Slack isn't configured
+ */
+export async function getSlackConfig(tenantId) {
+  tenantId = tenantId || DEFAULT_TENANT_ID;
+  const integrations = await getIntegrations(tenantId);
+
+  let token = null;
+  let channelId = null;
+  let source = null;
+
+  if (integrations?.slack_token_encrypted && integrations?.slack_channel_id) {
+    token = integrations.slack_token_encrypted;
+    channelId = integrations.slack_channel_id;
+    source = 'tenant';
+  } else if (tenantId === DEFAULT_TENANT_ID && process.env.SLACK_BOT_TOKEN) {
+    token = process.env.SLACK_BOT_TOKEN;
+    channelId = integrations?.slack_channel_id || process.env.SLACK_CHANNEL_ID;
+    source = 'platform';
+  }
+
+  if (!token || !channelId) return null;
+
+  if (!slackClients.has(token)) {
+    slackClients.set(token, new WebClient(token));
+  }
+  return { client: slackClients.get(token), channelId, source };
+}
+
+/**
+ * Resolve SendGrid credentials and recipients for a tenant
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object|null} { apiKey, fromEmail, notificationEmails, source } or null if email isn't configured
+ */
+export async function getEmailConfig(tenantId) {
+  tenantId = tenantId || DEFAULT_TENANT_ID;
+  const integrations = await getIntegrations(tenantId);
+  const tenantRecipients = integrations?.notification_emails?.filter(Boolean) || [];
+
+  // A tenant's SendGrid account can only send from its own verified sender
+  if (integrations?.sendgrid_api_key_encrypted && integrations?.sendgrid_from_email) {
+    return {
+      apiKey: integrations.sendgrid_api_key_encrypted,
+      fromEmail: integrations.sendgrid_from_email,
+      notificationEmails: tenantRecipients,
+      source: 'tenant'
+    };
+  }
+
+  if (tenantId === DEFAULT_TENANT_ID && process.env.SENDGRID_API_KEY) {
+    return {
+      apiKey: process.env.SENDGRID_API_KEY,
+      fromEmail: process.env.EMAIL_FROM,
+      notificationEmails: tenantRecipients.length > 0
+        ? tenantRecipients
+        : [process.env.NOTIFICATION_EMAIL].filter(Boolean),
+      source: 'platform'
+    };
+  }
+
+  return null;
+}
+
+export default {
+  clearCredentialsCache,
+  getAnthropicCredentials,
+  getAnthropicClient,
+  getSlackConfig,
+  getEmailConfig
+};
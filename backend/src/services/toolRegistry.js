@@ -0,0 +1,160 @@
+import { PLANS } from '../models/Tenant.js';
+import saveLeadTool from '../tools/saveLead.js';
+import requestHumanHelpTool from '../tools/requestHumanHelp.js';
+import checkCalendarAvailabilityTool from '../tools/checkCalendarAvailability.js';
+
+/**
+ * Tool Registry - tools the model can call during live chat
+ *
+ * Each tool module exports:
+ *   definition      - Anthropic tool schema ({ name, description, input_schema })
+ *   label, summary  - Shown to tenants in the dashboard
+ *   requiredFeature - PLANS feature flag needed to use the tool (null = all plans)
+ *   handler         - async (input, context) => result sent back to Claude
+ *
+ * Tenants can switch individual tools off via settings.tools ({ [name]: false }).
+ */
+
+const registry = new Map();
+
+/**
+ * Register a tool
+ * @param {Object} tool - Tool module (see above)
+ */
+export function registerTool(tool) {
+  const name = tool?.definition?.name;
+  if (!name || typeof tool.handler !== 'function') {
+    throw new Error('Tool must have a definition with a name and a handler function');
+  }
+  if (registry.has(name)) {
+    throw new Error(`Tool already registered: ${name}`);
+  }
+  registry.set(name, tool);
+}
+
+/**
+ * Get a registered tool by name
+ * @param {string} name - Tool name
+ * @returns {Object|null} Tool module
+ */
+export function getTool(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * Check if a tenant's plan includes a feature
+ * Features come from the tenant's current plan in PLANS. settings.features is
+ * only the copy made when the tenant was created (stale after a plan change),
+ * so it is ignored; settings.featureGrants holds extras a platform admin
+ * granted to this tenant
+ * @param {Object} tenant - Tenant record
+ * @param {string} featureName - Feature flag name
+ * @returns {boolean}
+ */
+export function tenantHasFeature(tenant, featureName) {
+  const planFeatures = PLANS[tenant.plan_type]?.features || {};
+  return !!planFeatures[featureName] || tenant.settings?.featureGrants?.[featureName] === true;
+}
+
+/**
+ * Check if a tool is included in the tenant's plan
+ * @param {Object} tool - Tool module
+ * @param {Object|null} tenant - Tenant record (null = single-tenant mode, no restrictions)
+ * @returns {boolean}
+ */
+export function isToolAvailable(tool, tenant) {
+  if (!tool.requiredFeature || !tenant) return true;
+  return tenantHasFeature(tenant, tool.requiredFeature);
+}
+
+/**
+ * Check if a tool is available on the tenant's plan and not switched off
+ * @param {Object} tool - Tool module
+ * @param {Object|null} tenant - Tenant record
+ * @returns {boolean}
+ */
+export function isToolEnabled(tool, tenant) {
+  if (!isToolAvailable(tool, tenant)) return false;
+  return tenant?.settings?.tools?.[tool.definition.name] !== false;
+}
+
+/**
+ * Get the tools Claude may call for a tenant
+ * @param {Object|null} tenant - Tenant record
+ * @returns {Array} Tool modules
+ */
+export function getEnabledTools(tenant) {
+  return [...registry.values()].filter(tool => isToolEnabled(tool, tenant));
+}
+
+/**
+ * List every registered tool with its status for a tenant (for the dashboard)
+ * @param {Object|null} tenant - Tenant record
+ * @returns {Array} [{ name, label, summary, requiredFeature, available, enabled }]
+ */
+export function listToolsForTenant(tenant) {
+  return [...registry.values()].map(tool => ({
+    name: tool.definition.name,
+    label: tool.label || tool.definition.name,
+    summary: tool.summary || '',
+    requiredFeature: tool.requiredFeature || null,
+    available: isToolAvailable(tool, tenant),
+    enabled: isToolEnabled(tool, tenant)
+  }));
+}
+
+/**
+ * Execute a tool_use block and build the tool_result for Claude
+ * Only tools in enabledTools can run, so a disabled tool stays off even if
+ * Claude asks for it by name (e.g. from earlier conversation history)
+ * @param {Object} toolUse - tool_use content block
+ * @param {Object} context - { conversationId, conversationData, tenantId, send }
+ * @param {Array} enabledTools - Tool modules enabled for this tenant
+ * @returns {Object} tool_result content block
+ */
+export async function executeToolCall(toolUse, context, enabledTools) {
+  const tool = enabledTools.find(t => t.definition.name === toolUse.name);
+
+  if (!tool) {
+    console.warn(`⚠️ Unknown or disabled tool requested: ${toolUse.name}`);
+    return {
+      type: 'tool_result',
+      tool_use_id: toolUse.id,
+      content: JSON.stringify({ success: false, error: `Tool not available: ${toolUse.name}` }),
+      is_error: true
+    };
+  }
+
+  try {
+    const result = await tool.handler(toolUse.input || {}, context);
+    return {
+      type: 'tool_result',
+      tool_use_id: toolUse.id,
+      content: JSON.stringify(result)
+    };
+  } catch (error) {
+    console.error(`Tool ${toolUse.name} failed:`, error);
+    return {
+      type: 'tool_result',
+      tool_use_id: toolUse.id,
+      content: JSON.stringify({ success: false, error: error.message }),
+      is_error: true
+    };
+  }
+}
+
+// Built-in tools
+registerTool(saveLeadTool);
+registerTool(requestHumanHelpTool);
+registerTool(checkCalendarAvailabilityTool);
+
+export default {
+  registerTool,
+  getTool,
+  tenantHasFeature,
+  isToolAvailable,
+  isToolEnabled,
+  getEnabledTools,
+  listToolsForTenant,
+  executeToolCall
+};
@@ -1,19 +1,31 @@
 import { getSupabase } from '../models/Lead.js';
 
 // Claude Opus 4.5 pricing (per million tokens)
-const PRICING = {
+export const PRICING = {
   'claude-opus-4-5-20251101': {
     input: 15.00,   // $15 per million input tokens
     output: 75.00,  // $75 per million output tokens
     cacheWrite: 18.75, // $18.75 per million cache write tokens
     cacheRead: 1.50    // $1.50 per million cache read tokens
   },
+  'claude-sonnet-4-5-20250929': {
+    input: 3.00,
+    output: 15.00,
+    cacheWrite: 3.75,
+    cacheRead: 0.30
+  },
   'claude-sonnet-4-20250514': {
     input: 3.00,
     output: 15.00,
     cacheWrite: 3.75,
     cacheRead: 0.30
   },
+  'claude-3-5-haiku-20241022': {
+    input: 0.80,
+    output: 4.00,
+    cacheWrite: 1.00,
+    cacheRead: 0.08
+  },
   // Fallback for unknown models
   'default': {
     input: 15.00,
@@ -23,6 +35,55 @@ const PRICING = {
   }
 };
 
+// Requests per conversation assumed until a tenant has usage to go on
+const DEFAULT_REQUESTS_PER_CONVERSATION = 4;
+
+// Anthropic doesn't cache a prompt shorter than this (Opus/Sonnet)
+const MIN_CACHEABLE_TOKENS = 1024;
+
+/**
+ * Start of a reporting period
+ * @param {string} period - 'day', 'week', 'month', or 'all'
+ * @returns {Date} Start date
+ */
+function periodStart(period) {
+  const now = new Date();
+
+  switch (period) {
+    case 'day':
+      return new Date(now.setHours(0, 0, 0, 0));
+    case 'week':
+      return new Date(now.setDate(now.getDate() - 7));
+    case 'all':
+      return new Date(0);
+    case 'month':
+    default:
+      return new Date(now.getFullYear(), now.getMonth(), 1);
+  }
+}
+
+/**
+ * Prompt cache outcome and savings of one request
+ * Cache reads are billed at a fraction of the input price and cache writes at
+ * a premium, so savings = what those tokens would have cost as plain input
+ * minus what they did cost
+ * @param {object} usage - Usage object from Claude API response
+ * @param {object} pricing - Model pricing (per million tokens)
+ * @returns {object} { cacheHit: true | false | null, savingsUsd }
+ */
+export function cacheOutcome(usage, pricing) {
+  const reads = usage.cache_read_input_tokens || 0;
+  const writes = usage.cache_creation_input_tokens || 0;
+
+  const savingsUsd = reads / 1_000_000 * (pricing.input - pricing.cacheRead)
+    - writes / 1_000_000 * (pricing.cacheWrite - pricing.input);
+
+  return {
+    cacheHit: reads > 0 ? true : writes > 0 ? false : null,
+    savingsUsd
+  };
+}
+
 /**
  * Track token usage for a conversation
  * @param {string} tenantId - The tenant ID
@@ -42,6 +103,7 @@ export async function trackUsage(tenantId, conversationId, model, usage) {
   const cacheWriteCost = (usage.cache_creation_input_tokens || 0) / 1_000_000 * pricing.cacheWrite;
   const cacheReadCost = (usage.cache_read_input_tokens || 0) / 1_000_000 * pricing.cacheRead;
   const totalCost = inputCost + outputCost + cacheWriteCost + cacheReadCost;
+  const { cacheHit, savingsUsd } = cacheOutcome(usage, pricing);
 
   try {
     // Insert usage record
@@ -55,7 +117,9 @@ export async function trackUsage(tenantId, conversationId, model, usage) {
         output_tokens: usage.output_tokens || 0,
         cache_creation_tokens: usage.cache_creation_input_tokens || 0,
         cache_read_tokens: usage.cache_read_input_tokens || 0,
-        cost_usd: totalCost
+        cost_usd: totalCost,
+        cache_hit: cacheHit,
+        cache_savings_usd: savingsUsd
       });
 
     if (error) {
@@ -73,26 +137,7 @@ export async function trackUsage(tenantId, conversationId, model, usage) {
  */
 export async function getTenantUsage(tenantId, period = 'month') {
   const supabase = getSupabase();
-
-  let startDate;
-  const now = new Date();
-
-  switch (period) {
-    case 'day':
-      startDate = new Date(now.setHours(0, 0, 0, 0));
-      break;
-    case 'week':
-      startDate = new Date(now.setDate(now.getDate() - 7));
-      break;
-    case 'month':
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-      break;
-    case 'all':
-      startDate = new Date(0);
-      break;
-    default:
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-  }
+  const startDate = periodStart(period);
 
   try {
     const { data, error } = await supabase
@@ -113,6 +158,7 @@ export async function getTenantUsage(tenantId, period = 'month') {
       totalCacheCreationTokens: 0,
       totalCacheReadTokens: 0,
       totalCostUsd: 0,
+      totalCacheSavingsUsd: 0,
       byModel: {},
       byDay: {}
     };
@@ -123,6 +169,7 @@ export async function getTenantUsage(tenantId, period = 'month') {
       summary.totalCacheCreationTokens += record.cache_creation_tokens || 0;
       summary.totalCacheReadTokens += record.cache_read_tokens || 0;
       summary.totalCostUsd += parseFloat(record.cost_usd) || 0;
+      summary.totalCacheSavingsUsd += parseFloat(record.cache_savings_usd) || 0;
 
       // Group by model
       if (!summary.byModel[record.model]) {
@@ -154,6 +201,7 @@ export async function getTenantUsage(tenantId, period = 'month') {
 
     // Round costs
     summary.totalCostUsd = Math.round(summary.totalCostUsd * 10000) / 10000;
+    summary.totalCacheSavingsUsd = Math.round(summary.totalCacheSavingsUsd * 10000) / 10000;
     Object.keys(summary.byModel).forEach(model => {
       summary.byModel[model].costUsd = Math.round(summary.byModel[model].costUsd * 10000) / 10000;
     });
@@ -168,6 +216,129 @@ export async function getTenantUsage(tenantId, period = 'month') {
   }
 }
 
+/**
+ * Prompt cache report for a tenant: hit rate and what caching saved
+ * @param {string} tenantId - The tenant ID
+ * @param {string} period - 'day', 'week', 'month', or 'all'
+ */
+export async function getCacheReport(tenantId, period = 'month') {
+  const supabase = getSupabase();
+  const startDate = periodStart(period);
+
+  try {
+    // Aggregated in the database - listing the rows would stop at the API's row limit
+    const { data, error } = await supabase.rpc('get_cache_report', {
+      p_tenant_id: tenantId,
+      p_since: startDate.toISOString()
+    });
+
+    if (error) throw error;
+
+    const totals = data?.[0] || {};
+    const round = value => Math.round(value * 10000) / 10000;
+    const requests = Number(totals.requests) || 0;
+    const cacheHits = Number(totals.cache_hits) || 0;
+    const cacheMisses = Number(totals.cache_misses) || 0;
+    const costUsd = Number(totals.cost_usd) || 0;
+    const savingsUsd = Number(totals.savings_usd) || 0;
+    const cacheable = cacheHits + cacheMisses;
+
+    const byDay = {};
+    Object.entries(totals.by_day || {}).forEach(([day, counts]) => {
+      byDay[day] = {
+        requests: Number(counts.requests),
+        cacheHits: Number(counts.cacheHits),
+        savingsUsd: round(Number(counts.savingsUsd))
+      };
+    });
+
+    return {
+      period,
+      startDate: startDate.toISOString(),
+      totalRequests: requests,
+      cacheHits,
+      cacheMisses,
+      uncacheable: requests - cacheable,
+      hitRatePct: cacheable > 0 ? Math.round(cacheHits / cacheable * 1000) / 10 : null,
+      cacheReadTokens: Number(totals.cache_read_tokens) || 0,
+      cacheWriteTokens: Number(totals.cache_write_tokens) || 0,
+      costUsd: round(costUsd),
+      savingsUsd: round(savingsUsd),
+      costWithoutCacheUsd: round(costUsd + savingsUsd),
+      byDay
+    };
+  } catch (err) {
+    console.error('Error getting cache report:', err);
+    return null;
+  }
+}
+
+/**
+ * Estimate what the system prompt costs per conversation
+ * Every request of a conversation (each turn and tool round-trip) resends the
+ * system prompt. With prompt caching the first request writes it to the cache
+ * and the rest read it, so the cached figure is an upper bound - the stable
+ * block is often already cached by another conversation.
+ * @param {string} tenantId - The tenant ID
+ * @param {number} promptTokens - Tokens in the system prompt
+ * @param {string} model - Model to price at (the tenant's primary model)
+ * @returns {object} Estimate, based on the last 30 days of requests
+ */
+export async function estimatePromptCost(tenantId, promptTokens, model = 'default') {
+  const supabase = getSupabase();
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  let requests = 0;
+  let conversations = 0;
+
+  // Counted in the database - listing the rows would stop at the API's row limit
+  try {
+    const [requestCount, conversationCount] = await Promise.all([
+      supabase
+        .from('api_usage')
+        .select('id', { count: 'exact', head: true })
+        .eq('tenant_id', tenantId)
+        .gte('created_at', since),
+      supabase
+        .from('conversations')
+        .select('id', { count: 'exact', head: true })
+        .eq('tenant_id', tenantId)
+        .gte('created_at', since)
+    ]);
+
+    if (requestCount.error) throw requestCount.error;
+    if (conversationCount.error) throw conversationCount.error;
+    requests = requestCount.count || 0;
+    conversations = conversationCount.count || 0;
+  } catch (err) {
+    // Still estimate from the defaults
+    console.error('Error loading usage for prompt cost estimate:', err);
+  }
+
+  const requestsPerConversation = conversations > 0 && requests > 0
+    ? Math.round(requests / conversations * 10) / 10
+    : DEFAULT_REQUESTS_PER_CONVERSATION;
+  const pricing = PRICING[model] || PRICING['default'];
+
+  const millions = promptTokens / 1_000_000;
+  const uncachedUsd = millions * pricing.input * requestsPerConversation;
+  const cached = promptTokens >= MIN_CACHEABLE_TOKENS;
+  const perConversationUsd = cached
+    ? millions * (pricing.cacheWrite + pricing.cacheRead * Math.max(requestsPerConversation - 1, 0))
+    : uncachedUsd;
+
+  const round = value => Math.round(value * 10000) / 10000;
+  return {
+    promptTokens,
+    model,
+    requestsPerConversation,
+    basedOnConversations: conversations,
+    cached,
+    perConversationUsd: round(perConversationUsd),
+    perConversationUncachedUsd: round(uncachedUsd),
+    per1000ConversationsUsd: round(perConversationUsd * 1000)
+  };
+}
+
 /**
  * Get usage for all tenants (platform admin)
  * @param {string} period - 'day', 'week', 'month', or 'all'
@@ -201,6 +372,7 @@ export async function getAllTenantsUsage(period = 'month') {
         input_tokens,
         output_tokens,
         cost_usd,
+        cache_savings_usd,
         tenants (name, slug)
       `)
       .gte('created_at', startDate.toISOString());
@@ -220,20 +392,23 @@ export async function getAllTenantsUsage(period = 'month') {
           requests: 0,
           inputTokens: 0,
           outputTokens: 0,
-          costUsd: 0
+          costUsd: 0,
+          cacheSavingsUsd: 0
         };
       }
       byTenant[tenantId].requests++;
       byTenant[tenantId].inputTokens += record.input_tokens || 0;
       byTenant[tenantId].outputTokens += record.output_tokens || 0;
       byTenant[tenantId].costUsd += parseFloat(record.cost_usd) || 0;
+      byTenant[tenantId].cacheSavingsUsd += parseFloat(record.cache_savings_usd) || 0;
     });
 
     // Convert to array and sort by cost
     const tenants = Object.values(byTenant)
       .map(t => ({
         ...t,
-        costUsd: Math.round(t.costUsd * 10000) / 10000
+        costUsd: Math.round(t.costUsd * 10000) / 10000,
+        cacheSavingsUsd: Math.round(t.cacheSavingsUsd * 10000) / 10000
       }))
       .sort((a, b) => b.costUsd - a.costUsd);
 
@@ -312,7 +487,10 @@ export async function fetchAnthropicCost(apiKey, startDate, endDate) {
 
 export default {
   trackUsage,
+  cacheOutcome,
   getTenantUsage,
+  getCacheReport,
+  estimatePromptCost,
   getAllTenantsUsage,
   fetchAnthropicUsage,
   fetchAnthropicCost
@@ -0,0 +1,382 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+import { v4 as uuidv4 } from 'uuid';
+import { TenantIntegrations } from '../models/Tenant.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+
+/**
+ * Outbound webhooks
+ *
+ * Each event is POSTed as JSON to the tenant's webhook_url:
+ *   { id, type, created_at, tenant_id, data }
+ *
+ * Requests are signed with the tenant's webhook_secret:
+ *   X-Xpio-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * Receivers should recompute the HMAC over the raw body and reject
+ * timestamps older than a few minutes.
+ *
+ * Non-2xx responses and network errors are retried with backoff by the
+ * retry worker; every attempt is logged in webhook_deliveries (status code
+ * only - response bodies are never stored or shown to the tenant).
+ *
+ * Webhook URLs are tenant-supplied, so the host must resolve to public
+ * addresses only - checked when the URL is saved and again before every
+ * attempt (DNS can change), and redirects are not followed. The request
+ * itself connects through WEBHOOK_AGENT, which checks the address it is
+ * about to connect to, so a host can't pass the check with a public
+ * address and then answer the real request with a private one.
+ */
+
+// Events tenants can subscribe to via webhook_events
+export const WEBHOOK_EVENTS = [
+  'lead.created',
+  'handoff.requested',
+  'conversation.ended',
+  'conversation.flagged'
+];
+
+const TEST_EVENT = 'webhook.test';
+
+// Wait before each retry (the first attempt is immediate)
+const RETRY_DELAYS_SECONDS = [30, 2 * 60, 10 * 60, 60 * 60, 6 * 60 * 60];
+const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+
+const REQUEST_TIMEOUT = 10 * 1000; // 10 seconds
+const RETRY_INTERVAL = 60 * 1000; // Check for due retries every minute
+
+// Loopback, private, link-local (incl. cloud metadata), CGNAT, multicast, reserved
+// and NAT64 ranges. BlockList also matches IPv4-mapped IPv6 (::ffff:10.0.0.1)
+// against the IPv4 subnets
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Generate a new signing secret for a tenant
+ * @returns {string} Secret
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Tenant webhook secret
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Check if the tenant subscribed to an event (null = all events)
+ */
+function isSubscribed(integrations, eventType) {
+  if (!integrations.webhook_events) return true;
+  return integrations.webhook_events.includes(eventType);
+}
+
+/**
+ * Check if an IP address is one webhooks must not reach
+ */
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup for webhook connections: fails instead of returning an address
+ * webhooks must not reach
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      const blocked = new Error(`Webhook host '${hostname}' resolved to a non-public address`);
+      blocked.code = 'EWEBHOOKBLOCKED';
+      return callback(blocked);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Connects webhook requests only to the public addresses lookupPublicAddress vetted
+const WEBHOOK_AGENT = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+/**
+ * Check a webhook URL is http(s) and its host resolves to public addresses only
+ * @param {string} url - Webhook URL
+ * @returns {string|null} Error message, or null if the URL may be used
+ */
+export async function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'Webhook URL must be a valid http(s) URL';
+  }
+
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return 'Webhook URL must be a valid http(s) URL';
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return `Webhook host '${host}' could not be resolved`;
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return 'Webhook URL must point to a public address (not localhost, a private network or a link-local address)';
+  }
+
+  return null;
+}
+
+/**
+ * POST a claimed delivery to its URL
+ * @param {Object} claimed - Claimed delivery row
+ * @returns {Object} { succeeded, responseStatus, error, permanent: retrying won't help }
+ */
+async function sendDelivery(claimed) {
+  const integrations = await TenantIntegrations.getDecryptedForTenant(claimed.tenant_id);
+  const secret = integrations?.webhook_secret;
+
+  // Both need the tenant to act, so they aren't retried
+  if (!secret) {
+    return { succeeded: false, permanent: true, error: 'No webhook signing secret - rotate the secret to resume deliveries' };
+  }
+  const urlError = await checkWebhookUrl(claimed.url);
+  if (urlError) {
+    return { succeeded: false, permanent: true, error: urlError };
+  }
+
+  const body = JSON.stringify(claimed.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let response;
+  try {
+    response = await fetch(claimed.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Xpio-Webhooks/1.0',
+        'X-Xpio-Event': claimed.event_type,
+        'X-Xpio-Delivery': claimed.id,
+        'X-Xpio-Signature': `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      dispatcher: WEBHOOK_AGENT,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+  } catch (error) {
+    if (error.cause?.code === 'EWEBHOOKBLOCKED') {
+      return { succeeded: false, permanent: true, error: error.cause.message };
+    }
+    throw error;
+  }
+
+  // Only the status is recorded
+  await response.body?.cancel().catch(() => {});
+
+  const isRedirect = response.status >= 300 && response.status < 400;
+  return {
+    succeeded: response.ok,
+    responseStatus: response.status,
+    error: response.ok ? null : `HTTP ${response.status}${isRedirect ? ' (redirects are not followed)' : ''}`
+  };
+}
+
+/**
+ * Make one delivery attempt and record the outcome
+ * @param {Object} delivery - Pending delivery row
+ * @param {Object} options - { retry: schedule a retry on failure (default true) }
+ * @returns {Object|null} Updated delivery, or null if another worker claimed it
+ */
+async function attemptDelivery(delivery, { retry = true } = {}) {
+  const claimed = await WebhookDelivery.claimAttempt(delivery);
+  if (!claimed) return null;
+
+  let result;
+
+  try {
+    result = await sendDelivery(claimed);
+  } catch (error) {
+    result = {
+      succeeded: false,
+      error: error.name === 'TimeoutError' ? `Timed out after ${REQUEST_TIMEOUT / 1000}s` : (error.cause?.message || error.message)
+    };
+  }
+
+  if (result.succeeded) {
+    console.log(`🪝 Webhook ${claimed.event_type} delivered to ${claimed.url}`);
+    return await WebhookDelivery.recordAttempt(claimed.id, {
+      status: 'succeeded',
+      responseStatus: result.responseStatus
+    });
+  }
+
+  const canRetry = retry && !result.permanent && claimed.attempts < MAX_ATTEMPTS;
+  const nextAttemptAt = canRetry
+    ? new Date(Date.now() + RETRY_DELAYS_SECONDS[claimed.attempts - 1] * 1000).toISOString()
+    : null;
+
+  console.warn(`⚠️ Webhook ${claimed.event_type} attempt ${claimed.attempts} failed (${result.error})${canRetry ? `, retrying at ${nextAttemptAt}` : ''}`);
+
+  return await WebhookDelivery.recordAttempt(claimed.id, {
+    status: canRetry ? 'pending' : 'failed',
+    nextAttemptAt,
+    responseStatus: result.responseStatus,
+    error: result.error
+  });
+}
+
+/**
+ * Build the JSON body for an event
+ */
+function buildPayload(eventId, tenantId, eventType, data) {
+  return {
+    id: eventId,
+    type: eventType,
+    created_at: new Date().toISOString(),
+    tenant_id: tenantId,
+    data
+  };
+}
+
+/**
+ * Send an event to the tenant's webhook, if configured and subscribed
+ * Never throws - webhook problems must not break the chat
+ * @param {string} tenantId - Tenant ID
+ * @param {string} eventType - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Object|null} Delivery after the first attempt, or null if not sent
+ */
+export async function emitWebhookEvent(tenantId, eventType, data) {
+  try {
+    if (!tenantId) return null;
+
+    const integrations = await TenantIntegrations.getForTenant(tenantId);
+    if (!integrations?.webhook_url || !isSubscribed(integrations, eventType)) {
+      return null;
+    }
+
+    const eventId = uuidv4();
+    const delivery = await WebhookDelivery.create({
+      tenantId,
+      eventId,
+      eventType,
+      payload: buildPayload(eventId, tenantId, eventType, data),
+      url: integrations.webhook_url
+    });
+
+    return await attemptDelivery(delivery);
+  } catch (error) {
+    console.error(`Failed to send ${eventType} webhook:`, error);
+    return null;
+  }
+}
+
+/**
+ * Send a test event to the tenant's webhook (single attempt, no retries)
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object|null} Delivery, or null if no webhook URL is configured
+ */
+export async function sendTestEvent(tenantId) {
+  const integrations = await TenantIntegrations.getForTenant(tenantId);
+  if (!integrations?.webhook_url) return null;
+
+  const eventId = uuidv4();
+  const delivery = await WebhookDelivery.create({
+    tenantId,
+    eventId,
+    eventType: TEST_EVENT,
+    payload: buildPayload(eventId, tenantId, TEST_EVENT, {
+      message: 'This is a test event from Xpio chatbot webhooks.'
+    }),
+    url: integrations.webhook_url
+  });
+
+  return await attemptDelivery(delivery, { retry: false });
+}
+
+/**
+ * Redeliver an earlier delivery (same event ID and payload) to the current
+ * webhook URL (single attempt, no retries)
+ * @param {string} tenantId - Tenant ID
+ * @param {string} deliveryId - Delivery to resend
+ * @returns {Object|null} New delivery, or null if the original wasn't found
+ */
+export async function redeliver(tenantId, deliveryId) {
+  const original = await WebhookDelivery.getById(deliveryId, tenantId);
+  if (!original) return null;
+
+  const integrations = await TenantIntegrations.getForTenant(tenantId);
+
+  const delivery = await WebhookDelivery.create({
+    tenantId,
+    eventId: original.event_id,
+    eventType: original.event_type,
+    payload: original.payload,
+    url: integrations?.webhook_url || original.url,
+    redeliveryOf: original.id
+  });
+
+  return await attemptDelivery(delivery, { retry: false });
+}
+
+/**
+ * Retry every pending delivery that is due
+ */
+export async function processDueDeliveries() {
+  const due = await WebhookDelivery.getDue();
+  for (const delivery of due) {
+    await attemptDelivery(delivery);
+  }
+}
+
+let retryTimer = null;
+
+/**
+ * Start the background retry worker (call once at server startup)
+ */
+export function startWebhookRetryWorker() {
+  if (retryTimer) return;
+
+  retryTimer = setInterval(() => {
+    processDueDeliveries().catch(err => console.error('Webhook retry worker error:', err));
+  }, RETRY_INTERVAL);
+
+  console.log('🪝 Webhook retry worker started');
+}
+
+export default {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  signPayload,
+  checkWebhookUrl,
+  emitWebhookEvent,
+  sendTestEvent,
+  redeliver,
+  processDueDeliveries,
+  startWebhookRetryWorker
+};
@@ -0,0 +1,56 @@
+import { getAvailableTimes } from '../services/calendlyService.js';
+
+// Tool definition for checking Calendly availability
+export const CALENDLY_TOOL = {
+  name: 'check_calendar_availability',
+  description: `MANDATORY: Use this IMMEDIATELY after save_lead succeeds OR when user asks about meeting times/availability. This returns Thad's actual available calendar slots from Calendly.
+
+IMPORTANT: The tool returns a 'formattedSchedule' field - display this EXACTLY as provided. Do NOT add individual booking URLs - just show the clean formatted times and tell them to click the Schedule a Meeting button.
+
+Required flow: save_lead → check_calendar_availability → display formattedSchedule.
+NEVER say "I don't have calendar access" - you have this tool!`,
+  input_schema: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: 'Brief reason for the meeting (e.g., "product demo", "consultation"). Can be empty string if not specified.'
+      }
+    },
+    required: []
+  }
+};
+
+/**
+ * check_calendar_availability - fetch open slots and show them as clickable buttons
+ * Claude gets the formatted schedule; the widget renders the slot buttons
+ */
+async function runCalendarCheck(input, { conversationId, conversationData, send }) {
+  console.log(`📅 Checking calendar availability for conversation: ${conversationId}`);
+
+  const availability = await getAvailableTimes();
+  conversationData.calendarChecked = true;
+
+  const { slots, ...toolResult } = availability;
+
+  if (availability.available && slots && slots.length > 0) {
+    send({
+      type: 'calendar_slots',
+      slots,
+      bookingLink: availability.bookingLink
+    });
+  }
+
+  return {
+    ...toolResult,
+    slotsShownInChat: !!(slots && slots.length > 0)
+  };
+}
+
+export default {
+  definition: CALENDLY_TOOL,
+  label: 'Calendar availability',
+  summary: 'Looks up open meeting slots in Calendly and shows them as buttons in the chat.',
+  requiredFeature: 'calendarIntegration',
+  handler: runCalendarCheck
+};
@@ -0,0 +1,98 @@
+import { requestHandoff } from '../services/slackService.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+import Conversation from '../models/Conversation.js';
+
+// Tool definition for handoff to human
+export const HANDOFF_TOOL = {
+  name: 'request_human_help',
+  description: 'Request immediate handoff to a human team member when the visitor explicitly asks to speak with someone, needs complex technical assistance you cannot provide, or when they express urgency that requires real-time human interaction. Use this when AI assistance is insufficient.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: 'Brief explanation of why human assistance is needed (e.g., "Visitor requested to speak with sales", "Complex technical question about EHR integration", "Pricing negotiation needed")'
+      },
+      visitor_name: {
+        type: 'string',
+        description: 'Visitor\'s name if collected'
+      },
+      visitor_email: {
+        type: 'string',
+        description: 'Visitor\'s email if collected'
+      },
+      urgency: {
+        type: 'string',
+        enum: ['low', 'medium', 'high'],
+        description: 'Urgency level - HIGH if they need immediate help, MEDIUM if important but can wait a few minutes, LOW if general inquiry'
+      },
+      context_summary: {
+        type: 'string',
+        description: 'Brief summary of what was discussed so the human team member can pick up the conversation smoothly'
+      }
+    },
+    required: ['reason', 'urgency', 'context_summary']
+  }
+};
+
+/**
+ * request_human_help - hand the conversation off to the team via Slack
+ */
+async function runHandoff(input, { conversationId, conversationData, tenantId, send }) {
+  console.log(`🆘 Handoff requested for conversation: ${conversationId}`);
+
+  // Track that handoff was requested (for stats, but don't block future AI responses)
+  conversationData.handoffRequested = true;
+
+  try {
+    const handoffResult = await requestHandoff(
+      conversationId,
+      conversationData.messages,
+      {
+        name: input.visitor_name,
+        email: input.visitor_email,
+        reason: input.reason,
+        urgency: input.urgency,
+        context: input.context_summary
+      },
+      tenantId
+    );
+
+    // Mark conversation as handed off in database
+    if (handoffResult.success && handoffResult.threadTs) {
+      Conversation.markHandedOff(conversationId, handoffResult.threadTs, handoffResult.channel)
+        .catch(err => console.error('Failed to mark handoff in database:', err));
+    }
+
+    // Notify the tenant's webhook (don't wait for it)
+    emitWebhookEvent(tenantId, 'handoff.requested', {
+      conversation_id: conversationId,
+      reason: input.reason,
+      urgency: input.urgency,
+      context_summary: input.context_summary,
+      visitor: {
+        name: input.visitor_name || null,
+        email: input.visitor_email || null
+      },
+      slack_thread_ts: handoffResult.threadTs || null
+    });
+
+    send({ type: 'handed_off', threadTs: handoffResult.threadTs });
+    return handoffResult;
+  } catch (error) {
+    console.error('Failed to request handoff:', error);
+    send({ type: 'error', error: 'Failed to request handoff' });
+    return {
+      success: false,
+      error: 'Failed to connect you with a team member. Please try again.'
+    };
+  }
+}
+
+export default {
+  definition: HANDOFF_TOOL,
+  label: 'Human handoff',
+  summary: 'Hands the conversation to your team in Slack when the visitor asks for a person.',
+  requiredFeature: 'slackIntegration',
+  handler: runHandoff
+};
@@ -0,0 +1,131 @@
+import { saveLead } from '../services/leadService.js';
+import Conversation from '../models/Conversation.js';
+
+// Demo video configuration
+// Set DEMO_VIDEO_URL in environment to enable (Loom, YouTube, or Vimeo URL)
+const DEMO_VIDEO_URL = process.env.DEMO_VIDEO_URL || null;
+const DEMO_VIDEO_TITLE = process.env.DEMO_VIDEO_TITLE || 'Xpio Analytics Platform Demo';
+
+/**
+ * Check if a lead is high quality (has phone number)
+ * @param {Object} leadInput - The lead data from tool input
+ * @returns {boolean} True if lead is high quality
+ */
+function isQualityLead(leadInput) {
+  // Quality lead = has name + email + phone
+  return !!(leadInput.name && leadInput.email && leadInput.phone);
+}
+
+// Tool definition for lead capture
+export const LEAD_CAPTURE_TOOL = {
+  name: 'save_lead',
+  description: 'Save qualified lead information to the database and trigger immediate sales team notification. Only use this when you have gathered sufficient information and the lead has shown genuine interest in Xpio Health\'s solutions.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'Full name of the lead'
+      },
+      email: {
+        type: 'string',
+        description: 'Email address - must be valid format'
+      },
+      phone: {
+        type: 'string',
+        description: 'Phone number with country/area code'
+      },
+      organization: {
+        type: 'string',
+        description: 'Organization or practice name'
+      },
+      role: {
+        type: 'string',
+        description: 'Job title or role in the organization'
+      },
+      organization_size: {
+        type: 'string',
+        description: 'Size of organization (e.g., "5-10 providers", "50+ providers", "small practice")'
+      },
+      primary_interest: {
+        type: 'string',
+        description: 'Primary product/service they\'re interested in or main need/challenge they want to solve'
+      },
+      current_systems: {
+        type: 'string',
+        description: 'Current EHR, PM systems, or technology they\'re using'
+      },
+      timeline: {
+        type: 'string',
+        description: 'When they want to implement or make a purchase decision (e.g., "ASAP", "3-6 months", "this quarter")'
+      },
+      budget_range: {
+        type: 'string',
+        description: 'Budget range if mentioned (e.g., "under $50k", "$100-200k", "flexible")'
+      },
+      pain_points: {
+        type: 'string',
+        description: 'Key challenges or pain points they mentioned'
+      },
+      conversation_summary: {
+        type: 'string',
+        description: 'Comprehensive summary of the entire conversation including all key points discussed, questions asked, concerns raised, and solutions mentioned. This helps the sales team have context for follow-up.'
+      },
+      qualification_score: {
+        type: 'string',
+        enum: ['hot', 'warm', 'cold'],
+        description: 'Your assessment of lead quality based on: readiness to buy, budget authority, timeline, and fit. HOT = ready to buy soon with clear need and authority. WARM = interested and qualified but longer timeline. COLD = early research, unclear need, or lacks authority.'
+      },
+      next_steps: {
+        type: 'string',
+        description: 'What the lead expects to happen next (e.g., "Schedule demo", "Receive pricing", "Technical consultation")'
+      }
+    },
+    required: ['name', 'email', 'primary_interest', 'conversation_summary', 'qualification_score']
+  }
+};
+
+/**
+ * save_lead - store the lead and notify the sales team
+ */
+async function runSaveLead(input, { conversationId, conversationData, tenantId, send }) {
+  console.log(`💾 Saving lead data...`);
+
+  try {
+    const leadResult = await saveLead(input, conversationId, conversationData.messages, tenantId);
+    conversationData.leadCaptured = true;
+
+    // Mark lead captured in conversations table (don't wait)
+    Conversation.markLeadCaptured(conversationId, leadResult.leadId)
+      .catch(err => console.error('Failed to mark lead in conversations:', err));
+
+    send({ type: 'lead_captured', leadId: leadResult.leadId });
+
+    // Show demo video for quality leads (has phone number)
+    if (DEMO_VIDEO_URL && isQualityLead(input)) {
+      console.log('🎬 Quality lead detected - showing demo video');
+      send({
+        type: 'show_demo',
+        videoUrl: DEMO_VIDEO_URL,
+        title: DEMO_VIDEO_TITLE
+      });
+    }
+
+    return leadResult;
+  } catch (error) {
+    console.error('Failed to save lead:', error);
+    send({ type: 'error', error: 'Failed to save lead' });
+    return {
+      success: false,
+      error: 'Failed to save your information. Please try again.'
+    };
+  }
+}
+
+export default {
+  definition: LEAD_CAPTURE_TOOL,
+  label: 'Lead capture',
+  summary: 'Saves visitor contact details as a lead and notifies your team.',
+  requiredFeature: null,
+  handler: runSaveLead
+};
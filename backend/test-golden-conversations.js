@@ -0,0 +1,100 @@
+/**
+ * Golden Conversation Regression Runner
+ *
+ * Replays the tenant's saved golden conversations against its system prompt
+ * (with unpublished drafts by default) and checks each expected behaviour.
+ * Tools are offered to the model but never run. The report is stored like
+ * a run started from the admin dashboard, so it shows before publishing.
+ *
+ * Unlike test-chatbot.js this needs no running server, and with the stub
+ * client no API key either.
+ *
+ * Usage: node test-golden-conversations.js [--client=stub|anthropic] [--published] [--file=goldens.json]
+ *
+ *   --client     stub (default): deterministic offline model
+ *                anthropic: Claude with the tenant's API key
+ *   --published  Run against the published prompt instead of the drafts
+ *   --file       Run golden conversations from a JSON file (an array of
+ *                { name, turns, expectations, visitor_context }) instead
+ *                of the saved ones
+ *
+ * Environment variables:
+ *   SUPABASE_URL, SUPABASE_KEY - Database with the tenant's prompt
+ *   TEST_TENANT_ID - Tenant to run (default: the default tenant)
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+
+dotenv.config();
+
+import Tenant, { DEFAULT_TENANT_ID } from './src/models/Tenant.js';
+import GoldenConversation from './src/models/GoldenConversation.js';
+import { validateGoldenConversation, runRegressionSuite } from './src/services/promptRegressionService.js';
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  return [key, value ?? true];
+}));
+
+const tenantId = process.env.TEST_TENANT_ID || DEFAULT_TENANT_ID;
+
+/**
+ * Golden conversations from --file, or the tenant's active ones
+ */
+async function loadGoldens() {
+  if (!args.file) {
+    return GoldenConversation.getAll(tenantId, { activeOnly: true });
+  }
+
+  const goldens = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  if (!Array.isArray(goldens)) {
+    throw new Error(`${args.file} must contain an array of golden conversations`);
+  }
+
+  goldens.forEach((golden, index) => {
+    const error = validateGoldenConversation(golden);
+    if (error) throw new Error(`${args.file} [${index}] ${golden.name || ''}: ${error}`);
+  });
+  return goldens.map((golden, index) => ({ id: null, ...golden, name: golden.name || `#${index + 1}` }));
+}
+
+async function main() {
+  const tenant = await Tenant.getById(tenantId);
+  const goldens = await loadGoldens();
+
+  if (goldens.length === 0) {
+    console.log('No golden conversations to run. Add some in the admin dashboard or pass --file.');
+    return true;
+  }
+
+  console.log(`🧪 Running ${goldens.length} golden conversation(s) for ${tenant?.name || tenantId}`);
+  console.log(`   Prompt: ${args.published ? 'published' : 'with drafts'} | Client: ${args.client || 'stub'}\n`);
+
+  const run = await runRegressionSuite(tenantId, goldens, {
+    tenant,
+    useDrafts: !args.published,
+    client: args.client || 'stub',
+    runBy: 'test-golden-conversations.js'
+  });
+
+  for (const result of run.results) {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}${result.error ? ` (Error: ${result.error})` : ''}`);
+    result.checks
+      .filter(check => !check.passed)
+      .forEach(check => console.log(`     ✗ ${check.description}${check.detail ? ` - ${check.detail}` : ''}`));
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Overall: ${run.passed}/${run.total} golden conversations passed (${run.duration_ms} ms)`);
+  console.log(`Prompt hash: ${run.prompt_hash}`);
+
+  return run.failed === 0;
+}
+
+main()
+  .then(passed => process.exit(passed ? 0 : 1))
+  .catch(error => {
+    console.error('Regression run failed:', error);
+    process.exit(1);
+  });
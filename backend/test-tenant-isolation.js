@@ -0,0 +1,196 @@
+/**
+ * Tenant Isolation Tests
+ *
+ * Creates two throwaway tenants with a conversation and a lead each, then
+ * checks that every tenant-scoped lookup for tenant A never returns tenant B's
+ * data (and vice versa) - in the models, and through the controllers with
+ * tenant A's request context. The tenants are deleted afterwards.
+ *
+ * Usage: node test-tenant-isolation.js
+ *
+ * Requires SUPABASE_URL and SUPABASE_KEY (service key) for a test database.
+ */
+
+import dotenv from 'dotenv';
+import { v4 as uuidv4 } from 'uuid';
+
+dotenv.config();
+
+import Tenant from './src/models/Tenant.js';
+import Conversation from './src/models/Conversation.js';
+import Lead, { getSupabase } from './src/models/Lead.js';
+import { handleGetStats, restoreConversationFromDB } from './src/controllers/chatController.js';
+import { getConversations, getConversation, flagConversation, getConversationStats } from './src/controllers/conversationController.js';
+import { pollSlackMessages, sendToSlackThread } from './src/controllers/slackController.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(desc, result) {
+  console.log(`   ${result ? '✅' : '❌'} ${desc}`);
+  if (result) {
+    passed++;
+  } else {
+    failed++;
+  }
+}
+
+/**
+ * Call an Express handler with a request for a tenant
+ * @returns {Object} { statusCode, body }
+ */
+async function callHandler(handler, tenant, req = {}) {
+  const res = { statusCode: 200, body: undefined };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = body => {
+    res.body = body;
+    return res;
+  };
+
+  await handler({ params: {}, query: {}, body: {}, headers: {}, tenant, tenantId: tenant.id, ...req }, res);
+  return res;
+}
+
+/**
+ * Create a tenant with one conversation (handed off to Slack) and one lead
+ */
+async function seedTenant(label) {
+  const suffix = uuidv4().slice(0, 8);
+  const tenant = await Tenant.create({
+    name: `Isolation Test ${label}`,
+    slug: `isolation-test-${label.toLowerCase()}-${suffix}`
+  });
+
+  const conversationId = uuidv4();
+  await Conversation.create(conversationId, {}, { role: 'user', content: `Hello from tenant ${label}` }, tenant.id);
+  await Conversation.markHandedOff(conversationId, `1700000000.${suffix}`, `C-${label}`);
+
+  const lead = await Lead.create({
+    conversationId,
+    name: `Lead ${label}`,
+    email: `isolation-${label.toLowerCase()}-${suffix}@example.com`,
+    primary_interest: 'Tenant isolation',
+    conversation_summary: 'Seeded by test-tenant-isolation.js',
+    qualification_score: 'warm',
+    conversationHistory: []
+  }, tenant.id);
+
+  return { tenant, conversationId, threadTs: `1700000000.${suffix}`, channelId: `C-${label}`, lead };
+}
+
+/**
+ * Check that `reader` can't see anything belonging to `other`
+ */
+async function checkIsolation(reader, other) {
+  const label = `${reader.tenant.name} → ${other.tenant.name}`;
+  console.log(`\n🔒 ${label}`);
+
+  check('Own conversation is readable', !!(await Conversation.getById(reader.conversationId, reader.tenant.id)));
+  check('Other tenant\'s conversation is not readable', !(await Conversation.getById(other.conversationId, reader.tenant.id)));
+
+  const review = await Conversation.getForReview({ limit: 1000, tenantId: reader.tenant.id });
+  check('Review list only contains own conversations', review.every(c => c.tenant_id === reader.tenant.id));
+  check('Review list includes own conversation', review.some(c => c.conversation_id === reader.conversationId));
+
+  const stats = await Conversation.getStats(reader.tenant.id);
+  check('Conversation stats only count own conversations', stats.total === 1);
+
+  check('Cannot flag other tenant\'s conversation', !(await Conversation.setFlag(other.conversationId, true, 'cross-tenant', reader.tenant.id)));
+  check('Cannot add notes to other tenant\'s conversation', !(await Conversation.addReviewNotes(other.conversationId, 'cross-tenant', reader.tenant.id)));
+
+  const handoff = await Conversation.getHandoffState(other.conversationId, reader.tenant.id);
+  check('Other tenant\'s handoff thread is not exposed', !handoff.is_handed_off && !handoff.slack_thread_ts);
+
+  const leads = await Lead.getAll(1000, 0, reader.tenant.id);
+  check('Lead list only contains own leads', leads.length === 1 && leads[0].id === reader.lead.id);
+  check('Other tenant\'s lead is not readable', await Lead.getById(other.lead.id, reader.tenant.id).then(() => false, () => true));
+  check('Email check does not see other tenant\'s leads', !(await Lead.emailExists(other.lead.email, reader.tenant.id)));
+
+  const thread = await Conversation.getBySlackThread(reader.threadTs, reader.channelId);
+  check('Slack thread resolves to own conversation', thread?.tenant_id === reader.tenant.id);
+  check('Slack thread in another channel does not resolve', !(await Conversation.getBySlackThread(reader.threadTs, other.channelId)));
+}
+
+/**
+ * Same as checkIsolation, through the controllers with `reader`'s request context
+ */
+async function checkControllerIsolation(reader, other) {
+  const { tenant } = reader;
+  console.log(`\n🔒 ${tenant.name} → ${other.tenant.name} (controllers)`);
+
+  const stats = await callHandler(handleGetStats, tenant);
+  check('Chat stats only count own conversations', stats.body?.totalConversations === 1);
+  check('Chat stats only list own leads',
+    stats.body?.recentLeads.length === 1 && stats.body.recentLeads[0].email === reader.lead.email);
+
+  const restored = await restoreConversationFromDB(reader.conversationId, tenant.id);
+  check('Own conversation can be resumed', restored?.tenantId === tenant.id);
+  check('Other tenant\'s conversation cannot be resumed', !(await restoreConversationFromDB(other.conversationId, tenant.id)));
+
+  const poll = await callHandler(pollSlackMessages, tenant, { params: { conversationId: reader.conversationId } });
+  check('Handoff poll finds own Slack thread', poll.body?.isHandedOff === true && poll.body.threadTs === reader.threadTs);
+  const otherPoll = await callHandler(pollSlackMessages, tenant, { params: { conversationId: other.conversationId } });
+  check('Handoff poll does not expose other tenant\'s thread', otherPoll.body?.isHandedOff === false && !otherPoll.body.threadTs);
+  const send = await callHandler(sendToSlackThread, tenant, { body: { conversationId: other.conversationId, message: 'cross-tenant' } });
+  check('Cannot post into other tenant\'s Slack thread', send.statusCode === 400);
+
+  const list = await callHandler(getConversations, tenant, { query: { limit: '1000' } });
+  check('Conversation list only contains own conversations',
+    list.body?.conversations.length > 0 && list.body.conversations.every(c => c.tenant_id === tenant.id));
+  const conversation = await callHandler(getConversation, tenant, { params: { id: other.conversationId } });
+  check('Other tenant\'s conversation returns 404', conversation.statusCode === 404);
+  const flag = await callHandler(flagConversation, tenant, { params: { id: other.conversationId }, body: { flagged: true, reason: 'cross-tenant' } });
+  check('Flagging other tenant\'s conversation returns 404', flag.statusCode === 404);
+  const conversationStats = await callHandler(getConversationStats, tenant);
+  check('Review stats only count own conversations', conversationStats.body?.stats.total === 1);
+}
+
+async function runIsolationTests() {
+  console.log('\n🏢 Tenant Isolation Tests');
+  console.log('=========================');
+
+  const seeded = [];
+
+  try {
+    seeded.push(await seedTenant('A'));
+    seeded.push(await seedTenant('B'));
+
+    const [a, b] = seeded;
+    await checkIsolation(a, b);
+    await checkIsolation(b, a);
+    await checkControllerIsolation(a, b);
+    await checkControllerIsolation(b, a);
+
+    // The cross-tenant writes above must not have touched the data
+    const conversationA = await Conversation.getById(a.conversationId, a.tenant.id);
+    console.log('\n🔒 Cross-tenant writes');
+    check('Conversation was not flagged by the other tenant', !conversationA.flagged);
+    check('Conversation has no notes from the other tenant', !conversationA.review_notes);
+  } catch (error) {
+    console.log(`\n❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    // Deleting the tenant cascades to its conversations and leads
+    for (const { tenant } of seeded) {
+      await getSupabase().from('tenants').delete().eq('id', tenant.id);
+    }
+    console.log(`\n🧹 Removed ${seeded.length} test tenant(s)`);
+  }
+
+  console.log('\n' + '='.repeat(40));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(40));
+
+  return failed === 0;
+}
+
+// Run tests
+runIsolationTests()
+  .then(success => process.exit(success ? 0 : 1))
+  .catch(error => {
+    console.error('Test run failed:', error);
+    process.exit(1);
+  });